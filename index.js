@@ -13,6 +13,8 @@ import ExcelJS from 'exceljs';
 import fs from 'fs-extra';
 import xlsx from 'xlsx';
 import PDFDocument from 'pdfkit';
+import JSZip from 'jszip';
+import crypto from 'crypto';
 // import fs from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -60,6 +62,3406 @@ function formatMySQLDate(dateStr) {
   return date.toISOString().slice(0, 19).replace('T', ' ')
 }
 
+// GST state codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '96': 'Other Country', '97': 'Other Territory'
+};
+
+/**
+ * Work out the place of supply of an invoice or order and whether it is intra-state
+ * (CGST + SGST) or inter-state (IGST). The buyer state is taken from an explicit
+ * place_of_supply, else from the guest's company or the guest; with none of these,
+ * the supply is treated as local.
+ * @param {Object} connection - Pool connection
+ * @param {Object} options - { type, guest_id, place_of_supply }
+ * @returns {Object} { place_of_supply, supply_type }
+ */
+async function resolvePlaceOfSupply(connection, { type, guest_id, place_of_supply }) {
+  const [settings] = await connection.query('SELECT resort_gstin, kitchen_gstin FROM settings LIMIT 1');
+  const supplierGstin = type === 'resort' ? settings[0].resort_gstin : settings[0].kitchen_gstin;
+  const supplierState = supplierGstin.slice(0, 2);
+
+  let buyerState = place_of_supply || null;
+
+  if (!buyerState && guest_id) {
+    const [guests] = await connection.query(
+      `SELECT g.state_code, c.state_code as company_state_code
+       FROM guests g
+       LEFT JOIN companies c ON g.company_id = c.id AND c.is_active = TRUE
+       WHERE g.id = ?`,
+      [guest_id]
+    );
+    buyerState = guests.length > 0 ? guests[0].company_state_code || guests[0].state_code : null;
+  }
+
+  buyerState = buyerState || supplierState;
+
+  return {
+    place_of_supply: buyerState,
+    supply_type: buyerState === supplierState ? 'intra_state' : 'inter_state'
+  };
+}
+
+/**
+ * Split the GST of a line into CGST/SGST halves or IGST
+ * @param {Number} gstAmount - Total GST of the line
+ * @param {String} supplyType - intra_state or inter_state
+ * @returns {Object} { cgst_amount, sgst_amount, igst_amount }
+ */
+function splitGst(gstAmount, supplyType) {
+  const paise = Math.round(gstAmount * 100);
+
+  if (supplyType === 'inter_state') {
+    return { cgst_amount: 0, sgst_amount: 0, igst_amount: paise / 100 };
+  }
+
+  // SGST takes the odd paisa so the halves always add up to the line GST
+  const cgstPaise = Math.floor(paise / 2);
+  return { cgst_amount: cgstPaise / 100, sgst_amount: (paise - cgstPaise) / 100, igst_amount: 0 };
+}
+
+// HSN (goods) and SAC (services) codes are 4, 6 or 8 digits
+const HSN_SAC_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+
+// Payment methods accepted on invoice payments
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'other'];
+
+// Document number series
+const NUMBER_SERIES = ['resort', 'kitchen', 'credit_note', 'kitchen_order', 'reservation', 'purchase_order', 'goods_receipt'];
+
+/**
+ * Get the Indian financial year (April to March) a date falls in
+ * @param {Date} date - Document date
+ * @returns {String} Financial year label, e.g. 2025-26
+ */
+function getFinancialYear(date) {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return startYear + '-' + ((startYear + 1) % 100).toString().padStart(2, '0');
+}
+
+/**
+ * Build a document number from a series format
+ * Supported tokens: {PREFIX}, {FY} (25-26), {FY_FULL} (2025-26), {SEQ}
+ * @param {Object} series - Row from number_series
+ * @param {String} financialYear - Financial year label from getFinancialYear
+ * @param {Number} value - Sequence value
+ * @returns {String} Document number
+ */
+function formatSequenceNumber(series, financialYear, value) {
+  return series.format
+    .replace('{PREFIX}', series.prefix)
+    .replace('{FY_FULL}', financialYear)
+    .replace('{FY}', financialYear.slice(2))
+    .replace('{SEQ}', value.toString().padStart(series.padding, '0'));
+}
+
+/**
+ * Issue the next number of a document series for the financial year of the given date.
+ * Must be called on a connection with an open transaction: the counter row stays locked
+ * until commit, and a rollback gives the number back, so the sequence has no gaps.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {String} series - One of NUMBER_SERIES
+ * @param {Date} date - Document date
+ * @returns {String} Document number
+ */
+async function getNextSequenceNumber(connection, series, date = new Date()) {
+  const financialYear = getFinancialYear(date);
+
+  const [seriesRows] = await connection.query('SELECT * FROM number_series WHERE series = ?', [series]);
+  if (seriesRows.length === 0) {
+    throw new Error(`Number series '${series}' is not configured`);
+  }
+
+  // One statement creates the year's counter at 1 or takes an exclusive lock on it and
+  // moves it on; locking the row shared first and then exclusive would deadlock two
+  // documents numbered at once. LAST_INSERT_ID(expr) hands back the new value.
+  const [result] = await connection.query(
+    `INSERT INTO number_sequence_counters (series, financial_year, last_value) VALUES (?, ?, 1)
+     ON DUPLICATE KEY UPDATE last_value = LAST_INSERT_ID(last_value + 1)`,
+    [series, financialYear]
+  );
+
+  // One affected row is a new counter; two is an existing one moved on
+  const nextValue = result.affectedRows === 1 ? 1 : result.insertId;
+
+  return formatSequenceNumber(seriesRows[0], financialYear, nextValue);
+}
+
+/**
+ * Issue a credit note against an invoice and update the invoice status.
+ * Line amounts are taken pro rata from the original invoice items so a full
+ * credit always matches the invoice to the paisa.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Object} invoice - Invoice row, locked by the caller
+ * @param {Array} lines - [{ item, quantity }] where item is an invoice_items row
+ * @param {String} reason - Reason printed on the credit note
+ * @param {Number} userId - User issuing the credit note
+ * @returns {Object} Created credit note summary
+ */
+async function issueCreditNote(connection, invoice, lines, reason, userId) {
+  let subtotal = 0;
+  let taxAmount = 0;
+  const taxSplit = { cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+
+  const creditLines = lines.map(({ item, quantity }) => {
+    const share = quantity / item.quantity;
+    const lineGst = parseFloat(item.gst_amount) * share;
+    const lineTotal = parseFloat(item.total) * share;
+    const lineTax = splitGst(lineGst, invoice.supply_type);
+
+    subtotal += lineTotal - lineGst;
+    taxAmount += lineGst;
+    taxSplit.cgst_amount += lineTax.cgst_amount;
+    taxSplit.sgst_amount += lineTax.sgst_amount;
+    taxSplit.igst_amount += lineTax.igst_amount;
+
+    return { item, quantity, gst_amount: lineGst, ...lineTax, total: lineTotal };
+  });
+
+  const totalAmount = subtotal + taxAmount;
+  const creditNoteNumber = await getNextSequenceNumber(connection, 'credit_note');
+
+  const [creditNoteResult] = await connection.query(
+    `INSERT INTO credit_notes
+     (credit_note_number, credit_note_date, invoice_id, type, reason, subtotal, cgst_amount, sgst_amount, igst_amount,
+      tax_amount, total_amount, created_by)
+     VALUES (?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [creditNoteNumber, invoice.id, invoice.type, reason, subtotal, taxSplit.cgst_amount, taxSplit.sgst_amount,
+     taxSplit.igst_amount, taxAmount, totalAmount, userId]
+  );
+
+  const creditNoteId = creditNoteResult.insertId;
+
+  for (const line of creditLines) {
+    await connection.query(
+      `INSERT INTO credit_note_items
+       (credit_note_id, invoice_item_id, item_name, quantity, rate, gst_percentage, gst_amount,
+        cgst_amount, sgst_amount, igst_amount, total)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [creditNoteId, line.item.id, line.item.item_name, line.quantity, line.item.rate, line.item.gst_percentage, line.gst_amount,
+       line.cgst_amount, line.sgst_amount, line.igst_amount, line.total]
+    );
+  }
+
+  // The invoice is cancelled once every line has been fully credited
+  const [remaining] = await connection.query(
+    `SELECT COUNT(*) as open_lines
+     FROM invoice_items ii
+     LEFT JOIN (
+       SELECT cni.invoice_item_id, SUM(cni.quantity) as credited_quantity
+       FROM credit_note_items cni
+       GROUP BY cni.invoice_item_id
+     ) c ON c.invoice_item_id = ii.id
+     WHERE ii.invoice_id = ? AND ii.quantity > COALESCE(c.credited_quantity, 0)`,
+    [invoice.id]
+  );
+
+  const invoiceStatus = Number(remaining[0].open_lines) === 0 ? 'cancelled' : 'partially_credited';
+
+  if (invoiceStatus === 'cancelled') {
+    await connection.query(
+      `UPDATE invoices
+       SET status = 'cancelled', cancellation_reason = ?, cancelled_at = NOW(), cancelled_by = ?
+       WHERE id = ?`,
+      [reason, userId, invoice.id]
+    );
+  } else {
+    await connection.query("UPDATE invoices SET status = 'partially_credited' WHERE id = ?", [invoice.id]);
+  }
+
+  // Credited amount lowers the balance due
+  await refreshInvoicePaymentStatus(connection, invoice.id);
+
+  return {
+    id: creditNoteId,
+    credit_note_number: creditNoteNumber,
+    invoice_id: invoice.id,
+    invoice_status: invoiceStatus,
+    subtotal,
+    ...taxSplit,
+    tax_amount: taxAmount,
+    total_amount: totalAmount
+  };
+}
+
+/**
+ * Recalculate the credited amount, amount paid and payment status of an invoice
+ * from its credit notes and active payments
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Number} invoiceId - Invoice id
+ * @returns {Object} Updated payment summary of the invoice
+ */
+async function refreshInvoicePaymentStatus(connection, invoiceId) {
+  const [invoices] = await connection.query('SELECT id, status, total_amount, payment_method FROM invoices WHERE id = ?', [invoiceId]);
+  const invoice = invoices[0];
+
+  const [credits] = await connection.query(
+    'SELECT COALESCE(SUM(total_amount), 0) as credited_amount FROM credit_notes WHERE invoice_id = ?',
+    [invoiceId]
+  );
+
+  const [payments] = await connection.query(
+    'SELECT amount, payment_method FROM invoice_payments WHERE invoice_id = ? AND is_voided = 0',
+    [invoiceId]
+  );
+
+  const creditedAmount = Number(credits[0].credited_amount);
+  const amountPaid = payments.reduce((sum, payment) => sum + Number(payment.amount), 0);
+  const balanceDue = Number(invoice.total_amount) - creditedAmount - amountPaid;
+
+  let paymentStatus = 'pending';
+  if (invoice.status === 'cancelled') {
+    paymentStatus = 'cancelled';
+  } else if (amountPaid > 0 && balanceDue < 0.01) {
+    paymentStatus = 'paid';
+  } else if (amountPaid > 0) {
+    paymentStatus = 'partially_paid';
+  }
+
+  // Keep the single payment method for one-method invoices, 'split' when several were used
+  const methods = [...new Set(payments.map(payment => payment.payment_method))];
+  const paymentMethod = methods.length > 1 ? 'split' : (methods[0] || invoice.payment_method);
+
+  await connection.query(
+    'UPDATE invoices SET credited_amount = ?, amount_paid = ?, payment_status = ?, payment_method = ? WHERE id = ?',
+    [creditedAmount, amountPaid, paymentStatus, paymentMethod, invoiceId]
+  );
+
+  return {
+    invoice_id: invoice.id,
+    total_amount: Number(invoice.total_amount),
+    credited_amount: creditedAmount,
+    amount_paid: amountPaid,
+    balance_due: balanceDue,
+    payment_status: paymentStatus,
+    payment_method: paymentMethod
+  };
+}
+
+/**
+ * Record a payment against an invoice and refresh its payment status
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Object} payment - { invoice_id, amount, payment_method, reference, notes, received_at }
+ * @param {Number} userId - User receiving the payment
+ * @returns {Object} { id, invoice } with the new payment id and the refreshed invoice summary
+ */
+async function recordInvoicePayment(connection, payment, userId) {
+  const [result] = await connection.query(
+    `INSERT INTO invoice_payments
+     (invoice_id, amount, payment_method, reference, notes, received_by, received_at)
+     VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, NOW()))`,
+    [payment.invoice_id, payment.amount, payment.payment_method, payment.reference || null, payment.notes || null,
+     userId, payment.received_at ? formatMySQLDate(payment.received_at) : null]
+  );
+
+  const invoice = await refreshInvoicePaymentStatus(connection, payment.invoice_id);
+
+  return { id: result.insertId, invoice };
+}
+
+/**
+ * Validate a menu category before saving it. Categories nest one level deep:
+ * a subcategory's parent must be a top-level category.
+ * @param {Object} connection - Pool connection
+ * @param {Object} category - Request body
+ * @param {Number} categoryId - Category being changed, 0 for a new one
+ * @returns {String} Error message, or null when valid
+ */
+async function validateMenuCategory(connection, category, categoryId) {
+  const { name, parent_id } = category;
+
+  if (!name) {
+    return 'Category name is required';
+  }
+
+  if (parent_id) {
+    if (Number(parent_id) === Number(categoryId)) {
+      return 'A category cannot be its own parent';
+    }
+
+    const [parents] = await connection.query('SELECT id, parent_id FROM menu_categories WHERE id = ?', [parent_id]);
+    if (parents.length === 0) {
+      return 'Parent category not found';
+    }
+    if (parents[0].parent_id) {
+      return 'Subcategories cannot have subcategories of their own';
+    }
+
+    const [children] = await connection.query('SELECT id FROM menu_categories WHERE parent_id = ? LIMIT 1', [categoryId]);
+    if (children.length > 0) {
+      return 'A category with subcategories cannot be moved under another category';
+    }
+  }
+
+  const [existing] = await connection.query(
+    'SELECT id FROM menu_categories WHERE name = ? AND parent_id <=> ? AND id != ?',
+    [name, parent_id || null, categoryId]
+  );
+  if (existing.length > 0) {
+    return 'A category with this name already exists';
+  }
+
+  return null;
+}
+
+// Days of the week in the order Date.getDay() numbers them
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Menu schedule times are HH:MM or HH:MM:SS on a 24-hour clock
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Validate a menu schedule before saving it
+ * @param {Object} connection - Pool connection
+ * @param {Object} schedule - Request body
+ * @param {Number} scheduleId - Schedule being updated, 0 for a new one
+ * @returns {String} Error message, or null when valid
+ */
+async function validateMenuSchedule(connection, schedule, scheduleId) {
+  const { name, start_time, end_time, days_of_week } = schedule;
+
+  if (!name || !start_time || !end_time) {
+    return 'Name, start time and end time are required';
+  }
+
+  if (!SCHEDULE_TIME_PATTERN.test(start_time) || !SCHEDULE_TIME_PATTERN.test(end_time)) {
+    return 'Start and end time must be HH:MM on a 24-hour clock';
+  }
+
+  if (days_of_week !== undefined &&
+      (!Array.isArray(days_of_week) || days_of_week.length === 0 || days_of_week.some(day => !WEEKDAYS.includes(day)))) {
+    return `Days of week must be a list of ${WEEKDAYS.join(', ')}`;
+  }
+
+  const [existing] = await connection.query('SELECT id FROM menu_schedules WHERE name = ? AND id != ?', [name, scheduleId]);
+  if (existing.length > 0) {
+    return 'A schedule with this name already exists';
+  }
+
+  return null;
+}
+
+/**
+ * Work out why a menu item cannot be ordered at a given moment, if it cannot. A
+ * schedule that runs past midnight counts towards the day it started on.
+ * @param {Object} item - menu_items row with its schedule's times and days as schedule_start_time, schedule_end_time and schedule_days
+ * @param {Date} now - Time of ordering
+ * @returns {String} inactive, sold_out or outside_schedule, or null when it can be ordered
+ */
+function getMenuItemUnavailableReason(item, now) {
+  if (!item.is_active) {
+    return 'inactive';
+  }
+
+  // Sold out only for the day it was marked, so the item is back on the menu the next day
+  if (item.sold_out_on && formatDateOnly(item.sold_out_on) === formatDateOnly(now)) {
+    return 'sold_out';
+  }
+
+  if (!item.schedule_id) {
+    return null;
+  }
+
+  const time = now.toTimeString().slice(0, 8);
+  const start = item.schedule_start_time;
+  const end = item.schedule_end_time;
+  let day = now.getDay();
+  let inHours;
+
+  if (start === end) {
+    inHours = true;
+  } else if (start < end) {
+    inHours = time >= start && time < end;
+  } else {
+    inHours = time >= start || time < end;
+    if (time < end) {
+      day = (day + 6) % 7;
+    }
+  }
+
+  return inHours && item.schedule_days.split(',').includes(WEEKDAYS[day]) ? null : 'outside_schedule';
+}
+
+// GST rates a menu item or service can carry
+const GST_RATES = [0, 5, 12, 18, 28, 40];
+
+// Import/export sheet columns of each catalog, in order, with the field each one holds
+const CATALOG_SHEETS = {
+  menu_items: {
+    sheetName: 'Menu Items',
+    required: ['Name', 'Price', 'GST %', 'Type'],
+    columns: {
+      'ID': 'id', 'Name': 'name', 'Description': 'description', 'Price': 'price', 'GST %': 'gst_percentage',
+      'HSN/SAC': 'hsn_sac_code', 'Type': 'type', 'Category': 'category_id', 'Schedule': 'schedule_id',
+      'Sort Order': 'sort_order', 'Active': 'is_active'
+    }
+  },
+  services: {
+    sheetName: 'Services',
+    required: ['Name', 'Price', 'GST %'],
+    columns: {
+      'ID': 'id', 'Name': 'name', 'Description': 'description', 'Price': 'price', 'GST %': 'gst_percentage',
+      'HSN/SAC': 'hsn_sac_code', 'Active': 'is_active'
+    }
+  }
+};
+
+/**
+ * Load a catalog for import or export, with the categories and schedules its sheet
+ * names instead of ids. A subcategory is named "Parent > Child".
+ * @param {Object} connection - Pool connection
+ * @param {String} catalog - menu_items or services
+ * @returns {Object} { records, categories, schedules }
+ */
+async function loadCatalog(connection, catalog) {
+  const fields = Object.values(CATALOG_SHEETS[catalog].columns);
+  const [records] = await connection.query(`SELECT ${fields.join(', ')} FROM ${catalog} ORDER BY id`);
+  let categories = [];
+  let schedules = [];
+
+  if (catalog === 'menu_items') {
+    [categories] = await connection.query(
+      `SELECT c.id, IF(p.id IS NULL, c.name, CONCAT(p.name, ' > ', c.name)) as name
+       FROM menu_categories c
+       LEFT JOIN menu_categories p ON c.parent_id = p.id
+       ORDER BY name`
+    );
+    [schedules] = await connection.query('SELECT id, name FROM menu_schedules ORDER BY name');
+  }
+
+  return { records, categories, schedules };
+}
+
+/**
+ * Build the import/export workbook of a catalog: its current entries, which double as
+ * the import template, and a sheet of the values the columns accept
+ * @param {Object} connection - Pool connection
+ * @param {String} catalog - menu_items or services
+ * @returns {Object} xlsx workbook
+ */
+async function buildCatalogWorkbook(connection, catalog) {
+  const { sheetName, columns } = CATALOG_SHEETS[catalog];
+  const { records, categories, schedules } = await loadCatalog(connection, catalog);
+
+  const rows = records.map(record => {
+    const row = {};
+
+    for (const [header, field] of Object.entries(columns)) {
+      if (field === 'category_id') {
+        row[header] = (categories.find(category => category.id === record.category_id) || {}).name || '';
+      } else if (field === 'schedule_id') {
+        row[header] = (schedules.find(schedule => schedule.id === record.schedule_id) || {}).name || '';
+      } else if (field === 'is_active') {
+        row[header] = record.is_active ? 'Yes' : 'No';
+      } else if (field === 'price' || field === 'gst_percentage') {
+        row[header] = Number(record[field]);
+      } else {
+        row[header] = record[field] === null ? '' : record[field];
+      }
+    }
+
+    return row;
+  });
+
+  const wb = xlsx.utils.book_new();
+  const ws = xlsx.utils.json_to_sheet(rows, { header: Object.keys(columns) });
+  ws['!cols'] = Object.keys(columns).map(header => ({ wch: ['Name', 'Description', 'Category'].includes(header) ? 30 : 12 }));
+  xlsx.utils.book_append_sheet(wb, ws, sheetName);
+
+  // Allowed values, one list per column
+  const allowed = [
+    ['GST %', ...GST_RATES],
+    ['Active', 'Yes', 'No']
+  ];
+  if (catalog === 'menu_items') {
+    allowed.push(['Type', 'kitchen', 'resort']);
+    allowed.push(['Category', ...categories.map(category => category.name)]);
+    allowed.push(['Schedule', ...schedules.map(schedule => schedule.name)]);
+  }
+  const maxLength = Math.max(...allowed.map(list => list.length));
+  const allowedRows = Array.from({ length: maxLength }, (_, index) => allowed.map(list => list[index] === undefined ? '' : list[index]));
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet(allowedRows), 'Allowed Values');
+
+  return wb;
+}
+
+/**
+ * Read the first sheet of an uploaded .xlsx, .xls or .csv catalog file
+ * @param {String} filePath - Uploaded file
+ * @param {String} fileName - Original file name
+ * @param {String} catalog - menu_items or services
+ * @returns {Object} { rows } with each row's sheet row number as row_number, or { error }
+ */
+function readCatalogSheet(filePath, fileName, catalog) {
+  if (!['.xlsx', '.xls', '.csv'].includes(path.extname(fileName).toLowerCase())) {
+    return { error: 'File must be an .xlsx, .xls or .csv file' };
+  }
+
+  let sheet;
+  try {
+    const workbook = xlsx.readFile(filePath);
+    sheet = workbook.Sheets[workbook.SheetNames[0]];
+  } catch (error) {
+    return { error: 'File could not be read as a spreadsheet' };
+  }
+
+  const [headers = []] = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: false });
+  const missing = CATALOG_SHEETS[catalog].required.filter(header => !headers.includes(header));
+
+  if (missing.length > 0) {
+    return { error: `Sheet is missing the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}` };
+  }
+
+  // Every cell as text, so codes keep their leading zeros and all rows parse the same way
+  const rows = xlsx.utils.sheet_to_json(sheet, { raw: false, defval: '' })
+    .map(row => ({ ...row, row_number: row.__rowNum__ + 1 }));
+
+  if (rows.length === 0) {
+    return { error: 'Sheet has no rows to import' };
+  }
+
+  return { rows };
+}
+
+/**
+ * Check every row of a catalog sheet and work out what importing it would change.
+ * Rows are matched to existing entries by ID, else by name (and type for menu items).
+ * @param {Object} connection - Pool connection
+ * @param {String} catalog - menu_items or services
+ * @param {Array} rows - Result of readCatalogSheet
+ * @param {Boolean} deactivateMissing - Deactivate active entries that are not in the sheet
+ * @returns {Object} { errors, create, update, deactivate, summary }
+ */
+async function planCatalogImport(connection, catalog, rows, deactivateMissing) {
+  const { records, categories, schedules } = await loadCatalog(connection, catalog);
+  const plan = { errors: [], create: [], update: [], deactivate: [] };
+  const seen = new Set();
+  let unchanged = 0;
+
+  // Database and sheet values in one form, so unchanged fields compare equal
+  const normalize = (field, value) => {
+    if (['price', 'gst_percentage', 'sort_order'].includes(field)) {
+      return Number(value);
+    }
+    if (field === 'is_active') {
+      return Boolean(value);
+    }
+    return value === '' || value === undefined ? null : value;
+  };
+
+  for (const row of rows) {
+    const cell = header => String(row[header] === undefined ? '' : row[header]).trim();
+    const errors = [];
+    const record = {
+      name: cell('Name'),
+      description: cell('Description') || null,
+      price: Number(cell('Price').replace(/,/g, '')),
+      gst_percentage: Number(cell('GST %').replace('%', '')),
+      hsn_sac_code: cell('HSN/SAC') || null
+    };
+
+    if (!record.name || record.name.length > 100) {
+      errors.push('Name is required and must be at most 100 characters');
+    }
+
+    if (!cell('Price') || isNaN(record.price) || record.price <= 0) {
+      errors.push('Price must be a number greater than zero');
+    }
+
+    if (!cell('GST %') || !GST_RATES.includes(record.gst_percentage)) {
+      errors.push(`GST % must be one of ${GST_RATES.join(', ')}`);
+    }
+
+    if (record.hsn_sac_code && !HSN_SAC_PATTERN.test(record.hsn_sac_code)) {
+      errors.push('HSN/SAC code must be 4, 6 or 8 digits');
+    }
+
+    if (catalog === 'menu_items') {
+      record.type = cell('Type').toLowerCase();
+      if (!['kitchen', 'resort'].includes(record.type)) {
+        errors.push('Type must be kitchen or resort');
+      }
+
+      const category = categories.find(entry => entry.name.toLowerCase() === cell('Category').toLowerCase());
+      record.category_id = category ? category.id : null;
+      if (cell('Category') && !category) {
+        errors.push(`Category ${cell('Category')} not found`);
+      }
+
+      const schedule = schedules.find(entry => entry.name.toLowerCase() === cell('Schedule').toLowerCase());
+      record.schedule_id = schedule ? schedule.id : null;
+      if (cell('Schedule') && !schedule) {
+        errors.push(`Schedule ${cell('Schedule')} not found`);
+      }
+
+      record.sort_order = cell('Sort Order') === '' ? 0 : Number(cell('Sort Order'));
+      if (!Number.isInteger(record.sort_order)) {
+        errors.push('Sort order must be a whole number');
+      }
+    }
+
+    const active = cell('Active').toLowerCase();
+    record.is_active = ['', 'yes', 'y', 'true', '1'].includes(active);
+    if (!record.is_active && !['no', 'n', 'false', '0'].includes(active)) {
+      errors.push('Active must be Yes or No');
+    }
+
+    let existing = null;
+
+    if (errors.length === 0 && cell('ID')) {
+      existing = records.find(entry => String(entry.id) === cell('ID'));
+      if (!existing) {
+        errors.push(`ID ${cell('ID')} not found`);
+      }
+    } else if (errors.length === 0) {
+      const matches = records.filter(entry =>
+        entry.name.toLowerCase() === record.name.toLowerCase() && (catalog !== 'menu_items' || entry.type === record.type));
+      if (matches.length > 1) {
+        errors.push('Name matches more than one existing entry, give its ID');
+      }
+      existing = matches[0] || null;
+    }
+
+    if (errors.length === 0) {
+      const key = existing ? `id:${existing.id}` : `new:${record.type || ''}:${record.name.toLowerCase()}`;
+      if (seen.has(key)) {
+        errors.push('Appears more than once in the sheet');
+      }
+      seen.add(key);
+    }
+
+    if (errors.length > 0) {
+      plan.errors.push({ row: row.row_number, name: record.name || null, errors });
+      continue;
+    }
+
+    if (!existing) {
+      plan.create.push({ row: row.row_number, ...record });
+      continue;
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(record)) {
+      const from = normalize(field, existing[field]);
+      const to = normalize(field, value);
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+    } else {
+      const entry = { row: row.row_number, id: existing.id, name: existing.name, changes };
+      (changes.is_active && !changes.is_active.to ? plan.deactivate : plan.update).push(entry);
+    }
+  }
+
+  if (deactivateMissing) {
+    records
+      .filter(entry => entry.is_active && !seen.has(`id:${entry.id}`))
+      .forEach(entry => plan.deactivate.push({
+        row: null,
+        id: entry.id,
+        name: entry.name,
+        changes: { is_active: { from: true, to: false } }
+      }));
+  }
+
+  plan.summary = {
+    create: plan.create.length,
+    update: plan.update.length,
+    deactivate: plan.deactivate.length,
+    unchanged,
+    errors: plan.errors.length
+  };
+
+  return plan;
+}
+
+/**
+ * Apply a catalog import plan. Only the changed fields of an existing entry are written,
+ * and new or changed prices take effect today.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {String} catalog - menu_items or services
+ * @param {Object} plan - Result of planCatalogImport, without errors
+ * @param {Number} userId - User running the import
+ */
+async function applyCatalogImport(connection, catalog, plan, userId) {
+  const fields = Object.values(CATALOG_SHEETS[catalog].columns).filter(field => field !== 'id');
+  const priceColumn = catalog === 'menu_items' ? 'item_id' : 'service_id';
+  const today = formatDateOnly(new Date());
+
+  for (const record of plan.create) {
+    const [result] = await connection.query(
+      `INSERT INTO ${catalog} (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+      fields.map(field => record[field])
+    );
+    await savePriceVersion(connection, priceColumn, result.insertId, { price: record.price, effective_from: today, notes: 'Imported' }, userId);
+  }
+
+  for (const entry of [...plan.update, ...plan.deactivate]) {
+    const changed = Object.keys(entry.changes);
+    await connection.query(
+      `UPDATE ${catalog} SET ${changed.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...changed.map(field => entry.changes[field].to), entry.id]
+    );
+
+    if (entry.changes.price) {
+      await savePriceVersion(connection, priceColumn, entry.id, { price: entry.changes.price.to, effective_from: today, notes: 'Imported' }, userId);
+    }
+  }
+}
+
+// Units an ingredient can be stocked in
+const INGREDIENT_UNITS = ['kg', 'g', 'l', 'ml', 'pcs', 'dozen', 'pack'];
+
+// Kinds of stock ledger entries; consumption is negative, purchase positive, the others go either way.
+// Reversals were posted when a completed kitchen order could still be reopened.
+const STOCK_MOVEMENT_TYPES = ['opening', 'purchase', 'consumption', 'reversal', 'adjustment'];
+
+/**
+ * Validate an ingredient before saving it
+ * @param {Object} connection - Pool connection
+ * @param {Object} ingredient - Request body
+ * @param {Number} ingredientId - Ingredient being updated, 0 for a new one
+ * @returns {String} Error message, or null when valid
+ */
+async function validateIngredient(connection, ingredient, ingredientId) {
+  const { name, unit, reorder_level } = ingredient;
+
+  if (!name || !unit) {
+    return 'Name and unit are required';
+  }
+
+  if (!INGREDIENT_UNITS.includes(unit)) {
+    return `Unit must be one of ${INGREDIENT_UNITS.join(', ')}`;
+  }
+
+  if (reorder_level !== undefined && (isNaN(parseFloat(reorder_level)) || parseFloat(reorder_level) < 0)) {
+    return 'Reorder level must be zero or more';
+  }
+
+  const [existing] = await connection.query('SELECT id FROM ingredients WHERE name = ? AND id != ?', [name, ingredientId]);
+  if (existing.length > 0) {
+    return 'An ingredient with this name already exists';
+  }
+
+  return null;
+}
+
+/**
+ * Post a stock ledger entry and move the ingredient's stock by its quantity. Stock may
+ * go negative, as a dish already served cannot be refused for want of stock.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Number} ingredientId - Ingredient id
+ * @param {Object} movement - { movement_type, quantity, kitchen_order_id, goods_receipt_id, notes }
+ * @param {Number} userId - User posting the entry
+ * @returns {Object} Ingredient with stock before and after the entry
+ */
+async function postStockMovement(connection, ingredientId, movement, userId) {
+  const [ingredients] = await connection.query(
+    'SELECT id, name, unit, current_stock, reorder_level, average_cost FROM ingredients WHERE id = ? FOR UPDATE',
+    [ingredientId]
+  );
+  const ingredient = ingredients[0];
+  const stockBefore = Number(ingredient.current_stock);
+  const stockAfter = Math.round((stockBefore + Number(movement.quantity)) * 1000) / 1000;
+
+  await connection.query('UPDATE ingredients SET current_stock = ? WHERE id = ?', [stockAfter, ingredientId]);
+
+  await connection.query(
+    `INSERT INTO stock_movements (ingredient_id, movement_type, quantity, balance_after, kitchen_order_id, goods_receipt_id, notes, created_by) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ingredientId, movement.movement_type, movement.quantity, stockAfter, movement.kitchen_order_id || null,
+     movement.goods_receipt_id || null, movement.notes || null, userId]
+  );
+
+  return { ...ingredient, stock_before: stockBefore, current_stock: stockAfter, reorder_level: Number(ingredient.reorder_level) };
+}
+
+/**
+ * Use up the ingredients of a completed kitchen order, from the recipes of its items
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Number} orderId - Kitchen order id
+ * @param {Number} userId - User completing the order
+ * @returns {Array} Ingredients this order took down to or below their reorder level
+ */
+async function deductOrderStock(connection, orderId, userId) {
+  // Ingredient order keeps row locks in the same order across concurrent orders
+  const [requirements] = await connection.query(
+    `SELECT r.ingredient_id, SUM(r.quantity * koi.quantity) as quantity
+     FROM kitchen_order_items koi
+     JOIN menu_item_recipes r ON r.item_id = koi.item_id
+     WHERE koi.order_id = ?
+     GROUP BY r.ingredient_id
+     ORDER BY r.ingredient_id`,
+    [orderId]
+  );
+
+  const lowStock = [];
+
+  for (const requirement of requirements) {
+    const ingredient = await postStockMovement(connection, requirement.ingredient_id, {
+      movement_type: 'consumption',
+      quantity: -Number(requirement.quantity),
+      kitchen_order_id: orderId
+    }, userId);
+
+    if (ingredient.stock_before > ingredient.reorder_level && ingredient.current_stock <= ingredient.reorder_level) {
+      lowStock.push({
+        id: ingredient.id,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        current_stock: ingredient.current_stock,
+        reorder_level: ingredient.reorder_level
+      });
+    }
+  }
+
+  await connection.query('UPDATE kitchen_orders SET stock_deducted = TRUE WHERE id = ?', [orderId]);
+
+  return lowStock;
+}
+
+/**
+ * Email the resort that ingredients have dropped to their reorder level
+ * @param {Array} ingredients - Result of deductOrderStock
+ */
+async function sendLowStockAlert(ingredients) {
+  const [settings] = await pool.query('SELECT resort_name, resort_email FROM settings LIMIT 1');
+
+  if (settings.length === 0 || !settings[0].resort_email) return;
+
+  const rows = ingredients.map(ingredient => `
+    <tr>
+      <td style="padding: 8px; border: 1px solid #ddd;">${ingredient.name}</td>
+      <td style="padding: 8px; border: 1px solid #ddd;">${ingredient.current_stock} ${ingredient.unit}</td>
+      <td style="padding: 8px; border: 1px solid #ddd;">${ingredient.reorder_level} ${ingredient.unit}</td>
+    </tr>
+  `).join('');
+
+  await transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: settings[0].resort_email,
+    subject: `Low stock at ${settings[0].resort_name}`,
+    html: `
+      <h2>Ingredients to reorder</h2>
+      <table style="border-collapse: collapse;">
+        <tr>
+          <th style="padding: 8px; border: 1px solid #ddd;">Ingredient</th>
+          <th style="padding: 8px; border: 1px solid #ddd;">In Stock</th>
+          <th style="padding: 8px; border: 1px solid #ddd;">Reorder Level</th>
+        </tr>
+        ${rows}
+      </table>
+    `
+  });
+}
+
+/**
+ * Stock ledger for a period: each ingredient's opening and closing balance with its
+ * movements by type, and the ledger entries themselves
+ * @param {String} startDate - Period start (YYYY-MM-DD)
+ * @param {String} endDate - Period end (YYYY-MM-DD)
+ * @param {Number} ingredientId - Limit to one ingredient, optional
+ * @returns {Object} { ingredients, movements }
+ */
+async function getStockLedger(startDate, endDate, ingredientId) {
+  const ingredientFilter = ingredientId ? ' AND i.id = ?' : '';
+  const ingredientParams = ingredientId ? [ingredientId] : [];
+
+  const [ingredients] = await pool.query(
+    `SELECT i.id, i.name, i.unit, i.reorder_level,
+       COALESCE(SUM(CASE WHEN DATE(sm.created_at) < ? THEN sm.quantity END), 0) as opening_balance,
+       ${STOCK_MOVEMENT_TYPES.map(type =>
+         `COALESCE(SUM(CASE WHEN sm.movement_type = '${type}' AND DATE(sm.created_at) BETWEEN ? AND ? THEN sm.quantity END), 0) as ${type}`
+       ).join(',\n       ')},
+       COALESCE(SUM(CASE WHEN DATE(sm.created_at) <= ? THEN sm.quantity END), 0) as closing_balance
+     FROM ingredients i
+     LEFT JOIN stock_movements sm ON sm.ingredient_id = i.id
+     WHERE 1=1${ingredientFilter}
+     GROUP BY i.id
+     ORDER BY i.name`,
+    [startDate, ...STOCK_MOVEMENT_TYPES.flatMap(() => [startDate, endDate]), endDate, ...ingredientParams]
+  );
+
+  const [movements] = await pool.query(
+    `SELECT sm.id, sm.created_at, i.name as ingredient_name, i.unit, sm.movement_type, sm.quantity, sm.balance_after,
+       ko.order_number, sm.notes, u.username as created_by_name
+     FROM stock_movements sm
+     JOIN ingredients i ON sm.ingredient_id = i.id
+     LEFT JOIN kitchen_orders ko ON sm.kitchen_order_id = ko.id
+     LEFT JOIN users u ON sm.created_by = u.id
+     WHERE DATE(sm.created_at) BETWEEN ? AND ?${ingredientFilter}
+     ORDER BY sm.created_at, sm.id`,
+    [startDate, endDate, ...ingredientParams]
+  );
+
+  return {
+    ingredients: ingredients.map(ingredient => {
+      const row = { ...ingredient, reorder_level: Number(ingredient.reorder_level) };
+      ['opening_balance', 'closing_balance', ...STOCK_MOVEMENT_TYPES].forEach(field => { row[field] = Number(ingredient[field]); });
+      return row;
+    }),
+    movements
+  };
+}
+
+
+/**
+ * Validate the fields of a vendor before saving it
+ * @param {Object} vendor - Request body
+ * @returns {String} Error message, or null when valid
+ */
+function validateVendor(vendor) {
+  const { name, gstin, address, state_code, contact_email } = vendor;
+
+  if (!name || !address || !state_code) {
+    return 'Name, address, and state code are required';
+  }
+
+  if (!GST_STATE_CODES[state_code]) {
+    return 'Invalid state code';
+  }
+
+  if (gstin) {
+    if (!isValidGstin(gstin)) {
+      return 'Invalid GSTIN';
+    }
+
+    if (gstin.slice(0, 2) !== state_code) {
+      return 'State code does not match the GSTIN';
+    }
+  }
+
+  if (contact_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact_email)) {
+    return 'Invalid contact email';
+  }
+
+  return null;
+}
+
+/**
+ * Check the lines of a purchase order or goods receipt
+ * @param {Array} lines - Lines with ingredient_id, quantity, rate and gst_percentage
+ * @returns {String} Error message, or null when valid
+ */
+function validatePurchaseLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return 'At least one item is required';
+  }
+
+  for (const line of lines) {
+    if (!line.ingredient_id) {
+      return 'Each item needs an ingredient';
+    }
+
+    if (isNaN(parseFloat(line.quantity)) || parseFloat(line.quantity) <= 0) {
+      return 'Each item needs a quantity greater than zero';
+    }
+
+    if (isNaN(parseFloat(line.rate)) || parseFloat(line.rate) < 0) {
+      return 'Each item needs a rate of zero or more';
+    }
+
+    if (!GST_RATES.includes(parseFloat(line.gst_percentage))) {
+      return `GST % must be one of ${GST_RATES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add received goods to stock and update the ingredient's cost: the average cost is
+ * the weighted average of the stock on hand and the goods received, before GST
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Object} line - { ingredient_id, quantity, rate }
+ * @param {Object} receipt - { id, grn_number }
+ * @param {Number} userId - User receiving the goods
+ */
+async function receiveStock(connection, line, receipt, userId) {
+  const ingredient = await postStockMovement(connection, line.ingredient_id, {
+    movement_type: 'purchase',
+    quantity: line.quantity,
+    goods_receipt_id: receipt.id,
+    notes: receipt.grn_number
+  }, userId);
+
+  // Stock below zero was already used up, so it carries no cost into the average
+  const stockOnHand = Math.max(ingredient.stock_before, 0);
+  const averageCost = (stockOnHand * Number(ingredient.average_cost) + line.quantity * line.rate) / (stockOnHand + line.quantity);
+
+  await connection.query(
+    'UPDATE ingredients SET average_cost = ?, last_purchase_rate = ? WHERE id = ?',
+    [Math.round(averageCost * 10000) / 10000, line.rate, line.ingredient_id]
+  );
+}
+
+/**
+ * Input tax credit from vendor bills dated in a period, by business and eligibility
+ * @param {String} startDate - Period start (YYYY-MM-DD)
+ * @param {String} endDate - Period end (YYYY-MM-DD)
+ * @returns {Array} Rows with type, itc_eligible, count and amounts
+ */
+async function getInputTaxCredit(startDate, endDate) {
+  const [rows] = await pool.query(
+    `SELECT 
+       type,
+       itc_eligible,
+       COUNT(*) as count,
+       SUM(taxable_amount) as taxable_amount,
+       SUM(cgst_amount) as cgst_amount,
+       SUM(sgst_amount) as sgst_amount,
+       SUM(igst_amount) as igst_amount,
+       SUM(tax_amount) as tax_amount,
+       SUM(total_amount) as total_amount
+     FROM vendor_bills
+     WHERE bill_date BETWEEN ? AND ?
+     GROUP BY type, itc_eligible`,
+    [startDate, endDate]
+  );
+
+  return rows;
+}
+
+/**
+ * Kitchen item sales for a period, in menu order, with a subtotal for each category.
+ * A subcategory gets its own subtotal, labelled with its parent's name.
+ * @param {String} startDate - Period start (YYYY-MM-DD)
+ * @param {String} endDate - Period end (YYYY-MM-DD)
+ * @returns {Object} { items, categories, totals }
+ */
+async function getKitchenItemSales(startDate, endDate) {
+  const [results] = await pool.query(
+    `SELECT 
+       mi.id,
+       mi.name,
+       c.id as category_id,
+       CASE WHEN pc.id IS NULL THEN c.name ELSE CONCAT(pc.name, ' / ', c.name) END as category_name,
+       SUM(koi.quantity) as total_quantity,
+       SUM(koi.total) as total_amount
+     FROM kitchen_order_items koi
+     JOIN menu_items mi ON koi.item_id = mi.id
+     JOIN kitchen_orders ko ON koi.order_id = ko.id
+     LEFT JOIN menu_categories c ON mi.category_id = c.id
+     LEFT JOIN menu_categories pc ON c.parent_id = pc.id
+     WHERE ko.order_date >= ? AND ko.order_date <= ?
+     GROUP BY mi.id, c.id, pc.id
+     ORDER BY c.id IS NULL, COALESCE(pc.sort_order, c.sort_order), COALESCE(pc.id, c.id), c.parent_id IS NOT NULL, c.sort_order, c.id, total_quantity DESC`,
+    [startDate, endDate + ' 23:59:59']
+  );
+
+  const items = results.map(item => ({
+    id: item.id,
+    name: item.name,
+    category_id: item.category_id,
+    category_name: item.category_name || 'Uncategorized',
+    total_quantity: Number(item.total_quantity || 0),
+    total_amount: Number(item.total_amount || 0)
+  }));
+
+  const categories = [];
+  const totals = { total_quantity: 0, total_amount: 0 };
+
+  items.forEach(item => {
+    let category = categories.find(row => row.category_id === item.category_id);
+    if (!category) {
+      category = { category_id: item.category_id, category_name: item.category_name, total_quantity: 0, total_amount: 0 };
+      categories.push(category);
+    }
+    category.total_quantity += item.total_quantity;
+    category.total_amount = Math.round((category.total_amount + item.total_amount) * 100) / 100;
+    totals.total_quantity += item.total_quantity;
+    totals.total_amount = Math.round((totals.total_amount + item.total_amount) * 100) / 100;
+  });
+
+  return { items, categories, totals };
+}
+
+// Menu engineering classes, by popularity and by contribution margin per portion
+const MENU_ENGINEERING_CLASSES = {
+  star: 'Star',
+  plowhorse: 'Plowhorse',
+  puzzle: 'Puzzle',
+  dog: 'Dog'
+};
+
+/**
+ * Food cost and menu engineering for a period. Food cost is theoretical: today's recipe
+ * at each ingredient's average purchase cost. An item is popular when it sells at least
+ * 70% of an equal share of portions, and profitable when its margin per portion is at
+ * least the menu's average margin per portion.
+ * @param {String} startDate - Period start (YYYY-MM-DD)
+ * @param {String} endDate - Period end (YYYY-MM-DD)
+ * @returns {Object} { items, thresholds, totals }
+ */
+async function getMenuEngineering(startDate, endDate) {
+  // Active kitchen items are included even when nothing sold, as they are still on the menu
+  const [results] = await pool.query(
+    `SELECT 
+       mi.id,
+       mi.name,
+       mi.price,
+       CASE WHEN pc.id IS NULL THEN c.name ELSE CONCAT(pc.name, ' / ', c.name) END as category_name,
+       COALESCE(sales.quantity, 0) as quantity,
+       COALESCE(sales.net_sales, 0) as net_sales,
+       recipe.ingredient_count,
+       COALESCE(recipe.unit_cost, 0) as unit_cost
+     FROM menu_items mi
+     LEFT JOIN menu_categories c ON mi.category_id = c.id
+     LEFT JOIN menu_categories pc ON c.parent_id = pc.id
+     LEFT JOIN (
+       SELECT koi.item_id, SUM(koi.quantity) as quantity, SUM(koi.quantity * koi.rate) as net_sales
+       FROM kitchen_order_items koi
+       JOIN kitchen_orders ko ON koi.order_id = ko.id
+       WHERE ko.status != 'cancelled' AND ko.order_date >= ? AND ko.order_date <= ?
+       GROUP BY koi.item_id
+     ) sales ON sales.item_id = mi.id
+     LEFT JOIN (
+       SELECT r.item_id, COUNT(*) as ingredient_count, SUM(r.quantity * i.average_cost) as unit_cost
+       FROM menu_item_recipes r
+       JOIN ingredients i ON r.ingredient_id = i.id
+       GROUP BY r.item_id
+     ) recipe ON recipe.item_id = mi.id
+     WHERE mi.type = 'kitchen' AND (mi.is_active = TRUE OR sales.quantity > 0)
+     ORDER BY mi.name`,
+    [startDate, endDate + ' 23:59:59']
+  );
+
+  const totals = { quantity: 0, net_sales: 0, food_cost: 0, gross_margin: 0 };
+
+  const items = results.map(row => {
+    const quantity = Number(row.quantity);
+    const netSales = Math.round(Number(row.net_sales) * 100) / 100;
+    const unitCost = Math.round(Number(row.unit_cost) * 100) / 100;
+    const foodCost = Math.round(quantity * Number(row.unit_cost) * 100) / 100;
+    const grossMargin = Math.round((netSales - foodCost) * 100) / 100;
+    // An item that did not sell is judged on its menu price
+    const averagePrice = quantity > 0 ? Math.round(netSales / quantity * 100) / 100 : Number(row.price);
+
+    totals.quantity += quantity;
+    totals.net_sales += netSales;
+    totals.food_cost += foodCost;
+    totals.gross_margin += grossMargin;
+
+    return {
+      id: row.id,
+      name: row.name,
+      category_name: row.category_name || 'Uncategorized',
+      // Without a recipe the food cost is unknown and the margin overstated
+      has_recipe: row.ingredient_count > 0,
+      quantity,
+      net_sales: netSales,
+      average_price: averagePrice,
+      unit_cost: unitCost,
+      food_cost: foodCost,
+      food_cost_percentage: netSales > 0 ? Math.round(foodCost / netSales * 10000) / 100 : 0,
+      gross_margin: grossMargin,
+      margin_percentage: netSales > 0 ? Math.round(grossMargin / netSales * 10000) / 100 : 0,
+      margin_per_portion: Math.round((averagePrice - Number(row.unit_cost)) * 100) / 100
+    };
+  });
+
+  ['net_sales', 'food_cost', 'gross_margin'].forEach(field => {
+    totals[field] = Math.round(totals[field] * 100) / 100;
+  });
+  totals.food_cost_percentage = totals.net_sales > 0 ? Math.round(totals.food_cost / totals.net_sales * 10000) / 100 : 0;
+  totals.margin_percentage = totals.net_sales > 0 ? Math.round(totals.gross_margin / totals.net_sales * 10000) / 100 : 0;
+
+  const thresholds = {
+    popularity: items.length > 0 ? Math.round(totals.quantity / items.length * 0.7 * 100) / 100 : 0,
+    margin_per_portion: totals.quantity > 0 ? Math.round(totals.gross_margin / totals.quantity * 100) / 100 : 0
+  };
+
+  items.forEach(item => {
+    item.menu_mix_percentage = totals.quantity > 0 ? Math.round(item.quantity / totals.quantity * 10000) / 100 : 0;
+
+    const popular = item.quantity > 0 && item.quantity >= thresholds.popularity;
+    const profitable = item.margin_per_portion >= thresholds.margin_per_portion;
+
+    if (popular) {
+      item.classification = profitable ? 'star' : 'plowhorse';
+    } else {
+      item.classification = profitable ? 'puzzle' : 'dog';
+    }
+  });
+
+  return { items, thresholds, totals };
+}
+
+// Statuses a kitchen order can move to from each status
+const KITCHEN_ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Column recording when an order reached each status it can move to
+const KITCHEN_ORDER_STATUS_TIMESTAMPS = {
+  processing: 'accepted_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at'
+};
+
+/**
+ * Kitchen order times for a period, by order and by day. Wait time runs from the order
+ * being placed to the kitchen accepting it, prep time from acceptance to completion, and
+ * ticket time from placing to completion, all in minutes.
+ * @param {String} startDate - Period start (YYYY-MM-DD)
+ * @param {String} endDate - Period end (YYYY-MM-DD)
+ * @returns {Object} { orders, days, totals }
+ */
+async function getKitchenOrderTimes(startDate, endDate) {
+  const [orders] = await pool.query(
+    `SELECT 
+       id,
+       order_number,
+       DATE_FORMAT(order_date, '%Y-%m-%d') as day,
+       order_date,
+       status,
+       accepted_at,
+       completed_at,
+       cancelled_at,
+       cancellation_reason,
+       ROUND(TIMESTAMPDIFF(SECOND, order_date, accepted_at) / 60, 1) as wait_minutes,
+       ROUND(TIMESTAMPDIFF(SECOND, accepted_at, completed_at) / 60, 1) as prep_minutes,
+       ROUND(TIMESTAMPDIFF(SECOND, order_date, completed_at) / 60, 1) as ticket_minutes
+     FROM kitchen_orders
+     WHERE order_date >= ? AND order_date <= ?
+     ORDER BY order_date`,
+    [startDate, endDate + ' 23:59:59']
+  );
+
+  const timeFields = ['wait_minutes', 'prep_minutes', 'ticket_minutes'];
+
+  // Average and longest of each time over the orders that have it
+  const summarize = group => {
+    const summary = {
+      order_count: group.length,
+      completed_count: group.filter(order => order.status === 'completed').length,
+      cancelled_count: group.filter(order => order.status === 'cancelled').length
+    };
+
+    timeFields.forEach(field => {
+      const values = group.filter(order => order[field] !== null).map(order => order[field]);
+      const name = field.replace('_minutes', '');
+      summary[`average_${name}_minutes`] = values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+        : null;
+      summary[`max_${name}_minutes`] = values.length > 0 ? Math.max(...values) : null;
+    });
+
+    return summary;
+  };
+
+  const rows = orders.map(order => {
+    const row = { ...order };
+    timeFields.forEach(field => {
+      row[field] = order[field] === null ? null : Number(order[field]);
+    });
+    return row;
+  });
+
+  const days = [...new Set(rows.map(order => order.day))].map(day => ({
+    day,
+    ...summarize(rows.filter(order => order.day === day))
+  }));
+
+  return { orders: rows, days, totals: summarize(rows) };
+}
+
+/**
+ * Validate a variant or modifier group of a menu item before saving it.
+ * A variant group always takes exactly one choice.
+ * @param {Object} group - Request body
+ * @returns {String} Error message, or null when valid
+ */
+function validateOptionGroup(group) {
+  const { name, group_type, options } = group;
+
+  if (!name || !['variant', 'modifier'].includes(group_type)) {
+    return 'Group name and type (variant or modifier) are required';
+  }
+
+  if (group_type === 'modifier') {
+    const minSelect = parseInt(group.min_select) || 0;
+    const maxSelect = parseInt(group.max_select) || 1;
+
+    if (minSelect < 0 || maxSelect < 1 || minSelect > maxSelect) {
+      return 'Selections must satisfy 0 <= min_select <= max_select, with max_select at least 1';
+    }
+  }
+
+  if (!Array.isArray(options) || options.length === 0) {
+    return 'At least one option is required';
+  }
+
+  for (const option of options) {
+    if (!option.name || isNaN(parseFloat(option.price)) || parseFloat(option.price) < 0) {
+      return 'Each option needs a name and a price of zero or more';
+    }
+  }
+
+  if (group_type === 'variant' && options.some(option => parseFloat(option.price) === 0)) {
+    return 'Variant prices replace the item price and cannot be zero';
+  }
+
+  return null;
+}
+
+/**
+ * Check the variant and modifiers chosen for an order line against the item's option
+ * groups and work out the line's unit rate: the variant price (or the base rate when
+ * the item has no variants) plus the price of each modifier
+ * @param {Object} connection - Pool connection
+ * @param {Number} itemId - Menu item id
+ * @param {Array} optionIds - Chosen menu_item_options ids
+ * @param {Number} baseRate - Unit rate of the item without options
+ * @returns {Object} { error } on failure, else { rate, options, summary }
+ */
+async function resolveOrderItemOptions(connection, itemId, optionIds, baseRate) {
+  const chosenIds = (optionIds || []).map(Number);
+
+  if (new Set(chosenIds).size !== chosenIds.length) {
+    return { error: 'An option is chosen more than once' };
+  }
+
+  const [groups] = await connection.query(
+    `SELECT g.id, g.name, g.group_type, g.min_select, g.max_select, mi.name as item_name
+     FROM menu_item_option_groups g
+     JOIN menu_items mi ON g.item_id = mi.id
+     WHERE g.item_id = ? AND g.is_active = TRUE
+     ORDER BY g.sort_order, g.id`,
+    [itemId]
+  );
+
+  if (groups.length === 0) {
+    return chosenIds.length > 0 ? { error: 'This item has no options' } : { rate: baseRate, options: [], summary: null };
+  }
+
+  const [options] = await connection.query(
+    'SELECT * FROM menu_item_options WHERE group_id IN (?) AND is_active = TRUE ORDER BY sort_order, id',
+    [groups.map(group => group.id)]
+  );
+
+  const unknown = chosenIds.filter(id => !options.some(option => option.id === id));
+  if (unknown.length > 0) {
+    return { error: `Option ${unknown.join(', ')} is not available for ${groups[0].item_name}` };
+  }
+
+  let unitRate = baseRate;
+  let addOns = 0;
+  const chosen = [];
+
+  for (const group of groups) {
+    const picked = options.filter(option => option.group_id === group.id && chosenIds.includes(option.id));
+    const minSelect = group.group_type === 'variant' ? 1 : group.min_select;
+    const maxSelect = group.group_type === 'variant' ? 1 : group.max_select;
+
+    if (picked.length < minSelect || picked.length > maxSelect) {
+      return {
+        error: minSelect === maxSelect
+          ? `Choose ${minSelect} ${group.name} for ${group.item_name}`
+          : `Choose between ${minSelect} and ${maxSelect} ${group.name} for ${group.item_name}`
+      };
+    }
+
+    picked.forEach(option => {
+      if (group.group_type === 'variant') {
+        unitRate = Number(option.price);
+      } else {
+        addOns += Number(option.price);
+      }
+      chosen.push({
+        option_id: option.id,
+        group_name: group.name,
+        group_type: group.group_type,
+        option_name: option.name,
+        price: Number(option.price)
+      });
+    });
+  }
+
+  return {
+    rate: Math.round((unitRate + addOns) * 100) / 100,
+    options: chosen,
+    summary: chosen.map(option => option.option_name).join(', ').slice(0, 255) || null
+  };
+}
+
+/**
+ * Price of a menu item or service on a date, from its price versions
+ * @param {Object} connection - Pool connection
+ * @param {String} column - item_id or service_id
+ * @param {Number} id - Menu item or service id
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Number} Price, or null when no version covers the date
+ */
+async function getCatalogPriceOn(connection, column, id, date) {
+  const [versions] = await connection.query(
+    `SELECT price FROM catalog_prices WHERE ${column} = ? AND effective_from <= ? ORDER BY effective_from DESC LIMIT 1`,
+    [id, date]
+  );
+
+  return versions.length > 0 ? Number(versions[0].price) : null;
+}
+
+/**
+ * Work out the effective-to dates of a menu item's or service's price versions again,
+ * each ending the day before the next one starts and the last one open-ended
+ * @param {Object} connection - Pool connection
+ * @param {String} column - item_id or service_id
+ * @param {Number} id - Menu item or service id
+ */
+async function relinkPriceVersions(connection, column, id) {
+  const [versions] = await connection.query(
+    `SELECT id, DATE_FORMAT(effective_from, '%Y-%m-%d') as effective_from FROM catalog_prices WHERE ${column} = ? ORDER BY effective_from`,
+    [id]
+  );
+
+  for (let index = 0; index < versions.length; index++) {
+    const next = versions[index + 1];
+    let effectiveTo = null;
+
+    if (next) {
+      const dayBefore = new Date(`${next.effective_from}T00:00:00`);
+      dayBefore.setDate(dayBefore.getDate() - 1);
+      effectiveTo = formatDateOnly(dayBefore);
+    }
+
+    await connection.query('UPDATE catalog_prices SET effective_to = ? WHERE id = ?', [effectiveTo, versions[index].id]);
+  }
+}
+
+/**
+ * Save a price version of a menu item or service, replacing one that starts on the
+ * same day. A version already in effect also becomes the catalog price.
+ * @param {Object} connection - Pool connection
+ * @param {String} column - item_id or service_id
+ * @param {Number} id - Menu item or service id
+ * @param {Object} version - { price, effective_from, notes }
+ * @param {Number} userId - User saving the price
+ * @returns {Number} Price version id
+ */
+async function savePriceVersion(connection, column, id, version, userId) {
+  const { price, effective_from, notes } = version;
+  let versionId;
+
+  const [existing] = await connection.query(
+    `SELECT id FROM catalog_prices WHERE ${column} = ? AND effective_from = ?`,
+    [id, effective_from]
+  );
+
+  if (existing.length > 0) {
+    versionId = existing[0].id;
+    await connection.query(
+      'UPDATE catalog_prices SET price = ?, notes = ?, created_by = ? WHERE id = ?',
+      [price, notes || null, userId, versionId]
+    );
+  } else {
+    const [result] = await connection.query(
+      `INSERT INTO catalog_prices (${column}, price, effective_from, notes, created_by) VALUES (?, ?, ?, ?, ?)`,
+      [id, price, effective_from, notes || null, userId]
+    );
+    versionId = result.insertId;
+  }
+
+  await relinkPriceVersions(connection, column, id);
+
+  const today = formatDateOnly(new Date());
+  if (effective_from <= today) {
+    await connection.query(
+      `UPDATE ${column === 'item_id' ? 'menu_items' : 'services'} SET price = ? WHERE id = ?`,
+      [await getCatalogPriceOn(connection, column, id, today), id]
+    );
+  }
+
+  return versionId;
+}
+
+/**
+ * Price versions of a menu item or service, newest first, each marked past, current
+ * or scheduled
+ * @param {Object} connection - Pool connection
+ * @param {String} column - item_id or service_id
+ * @param {Number} id - Menu item or service id
+ * @returns {Array} catalog_prices rows with status and created_by_name
+ */
+async function getPriceHistory(connection, column, id) {
+  const today = formatDateOnly(new Date());
+  const [versions] = await connection.query(
+    `SELECT cp.id, cp.price, DATE_FORMAT(cp.effective_from, '%Y-%m-%d') as effective_from,
+       DATE_FORMAT(cp.effective_to, '%Y-%m-%d') as effective_to, cp.notes, cp.created_at, u.username as created_by_name
+     FROM catalog_prices cp
+     LEFT JOIN users u ON cp.created_by = u.id
+     WHERE cp.${column} = ?
+     ORDER BY cp.effective_from DESC`,
+    [id]
+  );
+
+  return versions.map(version => ({
+    ...version,
+    status: version.effective_from > today ? 'scheduled'
+      : version.effective_to !== null && version.effective_to < today ? 'past' : 'current'
+  }));
+}
+
+/**
+ * Bring the catalog price of every menu item and service in line with the price
+ * version in effect on a date, so scheduled price changes go live
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Number} Number of menu items and services whose price changed
+ */
+async function applyScheduledPrices(date) {
+  let changed = 0;
+
+  for (const [table, column] of [['menu_items', 'item_id'], ['services', 'service_id']]) {
+    const [result] = await pool.query(
+      `UPDATE ${table} t
+       JOIN catalog_prices cp ON cp.${column} = t.id AND cp.effective_from <= ? AND (cp.effective_to IS NULL OR cp.effective_to >= ?)
+       SET t.price = cp.price
+       WHERE t.price != cp.price`,
+      [date, date]
+    );
+    changed += result.affectedRows;
+  }
+
+  return changed;
+}
+
+/**
+ * Price an order or invoice line from the catalog instead of the client: the rate
+ * (with its variant and modifiers) and GST come from the active menu item or service.
+ * A line may carry an override_rate with an override_reason; the catalog rate is
+ * still returned so both can be recorded.
+ * @param {Object} connection - Pool connection
+ * @param {Object} line - Request line with item_id or service_id, quantity and options
+ * @param {String} priceDate - Date whose price applies (YYYY-MM-DD)
+ * @returns {Object} { error } on failure, else the priced line
+ */
+async function priceCatalogLine(connection, line, priceDate) {
+  const quantity = parseInt(line.quantity);
+
+  if (!quantity || quantity < 1) {
+    return { error: 'Each line needs a quantity of at least 1' };
+  }
+
+  if (line.options !== undefined && line.options !== null && !Array.isArray(line.options)) {
+    return { error: 'Options must be a list of option ids' };
+  }
+
+  let rows;
+  if (line.item_id) {
+    [rows] = await connection.query(
+      'SELECT id, name, price, gst_percentage, hsn_sac_code, is_active FROM menu_items WHERE id = ?',
+      [line.item_id]
+    );
+  } else if (line.service_id) {
+    [rows] = await connection.query(
+      'SELECT id, name, price, gst_percentage, hsn_sac_code, is_active FROM services WHERE id = ?',
+      [line.service_id]
+    );
+  } else {
+    return { error: 'Each line must be a menu item or a service' };
+  }
+
+  if (rows.length === 0) {
+    return { error: line.item_id ? `Menu item ${line.item_id} not found` : `Service ${line.service_id} not found` };
+  }
+
+  const catalogItem = rows[0];
+
+  if (!catalogItem.is_active) {
+    return { error: `${catalogItem.name} is no longer available` };
+  }
+
+  // Entries priced before versions were kept have only their catalog price
+  const versionPrice = await getCatalogPriceOn(connection, line.item_id ? 'item_id' : 'service_id', catalogItem.id, priceDate);
+  const basePrice = versionPrice === null ? Number(catalogItem.price) : versionPrice;
+
+  let resolved = { rate: basePrice, options: [], summary: null };
+  if (line.item_id) {
+    resolved = await resolveOrderItemOptions(connection, catalogItem.id, line.options, basePrice);
+
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+  }
+
+  let rate = resolved.rate;
+  let overrideReason = null;
+
+  if (line.override_rate !== undefined && line.override_rate !== null && line.override_rate !== '') {
+    const overrideRate = Math.round(parseFloat(line.override_rate) * 100) / 100;
+
+    if (isNaN(overrideRate) || overrideRate < 0) {
+      return { error: `Override rate for ${catalogItem.name} must be zero or more` };
+    }
+
+    if (overrideRate !== resolved.rate) {
+      if (!line.override_reason || !String(line.override_reason).trim()) {
+        return { error: `A reason is required to override the price of ${catalogItem.name}` };
+      }
+
+      rate = overrideRate;
+      overrideReason = String(line.override_reason).trim().slice(0, 255);
+    }
+  }
+
+  return {
+    item_id: line.item_id ? catalogItem.id : null,
+    service_id: line.item_id ? null : catalogItem.id,
+    name: catalogItem.name,
+    hsn_sac_code: catalogItem.hsn_sac_code,
+    quantity,
+    catalog_rate: resolved.rate,
+    rate,
+    gst_percentage: Number(catalogItem.gst_percentage),
+    options: resolved.options,
+    item_options: resolved.summary,
+    override_reason: overrideReason
+  };
+}
+
+// Minutes an admin's price override approval code stays valid
+const OVERRIDE_APPROVAL_MINUTES = 15;
+
+// Approval code characters, without the easily confused 0/O and 1/I
+const OVERRIDE_APPROVAL_CHARSET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a one-time price override approval code
+ * @returns {String} 10 random characters
+ */
+function generateOverrideApprovalCode() {
+  let code = '';
+  for (let i = 0; i < 10; i++) {
+    code += OVERRIDE_APPROVAL_CHARSET[crypto.randomInt(OVERRIDE_APPROVAL_CHARSET.length)];
+  }
+  return code;
+}
+
+/**
+ * Find who approves the price overrides on an order or invoice. Admins act as managers
+ * and approve their own; anyone else needs a one-time code an admin issued, which is
+ * used up by this request so it cannot approve another.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Object} user - Authenticated user
+ * @param {String} approvalCode - Code issued by the approving admin
+ * @returns {Object} { approved_by } or { status, error }
+ */
+async function getOverrideApprover(connection, user, approvalCode) {
+  if (user.role === 'admin') {
+    return { approved_by: user.id };
+  }
+
+  if (!approvalCode) {
+    return { status: 403, error: 'Price overrides need a manager approval code' };
+  }
+
+  const [approvals] = await connection.query(
+    `SELECT id, approved_by FROM price_override_approvals 
+     WHERE code = ? AND used_at IS NULL AND expires_at > NOW() FOR UPDATE`,
+    [String(approvalCode).trim().toUpperCase()]
+  );
+
+  if (approvals.length === 0) {
+    return { status: 403, error: 'Manager approval code is invalid, used or expired' };
+  }
+
+  await connection.query(
+    'UPDATE price_override_approvals SET used_at = CURRENT_TIMESTAMP, used_by = ? WHERE id = ?',
+    [user.id, approvals[0].id]
+  );
+
+  return { approved_by: approvals[0].approved_by };
+}
+
+/**
+ * Name of an invoice or order line as printed, with its variant and modifiers
+ * @param {Object} item - invoice_items or kitchen_order_items row with item_name or name
+ * @returns {String} Display name
+ */
+function formatLineItemName(item) {
+  const name = item.item_name || item.name;
+  return item.item_options ? `${name} (${item.item_options})` : name;
+}
+
+/**
+ * HSN-wise summary of outward supplies for a period, grouped by code and GST rate.
+ * Credit notes issued in the period are netted off as negative quantities and values.
+ * @param {String} startDate - Period start (YYYY-MM-DD)
+ * @param {String} endDate - Period end (YYYY-MM-DD)
+ * @param {String} type - Optional business type (resort or kitchen)
+ * @returns {Array} Rows with hsn_sac_code, gst_percentage, quantity and amounts
+ */
+async function getHsnSummary(startDate, endDate, type) {
+  const typeCondition = type ? 'AND i.type = ?' : '';
+  const creditTypeCondition = type ? 'AND cn.type = ?' : '';
+  const params = type
+    ? [startDate, endDate + ' 23:59:59', type, startDate, endDate + ' 23:59:59', type]
+    : [startDate, endDate + ' 23:59:59', startDate, endDate + ' 23:59:59'];
+
+  const [rows] = await pool.query(`
+    SELECT
+      hsn_sac_code,
+      gst_percentage,
+      SUM(quantity) as quantity,
+      SUM(taxable_value) as taxable_value,
+      SUM(cgst_amount) as cgst_amount,
+      SUM(sgst_amount) as sgst_amount,
+      SUM(igst_amount) as igst_amount,
+      SUM(tax_amount) as tax_amount,
+      SUM(total_value) as total_value
+    FROM (
+      SELECT ii.hsn_sac_code, ii.gst_percentage, ii.quantity, ii.total - ii.gst_amount as taxable_value,
+        ii.cgst_amount, ii.sgst_amount, ii.igst_amount, ii.gst_amount as tax_amount, ii.total as total_value
+      FROM invoice_items ii
+      JOIN invoices i ON ii.invoice_id = i.id
+      WHERE i.invoice_date >= ? AND i.invoice_date <= ? ${typeCondition}
+      UNION ALL
+      SELECT ii.hsn_sac_code, cni.gst_percentage, -cni.quantity, -(cni.total - cni.gst_amount),
+        -cni.cgst_amount, -cni.sgst_amount, -cni.igst_amount, -cni.gst_amount, -cni.total
+      FROM credit_note_items cni
+      JOIN credit_notes cn ON cni.credit_note_id = cn.id
+      JOIN invoice_items ii ON cni.invoice_item_id = ii.id
+      WHERE cn.credit_note_date >= ? AND cn.credit_note_date <= ? ${creditTypeCondition}
+    ) lines
+    GROUP BY hsn_sac_code, gst_percentage
+    ORDER BY hsn_sac_code, gst_percentage
+  `, params);
+
+  return rows.map(row => ({
+    hsn_sac_code: row.hsn_sac_code,
+    gst_percentage: Number(row.gst_percentage),
+    quantity: Number(row.quantity || 0),
+    taxable_value: Number(row.taxable_value || 0),
+    cgst_amount: Number(row.cgst_amount || 0),
+    sgst_amount: Number(row.sgst_amount || 0),
+    igst_amount: Number(row.igst_amount || 0),
+    tax_amount: Number(row.tax_amount || 0),
+    total_value: Number(row.total_value || 0)
+  }));
+}
+
+/**
+ * Get the items of an invoice with the quantity still open for credit
+ * @param {Object} connection - Pool connection
+ * @param {Number} invoiceId - Invoice id
+ * @returns {Array} invoice_items rows with credited_quantity and creditable_quantity
+ */
+async function getCreditableInvoiceItems(connection, invoiceId) {
+  const [items] = await connection.query(
+    `SELECT ii.*, COALESCE(SUM(cni.quantity), 0) as credited_quantity
+     FROM invoice_items ii
+     LEFT JOIN credit_note_items cni ON cni.invoice_item_id = ii.id
+     WHERE ii.invoice_id = ?
+     GROUP BY ii.id`,
+    [invoiceId]
+  );
+
+  return items.map(item => ({
+    ...item,
+    credited_quantity: Number(item.credited_quantity),
+    creditable_quantity: item.quantity - Number(item.credited_quantity)
+  }));
+}
+
+// GSTIN: state code, PAN, entity number, 'Z' and a check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Check the format, state code and check character of a GSTIN
+ * @param {String} gstin - GSTIN to validate
+ * @returns {Boolean} True if the GSTIN is valid
+ */
+function isValidGstin(gstin) {
+  if (!gstin || !GSTIN_PATTERN.test(gstin) || !GST_STATE_CODES[gstin.slice(0, 2)]) {
+    return false;
+  }
+
+  // Base-36 Luhn (mod 36) over the first 14 characters, doubling every second one
+  const charset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  let sum = 0;
+
+  for (let i = 0; i < 14; i++) {
+    const product = charset.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+
+  return charset[(36 - (sum % 36)) % 36] === gstin[14];
+}
+
+/**
+ * Find the active company an invoice is billed to: the one asked for, else the guest's company
+ * @param {Object} connection - Pool connection
+ * @param {Number} companyId - Company chosen at billing, if any
+ * @param {Number} guestId - Guest being billed, if any
+ * @returns {Object} companies row, or null
+ */
+async function getBillingCompany(connection, companyId, guestId) {
+  if (!companyId && guestId) {
+    const [guests] = await connection.query('SELECT company_id FROM guests WHERE id = ?', [guestId]);
+    companyId = guests.length > 0 ? guests[0].company_id : null;
+  }
+
+  if (!companyId) {
+    return null;
+  }
+
+  const [companies] = await connection.query('SELECT * FROM companies WHERE id = ? AND is_active = TRUE', [companyId]);
+  return companies.length > 0 ? companies[0] : null;
+}
+
+/**
+ * Buyer details snapshotted onto an invoice: the company's when billed to one,
+ * else whatever buyer was typed in at the counter
+ * @param {Object} company - companies row, or null
+ * @param {String} buyerName - Buyer name typed in
+ * @param {String} buyerGstin - Buyer GSTIN typed in
+ * @returns {Object} { company_id, buyer_name, buyer_gstin, buyer_address }
+ */
+function getInvoiceBuyer(company, buyerName, buyerGstin) {
+  return company
+    ? { company_id: company.id, buyer_name: company.name, buyer_gstin: company.gstin, buyer_address: company.billing_address }
+    : { company_id: null, buyer_name: buyerName || null, buyer_gstin: buyerGstin || null, buyer_address: null };
+}
+
+/**
+ * Raise the kitchen invoice of an order that has not been invoiced yet. Lines and
+ * tax split are copied from the order, as they were fixed when it was taken.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Object} order - kitchen_orders row
+ * @param {Object} buyer - Result of getInvoiceBuyer
+ * @param {String} paymentMethod - Expected payment method
+ * @param {Number} userId - User raising the invoice
+ * @returns {Object} { id, invoice_number }
+ */
+async function createInvoiceFromOrder(connection, order, buyer, paymentMethod, userId) {
+  const [orderItems] = await connection.query(
+    `SELECT koi.*, mi.name, mi.hsn_sac_code 
+     FROM kitchen_order_items koi 
+     JOIN menu_items mi ON koi.item_id = mi.id 
+     WHERE koi.order_id = ?`,
+    [order.id]
+  );
+
+  const invoiceNumber = await getNextSequenceNumber(connection, 'kitchen');
+
+  const taxSplit = { cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+  orderItems.forEach(item => {
+    taxSplit.cgst_amount += Number(item.cgst_amount);
+    taxSplit.sgst_amount += Number(item.sgst_amount);
+    taxSplit.igst_amount += Number(item.igst_amount);
+  });
+
+  const [invoiceResult] = await connection.query(
+    `INSERT INTO invoices 
+     (invoice_number, invoice_date, guest_id, room_number, guest_name, guest_mobile, company_id, buyer_name, buyer_gstin, buyer_address,
+      type, place_of_supply, supply_type, subtotal, cgst_amount, sgst_amount, igst_amount, tax_amount, total_amount,
+      payment_status, payment_method, created_by) 
+     VALUES (?, NOW(), ?, ?, ?, NULL, ?, ?, ?, ?, 'kitchen', ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+    [invoiceNumber, order.guest_id, order.room_number, order.guest_name,
+     buyer.company_id, buyer.buyer_name, buyer.buyer_gstin, buyer.buyer_address, order.place_of_supply, order.supply_type,
+     order.subtotal, taxSplit.cgst_amount, taxSplit.sgst_amount, taxSplit.igst_amount, order.tax_amount, order.total_amount,
+     paymentMethod || 'cash', userId]
+  );
+
+  const invoiceId = invoiceResult.insertId;
+
+  for (const item of orderItems) {
+    await connection.query(
+      `INSERT INTO invoice_items 
+       (invoice_id, item_id, service_id, item_name, item_options, hsn_sac_code, quantity, catalog_rate, rate, override_reason, override_approved_by,
+        gst_percentage, gst_amount, cgst_amount, sgst_amount, igst_amount, total) 
+       VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [invoiceId, item.item_id, item.name, item.item_options, item.hsn_sac_code, item.quantity, item.catalog_rate, item.rate,
+       item.override_reason, item.override_approved_by, item.gst_percentage, item.gst_amount,
+       item.cgst_amount, item.sgst_amount, item.igst_amount, item.total]
+    );
+  }
+
+  await connection.query('UPDATE kitchen_orders SET invoice_id = ? WHERE id = ?', [invoiceId, order.id]);
+
+  return { id: invoiceId, invoice_number: invoiceNumber };
+}
+
+/**
+ * Gather a guest's folio: every live invoice raised for the stay, and the kitchen
+ * orders and posted room charges that have not been invoiced yet. What the guest owes
+ * and what is owed back are totalled apart, as a credit on one invoice does not pay another.
+ * @param {Object} connection - Pool connection
+ * @param {Number} guestId - Guest id
+ * @returns {Object} { invoices, uninvoiced_orders, uninvoiced_room_charges, totals }
+ */
+async function getGuestFolio(connection, guestId) {
+  const [invoices] = await connection.query(
+    `SELECT id, invoice_number, invoice_date, type, subtotal, tax_amount, total_amount,
+       credited_amount, amount_paid, balance_due, payment_status, status
+     FROM invoices
+     WHERE guest_id = ? AND status != 'cancelled'
+     ORDER BY invoice_date, id`,
+    [guestId]
+  );
+
+  const [orders] = await connection.query(
+    `SELECT * FROM kitchen_orders
+     WHERE guest_id = ? AND invoice_id IS NULL AND status != 'cancelled'
+     ORDER BY order_date, id`,
+    [guestId]
+  );
+
+  const [roomCharges] = await connection.query(
+    `SELECT *, DATE_FORMAT(business_date, '%Y-%m-%d') as business_date FROM room_charges
+     WHERE guest_id = ? AND invoice_id IS NULL
+     ORDER BY business_date, id`,
+    [guestId]
+  );
+
+  const totals = {
+    total_billed: 0,
+    total_credited: 0,
+    total_paid: 0,
+    balance_due: 0,
+    refund_due: 0,
+    uninvoiced_orders_total: 0,
+    uninvoiced_room_charges_total: 0
+  };
+
+  invoices.forEach(invoice => {
+    totals.total_billed += Number(invoice.total_amount);
+    totals.total_credited += Number(invoice.credited_amount);
+    totals.total_paid += Number(invoice.amount_paid);
+    totals.balance_due += Math.max(Number(invoice.balance_due), 0);
+    totals.refund_due += Math.max(-Number(invoice.balance_due), 0);
+  });
+  orders.forEach(order => {
+    totals.uninvoiced_orders_total += Number(order.total_amount);
+  });
+  roomCharges.forEach(charge => {
+    totals.uninvoiced_room_charges_total += Number(charge.total);
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = Math.round(totals[key] * 100) / 100;
+  });
+
+  return { invoices, uninvoiced_orders: orders, uninvoiced_room_charges: roomCharges, totals };
+}
+
+/**
+ * Why a guest cannot be checked out on their folio as it stands: anything not yet
+ * invoiced, or any single invoice still owed or owing money
+ * @param {Object} guest - guests row
+ * @param {Object} folio - Result of getGuestFolio
+ * @returns {String} Reason, or null when the guest can check out
+ */
+function getCheckoutBlocker(guest, folio) {
+  if (guest.is_checked_out) {
+    return 'Guest is already checked out';
+  }
+
+  if (folio.uninvoiced_orders.length > 0) {
+    return 'Guest has kitchen orders that are not invoiced yet';
+  }
+
+  if (folio.uninvoiced_room_charges.length > 0) {
+    return 'Guest has room charges that are not invoiced yet';
+  }
+
+  const openInvoice = folio.invoices.find(invoice => Math.abs(Number(invoice.balance_due)) >= 0.01);
+  if (openInvoice) {
+    return Number(openInvoice.balance_due) > 0
+      ? `Invoice ${openInvoice.invoice_number} has a balance due of ${Number(openInvoice.balance_due).toFixed(2)}`
+      : `Invoice ${openInvoice.invoice_number} has ${(-Number(openInvoice.balance_due)).toFixed(2)} to refund`;
+  }
+
+  return null;
+}
+
+/**
+ * Strip spaces and punctuation from a mobile number so the same number typed
+ * differently is stored, and matched, the same way
+ * @param {String} mobile - Mobile number as entered
+ * @returns {String} Digits with an optional leading +, or null
+ */
+function normalizeMobile(mobile) {
+  if (!mobile) return null;
+  const normalized = String(mobile).trim().replace(/(?!^\+)[^\d]/g, '');
+  return normalized || null;
+}
+
+/**
+ * Find the existing profile of a guest, matching the mobile number first (ignoring any
+ * country code) and then the email address. The most recently updated profile wins.
+ * @param {Object} connection - Pool connection
+ * @param {String} mobile - Mobile number
+ * @param {String} email - Email address
+ * @returns {Object} guest_profiles row, or null
+ */
+async function findGuestProfile(connection, mobile, email) {
+  const normalizedMobile = normalizeMobile(mobile);
+
+  if (normalizedMobile) {
+    const [profiles] = await connection.query(
+      'SELECT * FROM guest_profiles WHERE RIGHT(mobile, 10) = RIGHT(?, 10) ORDER BY updated_at DESC, id DESC LIMIT 1',
+      [normalizedMobile]
+    );
+    if (profiles.length > 0) return profiles[0];
+  }
+
+  if (email) {
+    const [profiles] = await connection.query(
+      'SELECT * FROM guest_profiles WHERE LOWER(email) = LOWER(?) ORDER BY updated_at DESC, id DESC LIMIT 1',
+      [email.trim()]
+    );
+    if (profiles.length > 0) return profiles[0];
+  }
+
+  return null;
+}
+
+/**
+ * Record a check-in against the guest's profile, so a returning guest keeps one profile
+ * across stays. Uses the given profile, else a matching one, else creates a new profile.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Number} guestId - guests row of the new stay
+ * @param {Object} details - { profile_id, name, mobile, email, state_code, company_id, room_number, reservation_id }
+ * @returns {Number} Profile id
+ */
+async function recordGuestStay(connection, guestId, details) {
+  let profileId = details.profile_id || null;
+
+  if (!profileId) {
+    const profile = await findGuestProfile(connection, details.mobile, details.email);
+
+    if (profile) {
+      profileId = profile.id;
+      // Fill in contact details the profile did not have yet
+      await connection.query(
+        'UPDATE guest_profiles SET mobile = COALESCE(mobile, ?), email = COALESCE(email, ?), state_code = COALESCE(state_code, ?) WHERE id = ?',
+        [normalizeMobile(details.mobile), details.email || null, details.state_code || null, profileId]
+      );
+    } else {
+      const [result] = await connection.query(
+        'INSERT INTO guest_profiles (name, mobile, email, state_code, company_id) VALUES (?, ?, ?, ?, ?)',
+        [details.name, normalizeMobile(details.mobile), details.email || null, details.state_code || null, details.company_id || null]
+      );
+      profileId = result.insertId;
+    }
+  }
+
+  await connection.query(
+    `INSERT INTO stays (profile_id, guest_id, reservation_id, room_number, check_in_date) 
+     SELECT ?, id, ?, room_number, check_in_date FROM guests WHERE id = ?`,
+    [profileId, details.reservation_id || null, guestId]
+  );
+
+  return profileId;
+}
+
+// Accepted ID proofs and scanned document kinds
+const ID_TYPES = ['aadhaar', 'passport', 'driving_licence', 'voter_id', 'pan', 'other'];
+const GUEST_DOCUMENT_TYPES = ['id_proof', 'passport', 'visa', 'other'];
+const GUEST_DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+// Identity fields kept for every guest, and the Form C fields kept for foreign nationals
+const GUEST_IDENTITY_FIELDS = [
+  'id_type', 'id_number', 'nationality', 'date_of_birth', 'gender', 'address',
+  'passport_number', 'passport_place_of_issue', 'passport_issue_date', 'passport_expiry_date',
+  'visa_number', 'visa_type', 'visa_place_of_issue', 'visa_issue_date', 'visa_expiry_date',
+  'arrival_date_in_india', 'arrived_from', 'next_destination', 'purpose_of_visit'
+];
+
+// Citizens of Nepal and Bhutan need no visa to enter India, but still need Form C
+const VISA_EXEMPT_NATIONALITIES = ['nepal', 'nepalese', 'nepali', 'bhutan', 'bhutanese'];
+
+/**
+ * Check whether a nationality is foreign, i.e. the guest needs a Form C
+ * @param {String} nationality - Nationality as recorded
+ * @returns {Boolean} True for anyone not Indian
+ */
+function isForeignNational(nationality) {
+  return !!nationality && !['indian', 'india'].includes(nationality.trim().toLowerCase());
+}
+
+/**
+ * Validate a guest's ID proof and, for foreign nationals, the passport and visa details
+ * Form C needs
+ * @param {Object} identity - Request body
+ * @returns {String} Error message, or null when valid
+ */
+function validateGuestIdentity(identity) {
+  const { id_type, id_number, nationality, gender } = identity;
+
+  if (!id_type || !id_number) {
+    return 'ID type and ID number are required';
+  }
+
+  if (!ID_TYPES.includes(id_type)) {
+    return `ID type must be one of ${ID_TYPES.join(', ')}`;
+  }
+
+  if (gender && !['male', 'female', 'other'].includes(gender)) {
+    return 'Gender must be male, female or other';
+  }
+
+  const dateFields = GUEST_IDENTITY_FIELDS.filter(field => field.endsWith('_date') || field === 'date_of_birth');
+  const invalidDate = dateFields.find(field => identity[field] && !isValidDateString(identity[field]));
+  if (invalidDate) {
+    return `${invalidDate.replace(/_/g, ' ')} must be a valid YYYY-MM-DD date`;
+  }
+
+  if (isForeignNational(nationality)) {
+    if (!identity.passport_number || !identity.passport_expiry_date) {
+      return 'Passport number and expiry date are required for foreign nationals';
+    }
+
+    if (!VISA_EXEMPT_NATIONALITIES.includes(nationality.trim().toLowerCase()) && (!identity.visa_number || !identity.visa_expiry_date)) {
+      return 'Visa number and expiry date are required for foreign nationals';
+    }
+
+    if (!identity.arrival_date_in_india || !identity.date_of_birth) {
+      return 'Date of birth and date of arrival in India are required for Form C';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Save the identity details of a guest, replacing any recorded earlier
+ * @param {Object} connection - Pool connection
+ * @param {Number} guestId - Guest id
+ * @param {Object} identity - Validated identity fields
+ * @param {Number} userId - User recording the details
+ */
+async function saveGuestIdentity(connection, guestId, identity, userId) {
+  const values = GUEST_IDENTITY_FIELDS.map(field => {
+    if (field === 'nationality') return (identity.nationality || 'Indian').trim();
+    return identity[field] || null;
+  });
+
+  const [existing] = await connection.query('SELECT id FROM guest_identities WHERE guest_id = ?', [guestId]);
+
+  if (existing.length > 0) {
+    await connection.query(
+      `UPDATE guest_identities SET ${GUEST_IDENTITY_FIELDS.map(field => `${field} = ?`).join(', ')}, recorded_by = ? WHERE guest_id = ?`,
+      [...values, userId, guestId]
+    );
+  } else {
+    await connection.query(
+      `INSERT INTO guest_identities (guest_id, ${GUEST_IDENTITY_FIELDS.join(', ')}, recorded_by) 
+       VALUES (?, ${GUEST_IDENTITY_FIELDS.map(() => '?').join(', ')}, ?)`,
+      [guestId, ...values, userId]
+    );
+  }
+}
+
+/**
+ * Foreign nationals staying on a date, with their Form C details
+ * @param {String} date - Register date (YYYY-MM-DD)
+ * @returns {Array} Register rows
+ */
+async function getForeignGuestRegister(date) {
+  const dateColumns = ['date_of_birth', 'passport_issue_date', 'passport_expiry_date', 'visa_issue_date', 'visa_expiry_date', 'arrival_date_in_india'];
+
+  const [rows] = await pool.query(
+    `SELECT g.id as guest_id, g.name, g.mobile, g.room_number, g.check_in_date, g.check_out_date, g.is_checked_out,
+       gi.id_type, gi.id_number, gi.nationality, gi.gender, gi.address, gi.passport_number, gi.passport_place_of_issue,
+       gi.visa_number, gi.visa_type, gi.visa_place_of_issue, gi.arrived_from, gi.next_destination, gi.purpose_of_visit,
+       ${dateColumns.map(column => `DATE_FORMAT(gi.${column}, '%Y-%m-%d') as ${column}`).join(', ')}
+     FROM guests g
+     JOIN guest_identities gi ON gi.guest_id = g.id
+     WHERE LOWER(TRIM(gi.nationality)) NOT IN ('indian', 'india')
+       AND DATE(g.check_in_date) <= ?
+       AND (g.is_checked_out = FALSE OR DATE(g.check_out_date) >= ?)
+     ORDER BY g.check_in_date, g.room_number`,
+    [date, date]
+  );
+
+  // Form C has to reach the police within 24 hours of arrival
+  return rows.map(row => ({
+    ...row,
+    arrived_on_date: formatDateOnly(row.check_in_date) === date,
+    form_c_missing: validateGuestIdentity(row)
+  }));
+}
+
+// Name left on records once a guest's personal data has been scrubbed
+const ANONYMIZED_GUEST_NAME = 'Anonymized guest';
+
+/**
+ * Find the reservations, invoices and kitchen orders of a guest profile: those linked to
+ * its stays, and those never linked to a stay (no-shows, cancellations, future bookings,
+ * walk-in bills) that carry the profile's mobile number or email, matched the way
+ * findGuestProfile matches them
+ * @param {Object} connection - Pool connection
+ * @param {Object} profile - guest_profiles row
+ * @param {Array} guestIds - guests rows of the profile's stays
+ * @returns {Object} { reservationIds, invoiceIds, orderIds }
+ */
+async function getGuestRecordIds(connection, profile, guestIds) {
+  const mobile = normalizeMobile(profile.mobile);
+  const email = profile.email ? profile.email.trim() : null;
+
+  const selectIds = async (table, mobileColumn, emailColumn) => {
+    const conditions = [];
+    const params = [];
+
+    if (guestIds.length > 0) {
+      conditions.push('guest_id IN (?)');
+      params.push(guestIds);
+    }
+    // Reservations and invoices keep the mobile number as it was typed
+    if (mobile) {
+      conditions.push(`(guest_id IS NULL AND RIGHT(REGEXP_REPLACE(${mobileColumn}, '[^0-9]', ''), 10) = RIGHT(?, 10))`);
+      params.push(mobile);
+    }
+    if (email && emailColumn) {
+      conditions.push(`(guest_id IS NULL AND LOWER(${emailColumn}) = LOWER(?))`);
+      params.push(email);
+    }
+
+    if (conditions.length === 0) return [];
+
+    const [rows] = await connection.query(`SELECT id FROM ${table} WHERE ${conditions.join(' OR ')}`, params);
+    return rows.map(row => row.id);
+  };
+
+  const reservationIds = await selectIds('reservations', 'mobile', 'email');
+  const invoiceIds = await selectIds('invoices', 'guest_mobile', null);
+
+  // A walk-in order has no contact details of its own; it is the guest's through its invoice
+  const orderConditions = [];
+  const orderParams = [];
+  if (guestIds.length > 0) {
+    orderConditions.push('guest_id IN (?)');
+    orderParams.push(guestIds);
+  }
+  if (invoiceIds.length > 0) {
+    orderConditions.push('invoice_id IN (?)');
+    orderParams.push(invoiceIds);
+  }
+
+  let orderIds = [];
+  if (orderConditions.length > 0) {
+    const [orders] = await connection.query(`SELECT id FROM kitchen_orders WHERE ${orderConditions.join(' OR ')}`, orderParams);
+    orderIds = orders.map(order => order.id);
+  }
+
+  return { reservationIds, invoiceIds, orderIds };
+}
+
+/**
+ * Collect everything held about a guest profile, for a data access request
+ * @param {Object} connection - Pool connection
+ * @param {Number} profileId - Guest profile id
+ * @returns {Object} Bundle of records by table, or null if the profile does not exist
+ */
+async function getGuestDataBundle(connection, profileId) {
+  const [profiles] = await connection.query('SELECT * FROM guest_profiles WHERE id = ?', [profileId]);
+  if (profiles.length === 0) return null;
+
+  const [stays] = await connection.query('SELECT * FROM stays WHERE profile_id = ? ORDER BY check_in_date', [profileId]);
+  const guestIds = stays.map(stay => stay.guest_id);
+
+  const bundle = {
+    profile: profiles[0],
+    stays,
+    registrations: [],
+    identities: [],
+    documents: [],
+    reservations: [],
+    room_charges: [],
+    invoices: [],
+    kitchen_orders: []
+  };
+
+  if (guestIds.length > 0) {
+    [bundle.registrations] = await connection.query('SELECT * FROM guests WHERE id IN (?)', [guestIds]);
+    [bundle.identities] = await connection.query('SELECT * FROM guest_identities WHERE guest_id IN (?)', [guestIds]);
+    [bundle.documents] = await connection.query('SELECT * FROM guest_documents WHERE guest_id IN (?)', [guestIds]);
+    [bundle.room_charges] = await connection.query('SELECT * FROM room_charges WHERE guest_id IN (?)', [guestIds]);
+  }
+
+  const { reservationIds, invoiceIds, orderIds } = await getGuestRecordIds(connection, profiles[0], guestIds);
+
+  if (reservationIds.length > 0) {
+    [bundle.reservations] = await connection.query('SELECT * FROM reservations WHERE id IN (?) ORDER BY check_in_date', [reservationIds]);
+  }
+
+  const [invoices] = invoiceIds.length > 0
+    ? await connection.query('SELECT * FROM invoices WHERE id IN (?) ORDER BY invoice_date', [invoiceIds])
+    : [[]];
+  for (const invoice of invoices) {
+    const [items] = await connection.query('SELECT * FROM invoice_items WHERE invoice_id = ?', [invoice.id]);
+    const [payments] = await connection.query('SELECT * FROM invoice_payments WHERE invoice_id = ?', [invoice.id]);
+    const [creditNotes] = await connection.query('SELECT * FROM credit_notes WHERE invoice_id = ?', [invoice.id]);
+    bundle.invoices.push({ ...invoice, items, payments, credit_notes: creditNotes });
+  }
+
+  const [orders] = orderIds.length > 0
+    ? await connection.query('SELECT * FROM kitchen_orders WHERE id IN (?) ORDER BY order_date', [orderIds])
+    : [[]];
+  for (const order of orders) {
+    const [items] = await connection.query(
+      'SELECT koi.*, mi.name FROM kitchen_order_items koi LEFT JOIN menu_items mi ON koi.item_id = mi.id WHERE koi.order_id = ?',
+      [order.id]
+    );
+    bundle.kitchen_orders.push({ ...order, items });
+  }
+
+  return bundle;
+}
+
+/**
+ * Scrub the personal data of a guest profile and of every stay, reservation, invoice and
+ * kitchen order that is the guest's (see getGuestRecordIds). Amounts, dates, tax details
+ * and a registered buyer's GSTIN details are kept, as the invoices must be retained for
+ * GST. Free-text notes are cleared; cancellation and credit note reasons are kept as the
+ * audit trail of why a tax document changed, and payment references for reconciling with
+ * the bank. A booking still to come has to be cancelled first.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Number} profileId - Guest profile id
+ * @returns {Object} { error, status } on failure, else { files, counts }; files are the
+ *   scanned documents to delete from uploads once the transaction commits
+ */
+async function anonymizeGuestProfile(connection, profileId) {
+  const [profiles] = await connection.query('SELECT * FROM guest_profiles WHERE id = ? FOR UPDATE', [profileId]);
+
+  if (profiles.length === 0) {
+    return { status: 404, error: 'Guest profile not found' };
+  }
+
+  if (profiles[0].anonymized_at) {
+    return { status: 400, error: 'Guest profile is already anonymized' };
+  }
+
+  const [stays] = await connection.query(
+    'SELECT s.guest_id, g.is_checked_out FROM stays s JOIN guests g ON s.guest_id = g.id WHERE s.profile_id = ?',
+    [profileId]
+  );
+  const guestIds = stays.map(stay => stay.guest_id);
+
+  if (stays.some(stay => !stay.is_checked_out)) {
+    return { status: 400, error: 'Guest is still in house' };
+  }
+
+  const { reservationIds, invoiceIds, orderIds } = await getGuestRecordIds(connection, profiles[0], guestIds);
+
+  if (reservationIds.length > 0) {
+    // Scrubbing a booking still to come would leave the hotel holding a room for no one
+    const [upcoming] = await connection.query(
+      `SELECT reservation_number FROM reservations
+       WHERE id IN (?) AND status IN ('tentative', 'confirmed') AND check_out_date > ?
+       ORDER BY check_in_date LIMIT 1`,
+      [reservationIds, await getBusinessDate(connection)]
+    );
+
+    if (upcoming.length > 0) {
+      return { status: 400, error: `Reservation ${upcoming[0].reservation_number} is still to come` };
+    }
+  }
+
+  if (invoiceIds.length > 0) {
+    // The guest has to stay reachable while money is owed either way; each invoice is settled on its own
+    const [openInvoices] = await connection.query(
+      `SELECT invoice_number, balance_due FROM invoices
+       WHERE id IN (?) AND status != 'cancelled' AND ABS(balance_due) >= 0.01
+       ORDER BY invoice_date, id LIMIT 1`,
+      [invoiceIds]
+    );
+
+    if (openInvoices.length > 0) {
+      const balanceDue = Number(openInvoices[0].balance_due);
+      return {
+        status: 400,
+        error: balanceDue > 0
+          ? `Invoice ${openInvoices[0].invoice_number} has a balance due of ${balanceDue.toFixed(2)}`
+          : `Invoice ${openInvoices[0].invoice_number} has ${(-balanceDue).toFixed(2)} to refund to the guest`
+      };
+    }
+  }
+
+  let files = [];
+  const counts = {
+    stays: guestIds.length,
+    invoices: invoiceIds.length,
+    kitchen_orders: orderIds.length,
+    reservations: reservationIds.length,
+    documents: 0
+  };
+
+  if (guestIds.length > 0) {
+    const [documents] = await connection.query('SELECT file_name FROM guest_documents WHERE guest_id IN (?)', [guestIds]);
+    files = documents.map(document => document.file_name);
+    counts.documents = documents.length;
+
+    await connection.query('DELETE FROM guest_documents WHERE guest_id IN (?)', [guestIds]);
+    await connection.query('DELETE FROM guest_identities WHERE guest_id IN (?)', [guestIds]);
+
+    await connection.query(
+      'UPDATE guests SET name = ?, mobile = NULL, email = NULL WHERE id IN (?)',
+      [ANONYMIZED_GUEST_NAME, guestIds]
+    );
+  }
+
+  if (reservationIds.length > 0) {
+    await connection.query(
+      'UPDATE reservations SET guest_name = ?, mobile = NULL, email = NULL, notes = NULL WHERE id IN (?)',
+      [ANONYMIZED_GUEST_NAME, reservationIds]
+    );
+  }
+
+  if (invoiceIds.length > 0) {
+    // A buyer with a GSTIN is a business whose details GSTR-1 needs; an unregistered buyer is the guest
+    await connection.query(
+      `UPDATE invoices SET guest_name = ?, guest_mobile = NULL, notes = NULL,
+         buyer_name = IF(buyer_gstin IS NULL OR buyer_gstin = '', NULL, buyer_name),
+         buyer_address = IF(buyer_gstin IS NULL OR buyer_gstin = '', NULL, buyer_address)
+       WHERE id IN (?)`,
+      [ANONYMIZED_GUEST_NAME, invoiceIds]
+    );
+
+    await connection.query('UPDATE invoice_payments SET notes = NULL WHERE invoice_id IN (?)', [invoiceIds]);
+  }
+
+  if (orderIds.length > 0) {
+    await connection.query('UPDATE kitchen_orders SET guest_name = ? WHERE id IN (?)', [ANONYMIZED_GUEST_NAME, orderIds]);
+  }
+
+  await connection.query(
+    `UPDATE guest_profiles SET name = ?, mobile = NULL, email = NULL, address = NULL, date_of_birth = NULL, notes = NULL,
+     anonymized_at = NOW() WHERE id = ?`,
+    [ANONYMIZED_GUEST_NAME, profileId]
+  );
+
+  return { files, counts };
+}
+
+/**
+ * Anonymize every guest profile whose last stay ended more than the configured
+ * retention period ago. Profiles that cannot be anonymized yet are skipped.
+ * @param {Boolean} dryRun - Only list the profiles that are due
+ * @returns {Object} { error } when no retention period is set, else { retention_days, anonymized, skipped }
+ */
+async function runRetentionPolicy(dryRun) {
+  const [settings] = await pool.query('SELECT guest_data_retention_days FROM settings LIMIT 1');
+  const retentionDays = settings.length > 0 ? settings[0].guest_data_retention_days : null;
+
+  if (!retentionDays) {
+    return { status: 400, error: 'Guest data retention period is not set' };
+  }
+
+  // Profiles without stays count from when they were last changed
+  const [dueProfiles] = await pool.query(
+    `SELECT gp.id, gp.name, COALESCE(MAX(s.check_out_date), gp.updated_at) as last_activity
+     FROM guest_profiles gp
+     LEFT JOIN stays s ON s.profile_id = gp.id
+     WHERE gp.anonymized_at IS NULL
+     GROUP BY gp.id
+     HAVING COALESCE(SUM(s.status = 'in_house'), 0) = 0 AND last_activity < NOW() - INTERVAL ? DAY
+     ORDER BY last_activity`,
+    [retentionDays]
+  );
+
+  const result = { retention_days: retentionDays, anonymized: [], skipped: [] };
+
+  if (dryRun) {
+    result.anonymized = dueProfiles;
+    return result;
+  }
+
+  for (const profile of dueProfiles) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const anonymized = await anonymizeGuestProfile(connection, profile.id);
+
+      if (anonymized.error) {
+        await connection.rollback();
+        result.skipped.push({ ...profile, reason: anonymized.error });
+        continue;
+      }
+
+      await connection.query(
+        "INSERT INTO privacy_log (profile_id, action, reason, details, performed_by) VALUES (?, 'anonymize', ?, ?, NULL)",
+        [profile.id, `Retention policy (${retentionDays} days)`, JSON.stringify(anonymized.counts)]
+      );
+
+      await connection.commit();
+
+      for (const fileName of anonymized.files) {
+        await fs.remove(path.join(__dirname, '../uploads', fileName));
+      }
+
+      result.anonymized.push(profile);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  return result;
+}
+
+// Room statuses; occupied is only set by check-in and cleared by checkout
+const ROOM_STATUSES = ['vacant', 'occupied', 'dirty', 'out_of_order'];
+
+/**
+ * Find an active room by number and lock it for the rest of the transaction
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {String} roomNumber - Room number
+ * @returns {Object} rooms row, or null
+ */
+async function lockRoom(connection, roomNumber) {
+  const [rooms] = await connection.query(
+    'SELECT * FROM rooms WHERE room_number = ? AND is_active = TRUE FOR UPDATE',
+    [roomNumber]
+  );
+  return rooms.length > 0 ? rooms[0] : null;
+}
+
+// Reservations in these states hold a room for their nights
+const ACTIVE_RESERVATION_STATUSES = ['tentative', 'confirmed', 'checked_in'];
+
+/**
+ * Format a date as YYYY-MM-DD in server time
+ * @param {Date} date - Date to format
+ * @returns {String} Date string
+ */
+function formatDateOnly(date) {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Check a YYYY-MM-DD date string
+ * @param {String} value - Date string
+ * @returns {Boolean} True if it is a real calendar date
+ */
+function isValidDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+/**
+ * List the nights of a stay
+ * @param {String} from - First night (YYYY-MM-DD)
+ * @param {String} to - Departure day (YYYY-MM-DD), not included
+ * @returns {Array} Dates as YYYY-MM-DD
+ */
+function listNights(from, to) {
+  const nights = [];
+  const date = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+
+  while (date < end) {
+    nights.push(date.toISOString().slice(0, 10));
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return nights;
+}
+
+/**
+ * Count the rooms of a type still free on each night of a stay. Reservations holding
+ * the type and walk-in guests already in its rooms both take a room; rooms that are
+ * out of order are left out of the inventory.
+ * @param {Object} connection - Pool connection
+ * @param {Number} roomTypeId - Room type id
+ * @param {String} checkIn - First night (YYYY-MM-DD)
+ * @param {String} checkOut - Departure day (YYYY-MM-DD)
+ * @param {Number} excludeReservationId - Reservation being changed, so it does not count against itself
+ * @returns {Object} { total_rooms, available, nights: [{ date, booked, available }] }
+ */
+async function getRoomTypeAvailability(connection, roomTypeId, checkIn, checkOut, excludeReservationId = 0) {
+  const [inventory] = await connection.query(
+    "SELECT COUNT(*) as total_rooms FROM rooms WHERE room_type_id = ? AND is_active = TRUE AND status != 'out_of_order'",
+    [roomTypeId]
+  );
+  const totalRooms = Number(inventory[0].total_rooms);
+
+  const [reservations] = await connection.query(
+    `SELECT DATE_FORMAT(check_in_date, '%Y-%m-%d') as check_in_date, DATE_FORMAT(check_out_date, '%Y-%m-%d') as check_out_date
+     FROM reservations
+     WHERE room_type_id = ? AND status IN (?) AND check_in_date < ? AND check_out_date > ? AND id != ?`,
+    [roomTypeId, ACTIVE_RESERVATION_STATUSES, checkOut, checkIn, excludeReservationId]
+  );
+
+  // Walk-ins hold their room until their expected departure (or today if it has passed)
+  const [walkIns] = await connection.query(
+    `SELECT DATE_FORMAT(g.check_out_date, '%Y-%m-%d') as check_out_date
+     FROM rooms r
+     JOIN guests g ON r.current_guest_id = g.id
+     LEFT JOIN reservations rv ON rv.guest_id = g.id
+     WHERE r.room_type_id = ? AND rv.id IS NULL`,
+    [roomTypeId]
+  );
+
+  const today = formatDateOnly(new Date());
+  const nights = listNights(checkIn, checkOut).map(date => {
+    const booked = reservations.filter(reservation => reservation.check_in_date <= date && date < reservation.check_out_date).length
+      + walkIns.filter(guest => date === today || (date > today && date < guest.check_out_date)).length;
+
+    return { date, booked, available: Math.max(totalRooms - booked, 0) };
+  });
+
+  return {
+    total_rooms: totalRooms,
+    available: nights.length > 0 ? Math.min(...nights.map(night => night.available)) : totalRooms,
+    nights
+  };
+}
+
+/**
+ * Find another active reservation holding a room on any of a stay's nights
+ * @param {Object} connection - Pool connection
+ * @param {Number} roomId - Room id
+ * @param {String} checkInDate - First night (YYYY-MM-DD)
+ * @param {String} checkOutDate - Departure date (YYYY-MM-DD)
+ * @param {Number} reservationId - Reservation to leave out, 0 for none
+ * @returns {String} Reservation number of the clashing booking, or null
+ */
+async function findRoomClash(connection, roomId, checkInDate, checkOutDate, reservationId) {
+  const [clashes] = await connection.query(
+    `SELECT reservation_number FROM reservations
+     WHERE room_id = ? AND status IN (?) AND check_in_date < ? AND check_out_date > ? AND id != ?`,
+    [roomId, ACTIVE_RESERVATION_STATUSES, checkOutDate, checkInDate, reservationId]
+  );
+
+  return clashes.length > 0 ? clashes[0].reservation_number : null;
+}
+
+/**
+ * Check the stay details of a new or changed reservation and work out its nightly rate.
+ * Locks the room type, so bookings of the same type are checked for availability one at a time.
+ * A nightly_rate other than the room type's tariff with its rate plan is a price override
+ * and needs a rate_override_reason, like an override on an order or invoice line.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Object} stay - Request body merged over the existing reservation
+ * @param {Number} reservationId - Reservation being changed, 0 for a new one
+ * @returns {Object} { error, status } on failure, else { nightly_rate, list_rate, rate_override_reason, room_id }
+ */
+async function checkReservationStay(connection, stay, reservationId) {
+  const { room_type_id, room_id, rate_plan_id, check_in_date, check_out_date, nightly_rate } = stay;
+  const partySize = (parseInt(stay.adults) || 1) + (parseInt(stay.children) || 0);
+
+  if (!isValidDateString(check_in_date) || !isValidDateString(check_out_date) || check_out_date <= check_in_date) {
+    return { status: 400, error: 'Valid check-in and check-out dates are required, check-out after check-in' };
+  }
+
+  const [roomTypes] = await connection.query('SELECT * FROM room_types WHERE id = ? AND is_active = TRUE FOR UPDATE', [room_type_id]);
+  if (roomTypes.length === 0) {
+    return { status: 400, error: 'Room type not found' };
+  }
+
+  const roomType = roomTypes[0];
+
+  if (partySize > roomType.max_occupancy) {
+    return { status: 400, error: `${roomType.name} rooms take at most ${roomType.max_occupancy} guests` };
+  }
+
+  let ratePlan = null;
+  if (rate_plan_id) {
+    const [ratePlans] = await connection.query('SELECT * FROM rate_plans WHERE id = ? AND is_active = TRUE', [rate_plan_id]);
+    if (ratePlans.length === 0) {
+      return { status: 400, error: 'Rate plan not found' };
+    }
+    ratePlan = ratePlans[0];
+  }
+
+  // A specific room can be promised only if no other booking holds it on those nights
+  if (room_id) {
+    const [rooms] = await connection.query('SELECT * FROM rooms WHERE id = ? AND is_active = TRUE', [room_id]);
+    if (rooms.length === 0 || rooms[0].room_type_id !== roomType.id) {
+      return { status: 400, error: `Room is not a ${roomType.name} room` };
+    }
+
+    const clash = await findRoomClash(connection, room_id, check_in_date, check_out_date, reservationId);
+    if (clash) {
+      return { status: 409, error: `Room ${rooms[0].room_number} is already held by reservation ${clash}` };
+    }
+  }
+
+  const availability = await getRoomTypeAvailability(connection, roomType.id, check_in_date, check_out_date, reservationId);
+  const fullNights = availability.nights.filter(night => night.available === 0).map(night => night.date);
+
+  if (fullNights.length > 0) {
+    return { status: 409, error: `No ${roomType.name} rooms available on ${fullNights.join(', ')}` };
+  }
+
+  const listRate = Number(roomType.tariff) + (ratePlan ? Number(ratePlan.nightly_adjustment) : 0);
+  let nightlyRate = listRate;
+  let overrideReason = null;
+
+  if (nightly_rate !== undefined && nightly_rate !== null && nightly_rate !== '') {
+    nightlyRate = Math.round(parseFloat(nightly_rate) * 100) / 100;
+
+    if (!Number.isFinite(nightlyRate) || nightlyRate < 0) {
+      return { status: 400, error: 'Nightly rate must be zero or more' };
+    }
+
+    if (nightlyRate !== listRate) {
+      if (!stay.rate_override_reason || !String(stay.rate_override_reason).trim()) {
+        return { status: 400, error: `A reason is required to charge other than the ${listRate.toFixed(2)} nightly rate` };
+      }
+
+      overrideReason = String(stay.rate_override_reason).trim().slice(0, 255);
+    }
+  }
+
+  return {
+    nightly_rate: nightlyRate,
+    list_rate: listRate,
+    rate_override_reason: overrideReason,
+    room_id: room_id || null
+  };
+}
+
+/**
+ * Read the hotel's business date, the day the next night audit will close.
+ * Falls back to today when it has never been set.
+ * @param {Object} connection - Pool connection
+ * @param {Boolean} forUpdate - Lock the settings row for the rest of the transaction
+ * @returns {String} YYYY-MM-DD
+ */
+async function getBusinessDate(connection, forUpdate = false) {
+  const [settings] = await connection.query(
+    `SELECT DATE_FORMAT(business_date, '%Y-%m-%d') as business_date FROM settings LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`
+  );
+  return (settings.length > 0 && settings[0].business_date) || formatDateOnly(new Date());
+}
+
+/**
+ * Bill a guest's posted room charges on one resort invoice.
+ * Accommodation is supplied where the property is, so the invoice is always intra-state.
+ * @param {Object} connection - Pool connection inside a transaction
+ * @param {Object} guest - guests row
+ * @param {Array} charges - Uninvoiced room_charges rows
+ * @param {Object} buyer - From getInvoiceBuyer
+ * @param {Number} userId - User raising the invoice
+ * @returns {Object} { id, invoice_number }
+ */
+async function createInvoiceFromRoomCharges(connection, guest, charges, buyer, userId) {
+  // Unlike POST /api/invoices, which takes the place of supply from the guest or company
+  // state through resolvePlaceOfSupply, lodging is supplied where the property is (section
+  // 12(3) of the IGST Act), whatever the buyer's state, so room nights are always CGST + SGST
+  const [settings] = await connection.query('SELECT resort_gstin FROM settings LIMIT 1');
+  const placeOfSupply = settings[0].resort_gstin.slice(0, 2);
+
+  const totals = { subtotal: 0, tax_amount: 0, total_amount: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+  const lines = charges.map(charge => {
+    const split = splitGst(Number(charge.gst_amount), 'intra_state');
+    totals.subtotal += Number(charge.rate);
+    totals.tax_amount += Number(charge.gst_amount);
+    totals.total_amount += Number(charge.total);
+    totals.cgst_amount += split.cgst_amount;
+    totals.sgst_amount += split.sgst_amount;
+    return { ...charge, ...split };
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = Math.round(totals[key] * 100) / 100;
+  });
+
+  const invoiceNumber = await getNextSequenceNumber(connection, 'resort');
+
+  const [invoiceResult] = await connection.query(
+    `INSERT INTO invoices 
+     (invoice_number, invoice_date, guest_id, room_number, guest_name, guest_mobile, company_id, buyer_name, buyer_gstin, buyer_address,
+      type, place_of_supply, supply_type, subtotal, cgst_amount, sgst_amount, igst_amount, tax_amount, total_amount,
+      payment_status, payment_method, created_by) 
+     VALUES (?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, 'resort', ?, 'intra_state', ?, ?, ?, ?, ?, ?, 'pending', 'cash', ?)`,
+    [invoiceNumber, guest.id, guest.room_number, guest.name, guest.mobile,
+     buyer.company_id, buyer.buyer_name, buyer.buyer_gstin, buyer.buyer_address, placeOfSupply,
+     totals.subtotal, totals.cgst_amount, totals.sgst_amount, totals.igst_amount, totals.tax_amount, totals.total_amount, userId]
+  );
+
+  const invoiceId = invoiceResult.insertId;
+
+  for (const line of lines) {
+    await connection.query(
+      `INSERT INTO invoice_items 
+       (invoice_id, item_id, service_id, item_name, hsn_sac_code, quantity, rate, gst_percentage, gst_amount, cgst_amount, sgst_amount, igst_amount, total, booking_date) 
+       VALUES (?, NULL, NULL, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [invoiceId, line.description, line.hsn_sac_code, line.rate, line.gst_percentage, line.gst_amount,
+       line.cgst_amount, line.sgst_amount, line.igst_amount, line.total, line.business_date]
+    );
+  }
+
+  await connection.query('UPDATE room_charges SET invoice_id = ? WHERE id IN (?)', [invoiceId, charges.map(charge => charge.id)]);
+
+  return { id: invoiceId, invoice_number: invoiceNumber };
+}
+
+/**
+ * Close the current business date: post the night's room tariff to every in-house
+ * guest's folio, flag guests who should have left, record occupancy, ADR and RevPAR
+ * and move the business date on by one day
+ * @param {Number} userId - User running the audit, null when run by the scheduler
+ * @returns {Object} { error, status } on failure, else the audit summary
+ */
+async function runNightAudit(userId) {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    // Locking settings makes a second audit wait and then see the rolled date
+    const businessDate = await getBusinessDate(connection, true);
+
+    if (businessDate > formatDateOnly(new Date())) {
+      await connection.rollback();
+      return { status: 400, error: `Business date ${businessDate} has not started yet` };
+    }
+
+    const [existingAudits] = await connection.query('SELECT id FROM night_audits WHERE business_date = ?', [businessDate]);
+    if (existingAudits.length > 0) {
+      await connection.rollback();
+      return { status: 409, error: `Night audit for ${businessDate} has already been run` };
+    }
+
+    const [auditResult] = await connection.query(
+      'INSERT INTO night_audits (business_date, total_rooms, run_by) VALUES (?, 0, ?)',
+      [businessDate, userId]
+    );
+    const auditId = auditResult.insertId;
+
+    // Reserved guests pay their booked rate, walk-ins the rack tariff of the room type
+    const [inHouse] = await connection.query(
+      `SELECT g.id as guest_id, g.name as guest_name, r.id as room_id, r.room_number,
+         rt.name as room_type, rt.tariff, rt.gst_percentage, rt.hsn_sac_code,
+         rv.id as reservation_id, rv.nightly_rate, rp.code as rate_plan_code
+       FROM rooms r
+       JOIN guests g ON r.current_guest_id = g.id AND g.is_checked_out = FALSE
+       JOIN room_types rt ON r.room_type_id = rt.id
+       LEFT JOIN reservations rv ON rv.guest_id = g.id AND rv.status = 'checked_in'
+       LEFT JOIN rate_plans rp ON rv.rate_plan_id = rp.id
+       WHERE r.is_active = TRUE
+       ORDER BY r.room_number`
+    );
+
+    const postedCharges = [];
+
+    for (const stay of inHouse) {
+      // A night already posted (e.g. by hand after a failed audit) is not charged twice
+      const [postedNights] = await connection.query(
+        'SELECT id FROM room_charges WHERE guest_id = ? AND business_date = ?',
+        [stay.guest_id, businessDate]
+      );
+      if (postedNights.length > 0) continue;
+
+      const rate = Number(stay.nightly_rate !== null ? stay.nightly_rate : stay.tariff);
+      const gstAmount = Math.round(rate * Number(stay.gst_percentage)) / 100;
+      const total = Math.round((rate + gstAmount) * 100) / 100;
+      const description = `Room ${stay.room_number} - ${stay.room_type}${stay.rate_plan_code ? ` (${stay.rate_plan_code})` : ''}`;
+
+      await connection.query(
+        `INSERT INTO room_charges 
+         (guest_id, reservation_id, room_id, room_number, business_date, description, hsn_sac_code, rate, gst_percentage, gst_amount, total, night_audit_id) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [stay.guest_id, stay.reservation_id, stay.room_id, stay.room_number, businessDate, description,
+         stay.hsn_sac_code, rate, stay.gst_percentage, gstAmount, total, auditId]
+      );
+
+      postedCharges.push({
+        guest_id: stay.guest_id,
+        guest_name: stay.guest_name,
+        room_number: stay.room_number,
+        description,
+        rate,
+        gst_amount: gstAmount,
+        total
+      });
+    }
+
+    await connection.query(
+      `UPDATE guests SET is_overdue = TRUE
+       WHERE is_checked_out = FALSE AND check_out_date IS NOT NULL AND DATE(check_out_date) <= ?`,
+      [businessDate]
+    );
+
+    const [overdueGuests] = await connection.query(
+      `SELECT id, name, mobile, room_number, check_out_date FROM guests
+       WHERE is_checked_out = FALSE AND is_overdue = TRUE
+       ORDER BY check_out_date, room_number`
+    );
+
+    const [roomCounts] = await connection.query(
+      `SELECT COUNT(*) as total_rooms, COALESCE(SUM(status = 'out_of_order'), 0) as out_of_order_rooms
+       FROM rooms WHERE is_active = TRUE`
+    );
+
+    const [revenue] = await connection.query(
+      'SELECT COUNT(*) as rooms_sold, COALESCE(SUM(rate), 0) as room_revenue FROM room_charges WHERE business_date = ?',
+      [businessDate]
+    );
+
+    // Out-of-order rooms cannot be sold, so they are left out of the rooms available
+    const totalRooms = Number(roomCounts[0].total_rooms);
+    const outOfOrderRooms = Number(roomCounts[0].out_of_order_rooms);
+    const availableRooms = totalRooms - outOfOrderRooms;
+    const roomsSold = Number(revenue[0].rooms_sold);
+    const roomRevenue = Number(revenue[0].room_revenue);
+
+    const summary = {
+      id: auditId,
+      business_date: businessDate,
+      total_rooms: totalRooms,
+      out_of_order_rooms: outOfOrderRooms,
+      rooms_available: availableRooms,
+      rooms_sold: roomsSold,
+      room_revenue: Math.round(roomRevenue * 100) / 100,
+      occupancy_percentage: availableRooms > 0 ? Math.round((roomsSold / availableRooms) * 10000) / 100 : 0,
+      adr: roomsSold > 0 ? Math.round((roomRevenue / roomsSold) * 100) / 100 : 0,
+      revpar: availableRooms > 0 ? Math.round((roomRevenue / availableRooms) * 100) / 100 : 0,
+      charges_posted: postedCharges.length,
+      overdue_checkouts: overdueGuests.length
+    };
+
+    await connection.query(
+      `UPDATE night_audits SET total_rooms = ?, out_of_order_rooms = ?, rooms_sold = ?, room_revenue = ?,
+       occupancy_percentage = ?, adr = ?, revpar = ?, charges_posted = ?, overdue_checkouts = ?
+       WHERE id = ?`,
+      [summary.total_rooms, summary.out_of_order_rooms, summary.rooms_sold, summary.room_revenue, summary.occupancy_percentage,
+       summary.adr, summary.revpar, summary.charges_posted, summary.overdue_checkouts, auditId]
+    );
+
+    await connection.query('UPDATE settings SET business_date = DATE_ADD(?, INTERVAL 1 DAY)', [businessDate]);
+
+    await connection.commit();
+
+    return {
+      ...summary,
+      next_business_date: formatDateOnly(new Date(`${businessDate}T00:00:00`).getTime() + 24 * 60 * 60 * 1000),
+      posted_charges: postedCharges,
+      overdue_guests: overdueGuests
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Run a job every day at a set time (HH:MM, server time). Does nothing when no
+ * time is configured, leaving the job to be run by hand.
+ * @param {String} time - HH:MM, usually from an environment variable
+ * @param {String} name - Job name for the log
+ * @param {Function} job - Async function returning { error } or a log message
+ */
+function scheduleDailyJob(time, name, job) {
+  const [hours, minutes] = (time || '').split(':').map(part => parseInt(part));
+  if (isNaN(hours) || isNaN(minutes)) return;
+
+  const nextRun = new Date();
+  nextRun.setHours(hours, minutes, 0, 0);
+  if (nextRun <= new Date()) nextRun.setDate(nextRun.getDate() + 1);
+
+  setTimeout(async () => {
+    try {
+      const result = await job();
+      if (result.error) {
+        console.error(`${name} skipped:`, result.error);
+      } else {
+        console.log(`${name}: ${result.message}`);
+      }
+    } catch (error) {
+      console.error(`Error running ${name.toLowerCase()}:`, error);
+    }
+    scheduleDailyJob(time, name, job);
+  }, nextRun - new Date());
+}
+
+/**
+ * Validate the fields of a company before saving it
+ * @param {Object} company - Request body
+ * @returns {String} Error message, or null when valid
+ */
+function validateCompany(company) {
+  const { name, gstin, billing_address, state_code, contact_email } = company;
+
+  if (!name || !billing_address || !state_code) {
+    return 'Name, billing address, and state code are required';
+  }
+
+  if (!GST_STATE_CODES[state_code]) {
+    return 'Invalid state code';
+  }
+
+  if (gstin) {
+    if (!isValidGstin(gstin)) {
+      return 'Invalid GSTIN';
+    }
+
+    // A registered buyer's state is the one its GSTIN is issued in
+    if (gstin.slice(0, 2) !== state_code) {
+      return 'State code does not match the GSTIN';
+    }
+  }
+
+  if (contact_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact_email)) {
+    return 'Invalid contact email';
+  }
+
+  return null;
+}
+
+// Inter-state B2C invoices above this value are reported invoice-wise (B2CL)
+const B2CL_INVOICE_LIMIT = 100000;
+
+// GSTR-1 sections in the order they appear in the return
+const GSTR1_SECTIONS = ['b2b', 'b2cl', 'b2cs', 'cdnr', 'cdnur', 'hsn'];
+
+/**
+ * Format a date the way the GST offline tool expects it (dd-mm-yyyy)
+ * @param {Date} date - Invoice or note date
+ * @returns {String} Formatted date
+ */
+function formatGstDate(date) {
+  const value = new Date(date);
+  const day = String(value.getDate()).padStart(2, '0');
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  return `${day}-${month}-${value.getFullYear()}`;
+}
+
+/**
+ * Build the GSTR-1 return of one GSTIN (resort or kitchen) for a month.
+ * Invoices with a buyer GSTIN go to B2B, large inter-state consumer invoices to
+ * B2CL and everything else is summarised by state and rate in B2CS. Credit notes
+ * follow the invoice they were issued against. Anything the portal would reject
+ * is collected in errors instead of being thrown, so it can be fixed before export.
+ * @param {String} type - resort or kitchen
+ * @param {String} period - Return period (YYYY-MM)
+ * @returns {Object} { gstin, fp, start_date, end_date, data, receivers, errors }
+ */
+async function buildGstr1(type, period) {
+  const [year, month] = period.split('-').map(Number);
+  const startDate = `${period}-01`;
+  const endDate = `${period}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+  const round = value => Math.round(value * 100) / 100;
+  const errors = [];
+
+  const [settings] = await pool.query('SELECT resort_gstin, kitchen_gstin FROM settings LIMIT 1');
+  const gstin = type === 'resort' ? settings[0].resort_gstin : settings[0].kitchen_gstin;
+
+  if (!isValidGstin(gstin)) {
+    errors.push({ section: 'settings', reference: `${type}_gstin`, message: 'Supplier GSTIN in settings is missing or invalid' });
+  }
+
+  const [invoices] = await pool.query(
+    `SELECT id, invoice_number, invoice_date, company_id, buyer_name, buyer_gstin, place_of_supply, supply_type, total_amount
+     FROM invoices
+     WHERE type = ? AND invoice_date >= ? AND invoice_date <= ?
+     ORDER BY invoice_date, id`,
+    [type, startDate, endDate + ' 23:59:59']
+  );
+
+  const [creditNotes] = await pool.query(
+    `SELECT cn.id, cn.credit_note_number, cn.credit_note_date, cn.total_amount,
+       i.invoice_number, i.company_id, i.buyer_name, i.buyer_gstin, i.place_of_supply, i.supply_type, i.total_amount as invoice_value
+     FROM credit_notes cn
+     JOIN invoices i ON cn.invoice_id = i.id
+     WHERE cn.type = ? AND cn.credit_note_date >= ? AND cn.credit_note_date <= ?
+     ORDER BY cn.credit_note_date, cn.id`,
+    [type, startDate, endDate + ' 23:59:59']
+  );
+
+  // Rate-wise values of every invoice and credit note in the period
+  const invoiceRates = {};
+  const creditNoteRates = {};
+
+  if (invoices.length > 0) {
+    const [rows] = await pool.query(
+      `SELECT invoice_id, gst_percentage, SUM(total - gst_amount) as txval,
+         SUM(igst_amount) as iamt, SUM(cgst_amount) as camt, SUM(sgst_amount) as samt
+       FROM invoice_items
+       WHERE invoice_id IN (?)
+       GROUP BY invoice_id, gst_percentage`,
+      [invoices.map(invoice => invoice.id)]
+    );
+    rows.forEach(row => {
+      (invoiceRates[row.invoice_id] = invoiceRates[row.invoice_id] || []).push(row);
+    });
+  }
+
+  if (creditNotes.length > 0) {
+    const [rows] = await pool.query(
+      `SELECT credit_note_id, gst_percentage, SUM(total - gst_amount) as txval,
+         SUM(igst_amount) as iamt, SUM(cgst_amount) as camt, SUM(sgst_amount) as samt
+       FROM credit_note_items
+       WHERE credit_note_id IN (?)
+       GROUP BY credit_note_id, gst_percentage`,
+      [creditNotes.map(note => note.id)]
+    );
+    rows.forEach(row => {
+      (creditNoteRates[row.credit_note_id] = creditNoteRates[row.credit_note_id] || []).push(row);
+    });
+  }
+
+  const toItems = (rows, interStateOnly) => (rows || []).map((row, index) => ({
+    num: index + 1,
+    itm_det: interStateOnly
+      ? { txval: round(Number(row.txval)), rt: Number(row.gst_percentage), iamt: round(Number(row.iamt)), csamt: 0 }
+      : {
+          txval: round(Number(row.txval)),
+          rt: Number(row.gst_percentage),
+          iamt: round(Number(row.iamt)),
+          camt: round(Number(row.camt)),
+          samt: round(Number(row.samt)),
+          csamt: 0
+        }
+  }));
+
+  /**
+   * Check the buyer and place of supply of an invoice and decide its section
+   * @param {Object} document - Invoice (or the invoice behind a credit note)
+   * @param {String} section - Section used to report errors
+   * @param {String} reference - Invoice or note number used to report errors
+   * @param {Number} value - Invoice value deciding between B2CL and B2CS
+   * @returns {String} b2b, b2cl or b2cs, or null when the document has errors
+   */
+  const classify = (document, section, reference, value) => {
+    let valid = true;
+
+    if (!document.place_of_supply || !GST_STATE_CODES[document.place_of_supply]) {
+      errors.push({ section, reference, message: `Invalid place of supply state code '${document.place_of_supply || ''}'` });
+      valid = false;
+    }
+
+    if (document.buyer_gstin && !isValidGstin(document.buyer_gstin)) {
+      errors.push({ section, reference, message: `Invalid buyer GSTIN '${document.buyer_gstin}'` });
+      valid = false;
+    } else if (!document.buyer_gstin && document.buyer_name && !document.company_id) {
+      // Company invoices without a GSTIN are from unregistered businesses; a typed-in buyer is a slip
+      errors.push({ section, reference, message: `Billed to ${document.buyer_name} but the buyer GSTIN is missing` });
+      valid = false;
+    }
+
+    if (!valid) {
+      return null;
+    }
+
+    if (document.buyer_gstin) {
+      return 'b2b';
+    }
+
+    return document.supply_type === 'inter_state' && Number(value) > B2CL_INVOICE_LIMIT ? 'b2cl' : 'b2cs';
+  };
+
+  const b2b = {};
+  const b2cl = {};
+  const b2cs = {};
+  const cdnr = {};
+  const cdnur = [];
+  const receivers = {};
+
+  // B2C small supplies are reported as one line per supply type, state and rate
+  const addToB2cs = (document, rows, sign) => {
+    (rows || []).forEach(row => {
+      const key = `${document.supply_type}|${document.place_of_supply}|${Number(row.gst_percentage)}`;
+
+      if (!b2cs[key]) {
+        b2cs[key] = {
+          sply_ty: document.supply_type === 'inter_state' ? 'INTER' : 'INTRA',
+          pos: document.place_of_supply,
+          typ: 'OE',
+          rt: Number(row.gst_percentage),
+          txval: 0,
+          iamt: 0,
+          camt: 0,
+          samt: 0,
+          csamt: 0
+        };
+      }
+
+      b2cs[key].txval = round(b2cs[key].txval + sign * Number(row.txval));
+      b2cs[key].iamt = round(b2cs[key].iamt + sign * Number(row.iamt));
+      b2cs[key].camt = round(b2cs[key].camt + sign * Number(row.camt));
+      b2cs[key].samt = round(b2cs[key].samt + sign * Number(row.samt));
+    });
+  };
+
+  invoices.forEach(invoice => {
+    const section = classify(invoice, 'invoices', invoice.invoice_number, invoice.total_amount);
+    const rows = invoiceRates[invoice.id];
+
+    if (section === 'b2b') {
+      receivers[invoice.buyer_gstin] = invoice.buyer_name || '';
+      (b2b[invoice.buyer_gstin] = b2b[invoice.buyer_gstin] || []).push({
+        inum: invoice.invoice_number,
+        idt: formatGstDate(invoice.invoice_date),
+        val: round(Number(invoice.total_amount)),
+        pos: invoice.place_of_supply,
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: toItems(rows, false)
+      });
+    } else if (section === 'b2cl') {
+      (b2cl[invoice.place_of_supply] = b2cl[invoice.place_of_supply] || []).push({
+        inum: invoice.invoice_number,
+        idt: formatGstDate(invoice.invoice_date),
+        val: round(Number(invoice.total_amount)),
+        itms: toItems(rows, true)
+      });
+    } else if (section === 'b2cs') {
+      addToB2cs(invoice, rows, 1);
+    }
+  });
+
+  creditNotes.forEach(note => {
+    const section = classify(note, 'credit_notes', note.credit_note_number, note.invoice_value);
+    const rows = creditNoteRates[note.id];
+
+    if (section === 'b2b') {
+      receivers[note.buyer_gstin] = note.buyer_name || '';
+      (cdnr[note.buyer_gstin] = cdnr[note.buyer_gstin] || []).push({
+        ntty: 'C',
+        nt_num: note.credit_note_number,
+        nt_dt: formatGstDate(note.credit_note_date),
+        val: round(Number(note.total_amount)),
+        pos: note.place_of_supply,
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: toItems(rows, false)
+      });
+    } else if (section === 'b2cl') {
+      cdnur.push({
+        typ: 'B2CL',
+        ntty: 'C',
+        nt_num: note.credit_note_number,
+        nt_dt: formatGstDate(note.credit_note_date),
+        val: round(Number(note.total_amount)),
+        pos: note.place_of_supply,
+        itms: toItems(rows, true)
+      });
+    } else if (section === 'b2cs') {
+      // Credit notes on small consumer invoices are netted off the B2CS summary
+      addToB2cs(note, rows, -1);
+    }
+  });
+
+  const hsnRows = await getHsnSummary(startDate, endDate, type);
+
+  hsnRows.forEach(row => {
+    if (!row.hsn_sac_code) {
+      errors.push({ section: 'hsn', reference: `${row.gst_percentage}%`, message: 'Lines billed without an HSN/SAC code' });
+    }
+  });
+
+  const data = {
+    gstin,
+    fp: `${String(month).padStart(2, '0')}${year}`,
+    b2b: Object.keys(b2b).map(ctin => ({ ctin, inv: b2b[ctin] })),
+    b2cl: Object.keys(b2cl).map(pos => ({ pos, inv: b2cl[pos] })),
+    b2cs: Object.values(b2cs),
+    cdnr: Object.keys(cdnr).map(ctin => ({ ctin, nt: cdnr[ctin] })),
+    cdnur,
+    hsn: {
+      data: hsnRows.filter(row => row.hsn_sac_code).map((row, index) => {
+        // Services (SAC codes start with 99) carry no quantity
+        const isService = row.hsn_sac_code.startsWith('99');
+        return {
+          num: index + 1,
+          hsn_sc: row.hsn_sac_code,
+          uqc: isService ? 'NA' : 'NOS',
+          qty: isService ? 0 : row.quantity,
+          rt: row.gst_percentage,
+          txval: round(row.taxable_value),
+          iamt: round(row.igst_amount),
+          camt: round(row.cgst_amount),
+          samt: round(row.sgst_amount),
+          csamt: 0
+        };
+      })
+    }
+  };
+
+  return { gstin, fp: data.fp, start_date: startDate, end_date: endDate, data, receivers, errors };
+}
+
+/**
+ * Convert a GSTR-1 return into the CSV files of the GST offline tool
+ * @param {Object} gstr1 - Result of buildGstr1
+ * @returns {Object} { 'b2b.csv': csv, ... }
+ */
+function buildGstr1Csv(gstr1) {
+  const { data, receivers } = gstr1;
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  // The CSV templates want dates as 05-Apr-2025 and states as 29-Karnataka
+  const csvDate = gstDate => {
+    const [day, month, year] = gstDate.split('-');
+    return `${day}-${months[Number(month) - 1]}-${year}`;
+  };
+  const csvState = code => `${code}-${GST_STATE_CODES[code]}`;
+  const toCsv = rows => xlsx.utils.sheet_to_csv(xlsx.utils.aoa_to_sheet(rows));
+
+  const b2b = [['GSTIN/UIN of Recipient', 'Receiver Name', 'Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply',
+    'Reverse Charge', 'Applicable % of Tax Rate', 'Invoice Type', 'E-Commerce GSTIN', 'Rate', 'Taxable Value', 'Cess Amount']];
+  data.b2b.forEach(receiver => receiver.inv.forEach(invoice => invoice.itms.forEach(item => {
+    b2b.push([receiver.ctin, receivers[receiver.ctin], invoice.inum, csvDate(invoice.idt), invoice.val, csvState(invoice.pos),
+      invoice.rchrg, '', 'Regular B2B', '', item.itm_det.rt, item.itm_det.txval, item.itm_det.csamt]);
+  })));
+
+  const b2cl = [['Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate',
+    'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN']];
+  data.b2cl.forEach(state => state.inv.forEach(invoice => invoice.itms.forEach(item => {
+    b2cl.push([invoice.inum, csvDate(invoice.idt), invoice.val, csvState(state.pos), '', item.itm_det.rt,
+      item.itm_det.txval, item.itm_det.csamt, '']);
+  })));
+
+  const b2cs = [['Type', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN']];
+  data.b2cs.forEach(row => {
+    b2cs.push([row.typ, csvState(row.pos), '', row.rt, row.txval, row.csamt, '']);
+  });
+
+  const cdnr = [['GSTIN/UIN of Recipient', 'Receiver Name', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply',
+    'Reverse Charge', 'Note Supply Type', 'Note Value', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount']];
+  data.cdnr.forEach(receiver => receiver.nt.forEach(note => note.itms.forEach(item => {
+    cdnr.push([receiver.ctin, receivers[receiver.ctin], note.nt_num, csvDate(note.nt_dt), note.ntty, csvState(note.pos),
+      note.rchrg, 'Regular B2B', note.val, '', item.itm_det.rt, item.itm_det.txval, item.itm_det.csamt]);
+  })));
+
+  const cdnur = [['UR Type', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Note Value', 'Applicable % of Tax Rate',
+    'Rate', 'Taxable Value', 'Cess Amount']];
+  data.cdnur.forEach(note => note.itms.forEach(item => {
+    cdnur.push([note.typ, note.nt_num, csvDate(note.nt_dt), note.ntty, csvState(note.pos), note.val, '',
+      item.itm_det.rt, item.itm_det.txval, item.itm_det.csamt]);
+  }));
+
+  const hsn = [['HSN', 'Description', 'UQC', 'Total Quantity', 'Total Value', 'Taxable Value', 'Integrated Tax Amount',
+    'Central Tax Amount', 'State/UT Tax Amount', 'Cess Amount', 'Rate']];
+  data.hsn.data.forEach(row => {
+    const totalValue = Math.round((row.txval + row.iamt + row.camt + row.samt) * 100) / 100;
+    hsn.push([row.hsn_sc, '', row.uqc, row.qty, totalValue, row.txval, row.iamt, row.camt, row.samt, row.csamt, row.rt]);
+  });
+
+  return {
+    'b2b.csv': toCsv(b2b),
+    'b2cl.csv': toCsv(b2cl),
+    'b2cs.csv': toCsv(b2cs),
+    'cdnr.csv': toCsv(cdnr),
+    'cdnur.csv': toCsv(cdnur),
+    'hsn.csv': toCsv(hsn)
+  };
+}
+
 // Email transport configuration
 const transporter = nodemailer.createTransport({
   host: process.env.EMAIL_HOST,
@@ -71,465 +3473,4997 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-// Authentication middleware
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Authentication middleware
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'No token provided' });
+  }
+
+  try {
+    const verified = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = verified;
+    
+    // Check if user still exists in database
+    const [users] = await pool.query('SELECT id, username, role FROM users WHERE id = ?', [verified.id]);
+    
+    if (users.length === 0) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+    
+    req.user.role = users[0].role;
+    next();
+  } catch (err) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// Admin middleware
+const isAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Access denied. Admin role required.' });
+  }
+  next();
+};
+
+// Kitchen staff middleware
+const isKitchenStaff = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.role !== 'kitchen') {
+    return res.status(403).json({ message: 'Access denied. Kitchen role required.' });
+  }
+  next();
+};
+
+// Reception staff middleware
+const isReception = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.role !== 'reception') {
+    return res.status(403).json({ message: 'Access denied. Reception role required.' });
+  }
+  next();
+};
+
+// Auth Routes
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    // Validate input
+    if (!username || !password) {
+      return res.status(400).json({ message: 'Username and password are required' });
+    }
+    
+    // Check if user exists
+    const [users] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+    
+    if (users.length === 0) {
+      return res.status(401).json({ message: 'Invalid username or password' });
+    }
+    
+    const user = users[0];
+    
+    // Check password
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ message: 'Invalid username or password' });
+    }
+    
+    // Create token
+    const token = jwt.sign(
+      { id: user.id, username: user.username, role: user.role },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN }
+    );
+    
+    res.status(200).json({
+      message: 'Login successful',
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        full_name: user.full_name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// User Management Routes
+app.get('/api/users', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [users] = await pool.query('SELECT id, username, full_name, email, role, created_at FROM users');
+    res.status(200).json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/users', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { username, password, full_name, email, role } = req.body;
+    
+    // Validate input
+    if (!username || !password || !full_name || !role) {
+      return res.status(400).json({ message: 'All fields are required' });
+    }
+    
+    // Check if username already exists
+    const [existingUsers] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+    if (existingUsers.length > 0) {
+      return res.status(400).json({ message: 'Username already exists' });
+    }
+    
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    // Insert new user
+    const [result] = await pool.query(
+      'INSERT INTO users (username, password, full_name, email, role) VALUES (?, ?, ?, ?, ?)',
+      [username, hashedPassword, full_name, email, role]
+    );
+    
+    res.status(201).json({
+      message: 'User created successfully',
+      user: {
+        id: result.insertId,
+        username,
+        full_name,
+        email,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/users/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { full_name, email, role } = req.body;
+    
+    // Update user without changing password
+    await pool.query(
+      'UPDATE users SET full_name = ?, email = ?, role = ? WHERE id = ?',
+      [full_name, email, role, userId]
+    );
+    
+    res.status(200).json({ message: 'User updated successfully' });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/users/:id/password', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { password } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+    
+    // Hash and update password
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await pool.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+    
+    res.status(200).json({ message: 'Password updated successfully' });
+  } catch (error) {
+    console.error('Error updating password:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/users/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    
+    // Prevent deleting self
+    if (parseInt(userId) === req.user.id) {
+      return res.status(400).json({ message: 'Cannot delete your own account' });
+    }
+    
+    await pool.query('DELETE FROM users WHERE id = ?', [userId]);
+    res.status(200).json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Settings Routes
+app.get('/api/settings', async (req, res) => {
+  try {
+    const [settings] = await pool.query('SELECT * FROM settings LIMIT 1');
+    
+    if (settings.length === 0) {
+      return res.status(404).json({ message: 'Settings not found' });
+    }
+    
+    res.status(200).json(settings[0]);
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/settings', authenticateToken, isAdmin, upload.single('logo'), async (req, res) => {
+  try {
+    const { resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate } = req.body;
+    
+    let logo_path = null;
+    if (req.file) {
+      logo_path = req.file.path.replace(/\\/g, '/').replace('uploads/', '');
+    }
+    
+    // Update settings
+    const updateQuery = logo_path
+      ? 'UPDATE settings SET resort_name = ?, resort_gstin = ?, kitchen_gstin = ?, resort_address = ?, resort_contact = ?, resort_email = ?, tax_rate = ?, logo_path = ? WHERE id = 1'
+      : 'UPDATE settings SET resort_name = ?, resort_gstin = ?, kitchen_gstin = ?, resort_address = ?, resort_contact = ?, resort_email = ?, tax_rate = ? WHERE id = 1';
+    
+    const updateParams = logo_path
+      ? [resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate, logo_path]
+      : [resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate];
+    
+    await pool.query(updateQuery, updateParams);
+    
+    res.status(200).json({ message: 'Settings updated successfully' });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Number Series Routes
+app.get('/api/settings/number-series', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const financialYear = getFinancialYear(new Date());
+
+    const [series] = await pool.query(
+      `SELECT ns.*, COALESCE(nsc.last_value, 0) as last_value
+       FROM number_series ns
+       LEFT JOIN number_sequence_counters nsc ON nsc.series = ns.series AND nsc.financial_year = ?
+       ORDER BY ns.id`,
+      [financialYear]
+    );
+
+    // Show what the next number of each series will look like
+    const data = series.map(row => ({
+      ...row,
+      financial_year: financialYear,
+      next_number: formatSequenceNumber(row, financialYear, row.last_value + 1)
+    }));
+
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error fetching number series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/settings/number-series/:series', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const series = req.params.series;
+    const { prefix, format, padding } = req.body;
+
+    if (!NUMBER_SERIES.includes(series)) {
+      return res.status(404).json({ message: 'Number series not found' });
+    }
+
+    if (!prefix || !format) {
+      return res.status(400).json({ message: 'Prefix and format are required' });
+    }
+
+    // GST invoice numbers may only contain letters, digits, '-' and '/'
+    if (!/^[A-Za-z0-9\/-]+$/.test(prefix)) {
+      return res.status(400).json({ message: 'Prefix may only contain letters, digits, - and /' });
+    }
+
+    // Counters reset every financial year, so the year must be part of the number to keep it unique
+    if (!format.includes('{SEQ}') || (!format.includes('{FY}') && !format.includes('{FY_FULL}'))) {
+      return res.status(400).json({ message: 'Format must contain {SEQ} and {FY} or {FY_FULL}' });
+    }
+
+    const paddingValue = parseInt(padding || 5);
+    if (isNaN(paddingValue) || paddingValue < 1 || paddingValue > 10) {
+      return res.status(400).json({ message: 'Padding must be between 1 and 10' });
+    }
+
+    const sample = formatSequenceNumber({ prefix, format, padding: paddingValue }, getFinancialYear(new Date()), 1);
+
+    if (!/^[A-Za-z0-9\/-]+$/.test(sample)) {
+      return res.status(400).json({ message: 'Format may only contain letters, digits, - and / besides the tokens' });
+    }
+
+    if (sample.length > 16) {
+      return res.status(400).json({ message: `Numbers in this format (e.g. ${sample}) exceed 16 characters` });
+    }
+
+    await pool.query(
+      'UPDATE number_series SET prefix = ?, format = ?, padding = ? WHERE series = ?',
+      [prefix, format, paddingValue, series]
+    );
+
+    res.status(200).json({ message: 'Number series updated successfully', sample });
+  } catch (error) {
+    console.error('Error updating number series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Menu Category Routes
+app.get('/api/menu-categories', async (req, res) => {
+  try {
+    const { include_inactive } = req.query;
+    
+    let query = `
+      SELECT c.*, (SELECT COUNT(*) FROM menu_items mi WHERE mi.category_id = c.id) as item_count
+      FROM menu_categories c
+    `;
+    
+    if (include_inactive !== 'true') {
+      query += ' WHERE c.is_active = TRUE';
+    }
+    
+    query += ' ORDER BY c.sort_order, c.name';
+    
+    const [categories] = await pool.query(query);
+    
+    // Nest subcategories under their parents; a subcategory of a hidden parent is hidden too
+    const tree = categories
+      .filter(category => !category.parent_id)
+      .map(category => ({
+        ...category,
+        subcategories: categories.filter(subcategory => subcategory.parent_id === category.id)
+      }));
+    
+    res.status(200).json(tree);
+  } catch (error) {
+    console.error('Error fetching menu categories:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/menu-categories', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, parent_id, sort_order } = req.body;
+    
+    const categoryError = await validateMenuCategory(pool, req.body, 0);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO menu_categories (name, parent_id, sort_order) VALUES (?, ?, ?)',
+      [name, parent_id || null, parseInt(sort_order) || 0]
+    );
+    
+    res.status(201).json({
+      message: 'Menu category created successfully',
+      category: {
+        id: result.insertId,
+        name,
+        parent_id: parent_id || null,
+        sort_order: parseInt(sort_order) || 0,
+        is_active: true
+      }
+    });
+  } catch (error) {
+    console.error('Error creating menu category:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the display order of many categories at once, e.g. after drag and drop
+app.put('/api/menu-categories/sort-order', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { categories } = req.body;
+    
+    if (!Array.isArray(categories) || categories.some(category => !category.id || isNaN(parseInt(category.sort_order)))) {
+      return res.status(400).json({ message: 'A list of category ids with their sort order is required' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      for (const category of categories) {
+        await connection.query('UPDATE menu_categories SET sort_order = ? WHERE id = ?', [parseInt(category.sort_order), category.id]);
+      }
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Menu category order updated successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating menu category order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/menu-categories/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const categoryId = req.params.id;
+    const { name, parent_id, sort_order, is_active } = req.body;
+    
+    const categoryError = await validateMenuCategory(pool, req.body, categoryId);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    
+    const [result] = await pool.query(
+      'UPDATE menu_categories SET name = ?, parent_id = ?, sort_order = ?, is_active = ? WHERE id = ?',
+      [name, parent_id || null, parseInt(sort_order) || 0, is_active === undefined ? true : is_active, categoryId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Menu category not found' });
+    }
+    
+    res.status(200).json({ message: 'Menu category updated successfully' });
+  } catch (error) {
+    console.error('Error updating menu category:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/menu-categories/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const categoryId = req.params.id;
+    
+    // Check if category is being used
+    const [subcategories] = await pool.query('SELECT id FROM menu_categories WHERE parent_id = ? LIMIT 1', [categoryId]);
+    if (subcategories.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete category as it has subcategories' });
+    }
+    
+    const [items] = await pool.query('SELECT id FROM menu_items WHERE category_id = ? LIMIT 1', [categoryId]);
+    if (items.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete category as it has menu items, move them or deactivate the category instead' });
+    }
+    
+    const [result] = await pool.query('DELETE FROM menu_categories WHERE id = ?', [categoryId]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Menu category not found' });
+    }
+    
+    res.status(200).json({ message: 'Menu category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting menu category:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Menu Schedule Routes
+app.get('/api/menu-schedules', async (req, res) => {
+  try {
+    const [schedules] = await pool.query(
+      `SELECT s.*, (SELECT COUNT(*) FROM menu_items mi WHERE mi.schedule_id = s.id) as item_count
+       FROM menu_schedules s
+       ORDER BY s.start_time, s.name`
+    );
+    
+    res.status(200).json(schedules.map(schedule => ({ ...schedule, days_of_week: schedule.days_of_week.split(',') })));
+  } catch (error) {
+    console.error('Error fetching menu schedules:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/menu-schedules', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, start_time, end_time, days_of_week } = req.body;
+    
+    const scheduleError = await validateMenuSchedule(pool, req.body, 0);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+    
+    const days = days_of_week || WEEKDAYS;
+    
+    const [result] = await pool.query(
+      'INSERT INTO menu_schedules (name, start_time, end_time, days_of_week) VALUES (?, ?, ?, ?)',
+      [name, start_time, end_time, days.join(',')]
+    );
+    
+    res.status(201).json({
+      message: 'Menu schedule created successfully',
+      schedule: {
+        id: result.insertId,
+        name,
+        start_time,
+        end_time,
+        days_of_week: days
+      }
+    });
+  } catch (error) {
+    console.error('Error creating menu schedule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/menu-schedules/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const scheduleId = req.params.id;
+    const { name, start_time, end_time, days_of_week } = req.body;
+    
+    const scheduleError = await validateMenuSchedule(pool, req.body, scheduleId);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+    
+    const [result] = await pool.query(
+      'UPDATE menu_schedules SET name = ?, start_time = ?, end_time = ?, days_of_week = ? WHERE id = ?',
+      [name, start_time, end_time, (days_of_week || WEEKDAYS).join(','), scheduleId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Menu schedule not found' });
+    }
+    
+    res.status(200).json({ message: 'Menu schedule updated successfully' });
+  } catch (error) {
+    console.error('Error updating menu schedule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/menu-schedules/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const scheduleId = req.params.id;
+    
+    // Removing a schedule would quietly put its items on the menu all day
+    const [items] = await pool.query('SELECT id FROM menu_items WHERE schedule_id = ? LIMIT 1', [scheduleId]);
+    if (items.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete schedule as it is used by menu items' });
+    }
+    
+    const [result] = await pool.query('DELETE FROM menu_schedules WHERE id = ?', [scheduleId]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Menu schedule not found' });
+    }
+    
+    res.status(200).json({ message: 'Menu schedule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting menu schedule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Menu Items Routes
+app.get('/api/menu-items', async (req, res) => {
+  try {
+    const { type, category_id, active_only, available_now } = req.query;
+    
+    let query = `
+      SELECT mi.*, c.name as category_name, c.parent_id as parent_category_id, pc.name as parent_category_name,
+        EXISTS (SELECT 1 FROM menu_item_option_groups g WHERE g.item_id = mi.id AND g.is_active = TRUE) as has_options,
+        s.name as schedule_name, s.start_time as schedule_start_time, s.end_time as schedule_end_time, s.days_of_week as schedule_days
+      FROM menu_items mi
+      LEFT JOIN menu_categories c ON mi.category_id = c.id
+      LEFT JOIN menu_categories pc ON c.parent_id = pc.id
+      LEFT JOIN menu_schedules s ON mi.schedule_id = s.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    if (type) {
+      query += ' AND mi.type = ?';
+      params.push(type);
+    }
+    
+    // A category's items include those of its subcategories
+    if (category_id) {
+      query += ' AND (mi.category_id = ? OR c.parent_id = ?)';
+      params.push(category_id, category_id);
+    }
+    
+    if (active_only === 'true') {
+      query += ' AND mi.is_active = TRUE AND (c.id IS NULL OR (c.is_active = TRUE AND (pc.id IS NULL OR pc.is_active = TRUE)))';
+    }
+    
+    // Menu order: categories by sort order with each subcategory after its parent, uncategorized items last
+    query += `
+      ORDER BY c.id IS NULL, COALESCE(pc.sort_order, c.sort_order), COALESCE(pc.id, c.id),
+        c.parent_id IS NOT NULL, c.sort_order, c.id, mi.sort_order, mi.name
+    `;
+    
+    const [rows] = await pool.query(query, params);
+    
+    const now = new Date();
+    let items = rows.map(item => {
+      const unavailableReason = getMenuItemUnavailableReason(item, now);
+      
+      return {
+        ...item,
+        sold_out_today: unavailableReason === 'sold_out',
+        available_now: unavailableReason === null,
+        unavailable_reason: unavailableReason
+      };
+    });
+    
+    if (available_now === 'true') {
+      items = items.filter(item => item.available_now);
+    }
+    
+    res.status(200).json(items);
+  } catch (error) {
+    console.error('Error fetching menu items:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+app.post('/api/menu-items', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, description, price, gst_percentage, hsn_sac_code, type, category_id, schedule_id, sort_order } = req.body;
+    
+    if (!name || !price || !type || !gst_percentage) {
+      return res.status(400).json({ message: 'Name, price, GST percentage, and type are required' });
+    }
+    
+    if (hsn_sac_code && !HSN_SAC_PATTERN.test(hsn_sac_code)) {
+      return res.status(400).json({ message: 'HSN/SAC code must be 4, 6 or 8 digits' });
+    }
+    
+    if (category_id) {
+      const [categories] = await pool.query('SELECT id FROM menu_categories WHERE id = ?', [category_id]);
+      if (categories.length === 0) {
+        return res.status(400).json({ message: 'Menu category not found' });
+      }
+    }
+    
+    if (schedule_id) {
+      const [schedules] = await pool.query('SELECT id FROM menu_schedules WHERE id = ?', [schedule_id]);
+      if (schedules.length === 0) {
+        return res.status(400).json({ message: 'Menu schedule not found' });
+      }
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO menu_items (name, description, price, gst_percentage, hsn_sac_code, type, category_id, schedule_id, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [name, description || null, price, gst_percentage, hsn_sac_code || null, type, category_id || null, schedule_id || null, parseInt(sort_order) || 0]
+    );
+    
+    await savePriceVersion(pool, 'item_id', result.insertId, { price, effective_from: formatDateOnly(new Date()) }, req.user.id);
+    
+    res.status(201).json({
+      message: 'Menu item created successfully',
+      item: {
+        id: result.insertId,
+        name,
+        description,
+        price,
+        gst_percentage,
+        hsn_sac_code: hsn_sac_code || null,
+        type,
+        category_id: category_id || null,
+        schedule_id: schedule_id || null,
+        sort_order: parseInt(sort_order) || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error creating menu item:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/menu-items/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    const { name, description, price, gst_percentage, hsn_sac_code, type, is_active, category_id, schedule_id, sort_order } = req.body;
+    
+    if (hsn_sac_code && !HSN_SAC_PATTERN.test(hsn_sac_code)) {
+      return res.status(400).json({ message: 'HSN/SAC code must be 4, 6 or 8 digits' });
+    }
+    
+    if (category_id) {
+      const [categories] = await pool.query('SELECT id FROM menu_categories WHERE id = ?', [category_id]);
+      if (categories.length === 0) {
+        return res.status(400).json({ message: 'Menu category not found' });
+      }
+    }
+    
+    if (schedule_id) {
+      const [schedules] = await pool.query('SELECT id FROM menu_schedules WHERE id = ?', [schedule_id]);
+      if (schedules.length === 0) {
+        return res.status(400).json({ message: 'Menu schedule not found' });
+      }
+    }
+    
+    const [items] = await pool.query('SELECT price FROM menu_items WHERE id = ?', [itemId]);
+    
+    if (items.length === 0) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+    
+    await pool.query(
+      'UPDATE menu_items SET name = ?, description = ?, price = ?, gst_percentage = ?, hsn_sac_code = ?, type = ?, is_active = ?, category_id = ?, schedule_id = ?, sort_order = ? WHERE id = ?',
+      [name, description || null, price, gst_percentage, hsn_sac_code || null, type, is_active, category_id || null, schedule_id || null,
+       parseInt(sort_order) || 0, itemId]
+    );
+    
+    // A price edited here takes effect today; later changes are scheduled through the prices routes
+    if (Number(items[0].price) !== Number(price)) {
+      await savePriceVersion(pool, 'item_id', itemId, { price, effective_from: formatDateOnly(new Date()) }, req.user.id);
+    }
+    
+    res.status(200).json({ message: 'Menu item updated successfully' });
+  } catch (error) {
+    console.error('Error updating menu item:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/menu-items/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    
+    // Check if item is being used
+    const [invoiceItems] = await pool.query('SELECT * FROM invoice_items WHERE item_id = ? LIMIT 1', [itemId]);
+    if (invoiceItems.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete item as it is used in invoices' });
+    }
+    
+    await pool.query('DELETE FROM menu_items WHERE id = ?', [itemId]);
+    res.status(200).json({ message: 'Menu item deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting menu item:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a menu item sold out for the rest of today, or back on the menu
+app.put('/api/menu-items/:id/sold-out', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    const { sold_out } = req.body;
+    
+    if (typeof sold_out !== 'boolean') {
+      return res.status(400).json({ message: 'sold_out must be true or false' });
+    }
+    
+    const soldOutOn = sold_out ? formatDateOnly(new Date()) : null;
+    
+    const [result] = await pool.query('UPDATE menu_items SET sold_out_on = ? WHERE id = ?', [soldOutOn, itemId]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+    
+    res.status(200).json({
+      message: sold_out ? 'Menu item marked sold out for today' : 'Menu item is available again',
+      sold_out_on: soldOutOn
+    });
+  } catch (error) {
+    console.error('Error updating menu item sold out status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Menu items in the import sheet format, to edit and upload again
+app.get('/api/menu-items/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+    
+    const wb = await buildCatalogWorkbook(pool, 'menu_items');
+    
+    // A CSV file only holds the first sheet
+    const fileBuffer = xlsx.write(wb, { bookType: format, type: 'buffer' });
+    
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=menu_items.${format}`);
+    res.setHeader('Content-Length', fileBuffer.length);
+    
+    res.send(fileBuffer);
+  } catch (error) {
+    console.error('Error exporting menu items:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import menu items from a sheet. A dry run (the default) only reports what would change;
+// with dry_run=false every row is applied in one transaction, or none is if any row is invalid
+app.post('/api/menu-items/import', authenticateToken, isAdmin, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Import file is required' });
+    }
+    
+    // The upload is only needed while it is read
+    const sheet = readCatalogSheet(req.file.path, req.file.originalname, 'menu_items');
+    await fs.remove(req.file.path);
+    
+    if (sheet.error) {
+      return res.status(400).json({ message: sheet.error });
+    }
+    
+    const dryRun = req.body.dry_run !== 'false';
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const plan = await planCatalogImport(connection, 'menu_items', sheet.rows, req.body.deactivate_missing === 'true');
+      
+      if (plan.errors.length > 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          message: `${plan.errors.length} row${plan.errors.length > 1 ? 's have' : ' has'} errors, nothing was imported`,
+          errors: plan.errors
+        });
+      }
+      
+      if (!dryRun) {
+        await applyCatalogImport(connection, 'menu_items', plan, req.user.id);
+      }
+      
+      await connection.commit();
+      
+      res.status(200).json({
+        message: dryRun ? 'Dry run, nothing was changed' : 'Menu items imported successfully',
+        dry_run: dryRun,
+        summary: plan.summary,
+        create: plan.create,
+        update: plan.update,
+        deactivate: plan.deactivate
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error importing menu items:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Price history of a menu item, with the price on a given date when one is asked for
+app.get('/api/menu-items/:id/prices', authenticateToken, async (req, res) => {
+  try {
+    const { date } = req.query;
+    
+    if (date && !isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+    
+    const [rows] = await pool.query('SELECT id, name, price FROM menu_items WHERE id = ?', [req.params.id]);
+    
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+    
+    const versions = await getPriceHistory(pool, 'item_id', rows[0].id);
+    
+    const response = { menu_item: rows[0], versions };
+    if (date) {
+      response.price_on_date = { date, price: await getCatalogPriceOn(pool, 'item_id', rows[0].id, date) };
+    }
+    
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error fetching menu item prices:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schedule a price change; one starting today takes effect at once
+app.post('/api/menu-items/:id/prices', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { price, effective_from, notes } = req.body;
+    
+    if (isNaN(parseFloat(price)) || parseFloat(price) <= 0) {
+      return res.status(400).json({ message: 'Price must be a number greater than zero' });
+    }
+    
+    if (!isValidDateString(effective_from) || effective_from < formatDateOnly(new Date())) {
+      return res.status(400).json({ message: 'Effective from must be today or a later date (YYYY-MM-DD)' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [rows] = await connection.query('SELECT id FROM menu_items WHERE id = ? FOR UPDATE', [req.params.id]);
+      
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Menu item not found' });
+      }
+      
+      const versionId = await savePriceVersion(connection, 'item_id', rows[0].id, { price: parseFloat(price), effective_from, notes }, req.user.id);
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: effective_from === formatDateOnly(new Date()) ? 'Price changed successfully' : 'Price change scheduled successfully',
+        price_id: versionId
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error saving menu item price:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a scheduled price change; prices already in effect are history and stay
+app.delete('/api/menu-items/:id/prices/:priceId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [versions] = await connection.query(
+        `SELECT id, DATE_FORMAT(effective_from, '%Y-%m-%d') as effective_from FROM catalog_prices WHERE id = ? AND item_id = ? FOR UPDATE`,
+        [req.params.priceId, req.params.id]
+      );
+      
+      if (versions.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Price not found' });
+      }
+      
+      if (versions[0].effective_from <= formatDateOnly(new Date())) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Only a scheduled price change can be cancelled' });
+      }
+      
+      await connection.query('DELETE FROM catalog_prices WHERE id = ?', [versions[0].id]);
+      await relinkPriceVersions(connection, 'item_id', req.params.id);
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Scheduled price change cancelled successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error cancelling menu item price change:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recipe of a menu item: the ingredients used in one portion
+app.get('/api/menu-items/:id/recipe', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const [items] = await pool.query('SELECT id, name FROM menu_items WHERE id = ?', [req.params.id]);
+    
+    if (items.length === 0) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+    
+    const [ingredients] = await pool.query(
+      `SELECT r.ingredient_id, i.name, i.unit, r.quantity
+       FROM menu_item_recipes r
+       JOIN ingredients i ON r.ingredient_id = i.id
+       WHERE r.item_id = ?
+       ORDER BY i.name`,
+      [req.params.id]
+    );
+    
+    res.status(200).json({ item: items[0], ingredients });
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the recipe of a menu item; an empty list clears it
+app.put('/api/menu-items/:id/recipe', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    const { ingredients } = req.body;
+    
+    if (!Array.isArray(ingredients)) {
+      return res.status(400).json({ message: 'A list of ingredients is required' });
+    }
+    
+    if (ingredients.some(line => !line.ingredient_id || isNaN(parseFloat(line.quantity)) || parseFloat(line.quantity) <= 0)) {
+      return res.status(400).json({ message: 'Each ingredient needs an ingredient_id and a quantity greater than zero' });
+    }
+    
+    const ingredientIds = ingredients.map(line => Number(line.ingredient_id));
+    if (new Set(ingredientIds).size !== ingredientIds.length) {
+      return res.status(400).json({ message: 'An ingredient is listed more than once' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [items] = await connection.query('SELECT id FROM menu_items WHERE id = ?', [itemId]);
+      
+      if (items.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Menu item not found' });
+      }
+      
+      if (ingredientIds.length > 0) {
+        const [found] = await connection.query('SELECT id FROM ingredients WHERE id IN (?)', [ingredientIds]);
+        
+        if (found.length !== ingredientIds.length) {
+          await connection.rollback();
+          return res.status(400).json({ message: 'Ingredient not found' });
+        }
+      }
+      
+      await connection.query('DELETE FROM menu_item_recipes WHERE item_id = ?', [itemId]);
+      
+      for (const line of ingredients) {
+        await connection.query(
+          'INSERT INTO menu_item_recipes (item_id, ingredient_id, quantity) VALUES (?, ?, ?)',
+          [itemId, line.ingredient_id, parseFloat(line.quantity)]
+        );
+      }
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Recipe saved successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error saving recipe:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Variant and modifier groups of a menu item, with their options
+app.get('/api/menu-items/:id/options', async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    const { include_inactive } = req.query;
+    
+    const activeFilter = include_inactive === 'true' ? '' : ' AND is_active = TRUE';
+    
+    const [groups] = await pool.query(
+      `SELECT * FROM menu_item_option_groups WHERE item_id = ?${activeFilter} ORDER BY sort_order, id`,
+      [itemId]
+    );
+    
+    let options = [];
+    if (groups.length > 0) {
+      [options] = await pool.query(
+        `SELECT * FROM menu_item_options WHERE group_id IN (?)${activeFilter} ORDER BY sort_order, id`,
+        [groups.map(group => group.id)]
+      );
+    }
+    
+    res.status(200).json(groups.map(group => ({
+      ...group,
+      options: options.filter(option => option.group_id === group.id)
+    })));
+  } catch (error) {
+    console.error('Error fetching menu item options:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/menu-items/:id/option-groups', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    const { name, group_type, min_select, max_select, sort_order, options } = req.body;
+    
+    const groupError = validateOptionGroup(req.body);
+    if (groupError) {
+      return res.status(400).json({ message: groupError });
+    }
+    
+    const [items] = await pool.query('SELECT id FROM menu_items WHERE id = ?', [itemId]);
+    if (items.length === 0) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+    
+    // Only one variant group per item, since its price replaces the item price
+    if (group_type === 'variant') {
+      const [variantGroups] = await pool.query(
+        "SELECT id FROM menu_item_option_groups WHERE item_id = ? AND group_type = 'variant' AND is_active = TRUE",
+        [itemId]
+      );
+      if (variantGroups.length > 0) {
+        return res.status(400).json({ message: 'This item already has a variant group' });
+      }
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [groupResult] = await connection.query(
+        'INSERT INTO menu_item_option_groups (item_id, name, group_type, min_select, max_select, sort_order) VALUES (?, ?, ?, ?, ?, ?)',
+        [itemId, name, group_type, group_type === 'variant' ? 1 : parseInt(min_select) || 0,
+         group_type === 'variant' ? 1 : parseInt(max_select) || 1, parseInt(sort_order) || 0]
+      );
+      
+      for (const [index, option] of options.entries()) {
+        await connection.query(
+          'INSERT INTO menu_item_options (group_id, name, price, sort_order) VALUES (?, ?, ?, ?)',
+          [groupResult.insertId, option.name, parseFloat(option.price), option.sort_order === undefined ? index + 1 : parseInt(option.sort_order) || 0]
+        );
+      }
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Option group created successfully',
+        group: {
+          id: groupResult.insertId,
+          item_id: Number(itemId),
+          name,
+          group_type
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating option group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a group; options with an id are updated, new ones added and missing ones deactivated
+app.put('/api/menu-items/:id/option-groups/:groupId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id: itemId, groupId } = req.params;
+    const { name, min_select, max_select, sort_order, is_active, options } = req.body;
+    
+    const [groups] = await pool.query('SELECT * FROM menu_item_option_groups WHERE id = ? AND item_id = ?', [groupId, itemId]);
+    
+    if (groups.length === 0) {
+      return res.status(404).json({ message: 'Option group not found' });
+    }
+    
+    const group = groups[0];
+    
+    // The type of a group is fixed once created
+    const groupError = validateOptionGroup({ ...req.body, group_type: group.group_type });
+    if (groupError) {
+      return res.status(400).json({ message: groupError });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      await connection.query(
+        'UPDATE menu_item_option_groups SET name = ?, min_select = ?, max_select = ?, sort_order = ?, is_active = ? WHERE id = ?',
+        [name, group.group_type === 'variant' ? 1 : parseInt(min_select) || 0, group.group_type === 'variant' ? 1 : parseInt(max_select) || 1,
+         parseInt(sort_order) || 0, is_active === undefined ? true : is_active, group.id]
+      );
+      
+      const keptIds = [];
+      
+      for (const [index, option] of options.entries()) {
+        const optionSort = option.sort_order === undefined ? index + 1 : parseInt(option.sort_order) || 0;
+        
+        if (option.id) {
+          const [updated] = await connection.query(
+            'UPDATE menu_item_options SET name = ?, price = ?, sort_order = ?, is_active = TRUE WHERE id = ? AND group_id = ?',
+            [option.name, parseFloat(option.price), optionSort, option.id, group.id]
+          );
+          
+          if (updated.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: `Option ${option.id} does not belong to this group` });
+          }
+          
+          keptIds.push(Number(option.id));
+        } else {
+          const [inserted] = await connection.query(
+            'INSERT INTO menu_item_options (group_id, name, price, sort_order) VALUES (?, ?, ?, ?)',
+            [group.id, option.name, parseFloat(option.price), optionSort]
+          );
+          keptIds.push(inserted.insertId);
+        }
+      }
+      
+      // Options already on orders are kept for reference, just no longer offered
+      await connection.query(
+        'UPDATE menu_item_options SET is_active = FALSE WHERE group_id = ? AND id NOT IN (?)',
+        [group.id, keptIds]
+      );
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Option group updated successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating option group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/menu-items/:id/option-groups/:groupId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id: itemId, groupId } = req.params;
+    
+    // Orders keep their own copy of the options chosen, so the group can go
+    const [result] = await pool.query('DELETE FROM menu_item_option_groups WHERE id = ? AND item_id = ?', [groupId, itemId]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Option group not found' });
+    }
+    
+    res.status(200).json({ message: 'Option group deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting option group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Services Routes
+app.get('/api/services', async (req, res) => {
+  try {
+    const [services] = await pool.query('SELECT * FROM services');
+    res.status(200).json(services);
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/services', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, description, price, gst_percentage, hsn_sac_code } = req.body;
+    
+    if (!name || !price || !gst_percentage) {
+      return res.status(400).json({ message: 'Name, price, and GST percentage are required' });
+    }
+    
+    if (hsn_sac_code && !HSN_SAC_PATTERN.test(hsn_sac_code)) {
+      return res.status(400).json({ message: 'HSN/SAC code must be 4, 6 or 8 digits' });
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO services (name, description, price, gst_percentage, hsn_sac_code) VALUES (?, ?, ?, ?, ?)',
+      [name, description || null, price, gst_percentage, hsn_sac_code || null]
+    );
+    
+    await savePriceVersion(pool, 'service_id', result.insertId, { price, effective_from: formatDateOnly(new Date()) }, req.user.id);
+    
+    res.status(201).json({
+      message: 'Service created successfully',
+      service: {
+        id: result.insertId,
+        name,
+        description,
+        price,
+        gst_percentage,
+        hsn_sac_code: hsn_sac_code || null
+      }
+    });
+  } catch (error) {
+    console.error('Error creating service:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/services/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const serviceId = req.params.id;
+    const { name, description, price, gst_percentage, hsn_sac_code, is_active } = req.body;
+    
+    if (hsn_sac_code && !HSN_SAC_PATTERN.test(hsn_sac_code)) {
+      return res.status(400).json({ message: 'HSN/SAC code must be 4, 6 or 8 digits' });
+    }
+    
+    const [services] = await pool.query('SELECT price FROM services WHERE id = ?', [serviceId]);
+    
+    if (services.length === 0) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    
+    await pool.query(
+      'UPDATE services SET name = ?, description = ?, price = ?, gst_percentage = ?, hsn_sac_code = ?, is_active = ? WHERE id = ?',
+      [name, description || null, price, gst_percentage, hsn_sac_code || null, is_active, serviceId]
+    );
+    
+    // A price edited here takes effect today; later changes are scheduled through the prices routes
+    if (Number(services[0].price) !== Number(price)) {
+      await savePriceVersion(pool, 'service_id', serviceId, { price, effective_from: formatDateOnly(new Date()) }, req.user.id);
+    }
+    
+    res.status(200).json({ message: 'Service updated successfully' });
+  } catch (error) {
+    console.error('Error updating service:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/services/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const serviceId = req.params.id;
+    
+    // Check if service is being used
+    const [invoiceItems] = await pool.query('SELECT * FROM invoice_items WHERE service_id = ? LIMIT 1', [serviceId]);
+    if (invoiceItems.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete service as it is used in invoices' });
+    }
+    
+    await pool.query('DELETE FROM services WHERE id = ?', [serviceId]);
+    res.status(200).json({ message: 'Service deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting service:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Services in the import sheet format, to edit and upload again
+app.get('/api/services/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+    
+    const wb = await buildCatalogWorkbook(pool, 'services');
+    
+    // A CSV file only holds the first sheet
+    const fileBuffer = xlsx.write(wb, { bookType: format, type: 'buffer' });
+    
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=services.${format}`);
+    res.setHeader('Content-Length', fileBuffer.length);
+    
+    res.send(fileBuffer);
+  } catch (error) {
+    console.error('Error exporting services:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import services from a sheet. A dry run (the default) only reports what would change;
+// with dry_run=false every row is applied in one transaction, or none is if any row is invalid
+app.post('/api/services/import', authenticateToken, isAdmin, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Import file is required' });
+    }
+    
+    // The upload is only needed while it is read
+    const sheet = readCatalogSheet(req.file.path, req.file.originalname, 'services');
+    await fs.remove(req.file.path);
+    
+    if (sheet.error) {
+      return res.status(400).json({ message: sheet.error });
+    }
+    
+    const dryRun = req.body.dry_run !== 'false';
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const plan = await planCatalogImport(connection, 'services', sheet.rows, req.body.deactivate_missing === 'true');
+      
+      if (plan.errors.length > 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          message: `${plan.errors.length} row${plan.errors.length > 1 ? 's have' : ' has'} errors, nothing was imported`,
+          errors: plan.errors
+        });
+      }
+      
+      if (!dryRun) {
+        await applyCatalogImport(connection, 'services', plan, req.user.id);
+      }
+      
+      await connection.commit();
+      
+      res.status(200).json({
+        message: dryRun ? 'Dry run, nothing was changed' : 'Services imported successfully',
+        dry_run: dryRun,
+        summary: plan.summary,
+        create: plan.create,
+        update: plan.update,
+        deactivate: plan.deactivate
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error importing services:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Price history of a service, with the price on a given date when one is asked for
+app.get('/api/services/:id/prices', authenticateToken, async (req, res) => {
+  try {
+    const { date } = req.query;
+    
+    if (date && !isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+    
+    const [rows] = await pool.query('SELECT id, name, price FROM services WHERE id = ?', [req.params.id]);
+    
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    
+    const versions = await getPriceHistory(pool, 'service_id', rows[0].id);
+    
+    const response = { service: rows[0], versions };
+    if (date) {
+      response.price_on_date = { date, price: await getCatalogPriceOn(pool, 'service_id', rows[0].id, date) };
+    }
+    
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error fetching service prices:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schedule a price change; one starting today takes effect at once
+app.post('/api/services/:id/prices', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { price, effective_from, notes } = req.body;
+    
+    if (isNaN(parseFloat(price)) || parseFloat(price) <= 0) {
+      return res.status(400).json({ message: 'Price must be a number greater than zero' });
+    }
+    
+    if (!isValidDateString(effective_from) || effective_from < formatDateOnly(new Date())) {
+      return res.status(400).json({ message: 'Effective from must be today or a later date (YYYY-MM-DD)' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [rows] = await connection.query('SELECT id FROM services WHERE id = ? FOR UPDATE', [req.params.id]);
+      
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Service not found' });
+      }
+      
+      const versionId = await savePriceVersion(connection, 'service_id', rows[0].id, { price: parseFloat(price), effective_from, notes }, req.user.id);
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: effective_from === formatDateOnly(new Date()) ? 'Price changed successfully' : 'Price change scheduled successfully',
+        price_id: versionId
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error saving service price:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a scheduled price change; prices already in effect are history and stay
+app.delete('/api/services/:id/prices/:priceId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [versions] = await connection.query(
+        `SELECT id, DATE_FORMAT(effective_from, '%Y-%m-%d') as effective_from FROM catalog_prices WHERE id = ? AND service_id = ? FOR UPDATE`,
+        [req.params.priceId, req.params.id]
+      );
+      
+      if (versions.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Price not found' });
+      }
+      
+      if (versions[0].effective_from <= formatDateOnly(new Date())) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Only a scheduled price change can be cancelled' });
+      }
+      
+      await connection.query('DELETE FROM catalog_prices WHERE id = ?', [versions[0].id]);
+      await relinkPriceVersions(connection, 'service_id', req.params.id);
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Scheduled price change cancelled successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error cancelling service price change:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ingredient Routes
+app.get('/api/ingredients', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { low_stock, include_inactive } = req.query;
+    
+    let query = `
+      SELECT i.*, i.reorder_level > 0 AND i.current_stock <= i.reorder_level as is_low_stock,
+        (SELECT COUNT(*) FROM menu_item_recipes r WHERE r.ingredient_id = i.id) as recipe_count
+      FROM ingredients i
+      WHERE 1=1
+    `;
+    
+    if (include_inactive !== 'true') {
+      query += ' AND i.is_active = TRUE';
+    }
+    
+    if (low_stock === 'true') {
+      query += ' AND i.reorder_level > 0 AND i.current_stock <= i.reorder_level';
+    }
+    
+    query += ' ORDER BY i.name';
+    
+    const [ingredients] = await pool.query(query);
+    res.status(200).json(ingredients);
+  } catch (error) {
+    console.error('Error fetching ingredients:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/ingredients', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, unit, reorder_level, opening_stock } = req.body;
+    
+    const ingredientError = await validateIngredient(pool, req.body, 0);
+    if (ingredientError) {
+      return res.status(400).json({ message: ingredientError });
+    }
+    
+    if (opening_stock !== undefined && (isNaN(parseFloat(opening_stock)) || parseFloat(opening_stock) < 0)) {
+      return res.status(400).json({ message: 'Opening stock must be zero or more' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [result] = await connection.query(
+        'INSERT INTO ingredients (name, unit, reorder_level) VALUES (?, ?, ?)',
+        [name, unit, parseFloat(reorder_level) || 0]
+      );
+      
+      // Opening stock goes through the ledger like any other movement
+      if (parseFloat(opening_stock) > 0) {
+        await postStockMovement(connection, result.insertId, {
+          movement_type: 'opening',
+          quantity: parseFloat(opening_stock),
+          notes: 'Opening stock'
+        }, req.user.id);
+      }
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Ingredient created successfully',
+        ingredient: {
+          id: result.insertId,
+          name,
+          unit,
+          current_stock: parseFloat(opening_stock) || 0,
+          reorder_level: parseFloat(reorder_level) || 0
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating ingredient:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stock is not edited here; it only moves through ledger entries
+app.put('/api/ingredients/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const ingredientId = req.params.id;
+    const { name, unit, reorder_level, is_active } = req.body;
+    
+    const ingredientError = await validateIngredient(pool, req.body, ingredientId);
+    if (ingredientError) {
+      return res.status(400).json({ message: ingredientError });
+    }
+    
+    const [result] = await pool.query(
+      'UPDATE ingredients SET name = ?, unit = ?, reorder_level = ?, is_active = ? WHERE id = ?',
+      [name, unit, parseFloat(reorder_level) || 0, is_active === undefined ? true : is_active, ingredientId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Ingredient not found' });
+    }
+    
+    res.status(200).json({ message: 'Ingredient updated successfully' });
+  } catch (error) {
+    console.error('Error updating ingredient:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/ingredients/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const ingredientId = req.params.id;
+    
+    // Check if ingredient is being used
+    const [recipes] = await pool.query('SELECT id FROM menu_item_recipes WHERE ingredient_id = ? LIMIT 1', [ingredientId]);
+    if (recipes.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete ingredient as it is used in recipes' });
+    }
+    
+    const [movements] = await pool.query('SELECT id FROM stock_movements WHERE ingredient_id = ? LIMIT 1', [ingredientId]);
+    if (movements.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete ingredient as it has stock history, deactivate it instead' });
+    }
+    
+    const [purchases] = await pool.query('SELECT id FROM purchase_order_items WHERE ingredient_id = ? LIMIT 1', [ingredientId]);
+    if (purchases.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete ingredient as it is on purchase orders, deactivate it instead' });
+    }
+    
+    const [result] = await pool.query('DELETE FROM ingredients WHERE id = ?', [ingredientId]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Ingredient not found' });
+    }
+    
+    res.status(200).json({ message: 'Ingredient deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting ingredient:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Correct the stock of an ingredient, by a quantity or to a counted stock after a stock take
+app.post('/api/ingredients/:id/adjustments', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const ingredientId = req.params.id;
+    const { quantity, counted_stock, notes } = req.body;
+    
+    if ((quantity === undefined) === (counted_stock === undefined)) {
+      return res.status(400).json({ message: 'Give either a quantity or a counted stock' });
+    }
+    
+    if (isNaN(parseFloat(quantity === undefined ? counted_stock : quantity))) {
+      return res.status(400).json({ message: 'Quantity must be a number' });
+    }
+    
+    if (!notes) {
+      return res.status(400).json({ message: 'A reason for the adjustment is required' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [ingredients] = await connection.query('SELECT current_stock FROM ingredients WHERE id = ? FOR UPDATE', [ingredientId]);
+      
+      if (ingredients.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Ingredient not found' });
+      }
+      
+      const change = quantity === undefined
+        ? parseFloat(counted_stock) - Number(ingredients[0].current_stock)
+        : parseFloat(quantity);
+      
+      if (change === 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Stock is already at this level' });
+      }
+      
+      const ingredient = await postStockMovement(connection, ingredientId, {
+        movement_type: 'adjustment',
+        quantity: change,
+        notes
+      }, req.user.id);
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Stock adjusted successfully',
+        quantity: change,
+        current_stock: ingredient.current_stock
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vendor Routes
+app.get('/api/vendors', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { search, include_inactive } = req.query;
+    
+    let query = 'SELECT * FROM vendors WHERE 1=1';
+    let params = [];
+    
+    if (include_inactive !== 'true') {
+      query += ' AND is_active = TRUE';
+    }
+    
+    if (search) {
+      query += ' AND (name LIKE ? OR gstin LIKE ? OR contact_person LIKE ?)';
+      params = [`%${search}%`, `%${search}%`, `%${search}%`];
+    }
+    
+    query += ' ORDER BY name';
+    
+    const [vendors] = await pool.query(query, params);
+    res.status(200).json(vendors);
+  } catch (error) {
+    console.error('Error fetching vendors:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/vendors/:id', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    
+    const [vendors] = await pool.query('SELECT * FROM vendors WHERE id = ?', [vendorId]);
+    
+    if (vendors.length === 0) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+    
+    const [purchaseOrders] = await pool.query(
+      'SELECT id, po_number, order_date, status, total_amount FROM purchase_orders WHERE vendor_id = ? ORDER BY order_date DESC, id DESC',
+      [vendorId]
+    );
+    
+    const [bills] = await pool.query(
+      'SELECT id, bill_number, bill_date, total_amount, itc_eligible FROM vendor_bills WHERE vendor_id = ? ORDER BY bill_date DESC, id DESC',
+      [vendorId]
+    );
+    
+    res.status(200).json({
+      ...vendors[0],
+      purchase_orders: purchaseOrders,
+      bills
+    });
+  } catch (error) {
+    console.error('Error fetching vendor:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/vendors', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, address, state_code, contact_person, contact_email, contact_phone } = req.body;
+    const gstin = req.body.gstin ? req.body.gstin.trim().toUpperCase() : null;
+    
+    const validationError = validateVendor({ ...req.body, gstin });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    if (gstin) {
+      const [existing] = await pool.query('SELECT id FROM vendors WHERE gstin = ?', [gstin]);
+      if (existing.length > 0) {
+        return res.status(400).json({ message: 'A vendor with this GSTIN already exists' });
+      }
+    }
+    
+    const [result] = await pool.query(
+      `INSERT INTO vendors (name, gstin, address, state_code, contact_person, contact_email, contact_phone) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, gstin, address, state_code, contact_person || null, contact_email || null, contact_phone || null]
+    );
+    
+    res.status(201).json({
+      message: 'Vendor created successfully',
+      vendor: {
+        id: result.insertId,
+        name,
+        gstin,
+        address,
+        state_code,
+        contact_person: contact_person || null,
+        contact_email: contact_email || null,
+        contact_phone: contact_phone || null,
+        is_active: true
+      }
+    });
+  } catch (error) {
+    console.error('Error creating vendor:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/vendors/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const { name, address, state_code, contact_person, contact_email, contact_phone, is_active } = req.body;
+    const gstin = req.body.gstin ? req.body.gstin.trim().toUpperCase() : null;
+    
+    const validationError = validateVendor({ ...req.body, gstin });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    if (gstin) {
+      const [existing] = await pool.query('SELECT id FROM vendors WHERE gstin = ? AND id != ?', [gstin, vendorId]);
+      if (existing.length > 0) {
+        return res.status(400).json({ message: 'A vendor with this GSTIN already exists' });
+      }
+    }
+    
+    // Bills already entered keep the vendor GSTIN they were entered with
+    const [result] = await pool.query(
+      `UPDATE vendors SET name = ?, gstin = ?, address = ?, state_code = ?, contact_person = ?, 
+       contact_email = ?, contact_phone = ?, is_active = ? WHERE id = ?`,
+      [name, gstin, address, state_code, contact_person || null, contact_email || null, contact_phone || null,
+       is_active === undefined ? true : is_active, vendorId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+    
+    res.status(200).json({ message: 'Vendor updated successfully' });
+  } catch (error) {
+    console.error('Error updating vendor:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/vendors/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    
+    // Check if vendor has been bought from
+    const [purchaseOrders] = await pool.query('SELECT id FROM purchase_orders WHERE vendor_id = ? LIMIT 1', [vendorId]);
+    const [receipts] = await pool.query('SELECT id FROM goods_receipts WHERE vendor_id = ? LIMIT 1', [vendorId]);
+    if (purchaseOrders.length > 0 || receipts.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete vendor as it has purchases, deactivate it instead' });
+    }
+    
+    const [result] = await pool.query('DELETE FROM vendors WHERE id = ?', [vendorId]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+    
+    res.status(200).json({ message: 'Vendor deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting vendor:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Purchase Order Routes
+app.get('/api/purchase-orders', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { status, vendor_id } = req.query;
+    
+    let query = `
+      SELECT po.*, v.name as vendor_name, u.username as created_by_name
+      FROM purchase_orders po
+      JOIN vendors v ON po.vendor_id = v.id
+      LEFT JOIN users u ON po.created_by = u.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    if (status) {
+      query += ' AND po.status = ?';
+      params.push(status);
+    }
+    
+    if (vendor_id) {
+      query += ' AND po.vendor_id = ?';
+      params.push(vendor_id);
+    }
+    
+    query += ' ORDER BY po.order_date DESC, po.id DESC';
+    
+    const [purchaseOrders] = await pool.query(query, params);
+    res.status(200).json(purchaseOrders);
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/purchase-orders/:id', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const purchaseOrderId = req.params.id;
+    
+    const [purchaseOrders] = await pool.query(
+      `SELECT po.*, v.name as vendor_name, v.gstin as vendor_gstin, u.username as created_by_name
+       FROM purchase_orders po
+       JOIN vendors v ON po.vendor_id = v.id
+       LEFT JOIN users u ON po.created_by = u.id
+       WHERE po.id = ?`,
+      [purchaseOrderId]
+    );
+    
+    if (purchaseOrders.length === 0) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    
+    const [items] = await pool.query(
+      `SELECT poi.*, i.name as ingredient_name, i.unit
+       FROM purchase_order_items poi
+       JOIN ingredients i ON poi.ingredient_id = i.id
+       WHERE poi.purchase_order_id = ?`,
+      [purchaseOrderId]
+    );
+    
+    const [receipts] = await pool.query(
+      'SELECT id, grn_number, receipt_date, total_amount FROM goods_receipts WHERE purchase_order_id = ? ORDER BY receipt_date, id',
+      [purchaseOrderId]
+    );
+    
+    res.status(200).json({
+      ...purchaseOrders[0],
+      items,
+      receipts
+    });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/purchase-orders', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { vendor_id, expected_date, notes, items } = req.body;
+    
+    if (!vendor_id) {
+      return res.status(400).json({ message: 'Vendor is required' });
+    }
+    
+    if (expected_date && !isValidDateString(expected_date)) {
+      return res.status(400).json({ message: 'Expected date must be YYYY-MM-DD' });
+    }
+    
+    const linesError = validatePurchaseLines(items);
+    if (linesError) {
+      return res.status(400).json({ message: linesError });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [vendors] = await connection.query('SELECT id FROM vendors WHERE id = ? AND is_active = TRUE', [vendor_id]);
+      
+      if (vendors.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Vendor not found or inactive' });
+      }
+      
+      const ingredientIds = [...new Set(items.map(item => Number(item.ingredient_id)))];
+      const [ingredients] = await connection.query('SELECT id FROM ingredients WHERE id IN (?) AND is_active = TRUE', [ingredientIds]);
+      
+      if (ingredients.length !== ingredientIds.length) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Ingredient not found or inactive' });
+      }
+      
+      const poNumber = await getNextSequenceNumber(connection, 'purchase_order');
+      
+      // Calculate totals
+      let subtotal = 0;
+      let taxAmount = 0;
+      
+      for (const item of items) {
+        const amount = parseFloat(item.quantity) * parseFloat(item.rate);
+        subtotal += amount;
+        taxAmount += amount * (parseFloat(item.gst_percentage) / 100);
+      }
+      
+      const [result] = await connection.query(
+        `INSERT INTO purchase_orders (po_number, vendor_id, order_date, expected_date, subtotal, tax_amount, total_amount, notes, created_by) 
+         VALUES (?, ?, CURDATE(), ?, ?, ?, ?, ?, ?)`,
+        [poNumber, vendor_id, expected_date || null, subtotal, taxAmount, subtotal + taxAmount, notes || null, req.user.id]
+      );
+      
+      for (const item of items) {
+        await connection.query(
+          'INSERT INTO purchase_order_items (purchase_order_id, ingredient_id, quantity, rate, gst_percentage) VALUES (?, ?, ?, ?, ?)',
+          [result.insertId, item.ingredient_id, parseFloat(item.quantity), parseFloat(item.rate), parseFloat(item.gst_percentage)]
+        );
+      }
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Purchase order created successfully',
+        purchase_order: {
+          id: result.insertId,
+          po_number: poNumber,
+          subtotal,
+          tax_amount: taxAmount,
+          total_amount: subtotal + taxAmount
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a purchase order nothing has been received against
+app.post('/api/purchase-orders/:id/cancel', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const [purchaseOrders] = await pool.query('SELECT status FROM purchase_orders WHERE id = ?', [req.params.id]);
+    
+    if (purchaseOrders.length === 0) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    
+    if (purchaseOrders[0].status !== 'open') {
+      return res.status(400).json({ message: `Cannot cancel a purchase order that is ${purchaseOrders[0].status.replace('_', ' ')}` });
+    }
+    
+    await pool.query("UPDATE purchase_orders SET status = 'cancelled' WHERE id = ? AND status = 'open'", [req.params.id]);
+    
+    res.status(200).json({ message: 'Purchase order cancelled successfully' });
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Goods Receipt Routes
+app.get('/api/goods-receipts', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { start_date, end_date, vendor_id, unbilled } = req.query;
+    
+    let query = `
+      SELECT gr.*, v.name as vendor_name, po.po_number, vb.bill_number
+      FROM goods_receipts gr
+      JOIN vendors v ON gr.vendor_id = v.id
+      LEFT JOIN purchase_orders po ON gr.purchase_order_id = po.id
+      LEFT JOIN vendor_bills vb ON gr.vendor_bill_id = vb.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    if (start_date && end_date) {
+      query += ' AND gr.receipt_date BETWEEN ? AND ?';
+      params.push(start_date, end_date);
+    }
+    
+    if (vendor_id) {
+      query += ' AND gr.vendor_id = ?';
+      params.push(vendor_id);
+    }
+    
+    if (unbilled === 'true') {
+      query += ' AND gr.vendor_bill_id IS NULL';
+    }
+    
+    query += ' ORDER BY gr.receipt_date DESC, gr.id DESC';
+    
+    const [receipts] = await pool.query(query, params);
+    res.status(200).json(receipts);
+  } catch (error) {
+    console.error('Error fetching goods receipts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/goods-receipts/:id', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const receiptId = req.params.id;
+    
+    const [receipts] = await pool.query(
+      `SELECT gr.*, v.name as vendor_name, v.gstin as vendor_gstin, po.po_number, vb.bill_number, u.username as created_by_name
+       FROM goods_receipts gr
+       JOIN vendors v ON gr.vendor_id = v.id
+       LEFT JOIN purchase_orders po ON gr.purchase_order_id = po.id
+       LEFT JOIN vendor_bills vb ON gr.vendor_bill_id = vb.id
+       LEFT JOIN users u ON gr.created_by = u.id
+       WHERE gr.id = ?`,
+      [receiptId]
+    );
+    
+    if (receipts.length === 0) {
+      return res.status(404).json({ message: 'Goods receipt not found' });
+    }
+    
+    const [items] = await pool.query(
+      `SELECT gri.*, i.name as ingredient_name, i.unit
+       FROM goods_receipt_items gri
+       JOIN ingredients i ON gri.ingredient_id = i.id
+       WHERE gri.goods_receipt_id = ?`,
+      [receiptId]
+    );
+    
+    res.status(200).json({
+      ...receipts[0],
+      items
+    });
+  } catch (error) {
+    console.error('Error fetching goods receipt:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Receive goods, against a purchase order or directly from a vendor. Lines against an
+// order default to its rate and GST and cannot exceed what is still to come.
+app.post('/api/goods-receipts', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { purchase_order_id, vendor_id, receipt_date, notes, items } = req.body;
+    const receiptDate = receipt_date || formatDateOnly(new Date());
+    
+    if (!isValidDateString(receiptDate) || receiptDate > formatDateOnly(new Date())) {
+      return res.status(400).json({ message: 'Receipt date must be a date up to today (YYYY-MM-DD)' });
+    }
+    
+    if (!purchase_order_id && !vendor_id) {
+      return res.status(400).json({ message: 'Purchase order or vendor is required' });
+    }
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'At least one item is required' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      let receiptVendorId = vendor_id;
+      let lines = items;
+      let orderItems = [];
+      
+      if (purchase_order_id) {
+        const [purchaseOrders] = await connection.query('SELECT * FROM purchase_orders WHERE id = ? FOR UPDATE', [purchase_order_id]);
+        
+        if (purchaseOrders.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        
+        if (!['open', 'partially_received'].includes(purchaseOrders[0].status)) {
+          await connection.rollback();
+          return res.status(400).json({ message: `Purchase order is ${purchaseOrders[0].status}` });
+        }
+        
+        receiptVendorId = purchaseOrders[0].vendor_id;
+        
+        [orderItems] = await connection.query('SELECT * FROM purchase_order_items WHERE purchase_order_id = ?', [purchase_order_id]);
+        
+        lines = [];
+        // A line of the order may arrive in several batches on one receipt
+        const receivedByLine = new Map();
+        for (const item of items) {
+          const orderItem = orderItems.find(entry => entry.id === Number(item.purchase_order_item_id));
+          
+          if (!orderItem) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Each item must be a line of the purchase order' });
+          }
+          
+          const received = (receivedByLine.get(orderItem.id) || 0) + parseFloat(item.quantity);
+          receivedByLine.set(orderItem.id, received);
+          
+          const remaining = Number(orderItem.quantity) - Number(orderItem.received_quantity);
+          if (received > remaining) {
+            await connection.rollback();
+            return res.status(400).json({ message: `Only ${remaining} left to receive on a line of the purchase order` });
+          }
+          
+          lines.push({
+            purchase_order_item_id: orderItem.id,
+            ingredient_id: orderItem.ingredient_id,
+            quantity: item.quantity,
+            rate: item.rate === undefined ? orderItem.rate : item.rate,
+            gst_percentage: item.gst_percentage === undefined ? orderItem.gst_percentage : item.gst_percentage
+          });
+        }
+      } else {
+        const [vendors] = await connection.query('SELECT id FROM vendors WHERE id = ? AND is_active = TRUE', [vendor_id]);
+        
+        if (vendors.length === 0) {
+          await connection.rollback();
+          return res.status(400).json({ message: 'Vendor not found or inactive' });
+        }
+      }
+      
+      const linesError = validatePurchaseLines(lines);
+      if (linesError) {
+        await connection.rollback();
+        return res.status(400).json({ message: linesError });
+      }
+      
+      const ingredientIds = [...new Set(lines.map(line => Number(line.ingredient_id)))];
+      const [ingredients] = await connection.query('SELECT id FROM ingredients WHERE id IN (?)', [ingredientIds]);
+      
+      if (ingredients.length !== ingredientIds.length) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Ingredient not found' });
+      }
+      
+      const grnNumber = await getNextSequenceNumber(connection, 'goods_receipt', new Date(receiptDate));
+      
+      const [result] = await connection.query(
+        `INSERT INTO goods_receipts (grn_number, vendor_id, purchase_order_id, receipt_date, subtotal, tax_amount, total_amount, notes, created_by) 
+         VALUES (?, ?, ?, ?, 0, 0, 0, ?, ?)`,
+        [grnNumber, receiptVendorId, purchase_order_id || null, receiptDate, notes || null, req.user.id]
+      );
+      
+      const receipt = { id: result.insertId, grn_number: grnNumber };
+      let subtotal = 0;
+      let taxAmount = 0;
+      
+      // Ingredient order keeps row locks in the same order across concurrent receipts
+      const sortedLines = [...lines].sort((a, b) => a.ingredient_id - b.ingredient_id);
+      
+      for (const line of sortedLines) {
+        const quantity = parseFloat(line.quantity);
+        const rate = parseFloat(line.rate);
+        const gstPercentage = parseFloat(line.gst_percentage);
+        const amount = Math.round(quantity * rate * 100) / 100;
+        const gstAmount = Math.round(amount * gstPercentage) / 100;
+        
+        await connection.query(
+          `INSERT INTO goods_receipt_items 
+           (goods_receipt_id, purchase_order_item_id, ingredient_id, quantity, rate, amount, gst_percentage, gst_amount, total) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [receipt.id, line.purchase_order_item_id || null, line.ingredient_id, quantity, rate, amount, gstPercentage, gstAmount, Math.round((amount + gstAmount) * 100) / 100]
+        );
+        
+        await receiveStock(connection, { ingredient_id: Number(line.ingredient_id), quantity, rate }, receipt, req.user.id);
+        
+        if (line.purchase_order_item_id) {
+          await connection.query(
+            'UPDATE purchase_order_items SET received_quantity = received_quantity + ? WHERE id = ?',
+            [quantity, line.purchase_order_item_id]
+          );
+        }
+        
+        subtotal = Math.round((subtotal + amount) * 100) / 100;
+        taxAmount = Math.round((taxAmount + gstAmount) * 100) / 100;
+      }
+      
+      await connection.query(
+        'UPDATE goods_receipts SET subtotal = ?, tax_amount = ?, total_amount = ? WHERE id = ?',
+        [subtotal, taxAmount, Math.round((subtotal + taxAmount) * 100) / 100, receipt.id]
+      );
+      
+      if (purchase_order_id) {
+        const [pending] = await connection.query(
+          'SELECT id FROM purchase_order_items WHERE purchase_order_id = ? AND received_quantity < quantity LIMIT 1',
+          [purchase_order_id]
+        );
+        
+        await connection.query(
+          'UPDATE purchase_orders SET status = ? WHERE id = ?',
+          [pending.length > 0 ? 'partially_received' : 'received', purchase_order_id]
+        );
+      }
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Goods received successfully',
+        goods_receipt: {
+          id: receipt.id,
+          grn_number: grnNumber,
+          subtotal,
+          tax_amount: taxAmount,
+          total_amount: subtotal + taxAmount
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error receiving goods:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vendor Bill Routes
+app.get('/api/vendor-bills', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { start_date, end_date, vendor_id } = req.query;
+    
+    let query = `
+      SELECT vb.*, v.name as vendor_name
+      FROM vendor_bills vb
+      JOIN vendors v ON vb.vendor_id = v.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    if (start_date && end_date) {
+      query += ' AND vb.bill_date BETWEEN ? AND ?';
+      params.push(start_date, end_date);
+    }
+    
+    if (vendor_id) {
+      query += ' AND vb.vendor_id = ?';
+      params.push(vendor_id);
+    }
+    
+    query += ' ORDER BY vb.bill_date DESC, vb.id DESC';
+    
+    const [bills] = await pool.query(query, params);
+    res.status(200).json(bills);
+  } catch (error) {
+    console.error('Error fetching vendor bills:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enter a vendor's bill for goods already received. Its amounts come from the goods
+// receipts it covers, split into CGST + SGST or IGST by the vendor's state.
+app.post('/api/vendor-bills', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { goods_receipt_ids, bill_number, bill_date, itc_eligible } = req.body;
+    const type = req.body.type || 'kitchen';
+    
+    if (!bill_number || !isValidDateString(bill_date)) {
+      return res.status(400).json({ message: 'Bill number and bill date (YYYY-MM-DD) are required' });
+    }
+    
+    if (!['resort', 'kitchen'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be resort or kitchen' });
+    }
+    
+    if (!Array.isArray(goods_receipt_ids) || goods_receipt_ids.length === 0) {
+      return res.status(400).json({ message: 'At least one goods receipt is required' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [receipts] = await connection.query(
+        'SELECT id, vendor_id, vendor_bill_id, subtotal, tax_amount FROM goods_receipts WHERE id IN (?) FOR UPDATE',
+        [goods_receipt_ids]
+      );
+      
+      if (receipts.length !== new Set(goods_receipt_ids.map(Number)).size) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Goods receipt not found' });
+      }
+      
+      if (new Set(receipts.map(receipt => receipt.vendor_id)).size > 1) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'All goods receipts on a bill must be from the same vendor' });
+      }
+      
+      if (receipts.some(receipt => receipt.vendor_bill_id)) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'A goods receipt has already been billed' });
+      }
+      
+      const [vendors] = await connection.query('SELECT * FROM vendors WHERE id = ?', [receipts[0].vendor_id]);
+      const vendor = vendors[0];
+      
+      const [existing] = await connection.query(
+        'SELECT id FROM vendor_bills WHERE vendor_id = ? AND bill_number = ?',
+        [vendor.id, bill_number]
+      );
+      if (existing.length > 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'This bill has already been entered for the vendor' });
+      }
+      
+      // Goods are supplied where they are received, so the buying business's state decides the tax split
+      const [settings] = await connection.query('SELECT resort_gstin, kitchen_gstin FROM settings LIMIT 1');
+      const recipientGstin = type === 'resort' ? settings[0].resort_gstin : settings[0].kitchen_gstin;
+      const supplyType = vendor.state_code === recipientGstin.slice(0, 2) ? 'intra_state' : 'inter_state';
+      
+      const taxableAmount = receipts.reduce((sum, receipt) => sum + Number(receipt.subtotal), 0);
+      const taxAmount = receipts.reduce((sum, receipt) => sum + Number(receipt.tax_amount), 0);
+      const taxSplit = splitGst(taxAmount, supplyType);
+      
+      // Only a registered vendor's bill carries input tax credit
+      const itcEligible = Boolean(vendor.gstin) && itc_eligible !== false;
+      
+      const [result] = await connection.query(
+        `INSERT INTO vendor_bills 
+         (vendor_id, vendor_gstin, bill_number, bill_date, type, supply_type, taxable_amount, cgst_amount, sgst_amount, igst_amount,
+          tax_amount, total_amount, itc_eligible, created_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [vendor.id, vendor.gstin, bill_number, bill_date, type, supplyType, taxableAmount, taxSplit.cgst_amount, taxSplit.sgst_amount,
+         taxSplit.igst_amount, taxAmount, taxableAmount + taxAmount, itcEligible, req.user.id]
+      );
+      
+      await connection.query('UPDATE goods_receipts SET vendor_bill_id = ? WHERE id IN (?)', [result.insertId, goods_receipt_ids]);
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Vendor bill entered successfully',
+        bill: {
+          id: result.insertId,
+          bill_number,
+          supply_type: supplyType,
+          taxable_amount: taxableAmount,
+          ...taxSplit,
+          tax_amount: taxAmount,
+          total_amount: taxableAmount + taxAmount,
+          itc_eligible: itcEligible
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error entering vendor bill:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a bill entered by mistake; its goods receipts can then be billed again
+app.delete('/api/vendor-bills/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const billId = req.params.id;
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      await connection.query('UPDATE goods_receipts SET vendor_bill_id = NULL WHERE vendor_bill_id = ?', [billId]);
+      const [result] = await connection.query('DELETE FROM vendor_bills WHERE id = ?', [billId]);
+      
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Vendor bill not found' });
+      }
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Vendor bill deleted successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error deleting vendor bill:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Room Type Routes
+app.get('/api/room-types', authenticateToken, async (req, res) => {
+  try {
+    const [roomTypes] = await pool.query(
+      `SELECT rt.*, COUNT(r.id) as room_count
+       FROM room_types rt
+       LEFT JOIN rooms r ON r.room_type_id = rt.id AND r.is_active = TRUE
+       GROUP BY rt.id
+       ORDER BY rt.tariff`
+    );
+    res.status(200).json(roomTypes);
+  } catch (error) {
+    console.error('Error fetching room types:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/room-types', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { name, description, tariff, gst_percentage, hsn_sac_code, max_occupancy } = req.body;
+    
+    if (!name || !tariff || gst_percentage === undefined || !max_occupancy) {
+      return res.status(400).json({ message: 'Name, tariff, GST percentage, and max occupancy are required' });
+    }
+    
+    if (hsn_sac_code && !HSN_SAC_PATTERN.test(hsn_sac_code)) {
+      return res.status(400).json({ message: 'HSN/SAC code must be 4, 6 or 8 digits' });
+    }
+    
+    // Check if room type already exists
+    const [existingTypes] = await pool.query('SELECT id FROM room_types WHERE name = ?', [name]);
+    if (existingTypes.length > 0) {
+      return res.status(400).json({ message: 'A room type with this name already exists' });
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO room_types (name, description, tariff, gst_percentage, hsn_sac_code, max_occupancy) VALUES (?, ?, ?, ?, ?, ?)',
+      [name, description || null, tariff, gst_percentage, hsn_sac_code || '996311', max_occupancy]
+    );
+    
+    res.status(201).json({
+      message: 'Room type created successfully',
+      room_type: {
+        id: result.insertId,
+        name,
+        description,
+        tariff,
+        gst_percentage,
+        hsn_sac_code: hsn_sac_code || '996311',
+        max_occupancy
+      }
+    });
+  } catch (error) {
+    console.error('Error creating room type:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/room-types/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const roomTypeId = req.params.id;
+    const { name, description, tariff, gst_percentage, hsn_sac_code, max_occupancy, is_active } = req.body;
+    
+    if (hsn_sac_code && !HSN_SAC_PATTERN.test(hsn_sac_code)) {
+      return res.status(400).json({ message: 'HSN/SAC code must be 4, 6 or 8 digits' });
+    }
+    
+    await pool.query(
+      'UPDATE room_types SET name = ?, description = ?, tariff = ?, gst_percentage = ?, hsn_sac_code = ?, max_occupancy = ?, is_active = ? WHERE id = ?',
+      [name, description || null, tariff, gst_percentage, hsn_sac_code || '996311', max_occupancy, is_active, roomTypeId]
+    );
+    
+    res.status(200).json({ message: 'Room type updated successfully' });
+  } catch (error) {
+    console.error('Error updating room type:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/room-types/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const roomTypeId = req.params.id;
+    
+    // Check if room type is being used
+    const [rooms] = await pool.query('SELECT id FROM rooms WHERE room_type_id = ? LIMIT 1', [roomTypeId]);
+    if (rooms.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete room type as rooms are assigned to it' });
+    }
+    
+    await pool.query('DELETE FROM room_types WHERE id = ?', [roomTypeId]);
+    res.status(200).json({ message: 'Room type deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting room type:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Room Routes
+app.get('/api/rooms', authenticateToken, async (req, res) => {
+  try {
+    const { status, room_type_id } = req.query;
+    
+    let query = `
+      SELECT r.*, rt.name as room_type, rt.tariff, rt.max_occupancy
+      FROM rooms r
+      JOIN room_types rt ON r.room_type_id = rt.id
+      WHERE r.is_active = TRUE
+    `;
+    const params = [];
+    
+    if (status) {
+      query += ' AND r.status = ?';
+      params.push(status);
+    }
+    
+    if (room_type_id) {
+      query += ' AND r.room_type_id = ?';
+      params.push(room_type_id);
+    }
+    
+    query += ' ORDER BY r.floor, r.room_number';
+    
+    const [rooms] = await pool.query(query, params);
+    res.status(200).json(rooms);
+  } catch (error) {
+    console.error('Error fetching rooms:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Live room status board for the front desk and housekeeping
+app.get('/api/rooms/status-board', authenticateToken, async (req, res) => {
+  try {
+    const [rooms] = await pool.query(`
+      SELECT 
+        r.id,
+        r.room_number,
+        r.floor,
+        r.status,
+        r.notes,
+        rt.name as room_type,
+        rt.max_occupancy,
+        g.id as guest_id,
+        g.name as guest_name,
+        g.mobile as guest_mobile,
+        g.check_in_date,
+        g.check_out_date
+      FROM rooms r
+      JOIN room_types rt ON r.room_type_id = rt.id
+      LEFT JOIN guests g ON r.current_guest_id = g.id
+      WHERE r.is_active = TRUE
+      ORDER BY r.floor, r.room_number
+    `);
+    
+    const now = new Date();
+    const summary = Object.fromEntries(ROOM_STATUSES.map(status => [status, 0]));
+    const floors = {};
+    
+    rooms.forEach(room => {
+      summary[room.status] += 1;
+      
+      // Guests past their expected departure are flagged for the front desk
+      room.is_overdue = room.status === 'occupied' && room.check_out_date !== null && new Date(room.check_out_date) < now;
+      
+      const floor = room.floor === null ? 'unassigned' : room.floor;
+      (floors[floor] = floors[floor] || []).push(room);
+    });
+    
+    res.status(200).json({
+      generated_at: now,
+      total_rooms: rooms.length,
+      summary,
+      occupancy_percentage: rooms.length > 0 ? Math.round((summary.occupied / rooms.length) * 10000) / 100 : 0,
+      floors
+    });
+  } catch (error) {
+    console.error('Error fetching room status board:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/rooms', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { room_number, room_type_id, floor, notes } = req.body;
+    
+    if (!room_number || !room_type_id) {
+      return res.status(400).json({ message: 'Room number and room type are required' });
+    }
+    
+    const [roomTypes] = await pool.query('SELECT id FROM room_types WHERE id = ?', [room_type_id]);
+    if (roomTypes.length === 0) {
+      return res.status(400).json({ message: 'Room type not found' });
+    }
+    
+    // Check if room number already exists
+    const [existingRooms] = await pool.query('SELECT id FROM rooms WHERE room_number = ?', [room_number]);
+    if (existingRooms.length > 0) {
+      return res.status(400).json({ message: 'A room with this number already exists' });
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO rooms (room_number, room_type_id, floor, notes) VALUES (?, ?, ?, ?)',
+      [room_number, room_type_id, floor ?? null, notes || null]
+    );
+    
+    res.status(201).json({
+      message: 'Room created successfully',
+      room: {
+        id: result.insertId,
+        room_number,
+        room_type_id,
+        floor: floor ?? null,
+        status: 'vacant',
+        notes: notes || null
+      }
+    });
+  } catch (error) {
+    console.error('Error creating room:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/rooms/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const roomId = req.params.id;
+    const { room_type_id, floor, notes, is_active } = req.body;
+    
+    const [rooms] = await pool.query('SELECT * FROM rooms WHERE id = ?', [roomId]);
+    
+    if (rooms.length === 0) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+    
+    if (is_active === false && rooms[0].status === 'occupied') {
+      return res.status(400).json({ message: 'Cannot deactivate an occupied room' });
+    }
+    
+    // The room number is kept, as guests, orders and invoices refer to it
+    await pool.query(
+      'UPDATE rooms SET room_type_id = ?, floor = ?, notes = ?, is_active = ? WHERE id = ?',
+      [room_type_id || rooms[0].room_type_id, floor ?? null, notes || null, is_active === undefined ? true : is_active, roomId]
+    );
+    
+    res.status(200).json({ message: 'Room updated successfully' });
+  } catch (error) {
+    console.error('Error updating room:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Housekeeping status change (dirty -> vacant, out of order and back)
+app.put('/api/rooms/:id/status', authenticateToken, isReception, async (req, res) => {
+  try {
+    const roomId = req.params.id;
+    const { status, notes } = req.body;
+    
+    if (!['vacant', 'dirty', 'out_of_order'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be vacant, dirty or out_of_order; occupancy follows check-in and checkout' });
+    }
+    
+    const [rooms] = await pool.query('SELECT * FROM rooms WHERE id = ?', [roomId]);
+    
+    if (rooms.length === 0) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+    
+    if (rooms[0].status === 'occupied') {
+      return res.status(400).json({ message: 'Room is occupied; check the guest out first' });
+    }
+    
+    await pool.query(
+      'UPDATE rooms SET status = ?, notes = COALESCE(?, notes) WHERE id = ? AND status != ?',
+      [status, notes || null, roomId, 'occupied']
+    );
+    
+    res.status(200).json({ message: 'Room status updated successfully' });
+  } catch (error) {
+    console.error('Error updating room status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/rooms/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const roomId = req.params.id;
+    
+    const [rooms] = await pool.query('SELECT * FROM rooms WHERE id = ?', [roomId]);
+    
+    if (rooms.length === 0) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+    
+    // Check if room has been used
+    const [guests] = await pool.query('SELECT id FROM guests WHERE room_number = ? LIMIT 1', [rooms[0].room_number]);
+    if (guests.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete room as guests have stayed in it, deactivate it instead' });
+    }
+    
+    await pool.query('DELETE FROM rooms WHERE id = ?', [roomId]);
+    res.status(200).json({ message: 'Room deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting room:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rate Plan Routes
+app.get('/api/rate-plans', authenticateToken, async (req, res) => {
+  try {
+    const [ratePlans] = await pool.query('SELECT * FROM rate_plans ORDER BY nightly_adjustment');
+    res.status(200).json(ratePlans);
+  } catch (error) {
+    console.error('Error fetching rate plans:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/rate-plans', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { code, name, description, nightly_adjustment } = req.body;
+    
+    if (!code || !name) {
+      return res.status(400).json({ message: 'Code and name are required' });
+    }
+    
+    // Check if rate plan already exists
+    const [existingPlans] = await pool.query('SELECT id FROM rate_plans WHERE code = ?', [code]);
+    if (existingPlans.length > 0) {
+      return res.status(400).json({ message: 'A rate plan with this code already exists' });
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO rate_plans (code, name, description, nightly_adjustment) VALUES (?, ?, ?, ?)',
+      [code, name, description || null, nightly_adjustment || 0]
+    );
+    
+    res.status(201).json({
+      message: 'Rate plan created successfully',
+      rate_plan: {
+        id: result.insertId,
+        code,
+        name,
+        description,
+        nightly_adjustment: nightly_adjustment || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error creating rate plan:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/rate-plans/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const ratePlanId = req.params.id;
+    const { name, description, nightly_adjustment, is_active } = req.body;
+    
+    // Existing reservations keep the nightly rate they were booked at
+    await pool.query(
+      'UPDATE rate_plans SET name = ?, description = ?, nightly_adjustment = ?, is_active = ? WHERE id = ?',
+      [name, description || null, nightly_adjustment || 0, is_active === undefined ? true : is_active, ratePlanId]
+    );
+    
+    res.status(200).json({ message: 'Rate plan updated successfully' });
+  } catch (error) {
+    console.error('Error updating rate plan:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reservation Routes
+app.get('/api/reservations/availability', authenticateToken, async (req, res) => {
+  try {
+    const { check_in_date, check_out_date, adults, children } = req.query;
+    
+    if (!isValidDateString(check_in_date) || !isValidDateString(check_out_date) || check_out_date <= check_in_date) {
+      return res.status(400).json({ message: 'Valid check-in and check-out dates are required, check-out after check-in' });
+    }
+    
+    const partySize = (parseInt(adults) || 1) + (parseInt(children) || 0);
+    
+    const [roomTypes] = await pool.query('SELECT * FROM room_types WHERE is_active = TRUE ORDER BY tariff');
+    const [ratePlans] = await pool.query('SELECT * FROM rate_plans WHERE is_active = TRUE ORDER BY nightly_adjustment');
+    
+    const results = [];
+    
+    for (const roomType of roomTypes) {
+      const availability = await getRoomTypeAvailability(pool, roomType.id, check_in_date, check_out_date);
+      
+      results.push({
+        room_type_id: roomType.id,
+        room_type: roomType.name,
+        max_occupancy: roomType.max_occupancy,
+        fits_party: partySize <= roomType.max_occupancy,
+        tariff: Number(roomType.tariff),
+        rates: ratePlans.map(plan => ({
+          rate_plan_id: plan.id,
+          code: plan.code,
+          name: plan.name,
+          nightly_rate: Number(roomType.tariff) + Number(plan.nightly_adjustment)
+        })),
+        ...availability
+      });
+    }
+    
+    res.status(200).json({
+      check_in_date,
+      check_out_date,
+      nights: listNights(check_in_date, check_out_date).length,
+      party_size: partySize,
+      room_types: results
+    });
+  } catch (error) {
+    console.error('Error searching availability:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Occupancy calendar: what every room is doing on each day of a range
+app.get('/api/reservations/calendar', authenticateToken, async (req, res) => {
+  try {
+    const { from_date, to_date } = req.query;
+    
+    if (!isValidDateString(from_date) || !isValidDateString(to_date) || to_date < from_date) {
+      return res.status(400).json({ message: 'Valid from_date and to_date are required' });
+    }
+    
+    // Both ends of the range are shown
+    const dates = listNights(from_date, to_date).concat(to_date);
+    
+    if (dates.length > 62) {
+      return res.status(400).json({ message: 'Calendar range cannot be longer than 62 days' });
+    }
+    
+    const [rooms] = await pool.query(`
+      SELECT r.id, r.room_number, r.floor, r.status, r.room_type_id, rt.name as room_type,
+        g.id as guest_id, g.name as guest_name,
+        DATE_FORMAT(g.check_in_date, '%Y-%m-%d') as guest_check_in, DATE_FORMAT(g.check_out_date, '%Y-%m-%d') as guest_check_out
+      FROM rooms r
+      JOIN room_types rt ON r.room_type_id = rt.id
+      LEFT JOIN guests g ON r.current_guest_id = g.id
+      WHERE r.is_active = TRUE
+      ORDER BY r.floor, r.room_number
+    `);
+    
+    const [reservations] = await pool.query(
+      `SELECT id, reservation_number, guest_name, room_type_id, room_id, status, guest_id,
+         DATE_FORMAT(check_in_date, '%Y-%m-%d') as check_in_date, DATE_FORMAT(check_out_date, '%Y-%m-%d') as check_out_date
+       FROM reservations
+       WHERE status IN (?) AND check_in_date <= ? AND check_out_date > ?`,
+      [ACTIVE_RESERVATION_STATUSES, to_date, from_date]
+    );
+    
+    const today = formatDateOnly(new Date());
+    const onNight = (stay, date) => stay.check_in_date <= date && date < stay.check_out_date;
+    
+    const roomRows = rooms.map(room => {
+      const days = {};
+      
+      dates.forEach(date => {
+        const reservation = reservations.find(item => item.room_id === room.id && onNight(item, date));
+        
+        if (reservation) {
+          days[date] = {
+            status: reservation.status === 'checked_in' ? 'occupied' : 'reserved',
+            reservation_id: reservation.id,
+            reservation_number: reservation.reservation_number,
+            guest_name: reservation.guest_name
+          };
+        } else if (room.guest_id && date >= (room.guest_check_in || today) && (date === today || (date > today && date < room.guest_check_out))) {
+          days[date] = { status: 'occupied', guest_id: room.guest_id, guest_name: room.guest_name };
+        } else if (room.status === 'out_of_order' && date >= today) {
+          days[date] = { status: 'out_of_order' };
+        } else {
+          days[date] = { status: 'vacant' };
+        }
+      });
+      
+      return {
+        room_id: room.id,
+        room_number: room.room_number,
+        floor: room.floor,
+        room_type: room.room_type,
+        days
+      };
+    });
+    
+    // Bookings not yet given a room still take one of their type
+    const unassigned = {};
+    reservations.filter(reservation => !reservation.room_id).forEach(reservation => {
+      const row = unassigned[reservation.room_type_id] = unassigned[reservation.room_type_id] || {
+        room_type_id: reservation.room_type_id,
+        room_type: (rooms.find(room => room.room_type_id === reservation.room_type_id) || {}).room_type || null,
+        days: Object.fromEntries(dates.map(date => [date, 0]))
+      };
+      
+      dates.forEach(date => {
+        if (onNight(reservation, date)) row.days[date] += 1;
+      });
+    });
+    
+    const summary = dates.map(date => {
+      const taken = roomRows.filter(room => ['occupied', 'reserved'].includes(room.days[date].status)).length
+        + Object.values(unassigned).reduce((sum, row) => sum + row.days[date], 0);
+      const outOfOrder = roomRows.filter(room => room.days[date].status === 'out_of_order').length;
+      
+      return {
+        date,
+        total_rooms: roomRows.length,
+        taken,
+        out_of_order: outOfOrder,
+        available: Math.max(roomRows.length - taken - outOfOrder, 0),
+        occupancy_percentage: roomRows.length > 0 ? Math.round((taken / roomRows.length) * 10000) / 100 : 0
+      };
+    });
+    
+    res.status(200).json({
+      from_date,
+      to_date,
+      dates,
+      rooms: roomRows,
+      unassigned: Object.values(unassigned),
+      summary
+    });
+  } catch (error) {
+    console.error('Error fetching reservation calendar:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/reservations', authenticateToken, async (req, res) => {
+  try {
+    const { from_date, to_date, status, search } = req.query;
+    
+    let query = `
+      SELECT rv.*, rt.name as room_type, r.room_number, rp.code as rate_plan_code, c.name as company_name
+      FROM reservations rv
+      JOIN room_types rt ON rv.room_type_id = rt.id
+      LEFT JOIN rooms r ON rv.room_id = r.id
+      LEFT JOIN rate_plans rp ON rv.rate_plan_id = rp.id
+      LEFT JOIN companies c ON rv.company_id = c.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    // Stays overlapping the range
+    if (from_date) {
+      query += ' AND rv.check_out_date > ?';
+      params.push(from_date);
+    }
+    
+    if (to_date) {
+      query += ' AND rv.check_in_date <= ?';
+      params.push(to_date);
+    }
+    
+    if (status) {
+      query += ' AND rv.status = ?';
+      params.push(status);
+    }
+    
+    if (search) {
+      query += ' AND (rv.guest_name LIKE ? OR rv.mobile LIKE ? OR rv.reservation_number LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    
+    query += ' ORDER BY rv.check_in_date, rv.id';
+    
+    const [reservations] = await pool.query(query, params);
+    res.status(200).json(reservations);
+  } catch (error) {
+    console.error('Error fetching reservations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/reservations/:id', authenticateToken, async (req, res) => {
+  try {
+    const [reservations] = await pool.query(
+      `SELECT rv.*, rt.name as room_type, r.room_number, rp.code as rate_plan_code, rp.name as rate_plan_name, c.name as company_name
+       FROM reservations rv
+       JOIN room_types rt ON rv.room_type_id = rt.id
+       LEFT JOIN rooms r ON rv.room_id = r.id
+       LEFT JOIN rate_plans rp ON rv.rate_plan_id = rp.id
+       LEFT JOIN companies c ON rv.company_id = c.id
+       WHERE rv.id = ?`,
+      [req.params.id]
+    );
+    
+    if (reservations.length === 0) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+    
+    res.status(200).json(reservations[0]);
+  } catch (error) {
+    console.error('Error fetching reservation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/reservations', authenticateToken, isReception, async (req, res) => {
+  try {
+    const { guest_name, mobile, email, state_code, company_id, room_type_id, room_id, rate_plan_id, check_in_date, check_out_date, adults, children, status, notes } = req.body;
+    
+    if (!guest_name || !room_type_id || !check_in_date || !check_out_date) {
+      return res.status(400).json({ message: 'Guest name, room type, and stay dates are required' });
+    }
+    
+    if (status && !['tentative', 'confirmed'].includes(status)) {
+      return res.status(400).json({ message: 'New reservations are tentative or confirmed' });
+    }
+    
+    if (check_in_date < formatDateOnly(new Date())) {
+      return res.status(400).json({ message: 'Check-in date cannot be in the past' });
+    }
+    
+    if (state_code && !GST_STATE_CODES[state_code]) {
+      return res.status(400).json({ message: 'Invalid state code' });
+    }
+    
+    if (company_id) {
+      const [companies] = await pool.query('SELECT id FROM companies WHERE id = ? AND is_active = TRUE', [company_id]);
+      if (companies.length === 0) {
+        return res.status(400).json({ message: 'Company not found or inactive' });
+      }
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const stay = await checkReservationStay(connection, req.body, 0);
+      
+      if (stay.error) {
+        await connection.rollback();
+        return res.status(stay.status).json({ message: stay.error });
+      }
+      
+      let approvedBy = null;
+      if (stay.rate_override_reason) {
+        const approver = await getOverrideApprover(connection, req.user, req.body.override_approval_code);
+        
+        if (approver.error) {
+          await connection.rollback();
+          return res.status(approver.status).json({ message: approver.error });
+        }
+        
+        approvedBy = approver.approved_by;
+      }
+      
+      const reservationNumber = await getNextSequenceNumber(connection, 'reservation');
+      
+      const [result] = await connection.query(
+        `INSERT INTO reservations 
+         (reservation_number, guest_name, mobile, email, state_code, company_id, room_type_id, room_id, rate_plan_id,
+          check_in_date, check_out_date, adults, children, list_rate, nightly_rate, rate_override_reason, rate_override_approved_by,
+          status, notes, created_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [reservationNumber, guest_name, mobile || null, email || null, state_code || null, company_id || null, room_type_id,
+         stay.room_id, rate_plan_id || null, check_in_date, check_out_date, parseInt(adults) || 1, parseInt(children) || 0,
+         stay.list_rate, stay.nightly_rate, stay.rate_override_reason, approvedBy, status || 'confirmed', notes || null, req.user.id]
+      );
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Reservation created successfully',
+        reservation: {
+          id: result.insertId,
+          reservation_number: reservationNumber,
+          guest_name,
+          room_type_id,
+          room_id: stay.room_id,
+          check_in_date,
+          check_out_date,
+          nights: listNights(check_in_date, check_out_date).length,
+          nightly_rate: stay.nightly_rate,
+          status: status || 'confirmed'
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating reservation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/reservations/:id', authenticateToken, isReception, async (req, res) => {
+  try {
+    const reservationId = req.params.id;
+    
+    if (req.body.state_code && !GST_STATE_CODES[req.body.state_code]) {
+      return res.status(400).json({ message: 'Invalid state code' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [reservations] = await connection.query(
+        `SELECT *, DATE_FORMAT(check_in_date, '%Y-%m-%d') as check_in_date, DATE_FORMAT(check_out_date, '%Y-%m-%d') as check_out_date
+         FROM reservations WHERE id = ? FOR UPDATE`,
+        [reservationId]
+      );
+      
+      if (reservations.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Reservation not found' });
+      }
+      
+      const reservation = reservations[0];
+      
+      if (!['tentative', 'confirmed'].includes(reservation.status)) {
+        await connection.rollback();
+        return res.status(400).json({ message: `Cannot change a reservation that is ${reservation.status.replace('_', ' ')}` });
+      }
+      
+      // A company already on the reservation may stay on it after being deactivated
+      if (req.body.company_id && Number(req.body.company_id) !== reservation.company_id) {
+        const [companies] = await connection.query('SELECT id FROM companies WHERE id = ? AND is_active = TRUE', [req.body.company_id]);
+        if (companies.length === 0) {
+          await connection.rollback();
+          return res.status(400).json({ message: 'Company not found or inactive' });
+        }
+      }
+      
+      // Fields left out keep their current value; the rate is re-priced only when the room type or rate plan changes
+      const updated = { ...reservation, ...req.body };
+      const repriced = Number(updated.room_type_id) !== reservation.room_type_id
+        || Number(updated.rate_plan_id || 0) !== (reservation.rate_plan_id || 0);
+      if (req.body.nightly_rate === undefined && repriced) {
+        updated.nightly_rate = null;
+      }
+      
+      // An unchanged rate keeps the override reason and approval it was booked with
+      const rateChanged = repriced || (req.body.nightly_rate !== undefined
+        && Math.round(parseFloat(req.body.nightly_rate) * 100) / 100 !== Number(reservation.nightly_rate));
+      
+      const stay = await checkReservationStay(
+        connection,
+        rateChanged ? { ...updated, rate_override_reason: req.body.rate_override_reason } : { ...updated, nightly_rate: null },
+        reservation.id
+      );
+      
+      if (stay.error) {
+        await connection.rollback();
+        return res.status(stay.status).json({ message: stay.error });
+      }
+      
+      let rate = {
+        list_rate: reservation.list_rate,
+        nightly_rate: Number(reservation.nightly_rate),
+        rate_override_reason: reservation.rate_override_reason,
+        rate_override_approved_by: reservation.rate_override_approved_by
+      };
+      
+      if (rateChanged) {
+        rate = {
+          list_rate: stay.list_rate,
+          nightly_rate: stay.nightly_rate,
+          rate_override_reason: stay.rate_override_reason,
+          rate_override_approved_by: null
+        };
+        
+        if (stay.rate_override_reason) {
+          const approver = await getOverrideApprover(connection, req.user, req.body.override_approval_code);
+          
+          if (approver.error) {
+            await connection.rollback();
+            return res.status(approver.status).json({ message: approver.error });
+          }
+          
+          rate.rate_override_approved_by = approver.approved_by;
+        }
+      }
+      
+      await connection.query(
+        `UPDATE reservations SET guest_name = ?, mobile = ?, email = ?, state_code = ?, company_id = ?, room_type_id = ?, room_id = ?,
+         rate_plan_id = ?, check_in_date = ?, check_out_date = ?, adults = ?, children = ?, list_rate = ?, nightly_rate = ?,
+         rate_override_reason = ?, rate_override_approved_by = ?, notes = ?
+         WHERE id = ?`,
+        [updated.guest_name, updated.mobile || null, updated.email || null, updated.state_code || null, updated.company_id || null,
+         updated.room_type_id, stay.room_id, updated.rate_plan_id || null, updated.check_in_date, updated.check_out_date,
+         parseInt(updated.adults) || 1, parseInt(updated.children) || 0, rate.list_rate, rate.nightly_rate,
+         rate.rate_override_reason, rate.rate_override_approved_by, updated.notes || null, reservation.id]
+      );
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Reservation updated successfully', nightly_rate: rate.nightly_rate });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating reservation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm, cancel or mark a reservation as a no-show
+app.put('/api/reservations/:id/status', authenticateToken, isReception, async (req, res) => {
+  try {
+    const reservationId = req.params.id;
+    const { status, reason } = req.body;
+    
+    // Allowed moves from each status; checked_in is reached only through check-in
+    const transitions = {
+      tentative: ['confirmed', 'cancelled'],
+      confirmed: ['cancelled', 'no_show']
+    };
+    
+    if (!['confirmed', 'cancelled', 'no_show'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be confirmed, cancelled or no_show' });
+    }
+    
+    if (status === 'cancelled' && !reason) {
+      return res.status(400).json({ message: 'A cancellation reason is required' });
+    }
+    
+    const [reservations] = await pool.query(
+      "SELECT id, status, DATE_FORMAT(check_in_date, '%Y-%m-%d') as check_in_date FROM reservations WHERE id = ?",
+      [reservationId]
+    );
+    
+    if (reservations.length === 0) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+    
+    const reservation = reservations[0];
+    
+    if (!(transitions[reservation.status] || []).includes(status)) {
+      return res.status(400).json({ message: `Cannot change a ${reservation.status.replace('_', ' ')} reservation to ${status.replace('_', ' ')}` });
+    }
+    
+    if (status === 'no_show' && reservation.check_in_date > formatDateOnly(new Date())) {
+      return res.status(400).json({ message: 'A reservation can be marked as no-show only from its arrival date' });
+    }
+    
+    await pool.query(
+      'UPDATE reservations SET status = ?, cancellation_reason = ? WHERE id = ? AND status = ?',
+      [status, status === 'cancelled' ? reason : null, reservation.id, reservation.status]
+    );
+    
+    res.status(200).json({ message: 'Reservation status updated successfully' });
+  } catch (error) {
+    console.error('Error updating reservation status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check in a reservation: register the guest and occupy the room
+app.post('/api/reservations/:id/check-in', authenticateToken, isReception, async (req, res) => {
+  try {
+    const reservationId = req.params.id;
+    const { room_number, profile_id } = req.body;
+    
+    if (profile_id) {
+      const [profiles] = await pool.query('SELECT id FROM guest_profiles WHERE id = ?', [profile_id]);
+      if (profiles.length === 0) {
+        return res.status(400).json({ message: 'Guest profile not found' });
+      }
+    }
+    
+    // ID proof can be captured at registration, by reception only
+    const hasIdentity = !!(req.body.id_type || req.body.id_number);
+    if (hasIdentity) {
+      if (req.user.role !== 'admin' && req.user.role !== 'reception') {
+        return res.status(403).json({ message: 'Access denied. Reception role required.' });
+      }
+      
+      const identityError = validateGuestIdentity(req.body);
+      if (identityError) {
+        return res.status(400).json({ message: identityError });
+      }
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [reservations] = await connection.query(
+        `SELECT rv.*, DATE_FORMAT(rv.check_in_date, '%Y-%m-%d') as check_in_date, DATE_FORMAT(rv.check_out_date, '%Y-%m-%d') as check_out_date,
+           r.room_number as assigned_room_number
+         FROM reservations rv
+         LEFT JOIN rooms r ON rv.room_id = r.id
+         WHERE rv.id = ? FOR UPDATE`,
+        [reservationId]
+      );
+      
+      if (reservations.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Reservation not found' });
+      }
+      
+      const reservation = reservations[0];
+      const today = formatDateOnly(new Date());
+      
+      if (!['tentative', 'confirmed'].includes(reservation.status)) {
+        await connection.rollback();
+        return res.status(400).json({ message: `Cannot check in a reservation that is ${reservation.status.replace('_', ' ')}` });
+      }
+      
+      if (reservation.check_in_date > today || reservation.check_out_date <= today) {
+        await connection.rollback();
+        return res.status(400).json({ message: `Reservation is for ${reservation.check_in_date} to ${reservation.check_out_date}` });
+      }
+      
+      const roomNumber = room_number || reservation.assigned_room_number;
+      
+      if (!roomNumber) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Room number is required' });
+      }
+      
+      // Lock the room so two guests cannot be checked into it together
+      const room = await lockRoom(connection, roomNumber);
+      
+      if (!room || room.room_type_id !== reservation.room_type_id) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Room not found or not of the reserved room type' });
+      }
+      
+      if (room.status !== 'vacant') {
+        await connection.rollback();
+        return res.status(400).json({ message: `Room ${roomNumber} is ${room.status.replace(/_/g, ' ')}` });
+      }
+      
+      // A vacant room may still be promised to another booking for the nights ahead
+      const clash = await findRoomClash(connection, room.id, today, reservation.check_out_date, reservation.id);
+      if (clash) {
+        await connection.rollback();
+        return res.status(409).json({ message: `Room ${roomNumber} is already held by reservation ${clash}` });
+      }
+      
+      const [guestResult] = await connection.query(
+        `INSERT INTO guests (name, mobile, email, state_code, company_id, room_number, check_in_date, check_out_date) 
+         VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)`,
+        [reservation.guest_name, reservation.mobile, reservation.email, reservation.state_code, reservation.company_id,
+         roomNumber, `${reservation.check_out_date} 12:00:00`]
+      );
+      
+      await connection.query(
+        "UPDATE rooms SET status = 'occupied', current_guest_id = ? WHERE id = ?",
+        [guestResult.insertId, room.id]
+      );
+      
+      await connection.query(
+        "UPDATE reservations SET status = 'checked_in', guest_id = ?, room_id = ? WHERE id = ?",
+        [guestResult.insertId, room.id, reservation.id]
+      );
+      
+      const profileId = await recordGuestStay(connection, guestResult.insertId, {
+        profile_id,
+        name: reservation.guest_name,
+        mobile: reservation.mobile,
+        email: reservation.email,
+        state_code: reservation.state_code,
+        company_id: reservation.company_id,
+        reservation_id: reservation.id
+      });
+      
+      if (hasIdentity) {
+        await saveGuestIdentity(connection, guestResult.insertId, req.body, req.user.id);
+      }
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Guest checked in successfully',
+        guest: {
+          id: guestResult.insertId,
+          profile_id: profileId,
+          name: reservation.guest_name,
+          room_number: roomNumber,
+          check_out_date: reservation.check_out_date
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error checking in reservation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Night Audit Routes
+app.get('/api/night-audit', authenticateToken, isReception, async (req, res) => {
+  try {
+    const businessDate = await getBusinessDate(pool);
+    
+    const [lastAudits] = await pool.query(
+      "SELECT *, DATE_FORMAT(business_date, '%Y-%m-%d') as business_date FROM night_audits ORDER BY business_date DESC LIMIT 1"
+    );
+    
+    const [overdueGuests] = await pool.query(
+      `SELECT id, name, mobile, room_number, check_out_date FROM guests
+       WHERE is_checked_out = FALSE AND check_out_date IS NOT NULL AND DATE(check_out_date) <= ?
+       ORDER BY check_out_date, room_number`,
+      [businessDate]
+    );
+    
+    res.status(200).json({
+      business_date: businessDate,
+      can_run: businessDate <= formatDateOnly(new Date()),
+      last_audit: lastAudits.length > 0 ? lastAudits[0] : null,
+      pending_departures: overdueGuests
+    });
+  } catch (error) {
+    console.error('Error fetching night audit status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Run the night audit for the current business date
+app.post('/api/night-audit', authenticateToken, isReception, async (req, res) => {
+  try {
+    const result = await runNightAudit(req.user.id);
+    
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+    
+    res.status(201).json({
+      message: `Night audit for ${result.business_date} completed successfully`,
+      audit: result
+    });
+  } catch (error) {
+    console.error('Error running night audit:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Company Routes
+app.get('/api/companies', authenticateToken, async (req, res) => {
+  try {
+    const { search, include_inactive } = req.query;
+    
+    let query = 'SELECT * FROM companies WHERE 1=1';
+    let params = [];
+    
+    if (include_inactive !== 'true') {
+      query += ' AND is_active = TRUE';
+    }
+    
+    if (search) {
+      query += ' AND (name LIKE ? OR gstin LIKE ? OR contact_person LIKE ?)';
+      params = [`%${search}%`, `%${search}%`, `%${search}%`];
+    }
+    
+    query += ' ORDER BY name';
+    
+    const [companies] = await pool.query(query, params);
+    res.status(200).json(companies);
+  } catch (error) {
+    console.error('Error fetching companies:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/companies/:id', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    const [companies] = await pool.query('SELECT * FROM companies WHERE id = ?', [companyId]);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    
+    const [guests] = await pool.query(
+      'SELECT id, name, mobile, email, room_number FROM guests WHERE company_id = ? ORDER BY name',
+      [companyId]
+    );
+    
+    res.status(200).json({
+      ...companies[0],
+      guests
+    });
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/companies', authenticateToken, isReception, async (req, res) => {
+  try {
+    const { name, billing_address, state_code, contact_person, contact_email, contact_phone } = req.body;
+    const gstin = req.body.gstin ? req.body.gstin.trim().toUpperCase() : null;
+    
+    const validationError = validateCompany({ ...req.body, gstin });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    if (gstin) {
+      const [existing] = await pool.query('SELECT id FROM companies WHERE gstin = ?', [gstin]);
+      if (existing.length > 0) {
+        return res.status(400).json({ message: 'A company with this GSTIN already exists' });
+      }
+    }
+    
+    const [result] = await pool.query(
+      `INSERT INTO companies (name, gstin, billing_address, state_code, contact_person, contact_email, contact_phone) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, gstin, billing_address, state_code, contact_person || null, contact_email || null, contact_phone || null]
+    );
+    
+    res.status(201).json({
+      message: 'Company created successfully',
+      company: {
+        id: result.insertId,
+        name,
+        gstin,
+        billing_address,
+        state_code,
+        contact_person: contact_person || null,
+        contact_email: contact_email || null,
+        contact_phone: contact_phone || null,
+        is_active: true
+      }
+    });
+  } catch (error) {
+    console.error('Error creating company:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/companies/:id', authenticateToken, isReception, async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    const { name, billing_address, state_code, contact_person, contact_email, contact_phone, is_active } = req.body;
+    const gstin = req.body.gstin ? req.body.gstin.trim().toUpperCase() : null;
+    
+    const validationError = validateCompany({ ...req.body, gstin });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    if (gstin) {
+      const [existing] = await pool.query('SELECT id FROM companies WHERE gstin = ? AND id != ?', [gstin, companyId]);
+      if (existing.length > 0) {
+        return res.status(400).json({ message: 'A company with this GSTIN already exists' });
+      }
+    }
+    
+    // Invoices already issued keep the buyer details they were printed with
+    const [result] = await pool.query(
+      `UPDATE companies SET name = ?, gstin = ?, billing_address = ?, state_code = ?, contact_person = ?, 
+       contact_email = ?, contact_phone = ?, is_active = ? WHERE id = ?`,
+      [name, gstin, billing_address, state_code, contact_person || null, contact_email || null, contact_phone || null,
+       is_active === undefined ? true : is_active, companyId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    
+    res.status(200).json({ message: 'Company updated successfully' });
+  } catch (error) {
+    console.error('Error updating company:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-  if (!token) {
-    return res.status(401).json({ message: 'No token provided' });
+app.delete('/api/companies/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Check if company has been billed
+    const [invoices] = await pool.query('SELECT id FROM invoices WHERE company_id = ? LIMIT 1', [companyId]);
+    if (invoices.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete company as it is used in invoices, deactivate it instead' });
+    }
+    
+    const [result] = await pool.query('DELETE FROM companies WHERE id = ?', [companyId]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    
+    res.status(200).json({ message: 'Company deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting company:', error);
+    res.status(500).json({ message: 'Server error' });
   }
+});
 
+// Guests Routes
+app.get('/api/guests', authenticateToken, async (req, res) => {
   try {
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
+    const { search } = req.query;
     
-    // Check if user still exists in database
-    const [users] = await pool.query('SELECT id, username, role FROM users WHERE id = ?', [verified.id]);
+    let query = 'SELECT g.*, c.name as company_name, c.gstin as company_gstin, s.profile_id FROM guests g LEFT JOIN companies c ON g.company_id = c.id LEFT JOIN stays s ON s.guest_id = g.id';
+    let params = [];
     
-    if (users.length === 0) {
-      return res.status(401).json({ message: 'User no longer exists' });
+    if (search) {
+      query += ' WHERE g.name LIKE ? OR g.mobile LIKE ? OR g.room_number LIKE ? OR c.name LIKE ?';
+      params = [`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`];
     }
     
-    req.user.role = users[0].role;
-    next();
-  } catch (err) {
-    return res.status(403).json({ message: 'Invalid token' });
+    query += ' ORDER BY g.created_at DESC';
+    
+    const [guests] = await pool.query(query, params);
+    res.status(200).json(guests);
+  } catch (error) {
+    console.error('Error fetching guests:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-};
+});
 
-// Admin middleware
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Access denied. Admin role required.' });
+app.post('/api/guests', authenticateToken, async (req, res) => {
+  try {
+    const { name, mobile, email, state_code, company_id, room_number, check_in_date, check_out_date, profile_id } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ message: 'Guest name is required' });
+    }
+    
+    if (profile_id) {
+      const [profiles] = await pool.query('SELECT id FROM guest_profiles WHERE id = ?', [profile_id]);
+      if (profiles.length === 0) {
+        return res.status(400).json({ message: 'Guest profile not found' });
+      }
+    }
+    
+    // ID proof can be captured at registration, by reception only
+    const hasIdentity = !!(req.body.id_type || req.body.id_number);
+    if (hasIdentity) {
+      if (req.user.role !== 'admin' && req.user.role !== 'reception') {
+        return res.status(403).json({ message: 'Access denied. Reception role required.' });
+      }
+      
+      const identityError = validateGuestIdentity(req.body);
+      if (identityError) {
+        return res.status(400).json({ message: identityError });
+      }
+    }
+    
+    if (state_code && !GST_STATE_CODES[state_code]) {
+      return res.status(400).json({ message: 'Invalid state code' });
+    }
+    
+    if (company_id) {
+      const [companies] = await pool.query('SELECT id FROM companies WHERE id = ? AND is_active = TRUE', [company_id]);
+      if (companies.length === 0) {
+        return res.status(400).json({ message: 'Company not found or inactive' });
+      }
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      // Lock the room so two guests cannot be checked into it together
+      if (room_number) {
+        const room = await lockRoom(connection, room_number);
+        
+        if (!room) {
+          await connection.rollback();
+          return res.status(400).json({ message: 'Unknown room number' });
+        }
+        
+        if (room.status !== 'vacant') {
+          await connection.rollback();
+          return res.status(400).json({ message: `Room ${room_number} is ${room.status.replace(/_/g, ' ')}` });
+        }
+      }
+      
+      const [result] = await connection.query(
+        'INSERT INTO guests (name, mobile, email, state_code, company_id, room_number, check_in_date, check_out_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [name, mobile, email, state_code || null, company_id || null, room_number, formatMySQLDate(check_in_date), formatMySQLDate(check_out_date)]
+      );
+      
+      if (room_number) {
+        await connection.query(
+          "UPDATE rooms SET status = 'occupied', current_guest_id = ? WHERE room_number = ?",
+          [result.insertId, room_number]
+        );
+      }
+      
+      const profileId = await recordGuestStay(connection, result.insertId, { profile_id, name, mobile, email, state_code, company_id });
+      
+      if (hasIdentity) {
+        await saveGuestIdentity(connection, result.insertId, req.body, req.user.id);
+      }
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Guest created successfully',
+        guest: {
+          id: result.insertId,
+          profile_id: profileId,
+          name,
+          mobile,
+          email,
+          state_code,
+          company_id: company_id || null,
+          room_number,
+          check_in_date,
+          check_out_date
+        }
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating guest:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-  next();
-};
+});
 
-// Kitchen staff middleware
-const isKitchenStaff = (req, res, next) => {
-  if (req.user.role !== 'admin' && req.user.role !== 'kitchen') {
-    return res.status(403).json({ message: 'Access denied. Kitchen role required.' });
+app.get('/api/guests/:id', authenticateToken, async (req, res) => {
+  try {
+    const guestId = req.params.id;
+    
+    const [guests] = await pool.query(
+      `SELECT g.*, c.name as company_name, c.gstin as company_gstin, s.profile_id, s.reservation_id, s.status as stay_status
+       FROM guests g
+       LEFT JOIN companies c ON g.company_id = c.id
+       LEFT JOIN stays s ON s.guest_id = g.id
+       WHERE g.id = ?`,
+      [guestId]
+    );
+    
+    if (guests.length === 0) {
+      return res.status(404).json({ message: 'Guest not found' });
+    }
+    
+    res.status(200).json(guests[0]);
+  } catch (error) {
+    console.error('Error fetching guest:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-  next();
-};
+});
 
-// Reception staff middleware
-const isReception = (req, res, next) => {
-  if (req.user.role !== 'admin' && req.user.role !== 'reception') {
-    return res.status(403).json({ message: 'Access denied. Reception role required.' });
+// Update the registration details of a stay; the room is changed only through check-in/checkout
+app.put('/api/guests/:id', authenticateToken, isReception, async (req, res) => {
+  try {
+    const guestId = req.params.id;
+    const { name, mobile, email, state_code, company_id, check_out_date } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ message: 'Guest name is required' });
+    }
+    
+    if (state_code && !GST_STATE_CODES[state_code]) {
+      return res.status(400).json({ message: 'Invalid state code' });
+    }
+    
+    if (company_id) {
+      const [companies] = await pool.query('SELECT id FROM companies WHERE id = ? AND is_active = TRUE', [company_id]);
+      if (companies.length === 0) {
+        return res.status(400).json({ message: 'Company not found or inactive' });
+      }
+    }
+    
+    const [guests] = await pool.query('SELECT * FROM guests WHERE id = ?', [guestId]);
+    
+    if (guests.length === 0) {
+      return res.status(404).json({ message: 'Guest not found' });
+    }
+    
+    const guest = guests[0];
+    
+    // The departure date of a finished stay is a record of when they left
+    const departure = guest.is_checked_out ? guest.check_out_date : (check_out_date ? formatMySQLDate(check_out_date) : null);
+    
+    // Extending the stay past the business date clears the night audit's overdue flag
+    const isOverdue = guest.is_overdue && !(departure && formatDateOnly(departure) > await getBusinessDate(pool));
+    
+    await pool.query(
+      'UPDATE guests SET name = ?, mobile = ?, email = ?, state_code = ?, company_id = ?, check_out_date = ?, is_overdue = ? WHERE id = ?',
+      [name, mobile || null, email || null, state_code || null, company_id || null, departure, isOverdue, guest.id]
+    );
+    
+    res.status(200).json({ message: 'Guest updated successfully' });
+  } catch (error) {
+    console.error('Error updating guest:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a check-in made by mistake; stays that have been billed are kept
+app.delete('/api/guests/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const guestId = req.params.id;
+    
+    const [[usage]] = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM invoices WHERE guest_id = ?) as invoices,
+         (SELECT COUNT(*) FROM kitchen_orders WHERE guest_id = ?) as kitchen_orders,
+         (SELECT COUNT(*) FROM room_charges WHERE guest_id = ?) as room_charges`,
+      [guestId, guestId, guestId]
+    );
+    
+    if (usage.invoices > 0 || usage.kitchen_orders > 0 || usage.room_charges > 0) {
+      return res.status(400).json({ message: 'Cannot delete guest as the stay has invoices, kitchen orders or room charges' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      // Give back the room and put a checked-in reservation back to confirmed
+      await connection.query("UPDATE rooms SET status = 'vacant', current_guest_id = NULL WHERE current_guest_id = ?", [guestId]);
+      await connection.query(
+        "UPDATE reservations SET status = 'confirmed', guest_id = NULL WHERE guest_id = ? AND status = 'checked_in'",
+        [guestId]
+      );
+      
+      const [documents] = await connection.query('SELECT file_name FROM guest_documents WHERE guest_id = ?', [guestId]);
+      const [result] = await connection.query('DELETE FROM guests WHERE id = ?', [guestId]);
+      
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Guest not found' });
+      }
+      
+      await connection.commit();
+      
+      // Scanned ID documents go with the guest
+      for (const document of documents) {
+        await fs.remove(path.join(__dirname, '../uploads', document.file_name));
+      }
+      
+      res.status(200).json({ message: 'Guest deleted successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error deleting guest:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Guest identity: ID proof, passport/visa (Form C) details and scanned documents
+app.get('/api/guests/:id/identity', authenticateToken, isReception, async (req, res) => {
+  try {
+    const guestId = req.params.id;
+    
+    const [guests] = await pool.query('SELECT id, name FROM guests WHERE id = ?', [guestId]);
+    
+    if (guests.length === 0) {
+      return res.status(404).json({ message: 'Guest not found' });
+    }
+    
+    const [identities] = await pool.query('SELECT * FROM guest_identities WHERE guest_id = ?', [guestId]);
+    const [documents] = await pool.query(
+      'SELECT id, document_type, original_name, mime_type, uploaded_by, created_at FROM guest_documents WHERE guest_id = ? ORDER BY created_at',
+      [guestId]
+    );
+    
+    const identity = identities.length > 0 ? identities[0] : null;
+    
+    res.status(200).json({
+      guest: guests[0],
+      identity,
+      is_foreign_national: identity ? isForeignNational(identity.nationality) : false,
+      documents
+    });
+  } catch (error) {
+    console.error('Error fetching guest identity:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/guests/:id/identity', authenticateToken, isReception, async (req, res) => {
+  try {
+    const guestId = req.params.id;
+    
+    const identityError = validateGuestIdentity(req.body);
+    if (identityError) {
+      return res.status(400).json({ message: identityError });
+    }
+    
+    const [guests] = await pool.query('SELECT id FROM guests WHERE id = ?', [guestId]);
+    
+    if (guests.length === 0) {
+      return res.status(404).json({ message: 'Guest not found' });
+    }
+    
+    await saveGuestIdentity(pool, guestId, req.body, req.user.id);
+    
+    res.status(200).json({ message: 'Guest identity saved successfully' });
+  } catch (error) {
+    console.error('Error saving guest identity:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/guests/:id/documents', authenticateToken, isReception, upload.single('document'), async (req, res) => {
+  try {
+    const guestId = req.params.id;
+    const { document_type } = req.body;
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'Document file is required' });
+    }
+    
+    // Anything rejected below must not be left behind in uploads
+    const rejectUpload = async (status, message) => {
+      await fs.remove(req.file.path);
+      return res.status(status).json({ message });
+    };
+    
+    if (!GUEST_DOCUMENT_TYPES.includes(document_type)) {
+      return rejectUpload(400, `Document type must be one of ${GUEST_DOCUMENT_TYPES.join(', ')}`);
+    }
+    
+    if (!GUEST_DOCUMENT_MIME_TYPES.includes(req.file.mimetype)) {
+      return rejectUpload(400, 'Document must be a JPEG, PNG or PDF file');
+    }
+    
+    const [guests] = await pool.query('SELECT id FROM guests WHERE id = ?', [guestId]);
+    
+    if (guests.length === 0) {
+      return rejectUpload(404, 'Guest not found');
+    }
+    
+    const [result] = await pool.query(
+      'INSERT INTO guest_documents (guest_id, document_type, file_name, original_name, mime_type, uploaded_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [guestId, document_type, req.file.filename, req.file.originalname, req.file.mimetype, req.user.id]
+    );
+    
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: {
+        id: result.insertId,
+        document_type,
+        original_name: req.file.originalname,
+        mime_type: req.file.mimetype
+      }
+    });
+  } catch (error) {
+    console.error('Error uploading guest document:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Documents are not served statically; they can only be fetched through this route
+app.get('/api/guests/:id/documents/:documentId', authenticateToken, isReception, async (req, res) => {
+  try {
+    const [documents] = await pool.query(
+      'SELECT * FROM guest_documents WHERE id = ? AND guest_id = ?',
+      [req.params.documentId, req.params.id]
+    );
+    
+    if (documents.length === 0) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    
+    const document = documents[0];
+    const filePath = path.join(__dirname, '../uploads', document.file_name);
+    
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Document file is missing' });
+    }
+    
+    // Header values must be Latin-1, so the name as uploaded goes in the RFC 5987 filename*
+    // parameter and browsers that ignore it get an ASCII copy
+    const fileName = path.basename(document.original_name || document.file_name);
+    const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    
+    res.setHeader('Content-Type', document.mime_type);
+    res.setHeader('Content-Disposition', `inline; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Error fetching guest document:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-  next();
-};
+});
 
-// Auth Routes
-app.post('/api/auth/login', async (req, res) => {
+app.delete('/api/guests/:id/documents/:documentId', authenticateToken, isReception, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const [documents] = await pool.query(
+      'SELECT * FROM guest_documents WHERE id = ? AND guest_id = ?',
+      [req.params.documentId, req.params.id]
+    );
     
-    // Validate input
-    if (!username || !password) {
-      return res.status(400).json({ message: 'Username and password are required' });
+    if (documents.length === 0) {
+      return res.status(404).json({ message: 'Document not found' });
     }
     
-    // Check if user exists
-    const [users] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+    await pool.query('DELETE FROM guest_documents WHERE id = ?', [documents[0].id]);
+    await fs.remove(path.join(__dirname, '../uploads', documents[0].file_name));
     
-    if (users.length === 0) {
-      return res.status(401).json({ message: 'Invalid username or password' });
-    }
+    res.status(200).json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting guest document:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Guest folio: everything billed for the stay and what is still owed
+app.get('/api/guests/:id/folio', authenticateToken, async (req, res) => {
+  try {
+    const guestId = req.params.id;
     
-    const user = users[0];
+    const [guests] = await pool.query('SELECT * FROM guests WHERE id = ?', [guestId]);
     
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ message: 'Invalid username or password' });
+    if (guests.length === 0) {
+      return res.status(404).json({ message: 'Guest not found' });
     }
     
-    // Create token
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const folio = await getGuestFolio(pool, guestId);
+    const checkoutBlocker = getCheckoutBlocker(guests[0], folio);
     
     res.status(200).json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        full_name: user.full_name,
-        email: user.email,
-        role: user.role
-      }
+      guest: guests[0],
+      ...folio,
+      can_check_out: !checkoutBlocker,
+      check_out_blocker: checkoutBlocker
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Error fetching guest folio:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// User Management Routes
-app.get('/api/users', authenticateToken, isAdmin, async (req, res) => {
+// Check out a guest, settling the folio in full
+app.post('/api/guests/:id/checkout', authenticateToken, isReception, async (req, res) => {
   try {
-    const [users] = await pool.query('SELECT id, username, full_name, email, role, created_at FROM users');
-    res.status(200).json(users);
+    const guestId = req.params.id;
+    const { auto_invoice_orders, payments = [], refund_method, notes } = req.body;
+    
+    if (!Array.isArray(payments)) {
+      return res.status(400).json({ message: 'Payments must be a list' });
+    }
+    
+    if (refund_method && !PAYMENT_METHODS.includes(refund_method)) {
+      return res.status(400).json({ message: `Refund method must be one of ${PAYMENT_METHODS.join(', ')}` });
+    }
+    
+    for (const payment of payments) {
+      if (isNaN(parseFloat(payment.amount)) || parseFloat(payment.amount) <= 0 || !PAYMENT_METHODS.includes(payment.payment_method)) {
+        return res.status(400).json({ message: `Each payment needs a positive amount and a payment method (${PAYMENT_METHODS.join(', ')})` });
+      }
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      // Lock the guest so the folio cannot be checked out twice
+      const [guests] = await connection.query('SELECT * FROM guests WHERE id = ? FOR UPDATE', [guestId]);
+      
+      if (guests.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Guest not found' });
+      }
+      
+      const guest = guests[0];
+      
+      if (guest.is_checked_out) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Guest is already checked out' });
+      }
+      
+      let folio = await getGuestFolio(connection, guest.id);
+      const invoicesCreated = [];
+      
+      // Kitchen orders must be on an invoice before the folio can be closed
+      if (folio.uninvoiced_orders.length > 0) {
+        if (!auto_invoice_orders) {
+          await connection.rollback();
+          return res.status(409).json({
+            message: 'Guest has kitchen orders that are not invoiced yet',
+            uninvoiced_orders: folio.uninvoiced_orders
+          });
+        }
+        
+        const buyer = getInvoiceBuyer(await getBillingCompany(connection, null, guest.id));
+        
+        for (const order of folio.uninvoiced_orders) {
+          const invoice = await createInvoiceFromOrder(connection, order, buyer, null, req.user.id);
+          invoicesCreated.push({ ...invoice, order_id: order.id, order_number: order.order_number });
+        }
+        
+        folio = await getGuestFolio(connection, guest.id);
+      }
+      
+      // Room nights posted by the night audit are billed on one resort invoice
+      if (folio.uninvoiced_room_charges.length > 0) {
+        const buyer = getInvoiceBuyer(await getBillingCompany(connection, null, guest.id));
+        const invoice = await createInvoiceFromRoomCharges(connection, guest, folio.uninvoiced_room_charges, buyer, req.user.id);
+        invoicesCreated.push({ ...invoice, room_nights: folio.uninvoiced_room_charges.length });
+        
+        folio = await getGuestFolio(connection, guest.id);
+      }
+      
+      // Money owed back on over-credited invoices is refunded, never set against another invoice
+      if (folio.totals.refund_due > 0 && !refund_method) {
+        await connection.rollback();
+        return res.status(400).json({
+          message: `Guest is owed a refund of ${folio.totals.refund_due.toFixed(2)}, a refund method is required`,
+          refund_due: folio.totals.refund_due,
+          invoices_created: invoicesCreated
+        });
+      }
+      
+      // The settlement has to clear what is owed exactly
+      const balancePaise = Math.round(folio.totals.balance_due * 100);
+      const settlementPaise = payments.reduce((sum, payment) => sum + Math.round(parseFloat(payment.amount) * 100), 0);
+      
+      if (settlementPaise !== balancePaise) {
+        await connection.rollback();
+        return res.status(400).json({
+          message: `Settlement of ${(settlementPaise / 100).toFixed(2)} does not match the balance due of ${(balancePaise / 100).toFixed(2)}`,
+          balance_due: folio.totals.balance_due,
+          invoices_created: invoicesCreated
+        });
+      }
+      
+      // Spread the settlement over the open invoices, oldest first
+      const openInvoices = folio.invoices
+        .filter(invoice => Number(invoice.balance_due) > 0)
+        .map(invoice => ({ id: invoice.id, invoice_number: invoice.invoice_number, remaining: Math.round(Number(invoice.balance_due) * 100) }));
+      const recordedPayments = [];
+      
+      for (const payment of payments) {
+        let paymentPaise = Math.round(parseFloat(payment.amount) * 100);
+        
+        for (const invoice of openInvoices) {
+          if (paymentPaise === 0) break;
+          if (invoice.remaining === 0) continue;
+          
+          const allocated = Math.min(paymentPaise, invoice.remaining);
+          const recorded = await recordInvoicePayment(connection, {
+            invoice_id: invoice.id,
+            amount: allocated / 100,
+            payment_method: payment.payment_method,
+            reference: payment.reference,
+            notes: notes || 'Checkout settlement'
+          }, req.user.id);
+          
+          invoice.remaining -= allocated;
+          paymentPaise -= allocated;
+          recordedPayments.push({
+            id: recorded.id,
+            invoice_id: invoice.id,
+            invoice_number: invoice.invoice_number,
+            amount: allocated / 100,
+            payment_method: payment.payment_method
+          });
+        }
+      }
+      
+      // A refund is recorded as a negative payment, bringing the invoice back to nil
+      const refunds = [];
+      for (const invoice of folio.invoices.filter(row => Number(row.balance_due) <= -0.01)) {
+        const recorded = await recordInvoicePayment(connection, {
+          invoice_id: invoice.id,
+          amount: Number(invoice.balance_due),
+          payment_method: refund_method,
+          notes: notes || 'Checkout refund'
+        }, req.user.id);
+        
+        refunds.push({
+          id: recorded.id,
+          invoice_id: invoice.id,
+          invoice_number: invoice.invoice_number,
+          amount: -Number(invoice.balance_due),
+          payment_method: refund_method
+        });
+      }
+      
+      const checkoutBlocker = getCheckoutBlocker(guest, await getGuestFolio(connection, guest.id));
+      if (checkoutBlocker) {
+        await connection.rollback();
+        return res.status(400).json({ message: checkoutBlocker, invoices_created: invoicesCreated });
+      }
+      
+      await connection.query(
+        'UPDATE guests SET is_checked_out = TRUE, is_overdue = FALSE, check_out_date = NOW() WHERE id = ?',
+        [guest.id]
+      );
+
+      await connection.query(
+        "UPDATE stays SET status = 'checked_out', check_out_date = NOW() WHERE guest_id = ?",
+        [guest.id]
+      );
+
+      // An early departure gives the remaining booked nights back to availability; a
+      // reservation always keeps at least the one night it was checked in for
+      await connection.query(
+        `UPDATE reservations SET check_out_date = GREATEST(LEAST(check_out_date, ?), DATE_ADD(check_in_date, INTERVAL 1 DAY))
+         WHERE guest_id = ?`,
+        [await getBusinessDate(connection), guest.id]
+      );
+
+      // The room needs housekeeping before it can be let again
+      await connection.query(
+        "UPDATE rooms SET status = 'dirty', current_guest_id = NULL WHERE current_guest_id = ?",
+        [guest.id]
+      );
+      
+      const settledFolio = await getGuestFolio(connection, guest.id);
+      
+      await connection.commit();
+      
+      res.status(200).json({
+        message: 'Guest checked out successfully',
+        invoices_created: invoicesCreated,
+        payments: recordedPayments,
+        refunds,
+        ...settledFolio
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   } catch (error) {
-    console.error('Error fetching users:', error);
+    console.error('Error checking out guest:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/users', authenticateToken, isAdmin, async (req, res) => {
+// Guest Profile Routes
+app.get('/api/guest-profiles', authenticateToken, async (req, res) => {
   try {
-    const { username, password, full_name, email, role } = req.body;
+    const { search } = req.query;
     
-    // Validate input
-    if (!username || !password || !full_name || !role) {
-      return res.status(400).json({ message: 'All fields are required' });
-    }
+    let query = `
+      SELECT gp.*, c.name as company_name, COUNT(s.id) as stays_count, MAX(s.check_in_date) as last_check_in
+      FROM guest_profiles gp
+      LEFT JOIN companies c ON gp.company_id = c.id
+      LEFT JOIN stays s ON s.profile_id = gp.id
+    `;
+    let params = [];
     
-    // Check if username already exists
-    const [existingUsers] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
-    if (existingUsers.length > 0) {
-      return res.status(400).json({ message: 'Username already exists' });
+    if (search) {
+      query += ' WHERE gp.name LIKE ? OR gp.mobile LIKE ? OR gp.email LIKE ?';
+      params = [`%${search}%`, `%${search}%`, `%${search}%`];
     }
     
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    query += ' GROUP BY gp.id ORDER BY gp.name';
     
-    // Insert new user
-    const [result] = await pool.query(
-      'INSERT INTO users (username, password, full_name, email, role) VALUES (?, ?, ?, ?, ?)',
-      [username, hashedPassword, full_name, email, role]
-    );
+    const [profiles] = await pool.query(query, params);
+    res.status(200).json(profiles);
+  } catch (error) {
+    console.error('Error fetching guest profiles:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Profiles that look like the same person: same mobile (ignoring country code) or same email
+app.get('/api/guest-profiles/duplicates', authenticateToken, isReception, async (req, res) => {
+  try {
+    const [matches] = await pool.query(`
+      SELECT 'mobile' as matched_on, RIGHT(mobile, 10) as matched_value, GROUP_CONCAT(id ORDER BY id) as profile_ids
+      FROM guest_profiles
+      WHERE mobile IS NOT NULL AND mobile != ''
+      GROUP BY RIGHT(mobile, 10)
+      HAVING COUNT(*) > 1
+      UNION ALL
+      SELECT 'email' as matched_on, LOWER(email) as matched_value, GROUP_CONCAT(id ORDER BY id) as profile_ids
+      FROM guest_profiles
+      WHERE email IS NOT NULL AND email != ''
+      GROUP BY LOWER(email)
+      HAVING COUNT(*) > 1
+    `);
     
-    res.status(201).json({
-      message: 'User created successfully',
-      user: {
-        id: result.insertId,
-        username,
-        full_name,
-        email,
-        role
-      }
-    });
+    const profileIds = [...new Set(matches.flatMap(match => match.profile_ids.split(',').map(Number)))];
+    let profiles = [];
+    
+    if (profileIds.length > 0) {
+      [profiles] = await pool.query(
+        `SELECT gp.*, COUNT(s.id) as stays_count, MAX(s.check_in_date) as last_check_in
+         FROM guest_profiles gp
+         LEFT JOIN stays s ON s.profile_id = gp.id
+         WHERE gp.id IN (?)
+         GROUP BY gp.id`,
+        [profileIds]
+      );
+    }
+    
+    res.status(200).json(matches.map(match => ({
+      matched_on: match.matched_on,
+      matched_value: match.matched_value,
+      profiles: match.profile_ids.split(',').map(Number).map(id => profiles.find(profile => profile.id === id))
+    })));
   } catch (error) {
-    console.error('Error creating user:', error);
+    console.error('Error finding duplicate guest profiles:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.put('/api/users/:id', authenticateToken, isAdmin, async (req, res) => {
+app.get('/api/guest-profiles/:id', authenticateToken, async (req, res) => {
   try {
-    const userId = req.params.id;
-    const { full_name, email, role } = req.body;
+    const profileId = req.params.id;
     
-    // Update user without changing password
-    await pool.query(
-      'UPDATE users SET full_name = ?, email = ?, role = ? WHERE id = ?',
-      [full_name, email, role, userId]
+    const [profiles] = await pool.query(
+      'SELECT gp.*, c.name as company_name FROM guest_profiles gp LEFT JOIN companies c ON gp.company_id = c.id WHERE gp.id = ?',
+      [profileId]
     );
     
-    res.status(200).json({ message: 'User updated successfully' });
+    if (profiles.length === 0) {
+      return res.status(404).json({ message: 'Guest profile not found' });
+    }
+    
+    const [stays] = await pool.query(
+      'SELECT * FROM stays WHERE profile_id = ? ORDER BY check_in_date DESC, id DESC',
+      [profileId]
+    );
+    
+    res.status(200).json({ ...profiles[0], stays });
   } catch (error) {
-    console.error('Error updating user:', error);
+    console.error('Error fetching guest profile:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.put('/api/users/:id/password', authenticateToken, isAdmin, async (req, res) => {
+// Guest history: every stay, invoice and kitchen order of the profile, with lifetime spend
+app.get('/api/guest-profiles/:id/history', authenticateToken, async (req, res) => {
   try {
-    const userId = req.params.id;
-    const { password } = req.body;
+    const profileId = req.params.id;
     
-    if (!password) {
-      return res.status(400).json({ message: 'Password is required' });
+    const [profiles] = await pool.query('SELECT * FROM guest_profiles WHERE id = ?', [profileId]);
+    
+    if (profiles.length === 0) {
+      return res.status(404).json({ message: 'Guest profile not found' });
     }
     
-    // Hash and update password
-    const hashedPassword = await bcrypt.hash(password, 10);
-    await pool.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+    const [stays] = await pool.query(
+      `SELECT s.*, g.name as registered_name, g.is_checked_out, rv.reservation_number,
+         (SELECT COUNT(*) FROM room_charges rc WHERE rc.guest_id = s.guest_id) as room_nights
+       FROM stays s
+       JOIN guests g ON s.guest_id = g.id
+       LEFT JOIN reservations rv ON s.reservation_id = rv.id
+       WHERE s.profile_id = ?
+       ORDER BY s.check_in_date DESC, s.id DESC`,
+      [profileId]
+    );
     
-    res.status(200).json({ message: 'Password updated successfully' });
+    const guestIds = stays.map(stay => stay.guest_id);
+    let invoices = [];
+    let orders = [];
+    
+    if (guestIds.length > 0) {
+      [invoices] = await pool.query(
+        `SELECT id, guest_id, invoice_number, invoice_date, type, subtotal, tax_amount, total_amount,
+           credited_amount, amount_paid, balance_due, payment_status, status
+         FROM invoices
+         WHERE guest_id IN (?)
+         ORDER BY invoice_date DESC, id DESC`,
+        [guestIds]
+      );
+      
+      [orders] = await pool.query(
+        `SELECT id, guest_id, order_number, order_date, room_number, status, total_amount, invoice_id
+         FROM kitchen_orders
+         WHERE guest_id IN (?)
+         ORDER BY order_date DESC, id DESC`,
+        [guestIds]
+      );
+    }
+    
+    // Lifetime spend is what was billed, net of credit notes; cancelled invoices do not count
+    const liveInvoices = invoices.filter(invoice => invoice.status !== 'cancelled');
+    const sum = (rows, field) => Math.round(rows.reduce((total, row) => total + Number(row[field]), 0) * 100) / 100;
+    const totalBilled = sum(liveInvoices, 'total_amount');
+    const totalCredited = sum(liveInvoices, 'credited_amount');
+    
+    res.status(200).json({
+      profile: profiles[0],
+      stays,
+      invoices,
+      kitchen_orders: orders,
+      summary: {
+        stays_count: stays.length,
+        room_nights: stays.reduce((total, stay) => total + stay.room_nights, 0),
+        kitchen_orders_count: orders.filter(order => order.status !== 'cancelled').length,
+        total_billed: totalBilled,
+        total_credited: totalCredited,
+        lifetime_spend: Math.round((totalBilled - totalCredited) * 100) / 100,
+        total_paid: sum(liveInvoices, 'amount_paid'),
+        balance_due: sum(liveInvoices, 'balance_due'),
+        first_stay: stays.length > 0 ? stays[stays.length - 1].check_in_date : null,
+        last_stay: stays.length > 0 ? stays[0].check_in_date : null
+      }
+    });
   } catch (error) {
-    console.error('Error updating password:', error);
+    console.error('Error fetching guest history:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.delete('/api/users/:id', authenticateToken, isAdmin, async (req, res) => {
+app.post('/api/guest-profiles', authenticateToken, isReception, async (req, res) => {
   try {
-    const userId = req.params.id;
+    const { name, mobile, email, state_code, company_id, address, date_of_birth, notes } = req.body;
     
-    // Prevent deleting self
-    if (parseInt(userId) === req.user.id) {
-      return res.status(400).json({ message: 'Cannot delete your own account' });
+    if (!name) {
+      return res.status(400).json({ message: 'Guest name is required' });
     }
     
-    await pool.query('DELETE FROM users WHERE id = ?', [userId]);
-    res.status(200).json({ message: 'User deleted successfully' });
+    if (state_code && !GST_STATE_CODES[state_code]) {
+      return res.status(400).json({ message: 'Invalid state code' });
+    }
+    
+    if (date_of_birth && !isValidDateString(date_of_birth)) {
+      return res.status(400).json({ message: 'Date of birth must be a valid YYYY-MM-DD date' });
+    }
+    
+    if (company_id) {
+      const [companies] = await pool.query('SELECT id FROM companies WHERE id = ?', [company_id]);
+      if (companies.length === 0) {
+        return res.status(400).json({ message: 'Company not found' });
+      }
+    }
+    
+    // Check if the guest already has a profile
+    const existingProfile = await findGuestProfile(pool, mobile, email);
+    if (existingProfile) {
+      return res.status(400).json({
+        message: 'A guest profile with this mobile number or email already exists',
+        existing_profile_id: existingProfile.id
+      });
+    }
+    
+    const [result] = await pool.query(
+      `INSERT INTO guest_profiles (name, mobile, email, state_code, company_id, address, date_of_birth, notes) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name, normalizeMobile(mobile), email || null, state_code || null, company_id || null, address || null, date_of_birth || null, notes || null]
+    );
+    
+    res.status(201).json({
+      message: 'Guest profile created successfully',
+      profile: {
+        id: result.insertId,
+        name,
+        mobile: normalizeMobile(mobile),
+        email,
+        state_code,
+        company_id: company_id || null
+      }
+    });
   } catch (error) {
-    console.error('Error deleting user:', error);
+    console.error('Error creating guest profile:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Settings Routes
-app.get('/api/settings', async (req, res) => {
+app.put('/api/guest-profiles/:id', authenticateToken, isReception, async (req, res) => {
   try {
-    const [settings] = await pool.query('SELECT * FROM settings LIMIT 1');
+    const profileId = req.params.id;
+    const { name, mobile, email, state_code, company_id, address, date_of_birth, notes } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ message: 'Guest name is required' });
+    }
+    
+    if (state_code && !GST_STATE_CODES[state_code]) {
+      return res.status(400).json({ message: 'Invalid state code' });
+    }
+    
+    if (date_of_birth && !isValidDateString(date_of_birth)) {
+      return res.status(400).json({ message: 'Date of birth must be a valid YYYY-MM-DD date' });
+    }
+    
+    if (company_id) {
+      const [companies] = await pool.query('SELECT id FROM companies WHERE id = ?', [company_id]);
+      if (companies.length === 0) {
+        return res.status(400).json({ message: 'Company not found' });
+      }
+    }
+    
+    // Check the new contact details do not belong to another profile
+    const existingProfile = await findGuestProfile(pool, mobile, email);
+    if (existingProfile && existingProfile.id !== Number(profileId)) {
+      return res.status(400).json({
+        message: 'Another guest profile has this mobile number or email, merge the profiles instead',
+        existing_profile_id: existingProfile.id
+      });
+    }
+    
+    const [result] = await pool.query(
+      `UPDATE guest_profiles SET name = ?, mobile = ?, email = ?, state_code = ?, company_id = ?, address = ?, date_of_birth = ?, notes = ? 
+       WHERE id = ?`,
+      [name, normalizeMobile(mobile), email || null, state_code || null, company_id || null, address || null, date_of_birth || null, notes || null, profileId]
+    );
     
-    if (settings.length === 0) {
-      return res.status(404).json({ message: 'Settings not found' });
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Guest profile not found' });
     }
     
-    res.status(200).json(settings[0]);
+    res.status(200).json({ message: 'Guest profile updated successfully' });
   } catch (error) {
-    console.error('Error fetching settings:', error);
+    console.error('Error updating guest profile:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.put('/api/settings', authenticateToken, isAdmin, upload.single('logo'), async (req, res) => {
+app.delete('/api/guest-profiles/:id', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate } = req.body;
+    const profileId = req.params.id;
     
-    let logo_path = null;
-    if (req.file) {
-      logo_path = req.file.path.replace(/\\/g, '/').replace('uploads/', '');
+    // Check if the profile has stays
+    const [stays] = await pool.query('SELECT id FROM stays WHERE profile_id = ? LIMIT 1', [profileId]);
+    if (stays.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete guest profile as it has stays, merge it into another profile instead' });
     }
     
-    // Update settings
-    const updateQuery = logo_path
-      ? 'UPDATE settings SET resort_name = ?, resort_gstin = ?, kitchen_gstin = ?, resort_address = ?, resort_contact = ?, resort_email = ?, tax_rate = ?, logo_path = ? WHERE id = 1'
-      : 'UPDATE settings SET resort_name = ?, resort_gstin = ?, kitchen_gstin = ?, resort_address = ?, resort_contact = ?, resort_email = ?, tax_rate = ? WHERE id = 1';
-    
-    const updateParams = logo_path
-      ? [resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate, logo_path]
-      : [resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate];
+    const [result] = await pool.query('DELETE FROM guest_profiles WHERE id = ?', [profileId]);
     
-    await pool.query(updateQuery, updateParams);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Guest profile not found' });
+    }
     
-    res.status(200).json({ message: 'Settings updated successfully' });
+    res.status(200).json({ message: 'Guest profile deleted successfully' });
   } catch (error) {
-    console.error('Error updating settings:', error);
+    console.error('Error deleting guest profile:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Menu Items Routes
-app.get('/api/menu-items', async (req, res) => {
+// Merge duplicate profiles into this one: their stays move over and they are deleted
+app.post('/api/guest-profiles/:id/merge', authenticateToken, isReception, async (req, res) => {
   try {
-    const type = req.query.type;
-    let query = 'SELECT * FROM menu_items';
+    const profileId = Number(req.params.id);
+    const { profile_ids } = req.body;
     
-    if (type) {
-      query += ' WHERE type = ?';
-      const [items] = await pool.query(query, [type]);
-      return res.status(200).json(items);
+    if (!Array.isArray(profile_ids) || profile_ids.length === 0) {
+      return res.status(400).json({ message: 'Profiles to merge are required' });
     }
     
-    const [items] = await pool.query(query);
-    res.status(200).json(items);
-  } catch (error) {
-    console.error('Error fetching menu items:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-app.post('/api/menu-items', authenticateToken, isAdmin, async (req, res) => {
-  try {
-    const { name, description, price, gst_percentage, type } = req.body;
+    const mergeIds = [...new Set(profile_ids.map(Number))];
     
-    if (!name || !price || !type || !gst_percentage) {
-      return res.status(400).json({ message: 'Name, price, GST percentage, and type are required' });
+    if (!Number.isInteger(profileId) || mergeIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ message: 'Profile ids must be whole numbers' });
     }
     
-    const [result] = await pool.query(
-      'INSERT INTO menu_items (name, description, price, gst_percentage, type) VALUES (?, ?, ?, ?, ?)',
-      [name, description || null, price, gst_percentage, type]
-    );
+    if (mergeIds.includes(profileId)) {
+      return res.status(400).json({ message: 'A profile cannot be merged into itself' });
+    }
     
-    res.status(201).json({
-      message: 'Menu item created successfully',
-      item: {
-        id: result.insertId,
-        name,
-        description,
-        price,
-        gst_percentage,
-        type
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [profiles] = await connection.query(
+        'SELECT * FROM guest_profiles WHERE id IN (?) ORDER BY updated_at DESC FOR UPDATE',
+        [[profileId, ...mergeIds]]
+      );
+      
+      const target = profiles.find(profile => profile.id === profileId);
+      
+      if (!target) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Guest profile not found' });
       }
-    });
+      
+      if (profiles.length !== mergeIds.length + 1) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'One or more profiles to merge were not found' });
+      }
+      
+      // An anonymized profile has nothing left to merge, and merging into one would re-identify it
+      if (profiles.some(profile => profile.anonymized_at)) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Anonymized profiles cannot be merged' });
+      }
+      
+      // Details missing on the kept profile are taken from the most recently updated duplicate
+      const duplicates = profiles.filter(profile => profile.id !== profileId);
+      const merged = {};
+      ['mobile', 'email', 'state_code', 'company_id', 'address', 'date_of_birth'].forEach(field => {
+        const source = duplicates.find(profile => profile[field] !== null && profile[field] !== '');
+        merged[field] = target[field] !== null && target[field] !== '' ? target[field] : (source ? source[field] : null);
+      });
+      const notes = [target.notes, ...duplicates.map(profile => profile.notes)].filter(Boolean).join('\n') || null;
+      
+      await connection.query(
+        'UPDATE guest_profiles SET mobile = ?, email = ?, state_code = ?, company_id = ?, address = ?, date_of_birth = ?, notes = ? WHERE id = ?',
+        [merged.mobile, merged.email, merged.state_code, merged.company_id, merged.address, merged.date_of_birth, notes, profileId]
+      );
+      
+      const [moved] = await connection.query('UPDATE stays SET profile_id = ? WHERE profile_id IN (?)', [profileId, mergeIds]);
+      
+      await connection.query('DELETE FROM guest_profiles WHERE id IN (?)', [mergeIds]);
+      
+      await connection.commit();
+      
+      res.status(200).json({
+        message: 'Guest profiles merged successfully',
+        profile_id: profileId,
+        merged_profiles: mergeIds.length,
+        stays_moved: moved.affectedRows
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   } catch (error) {
-    console.error('Error creating menu item:', error);
+    console.error('Error merging guest profiles:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.put('/api/menu-items/:id', authenticateToken, isAdmin, async (req, res) => {
+// Guest Privacy Routes
+// Everything held about a guest, as JSON or as a ZIP that also carries the scanned documents
+app.get('/api/guest-profiles/:id/privacy-export', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const itemId = req.params.id;
-    const { name, description, price, gst_percentage, type, is_active } = req.body;
+    const profileId = req.params.id;
+    const format = req.query.format || 'json';
+    
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or zip' });
+    }
+    
+    const bundle = await getGuestDataBundle(pool, profileId);
+    
+    if (!bundle) {
+      return res.status(404).json({ message: 'Guest profile not found' });
+    }
     
     await pool.query(
-      'UPDATE menu_items SET name = ?, description = ?, price = ?, gst_percentage = ?, type = ?, is_active = ? WHERE id = ?',
-      [name, description || null, price, gst_percentage, type, is_active, itemId]
+      "INSERT INTO privacy_log (profile_id, action, reason, details, performed_by) VALUES (?, 'export', ?, ?, ?)",
+      [profileId, req.query.reason || null, format, req.user.id]
     );
     
-    res.status(200).json({ message: 'Menu item updated successfully' });
+    const exportName = `guest_data_${profileId}_${formatDateOnly(new Date())}`;
+    
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename=${exportName}.json`);
+      return res.send(JSON.stringify({ exported_at: new Date(), ...bundle }, null, 2));
+    }
+    
+    const zip = new JSZip();
+    Object.keys(bundle).forEach(section => {
+      zip.file(`${section}.json`, JSON.stringify(bundle[section], null, 2));
+    });
+    
+    for (const document of bundle.documents) {
+      const filePath = path.join(__dirname, '../uploads', document.file_name);
+      if (fs.existsSync(filePath)) {
+        zip.file(`documents/${document.id}-${path.basename(document.original_name || document.file_name)}`, await fs.readFile(filePath));
+      }
+    }
+    
+    const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=${exportName}.zip`);
+    res.setHeader('Content-Length', zipBuffer.length);
+    res.send(zipBuffer);
   } catch (error) {
-    console.error('Error updating menu item:', error);
+    console.error('Error exporting guest data:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.delete('/api/menu-items/:id', authenticateToken, isAdmin, async (req, res) => {
+app.post('/api/guest-profiles/:id/anonymize', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const itemId = req.params.id;
+    const profileId = req.params.id;
+    const { reason } = req.body;
     
-    // Check if item is being used
-    const [invoiceItems] = await pool.query('SELECT * FROM invoice_items WHERE item_id = ? LIMIT 1', [itemId]);
-    if (invoiceItems.length > 0) {
-      return res.status(400).json({ message: 'Cannot delete item as it is used in invoices' });
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to anonymize a guest' });
     }
     
-    await pool.query('DELETE FROM menu_items WHERE id = ?', [itemId]);
-    res.status(200).json({ message: 'Menu item deleted successfully' });
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const result = await anonymizeGuestProfile(connection, profileId);
+      
+      if (result.error) {
+        await connection.rollback();
+        return res.status(result.status).json({ message: result.error });
+      }
+      
+      await connection.query(
+        "INSERT INTO privacy_log (profile_id, action, reason, details, performed_by) VALUES (?, 'anonymize', ?, ?, ?)",
+        [profileId, reason, JSON.stringify(result.counts), req.user.id]
+      );
+      
+      await connection.commit();
+      
+      for (const fileName of result.files) {
+        await fs.remove(path.join(__dirname, '../uploads', fileName));
+      }
+      
+      res.status(200).json({
+        message: 'Guest data anonymized successfully',
+        anonymized: result.counts
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   } catch (error) {
-    console.error('Error deleting menu item:', error);
+    console.error('Error anonymizing guest:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Services Routes
-app.get('/api/services', async (req, res) => {
+app.get('/api/privacy/log', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const [services] = await pool.query('SELECT * FROM services');
-    res.status(200).json(services);
+    const { profile_id } = req.query;
+    
+    let query = 'SELECT pl.*, u.full_name as performed_by_name FROM privacy_log pl LEFT JOIN users u ON pl.performed_by = u.id';
+    let params = [];
+    
+    if (profile_id) {
+      query += ' WHERE pl.profile_id = ?';
+      params = [profile_id];
+    }
+    
+    query += ' ORDER BY pl.created_at DESC';
+    
+    const [entries] = await pool.query(query, params);
+    res.status(200).json(entries);
   } catch (error) {
-    console.error('Error fetching services:', error);
+    console.error('Error fetching privacy log:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/services', authenticateToken, isAdmin, async (req, res) => {
+// Retention policy: guest data is anonymized this many days after the last stay ends (empty turns it off)
+app.put('/api/privacy/retention', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { name, description, price, gst_percentage } = req.body;
+    const { guest_data_retention_days } = req.body;
     
-    if (!name || !price || !gst_percentage) {
-      return res.status(400).json({ message: 'Name, price, and GST percentage are required' });
+    const retentionDays = guest_data_retention_days === null || guest_data_retention_days === '' || guest_data_retention_days === undefined
+      ? null
+      : parseInt(guest_data_retention_days);
+    
+    if (retentionDays !== null && (isNaN(retentionDays) || retentionDays < 1)) {
+      return res.status(400).json({ message: 'Retention period must be a positive number of days' });
     }
     
-    const [result] = await pool.query(
-      'INSERT INTO services (name, description, price, gst_percentage) VALUES (?, ?, ?, ?)',
-      [name, description || null, price, gst_percentage]
-    );
+    await pool.query('UPDATE settings SET guest_data_retention_days = ? WHERE id = 1', [retentionDays]);
     
-    res.status(201).json({
-      message: 'Service created successfully',
-      service: {
-        id: result.insertId,
-        name,
-        description,
-        price,
-        gst_percentage
-      }
-    });
+    res.status(200).json({ message: 'Retention policy updated successfully', guest_data_retention_days: retentionDays });
   } catch (error) {
-    console.error('Error creating service:', error);
+    console.error('Error updating retention policy:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.put('/api/services/:id', authenticateToken, isAdmin, async (req, res) => {
+// Run the retention job now; dry_run lists the profiles that are due without changing them
+app.post('/api/privacy/retention/run', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const serviceId = req.params.id;
-    const { name, description, price, gst_percentage, is_active } = req.body;
+    const result = await runRetentionPolicy(!!req.body.dry_run);
     
-    await pool.query(
-      'UPDATE services SET name = ?, description = ?, price = ?, gst_percentage = ?, is_active = ? WHERE id = ?',
-      [name, description || null, price, gst_percentage, is_active, serviceId]
-    );
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
     
-    res.status(200).json({ message: 'Service updated successfully' });
+    res.status(200).json({
+      message: req.body.dry_run ? 'Retention policy dry run completed' : 'Retention policy applied successfully',
+      ...result
+    });
   } catch (error) {
-    console.error('Error updating service:', error);
+    console.error('Error running retention policy:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.delete('/api/services/:id', authenticateToken, isAdmin, async (req, res) => {
+// Price Override Approval Routes
+// An admin issues a one-time code and hands it to the staff member making the override
+app.post('/api/price-override-approvals', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const serviceId = req.params.id;
+    const { notes } = req.body;
+    const code = generateOverrideApprovalCode();
     
-    // Check if service is being used
-    const [invoiceItems] = await pool.query('SELECT * FROM invoice_items WHERE service_id = ? LIMIT 1', [serviceId]);
-    if (invoiceItems.length > 0) {
-      return res.status(400).json({ message: 'Cannot delete service as it is used in invoices' });
-    }
+    const [result] = await pool.query(
+      `INSERT INTO price_override_approvals (code, approved_by, notes, expires_at) 
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [code, req.user.id, notes || null, OVERRIDE_APPROVAL_MINUTES]
+    );
     
-    await pool.query('DELETE FROM services WHERE id = ?', [serviceId]);
-    res.status(200).json({ message: 'Service deleted successfully' });
+    const [approvals] = await pool.query('SELECT expires_at FROM price_override_approvals WHERE id = ?', [result.insertId]);
+    
+    res.status(201).json({
+      message: 'Approval code issued successfully',
+      approval: {
+        id: result.insertId,
+        code,
+        expires_at: approvals[0].expires_at
+      }
+    });
   } catch (error) {
-    console.error('Error deleting service:', error);
+    console.error('Error issuing price override approval:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Guests Routes
-app.get('/api/guests', authenticateToken, async (req, res) => {
+app.get('/api/price-override-approvals', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { search } = req.query;
-    
-    let query = 'SELECT * FROM guests';
-    let params = [];
-    
-    if (search) {
-      query += ' WHERE name LIKE ? OR mobile LIKE ? OR room_number LIKE ?';
-      params = [`%${search}%`, `%${search}%`, `%${search}%`];
-    }
-    
-    query += ' ORDER BY created_at DESC';
+    const [approvals] = await pool.query(
+      `SELECT a.id, a.notes, a.expires_at, a.used_at, a.created_at,
+         au.username as approved_by_name, uu.username as used_by_name
+       FROM price_override_approvals a
+       LEFT JOIN users au ON a.approved_by = au.id
+       LEFT JOIN users uu ON a.used_by = uu.id
+       ORDER BY a.created_at DESC
+       LIMIT 100`
+    );
     
-    const [guests] = await pool.query(query, params);
-    res.status(200).json(guests);
+    res.status(200).json(approvals);
   } catch (error) {
-    console.error('Error fetching guests:', error);
+    console.error('Error fetching price override approvals:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/guests', authenticateToken, async (req, res) => {
+// Withdraw a code that has not been used yet
+app.delete('/api/price-override-approvals/:id', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { name, mobile, email, room_number, check_in_date, check_out_date } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ message: 'Guest name is required' });
-    }
-    
     const [result] = await pool.query(
-      'INSERT INTO guests (name, mobile, email, room_number, check_in_date, check_out_date) VALUES (?, ?, ?, ?, ?, ?)',
-      [name, mobile, email, room_number, formatMySQLDate(check_in_date), formatMySQLDate(check_out_date)]
+      'UPDATE price_override_approvals SET expires_at = NOW() WHERE id = ? AND used_at IS NULL AND expires_at > NOW()',
+      [req.params.id]
     );
     
-    res.status(201).json({
-      message: 'Guest created successfully',
-      guest: {
-        id: result.insertId,
-        name,
-        mobile,
-        email,
-        room_number,
-        check_in_date,
-        check_out_date
-      }
-    });
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Unused approval code not found' });
+    }
+    
+    res.status(200).json({ message: 'Approval code withdrawn successfully' });
   } catch (error) {
-    console.error('Error creating guest:', error);
+    console.error('Error withdrawing price override approval:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -595,8 +8529,34 @@ app.get('/api/kitchen-orders/:id', authenticateToken, async (req, res) => {
       [orderId]
     );
     
+    if (items.length > 0) {
+      const [options] = await pool.query(
+        'SELECT * FROM kitchen_order_item_options WHERE order_item_id IN (?) ORDER BY id',
+        [items.map(item => item.id)]
+      );
+      items.forEach(item => {
+        item.options = options.filter(option => option.order_item_id === item.id);
+      });
+    }
+    
+    const [history] = await pool.query(
+      `SELECT h.from_status, h.to_status, h.reason, h.changed_at, u.username as changed_by_name
+       FROM kitchen_order_status_history h
+       LEFT JOIN users u ON h.changed_by = u.id
+       WHERE h.order_id = ?
+       ORDER BY h.changed_at, h.id`,
+      [orderId]
+    );
+    
     const order = orders[0];
     order.items = items;
+    order.status_history = history;
+    
+    // Minutes between the order being placed, accepted and completed
+    const minutesBetween = (from, to) => (from && to ? Math.round((new Date(to) - new Date(from)) / 6000) / 10 : null);
+    order.wait_minutes = minutesBetween(order.order_date, order.accepted_at);
+    order.prep_minutes = minutesBetween(order.accepted_at, order.completed_at);
+    order.ticket_minutes = minutesBetween(order.order_date, order.completed_at);
     
     res.status(200).json(order);
   } catch (error) {
@@ -605,12 +8565,65 @@ app.get('/api/kitchen-orders/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Kitchen order ticket for the kitchen printer
+app.get('/api/kitchen-orders/:id/ticket', authenticateToken, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    
+    const [orders] = await pool.query(
+      'SELECT ko.*, u.username as created_by_name FROM kitchen_orders ko LEFT JOIN users u ON ko.created_by = u.id WHERE ko.id = ?',
+      [orderId]
+    );
+    
+    if (orders.length === 0) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    const [items] = await pool.query(
+      `SELECT koi.*, mi.name 
+       FROM kitchen_order_items koi 
+       JOIN menu_items mi ON koi.item_id = mi.id 
+       WHERE koi.order_id = ?`,
+      [orderId]
+    );
+    
+    let options = [];
+    if (items.length > 0) {
+      [options] = await pool.query(
+        'SELECT * FROM kitchen_order_item_options WHERE order_item_id IN (?) ORDER BY group_type DESC, id',
+        [items.map(item => item.id)]
+      );
+    }
+    items.forEach(item => {
+      item.options = options.filter(option => option.order_item_id === item.id);
+    });
+    
+    const pdfBuffer = await generateKitchenTicketPDF(orders[0], items);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=KOT_${orders[0].order_number.replace(/[^\w-]/g, '_')}.pdf`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating kitchen ticket:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 app.post('/api/kitchen-orders', authenticateToken, isKitchenStaff, async (req, res) => {
   try {
-    const { guest_id, room_number, guest_name, order_type, items } = req.body;
+    const { guest_id, room_number, guest_name, order_type, items, place_of_supply } = req.body;
+    
+    if (!guest_name || !order_type || !items || items.length === 0) {
+      return res.status(400).json({ message: 'Guest name, order type, and items are required' });
+    }
+    
+    if (order_type === 'room' && !room_number) {
+      return res.status(400).json({ message: 'Room number is required for room orders' });
+    }
     
-    if (!guest_name || !order_type || !items || items.length === 0) {
-      return res.status(400).json({ message: 'Guest name, order type, and items are required' });
+    if (place_of_supply && !GST_STATE_CODES[place_of_supply]) {
+      return res.status(400).json({ message: 'Invalid place of supply state code' });
     }
     
     // Start transaction
@@ -618,24 +8631,105 @@ app.post('/api/kitchen-orders', authenticateToken, isKitchenStaff, async (req, r
     await connection.beginTransaction();
     
     try {
+      let orderGuestId = guest_id || null;
+      
+      // Orders for an occupied room are charged to the guest staying in it
+      if (room_number) {
+        const room = await lockRoom(connection, room_number);
+        
+        if (!room) {
+          await connection.rollback();
+          return res.status(400).json({ message: 'Unknown room number' });
+        }
+        
+        if (order_type === 'room' && room.status !== 'occupied') {
+          await connection.rollback();
+          return res.status(400).json({ message: `Room ${room_number} is not occupied` });
+        }
+        
+        if (room.status === 'occupied') {
+          if (orderGuestId && Number(orderGuestId) !== room.current_guest_id) {
+            await connection.rollback();
+            return res.status(400).json({ message: `Guest is not staying in room ${room_number}` });
+          }
+          
+          orderGuestId = room.current_guest_id;
+        }
+      }
+      
+      // Room orders cannot be charged to a folio that has been settled
+      if (orderGuestId) {
+        const [guests] = await connection.query('SELECT is_checked_out FROM guests WHERE id = ? FOR UPDATE', [orderGuestId]);
+        
+        if (guests.length > 0 && guests[0].is_checked_out) {
+          await connection.rollback();
+          return res.status(400).json({ message: 'Guest has already checked out' });
+        }
+      }
+      
       // Generate order number
-      const orderDate = new Date();
-      const orderNumber = 'KO' + orderDate.getFullYear() +
-        (orderDate.getMonth() + 1).toString().padStart(2, '0') +
-        orderDate.getDate().toString().padStart(2, '0') +
-        Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+      const orderNumber = await getNextSequenceNumber(connection, 'kitchen_order');
+      
+      // Decide between CGST + SGST and IGST
+      const supply = await resolvePlaceOfSupply(connection, { type: 'kitchen', guest_id: orderGuestId, place_of_supply });
+      
+      // Every item must be on the menu right now: not sold out and within its schedule
+      const now = new Date();
+      const [menuItems] = await connection.query(
+        `SELECT mi.id, mi.name, mi.is_active, mi.sold_out_on, mi.schedule_id, s.name as schedule_name,
+           s.start_time as schedule_start_time, s.end_time as schedule_end_time, s.days_of_week as schedule_days
+         FROM menu_items mi
+         LEFT JOIN menu_schedules s ON mi.schedule_id = s.id
+         WHERE mi.id IN (?)`,
+        [items.map(item => item.id)]
+      );
+      
+      for (const menuItem of menuItems) {
+        const unavailableReason = getMenuItemUnavailableReason(menuItem, now);
+        
+        if (unavailableReason) {
+          await connection.rollback();
+          return res.status(400).json({
+            message: unavailableReason === 'sold_out' ? `${menuItem.name} is sold out today`
+              : unavailableReason === 'outside_schedule' ? `${menuItem.name} is only served during ${menuItem.schedule_name}`
+              : `${menuItem.name} is no longer available`
+          });
+        }
+      }
+      
+      // Price each line from the menu, with its variant and modifiers
+      const lines = [];
+      
+      for (const item of items) {
+        const line = await priceCatalogLine(connection, { ...item, item_id: item.id, service_id: null }, formatDateOnly(now));
+        
+        if (line.error) {
+          await connection.rollback();
+          return res.status(400).json({ message: line.error });
+        }
+        
+        lines.push(line);
+      }
+      
+      let approvedBy = null;
+      if (lines.some(line => line.override_reason)) {
+        const approver = await getOverrideApprover(connection, req.user, req.body.override_approval_code);
+        
+        if (approver.error) {
+          await connection.rollback();
+          return res.status(approver.status).json({ message: approver.error });
+        }
+        
+        approvedBy = approver.approved_by;
+      }
       
       // Calculate totals
       let subtotal = 0;
       let taxAmount = 0;
       
-      for (const item of items) {
-        const quantity = parseInt(item.quantity);
-        const rate = parseFloat(item.rate);
-        const gstPercentage = parseFloat(item.gst_percentage);
-        
-        const itemTotal = quantity * rate;
-        const itemGst = itemTotal * (gstPercentage / 100);
+      for (const line of lines) {
+        const itemTotal = line.quantity * line.rate;
+        const itemGst = itemTotal * (line.gst_percentage / 100);
         
         subtotal += itemTotal;
         taxAmount += itemGst;
@@ -646,29 +8740,42 @@ app.post('/api/kitchen-orders', authenticateToken, isKitchenStaff, async (req, r
       // Create order
       const [orderResult] = await connection.query(
         `INSERT INTO kitchen_orders 
-         (order_number, guest_id, room_number, guest_name, order_type, subtotal, tax_amount, total_amount, created_by) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [orderNumber, guest_id || null, room_number || null, guest_name, order_type, subtotal, taxAmount, totalAmount, req.user.id]
+         (order_number, guest_id, room_number, guest_name, order_type, place_of_supply, supply_type, subtotal, tax_amount, total_amount, created_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [orderNumber, orderGuestId, room_number || null, guest_name, order_type, supply.place_of_supply, supply.supply_type,
+         subtotal, taxAmount, totalAmount, req.user.id]
       );
       
       const orderId = orderResult.insertId;
       
+      await connection.query(
+        "INSERT INTO kitchen_order_status_history (order_id, to_status, changed_by) VALUES (?, 'pending', ?)",
+        [orderId, req.user.id]
+      );
+      
       // Insert order items
-      for (const item of items) {
-        const quantity = parseInt(item.quantity);
-        const rate = parseFloat(item.rate);
-        const gstPercentage = parseFloat(item.gst_percentage);
-        
-        const itemTotal = quantity * rate;
-        const itemGst = itemTotal * (gstPercentage / 100);
+      for (const line of lines) {
+        const itemTotal = line.quantity * line.rate;
+        const itemGst = itemTotal * (line.gst_percentage / 100);
         const itemTotalWithGst = itemTotal + itemGst;
+        const itemTax = splitGst(itemGst, supply.supply_type);
         
-        await connection.query(
+        const [lineResult] = await connection.query(
           `INSERT INTO kitchen_order_items 
-           (order_id, item_id, quantity, rate, gst_percentage, gst_amount, total) 
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [orderId, item.id, quantity, rate, gstPercentage, itemGst, itemTotalWithGst]
+           (order_id, item_id, quantity, catalog_rate, rate, override_reason, override_approved_by,
+            gst_percentage, gst_amount, cgst_amount, sgst_amount, igst_amount, total, item_options) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [orderId, line.item_id, line.quantity, line.catalog_rate, line.rate, line.override_reason, line.override_reason ? approvedBy : null,
+           line.gst_percentage, itemGst, itemTax.cgst_amount, itemTax.sgst_amount, itemTax.igst_amount, itemTotalWithGst, line.item_options]
         );
+        
+        for (const option of line.options) {
+          await connection.query(
+            `INSERT INTO kitchen_order_item_options (order_item_id, option_id, group_name, group_type, option_name, price) 
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [lineResult.insertId, option.option_id, option.group_name, option.group_type, option.option_name, option.price]
+          );
+        }
       }
       
       await connection.commit();
@@ -678,6 +8785,8 @@ app.post('/api/kitchen-orders', authenticateToken, isKitchenStaff, async (req, r
         order: {
           id: orderId,
           order_number: orderNumber,
+          place_of_supply: supply.place_of_supply,
+          supply_type: supply.supply_type,
           subtotal,
           tax_amount: taxAmount,
           total_amount: totalAmount
@@ -699,14 +8808,97 @@ app.put('/api/kitchen-orders/:id/status', authenticateToken, isKitchenStaff, asy
   try {
     const orderId = req.params.id;
     const { status } = req.body;
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
     
     if (!status) {
       return res.status(400).json({ message: 'Status is required' });
     }
     
-    await pool.query('UPDATE kitchen_orders SET status = ? WHERE id = ?', [status, orderId]);
+    if (!KITCHEN_ORDER_TRANSITIONS[status]) {
+      return res.status(400).json({ message: 'Status must be pending, processing, completed or cancelled' });
+    }
+    
+    if (status === 'cancelled' && !reason) {
+      return res.status(400).json({ message: 'A reason is required to cancel an order' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    let lowStock = [];
+    
+    try {
+      const [orders] = await connection.query(
+        'SELECT id, status, invoice_id, stock_deducted FROM kitchen_orders WHERE id = ? FOR UPDATE',
+        [orderId]
+      );
+      
+      if (orders.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      
+      const order = orders[0];
+      
+      if (!KITCHEN_ORDER_TRANSITIONS[order.status].includes(status)) {
+        await connection.rollback();
+        return res.status(400).json({
+          message: `Cannot move an order from ${order.status} to ${status}`,
+          allowed_statuses: KITCHEN_ORDER_TRANSITIONS[order.status]
+        });
+      }
+      
+      // An invoiced order is settled through its invoice, not by cancelling the order
+      if (status === 'cancelled' && order.invoice_id) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Cannot cancel an order that has been invoiced' });
+      }
+      
+      // Each status an order can move to records when it was reached; pending is only ever the first
+      const timestampColumn = KITCHEN_ORDER_STATUS_TIMESTAMPS[status];
+      
+      if (!timestampColumn) {
+        throw new Error(`No timestamp column for kitchen order status ${status}`);
+      }
+      
+      // The cancellation reason is written only on cancelling, which is final
+      if (status === 'cancelled') {
+        await connection.query(
+          `UPDATE kitchen_orders SET status = ?, ${timestampColumn} = CURRENT_TIMESTAMP, cancellation_reason = ? WHERE id = ?`,
+          [status, reason, orderId]
+        );
+      } else {
+        await connection.query(
+          `UPDATE kitchen_orders SET status = ?, ${timestampColumn} = CURRENT_TIMESTAMP WHERE id = ?`,
+          [status, orderId]
+        );
+      }
+      
+      await connection.query(
+        'INSERT INTO kitchen_order_status_history (order_id, from_status, to_status, reason, changed_by) VALUES (?, ?, ?, ?, ?)',
+        [orderId, order.status, status, reason || null, req.user.id]
+      );
+      
+      // Ingredients are used up when the order is completed, which is final
+      if (status === 'completed' && !order.stock_deducted) {
+        lowStock = await deductOrderStock(connection, orderId, req.user.id);
+      }
+      
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    
+    // The alert must not hold up or fail the status change
+    if (lowStock.length > 0) {
+      sendLowStockAlert(lowStock).catch(error => console.error('Error sending low stock alert:', error));
+    }
     
-    res.status(200).json({ message: 'Order status updated successfully' });
+    res.status(200).json({ message: 'Order status updated successfully', low_stock: lowStock });
   } catch (error) {
     console.error('Error updating order status:', error);
     res.status(500).json({ message: 'Server error' });
@@ -765,15 +8957,30 @@ app.get('/api/invoices/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
     
-    // Get invoice items
-    const [items] = await pool.query(
-      `SELECT ii.* FROM invoice_items ii WHERE ii.invoice_id = ?`,
+    // Get invoice items with the quantity already credited
+    const items = await getCreditableInvoiceItems(pool, invoiceId);
+
+    // Get credit notes issued against this invoice
+    const [creditNotes] = await pool.query(
+      'SELECT * FROM credit_notes WHERE invoice_id = ? ORDER BY credit_note_date',
       [invoiceId]
     );
-    
+
+    // Get payments received against this invoice
+    const [payments] = await pool.query(
+      `SELECT ip.*, u.username as received_by_name
+       FROM invoice_payments ip
+       LEFT JOIN users u ON ip.received_by = u.id
+       WHERE ip.invoice_id = ?
+       ORDER BY ip.received_at`,
+      [invoiceId]
+    );
+
     const invoice = invoices[0];
     invoice.items = items;
-    
+    invoice.credit_notes = creditNotes;
+    invoice.payments = payments;
+
     res.status(200).json(invoice);
   } catch (error) {
     console.error('Error fetching invoice:', error);
@@ -783,38 +8990,95 @@ app.get('/api/invoices/:id', authenticateToken, async (req, res) => {
 
 app.post('/api/invoices', authenticateToken, isReception, async (req, res) => {
   try {
-    const { guest_id, room_number, guest_name, guest_mobile, type, items, payment_status, payment_method, notes,bookingDate } = req.body;
+    const { guest_id, room_number, guest_name, guest_mobile, type, items, payment_status, payment_method, notes,bookingDate, place_of_supply, company_id, buyer_name, buyer_gstin } = req.body;
     
     if (!guest_name || !type || !items || items.length === 0) {
       return res.status(400).json({ message: 'Guest name, invoice type, and items are required' });
     }
     
+    if (place_of_supply && !GST_STATE_CODES[place_of_supply]) {
+      return res.status(400).json({ message: 'Invalid place of supply state code' });
+    }
+    
+    if (buyer_gstin && !isValidGstin(buyer_gstin)) {
+      return res.status(400).json({ message: 'Invalid buyer GSTIN' });
+    }
+    
+    // Invoices may be raised after checkout, so the room only has to exist
+    if (room_number) {
+      const [rooms] = await pool.query('SELECT id FROM rooms WHERE room_number = ?', [room_number]);
+      if (rooms.length === 0) {
+        return res.status(400).json({ message: 'Unknown room number' });
+      }
+    }
+    
     // Start transaction
     const connection = await pool.getConnection();
     await connection.beginTransaction();
     
     try {
+      // Bill to the chosen company, else the guest's company, else the buyer typed in
+      const company = await getBillingCompany(connection, company_id, guest_id);
+      
+      if (company_id && !company) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Company not found or inactive' });
+      }
+      
+      const buyer = getInvoiceBuyer(company, buyer_name, buyer_gstin);
+      
+      // Price each line from the menu or services catalog, at the price of the booking date
+      const priceDate = bookingDate && isValidDateString(bookingDate) ? bookingDate : formatDateOnly(new Date());
+      const lines = [];
+      
+      for (const item of items) {
+        const line = await priceCatalogLine(connection, item, priceDate);
+        
+        if (line.error) {
+          await connection.rollback();
+          return res.status(400).json({ message: line.error });
+        }
+        
+        lines.push(line);
+      }
+      
+      let approvedBy = null;
+      if (lines.some(line => line.override_reason)) {
+        const approver = await getOverrideApprover(connection, req.user, req.body.override_approval_code);
+        
+        if (approver.error) {
+          await connection.rollback();
+          return res.status(approver.status).json({ message: approver.error });
+        }
+        
+        approvedBy = approver.approved_by;
+      }
+      
       // Generate invoice number
-      const invoiceDate = new Date();
-      const invoiceNumber = (type === 'resort' ? 'RS' : 'KT') + invoiceDate.getFullYear() +
-        (invoiceDate.getMonth() + 1).toString().padStart(2, '0') +
-        invoiceDate.getDate().toString().padStart(2, '0') +
-        Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+      const invoiceNumber = await getNextSequenceNumber(connection, type === 'resort' ? 'resort' : 'kitchen');
+      
+      // Decide between CGST + SGST and IGST
+      const supply = await resolvePlaceOfSupply(connection, {
+        type,
+        guest_id,
+        place_of_supply: place_of_supply || (company ? company.state_code : null)
+      });
       
       // Calculate totals
       let subtotal = 0;
       let taxAmount = 0;
+      const taxSplit = { cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
       
-      for (const item of items) {
-        const quantity = parseInt(item.quantity);
-        const rate = parseFloat(item.rate);
-        const gstPercentage = parseFloat(item.gst_percentage);
-        
-        const itemTotal = quantity * rate;
-        const itemGst = itemTotal * (gstPercentage / 100);
+      for (const line of lines) {
+        const itemTotal = line.quantity * line.rate;
+        const itemGst = itemTotal * (line.gst_percentage / 100);
+        const itemTax = splitGst(itemGst, supply.supply_type);
         
         subtotal += itemTotal;
         taxAmount += itemGst;
+        taxSplit.cgst_amount += itemTax.cgst_amount;
+        taxSplit.sgst_amount += itemTax.sgst_amount;
+        taxSplit.igst_amount += itemTax.igst_amount;
       }
       
       const totalAmount = subtotal + taxAmount;
@@ -822,33 +9086,45 @@ app.post('/api/invoices', authenticateToken, isReception, async (req, res) => {
       // Create invoice
       const [invoiceResult] = await connection.query(
         `INSERT INTO invoices 
-         (invoice_number, invoice_date, guest_id, room_number, guest_name, guest_mobile, 
-          type, subtotal, tax_amount, total_amount, payment_status, payment_method, notes, created_by, booking_date) 
-         VALUES (?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,?)`,
-        [invoiceNumber, guest_id || null, room_number || null, guest_name, guest_mobile || null, 
-         type, subtotal, taxAmount, totalAmount, payment_status || 'pending', payment_method || 'cash', notes || null, req.user.id, bookingDate || null]
+         (invoice_number, invoice_date, guest_id, room_number, guest_name, guest_mobile, company_id, buyer_name, buyer_gstin, buyer_address,
+          type, place_of_supply, supply_type, subtotal, cgst_amount, sgst_amount, igst_amount, tax_amount, total_amount,
+          payment_status, payment_method, notes, created_by, booking_date) 
+         VALUES (?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?,?)`,
+        [invoiceNumber, guest_id || null, room_number || null, guest_name, guest_mobile || null,
+         buyer.company_id, buyer.buyer_name, buyer.buyer_gstin, buyer.buyer_address,
+         type, supply.place_of_supply, supply.supply_type, subtotal, taxSplit.cgst_amount, taxSplit.sgst_amount, taxSplit.igst_amount,
+         taxAmount, totalAmount, payment_method || 'cash', notes || null, req.user.id, bookingDate || null]
       );
       
       const invoiceId = invoiceResult.insertId;
       
-      // Insert invoice items
-      for (const item of items) {
-        const quantity = parseInt(item.quantity);
-        const rate = parseFloat(item.rate);
-        const gstPercentage = parseFloat(item.gst_percentage);
-        
-        const itemTotal = quantity * rate;
-        const itemGst = itemTotal * (gstPercentage / 100);
+      // Insert invoice items, with the name and HSN/SAC code snapshotted from the catalog
+      for (const line of lines) {
+        const itemTotal = line.quantity * line.rate;
+        const itemGst = itemTotal * (line.gst_percentage / 100);
         const itemTotalWithGst = itemTotal + itemGst;
+        const itemTax = splitGst(itemGst, supply.supply_type);
         
         await connection.query(
           `INSERT INTO invoice_items 
-           (invoice_id, item_id, service_id, item_name, quantity, rate, gst_percentage, gst_amount, total) 
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [invoiceId, item.item_id || null, item.service_id || null, item.name, quantity, rate, gstPercentage, itemGst, itemTotalWithGst]
+           (invoice_id, item_id, service_id, item_name, item_options, hsn_sac_code, quantity, catalog_rate, rate, override_reason, override_approved_by,
+            gst_percentage, gst_amount, cgst_amount, sgst_amount, igst_amount, total) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [invoiceId, line.item_id, line.service_id, line.name, line.item_options, line.hsn_sac_code || null, line.quantity, line.catalog_rate, line.rate,
+           line.override_reason, line.override_reason ? approvedBy : null, line.gst_percentage, itemGst,
+           itemTax.cgst_amount, itemTax.sgst_amount, itemTax.igst_amount, itemTotalWithGst]
         );
       }
       
+      // Invoices settled at the counter get their full payment recorded right away
+      if (payment_status === 'paid') {
+        await recordInvoicePayment(connection, {
+          invoice_id: invoiceId,
+          amount: totalAmount,
+          payment_method: payment_method || 'cash'
+        }, req.user.id);
+      }
+      
       await connection.commit();
       
       res.status(201).json({
@@ -856,9 +9132,13 @@ app.post('/api/invoices', authenticateToken, isReception, async (req, res) => {
         invoice: {
           id: invoiceId,
           invoice_number: invoiceNumber,
+          place_of_supply: supply.place_of_supply,
+          supply_type: supply.supply_type,
           subtotal,
+          ...taxSplit,
           tax_amount: taxAmount,
-          total_amount: totalAmount
+          total_amount: totalAmount,
+          payment_status: payment_status === 'paid' ? 'paid' : 'pending'
         }
       });
     } catch (error) {
@@ -873,6 +9153,7 @@ app.post('/api/invoices', authenticateToken, isReception, async (req, res) => {
   }
 });
 
+// Kept for older clients: marking an invoice paid records a payment for the balance due
 app.put('/api/invoices/:id/payment', authenticateToken, isReception, async (req, res) => {
   try {
     const invoiceId = req.params.id;
@@ -881,15 +9162,205 @@ app.put('/api/invoices/:id/payment', authenticateToken, isReception, async (req,
     if (!payment_status) {
       return res.status(400).json({ message: 'Payment status is required' });
     }
-    
-    await pool.query(
-      'UPDATE invoices SET payment_status = ?, payment_method = ? WHERE id = ?',
-      [payment_status, payment_method || 'cash', invoiceId]
-    );
-    
-    res.status(200).json({ message: 'Payment status updated successfully' });
+    
+    if (payment_status !== 'paid') {
+      return res.status(400).json({
+        message: 'Payment status is derived from payments. Void payments or cancel the invoice instead'
+      });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [invoices] = await connection.query('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
+      
+      if (invoices.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Invoice not found' });
+      }
+      
+      const invoice = invoices[0];
+      
+      if (invoice.status === 'cancelled') {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Cannot take payment on a cancelled invoice' });
+      }
+      
+      if (Number(invoice.balance_due) > 0) {
+        await recordInvoicePayment(connection, {
+          invoice_id: invoice.id,
+          amount: invoice.balance_due,
+          payment_method: payment_method || 'cash'
+        }, req.user.id);
+      }
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Payment status updated successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating payment status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invoice Payment Routes
+app.get('/api/invoices/:id/payments', authenticateToken, async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    
+    const [invoices] = await pool.query(
+      'SELECT id, invoice_number, total_amount, credited_amount, amount_paid, balance_due, payment_status FROM invoices WHERE id = ?',
+      [invoiceId]
+    );
+    
+    if (invoices.length === 0) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    const [payments] = await pool.query(
+      `SELECT ip.*, u.username as received_by_name, v.username as voided_by_name
+       FROM invoice_payments ip
+       LEFT JOIN users u ON ip.received_by = u.id
+       LEFT JOIN users v ON ip.voided_by = v.id
+       WHERE ip.invoice_id = ?
+       ORDER BY ip.received_at`,
+      [invoiceId]
+    );
+    
+    res.status(200).json({ ...invoices[0], payments });
+  } catch (error) {
+    console.error('Error fetching invoice payments:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/invoices/:id/payments', authenticateToken, isReception, async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    const { amount, payment_method, reference, notes, received_at } = req.body;
+    const paymentAmount = parseFloat(amount);
+    
+    if (isNaN(paymentAmount) || paymentAmount <= 0 || !payment_method) {
+      return res.status(400).json({ message: 'A positive amount and payment method are required' });
+    }
+    
+    if (!PAYMENT_METHODS.includes(payment_method)) {
+      return res.status(400).json({ message: `Payment method must be one of ${PAYMENT_METHODS.join(', ')}` });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      // Lock the invoice so two cashiers cannot overpay it together
+      const [invoices] = await connection.query('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
+      
+      if (invoices.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Invoice not found' });
+      }
+      
+      const invoice = invoices[0];
+      
+      if (invoice.status === 'cancelled') {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Cannot take payment on a cancelled invoice' });
+      }
+      
+      if (paymentAmount > Number(invoice.balance_due) + 0.005) {
+        await connection.rollback();
+        return res.status(400).json({ message: `Amount exceeds the balance due of ${Number(invoice.balance_due).toFixed(2)}` });
+      }
+      
+      const payment = await recordInvoicePayment(connection, {
+        invoice_id: invoice.id,
+        amount: paymentAmount,
+        payment_method,
+        reference,
+        notes,
+        received_at
+      }, req.user.id);
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Payment recorded successfully',
+        payment: {
+          id: payment.id,
+          amount: paymentAmount,
+          payment_method,
+          reference: reference || null
+        },
+        invoice: payment.invoice
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/invoices/:id/payments/:paymentId/void', authenticateToken, isReception, async (req, res) => {
+  try {
+    const { id: invoiceId, paymentId } = req.params;
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({ message: 'Void reason is required' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [payments] = await connection.query(
+        'SELECT * FROM invoice_payments WHERE id = ? AND invoice_id = ? FOR UPDATE',
+        [paymentId, invoiceId]
+      );
+      
+      if (payments.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Payment not found' });
+      }
+      
+      if (payments[0].is_voided) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Payment is already voided' });
+      }
+      
+      await connection.query(
+        'UPDATE invoice_payments SET is_voided = 1, void_reason = ?, voided_by = ?, voided_at = NOW() WHERE id = ?',
+        [reason, req.user.id, paymentId]
+      );
+      
+      const summary = await refreshInvoicePaymentStatus(connection, invoiceId);
+      
+      await connection.commit();
+      
+      res.status(200).json({ message: 'Payment voided successfully', invoice: summary });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   } catch (error) {
-    console.error('Error updating payment status:', error);
+    console.error('Error voiding payment:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -898,7 +9369,11 @@ app.put('/api/invoices/:id/payment', authenticateToken, isReception, async (req,
 app.post('/api/kitchen-orders/:id/create-invoice', authenticateToken, isReception, async (req, res) => {
   try {
     const orderId = req.params.id;
-    const { payment_status, payment_method } = req.body;
+    const { payment_status, payment_method, company_id, buyer_name, buyer_gstin } = req.body;
+    
+    if (buyer_gstin && !isValidGstin(buyer_gstin)) {
+      return res.status(400).json({ message: 'Invalid buyer GSTIN' });
+    }
     
     // Start transaction
     const connection = await pool.getConnection();
@@ -907,7 +9382,7 @@ app.post('/api/kitchen-orders/:id/create-invoice', authenticateToken, isReceptio
     try {
       // Get order details
       const [orders] = await connection.query(
-        'SELECT * FROM kitchen_orders WHERE id = ?',
+        'SELECT * FROM kitchen_orders WHERE id = ? FOR UPDATE',
         [orderId]
       );
       
@@ -924,50 +9399,26 @@ app.post('/api/kitchen-orders/:id/create-invoice', authenticateToken, isReceptio
         return res.status(400).json({ message: 'Invoice already exists for this order' });
       }
       
-      // Get order items
-      const [orderItems] = await connection.query(
-        `SELECT koi.*, mi.name 
-         FROM kitchen_order_items koi 
-         JOIN menu_items mi ON koi.item_id = mi.id 
-         WHERE koi.order_id = ?`,
-        [orderId]
-      );
+      // Bill to the chosen company, else the guest's company, else the buyer typed in
+      const company = await getBillingCompany(connection, company_id, order.guest_id);
       
-      // Generate invoice number
-      const invoiceDate = new Date();
-      const invoiceNumber = 'KT' + invoiceDate.getFullYear() +
-        (invoiceDate.getMonth() + 1).toString().padStart(2, '0') +
-        invoiceDate.getDate().toString().padStart(2, '0') +
-        Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+      if (company_id && !company) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Company not found or inactive' });
+      }
       
-      // Create invoice
-      const [invoiceResult] = await connection.query(
-        `INSERT INTO invoices 
-         (invoice_number, invoice_date, guest_id, room_number, guest_name, guest_mobile, 
-          type, subtotal, tax_amount, total_amount, payment_status, payment_method, created_by) 
-         VALUES (?, NOW(), ?, ?, ?, NULL, 'kitchen', ?, ?, ?, ?, ?, ?)`,
-        [invoiceNumber, order.guest_id, order.room_number, order.guest_name, 
-         order.subtotal, order.tax_amount, order.total_amount, payment_status || 'pending', payment_method || 'cash', req.user.id]
+      const { id: invoiceId, invoice_number: invoiceNumber } = await createInvoiceFromOrder(
+        connection, order, getInvoiceBuyer(company, buyer_name, buyer_gstin), payment_method, req.user.id
       );
       
-      const invoiceId = invoiceResult.insertId;
-      
-      // Insert invoice items
-      for (const item of orderItems) {
-        await connection.query(
-          `INSERT INTO invoice_items 
-           (invoice_id, item_id, service_id, item_name, quantity, rate, gst_percentage, gst_amount, total) 
-           VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?)`,
-          [invoiceId, item.item_id, item.name, item.quantity, item.rate, item.gst_percentage, item.gst_amount, item.total]
-        );
+      if (payment_status === 'paid') {
+        await recordInvoicePayment(connection, {
+          invoice_id: invoiceId,
+          amount: order.total_amount,
+          payment_method: payment_method || 'cash'
+        }, req.user.id);
       }
       
-      // Update order with invoice reference
-      await connection.query(
-        'UPDATE kitchen_orders SET invoice_id = ? WHERE id = ?',
-        [invoiceId, orderId]
-      );
-      
       await connection.commit();
       
       res.status(201).json({
@@ -977,7 +9428,8 @@ app.post('/api/kitchen-orders/:id/create-invoice', authenticateToken, isReceptio
           invoice_number: invoiceNumber,
           subtotal: order.subtotal,
           tax_amount: order.tax_amount,
-          total_amount: order.total_amount
+          total_amount: order.total_amount,
+          payment_status: payment_status === 'paid' ? 'paid' : 'pending'
         }
       });
     } catch (error) {
@@ -1022,6 +9474,11 @@ app.post('/api/invoices/:id/email', authenticateToken, async (req, res) => {
       [invoiceId]
     );
     
+    const interState = invoice.supply_type === 'inter_state';
+    const placeOfSupply = invoice.place_of_supply
+      ? `${invoice.place_of_supply} - ${GST_STATE_CODES[invoice.place_of_supply] || ''}`
+      : 'N/A';
+    
     // Create email content
     const htmlContent = `
       <h2>${invoice.resort_name}</h2>
@@ -1033,6 +9490,10 @@ app.post('/api/invoices/:id/email', authenticateToken, async (req, res) => {
       <p>Date: ${new Date(invoice.invoice_date).toDateString()}</p>
       <p>Guest: ${invoice.guest_name}</p>
       ${invoice.room_number ? `<p>Room: ${invoice.room_number}</p>` : ''}
+      ${invoice.buyer_name ? `<p>Billed To: ${invoice.buyer_name}</p>` : ''}
+      ${invoice.buyer_address ? `<p>${invoice.buyer_address}</p>` : ''}
+      ${invoice.buyer_gstin ? `<p>Buyer GSTIN: ${invoice.buyer_gstin}</p>` : ''}
+      <p>Place of Supply: ${placeOfSupply}</p>
       
       <table style="width: 100%; border-collapse: collapse;">
         <thead>
@@ -1042,19 +9503,29 @@ app.post('/api/invoices/:id/email', authenticateToken, async (req, res) => {
             <th style="padding: 8px; border: 1px solid #ddd;">Rate</th>
             <th style="padding: 8px; border: 1px solid #ddd;">Amount</th>
             <th style="padding: 8px; border: 1px solid #ddd;">GST%</th>
-            <th style="padding: 8px; border: 1px solid #ddd;">GST Amount</th>
+            ${interState ? `
+            <th style="padding: 8px; border: 1px solid #ddd;">IGST</th>
+            ` : `
+            <th style="padding: 8px; border: 1px solid #ddd;">CGST</th>
+            <th style="padding: 8px; border: 1px solid #ddd;">SGST</th>
+            `}
             <th style="padding: 8px; border: 1px solid #ddd;">Total</th>
           </tr>
         </thead>
         <tbody>
           ${items.map(item => `
             <tr>
-              <td style="padding: 8px; border: 1px solid #ddd;">${item.item_name}</td>
+              <td style="padding: 8px; border: 1px solid #ddd;">${formatLineItemName(item)}</td>
               <td style="padding: 8px; border: 1px solid #ddd;">${item.quantity}</td>
               <td style="padding: 8px; border: 1px solid #ddd;">${(item.rate)}</td>
               <td style="padding: 8px; border: 1px solid #ddd;">${(item.quantity * item.rate).toFixed(2)}</td>
               <td style="padding: 8px; border: 1px solid #ddd;">${item.gst_percentage}%</td>
-              <td style="padding: 8px; border: 1px solid #ddd;">${item.gst_amount}</td>
+              ${interState ? `
+              <td style="padding: 8px; border: 1px solid #ddd;">${item.igst_amount}</td>
+              ` : `
+              <td style="padding: 8px; border: 1px solid #ddd;">${item.cgst_amount}</td>
+              <td style="padding: 8px; border: 1px solid #ddd;">${item.sgst_amount}</td>
+              `}
               <td style="padding: 8px; border: 1px solid #ddd;">${item.total}</td>
             </tr>
           `).join('')}
@@ -1062,30 +9533,54 @@ app.post('/api/invoices/:id/email', authenticateToken, async (req, res) => {
         <tfoot>
           <tr style="font-weight: bold;">
             <td colspan="3" style="padding: 8px; border: 1px solid #ddd; text-align: right;">Subtotal:</td>
-            <td colspan="4" style="padding: 8px; border: 1px solid #ddd;">${invoice.subtotal}</td>
+            <td colspan="${interState ? 4 : 5}" style="padding: 8px; border: 1px solid #ddd;">${invoice.subtotal}</td>
+          </tr>
+          ${interState ? `
+          <tr style="font-weight: bold;">
+            <td colspan="3" style="padding: 8px; border: 1px solid #ddd; text-align: right;">IGST:</td>
+            <td colspan="4" style="padding: 8px; border: 1px solid #ddd;">${invoice.igst_amount}</td>
+          </tr>
+          ` : `
+          <tr style="font-weight: bold;">
+            <td colspan="3" style="padding: 8px; border: 1px solid #ddd; text-align: right;">CGST:</td>
+            <td colspan="5" style="padding: 8px; border: 1px solid #ddd;">${invoice.cgst_amount}</td>
           </tr>
           <tr style="font-weight: bold;">
-            <td colspan="3" style="padding: 8px; border: 1px solid #ddd; text-align: right;">GST:</td>
-            <td colspan="4" style="padding: 8px; border: 1px solid #ddd;">${invoice.tax_amount}</td>
+            <td colspan="3" style="padding: 8px; border: 1px solid #ddd; text-align: right;">SGST:</td>
+            <td colspan="5" style="padding: 8px; border: 1px solid #ddd;">${invoice.sgst_amount}</td>
           </tr>
+          `}
           <tr style="font-weight: bold;">
             <td colspan="3" style="padding: 8px; border: 1px solid #ddd; text-align: right;">Total:</td>
-            <td colspan="4" style="padding: 8px; border: 1px solid #ddd;">${invoice.total_amount}</td>
+            <td colspan="${interState ? 4 : 5}" style="padding: 8px; border: 1px solid #ddd;">${invoice.total_amount}</td>
           </tr>
         </tfoot>
       </table>
       
       <p>Payment Status: ${invoice.payment_status}</p>
+      <p>Amount Paid: ${invoice.amount_paid}</p>
+      ${Number(invoice.credited_amount) > 0 ? `<p>Credited: ${invoice.credited_amount}</p>` : ''}
+      <p><strong>Balance Due: ${invoice.balance_due}</strong></p>
       
       <p style="margin-top: 20px;">Thank you for your business!</p>
     `;
     
+    // Attach the printable tax invoice
+    const pdfBuffer = await generateTaxInvoicePDF(invoice, items);
+    
     // Send email
     const mailOptions = {
       from: process.env.EMAIL_USER,
       to: email,
       subject: `Invoice #${invoice.invoice_number} from ${invoice.resort_name}`,
       html: htmlContent,
+      attachments: [
+        {
+          filename: `invoice_${invoice.invoice_number.replace(/[^\w-]/g, '_')}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        }
+      ]
     };
     
     await transporter.sendMail(mailOptions);
@@ -1097,6 +9592,41 @@ app.post('/api/invoices/:id/email', authenticateToken, async (req, res) => {
   }
 });
 
+// Download invoice as a tax invoice PDF
+app.get('/api/invoices/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    
+    // Get invoice details
+    const [invoices] = await pool.query(
+      'SELECT i.*, s.resort_name, s.resort_address, s.resort_contact, s.resort_email, s.resort_gstin, s.kitchen_gstin FROM invoices i JOIN settings s ON 1=1 WHERE i.id = ?',
+      [invoiceId]
+    );
+    
+    if (invoices.length === 0) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    const invoice = invoices[0];
+    
+    // Get invoice items
+    const [items] = await pool.query(
+      'SELECT * FROM invoice_items WHERE invoice_id = ?',
+      [invoiceId]
+    );
+    
+    const pdfBuffer = await generateTaxInvoicePDF(invoice, items);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=invoice_${invoice.invoice_number.replace(/[^\w-]/g, '_')}.pdf`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Reports Routes
 app.get('/api/reports/sales', authenticateToken, async (req, res) => {
   try {
@@ -1106,16 +9636,24 @@ app.get('/api/reports/sales', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
+    // Credit notes count as negative sales on the day they were issued
     let query = `
       SELECT 
-        DATE(invoice_date) as date,
+        DATE(document_date) as date,
         type,
-        COUNT(*) as invoice_count,
+        SUM(document_type = 'invoice') as invoice_count,
+        SUM(document_type = 'credit_note') as credit_note_count,
         SUM(subtotal) as subtotal,
         SUM(tax_amount) as tax_amount,
         SUM(total_amount) as total_amount
-      FROM invoices
-      WHERE invoice_date >= ? AND invoice_date <= ?
+      FROM (
+        SELECT 'invoice' as document_type, invoice_date as document_date, type, subtotal, tax_amount, total_amount
+        FROM invoices
+        UNION ALL
+        SELECT 'credit_note', credit_note_date, type, -subtotal, -tax_amount, -total_amount
+        FROM credit_notes
+      ) documents
+      WHERE document_date >= ? AND document_date <= ?
     `;
     
     let params = [start_date, end_date + ' 23:59:59'];
@@ -1125,7 +9663,7 @@ app.get('/api/reports/sales', authenticateToken, async (req, res) => {
       params.push(type);
     }
     
-    query += ' GROUP BY DATE(invoice_date), type ORDER BY date';
+    query += ' GROUP BY DATE(document_date), type ORDER BY date';
     
     const [results] = await pool.query(query, params);
     
@@ -1133,6 +9671,7 @@ app.get('/api/reports/sales', authenticateToken, async (req, res) => {
     const data = {
       summary: {
         invoice_count: 0,
+        credit_note_count: 0,
         subtotal: 0,
         tax_amount: 0,
         total_amount: 0
@@ -1142,6 +9681,7 @@ app.get('/api/reports/sales', authenticateToken, async (req, res) => {
     
     results.forEach(row => {
       data.summary.invoice_count += Number(row.invoice_count || 0);
+      data.summary.credit_note_count += Number(row.credit_note_count || 0);
       data.summary.subtotal += Number(row.subtotal || 0);
       data.summary.tax_amount += Number(row.tax_amount || 0);
       data.summary.total_amount += Number(row.total_amount || 0);
@@ -1150,20 +9690,397 @@ app.get('/api/reports/sales', authenticateToken, async (req, res) => {
         date: row.date,
         type: row.type,
         invoice_count: Number(row.invoice_count || 0),
+        credit_note_count: Number(row.credit_note_count || 0),
         subtotal: Number(row.subtotal || 0),
         tax_amount: Number(row.tax_amount || 0),
         total_amount: Number(row.total_amount || 0)
       });
     });
     
-    res.status(200).json(data);
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error generating sales report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/reports/gst', authenticateToken, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const query = `
+      SELECT 
+        type,
+        SUM(subtotal) as taxable_amount,
+        SUM(cgst_amount) as cgst_amount,
+        SUM(sgst_amount) as sgst_amount,
+        SUM(igst_amount) as igst_amount,
+        SUM(tax_amount) as tax_amount,
+        SUM(total_amount) as total_amount
+      FROM invoices
+      WHERE invoice_date >= ? AND invoice_date <= ?
+      GROUP BY type
+    `;
+    
+    const [results] = await pool.query(query, [start_date, end_date + ' 23:59:59']);
+    
+    // Credit notes issued in the period reduce the tax liability
+    const [creditNoteResults] = await pool.query(`
+      SELECT 
+        type,
+        COUNT(*) as count,
+        SUM(subtotal) as taxable_amount,
+        SUM(cgst_amount) as cgst_amount,
+        SUM(sgst_amount) as sgst_amount,
+        SUM(igst_amount) as igst_amount,
+        SUM(tax_amount) as tax_amount,
+        SUM(total_amount) as total_amount
+      FROM credit_notes
+      WHERE credit_note_date >= ? AND credit_note_date <= ?
+      GROUP BY type
+    `, [start_date, end_date + ' 23:59:59']);
+    
+    // Net supplies split between registered (B2B) and unregistered (B2C) buyers
+    const [categoryResults] = await pool.query(`
+      SELECT 
+        type,
+        IF(buyer_gstin IS NULL, 'b2c', 'b2b') as category,
+        SUM(taxable_amount) as taxable_amount,
+        SUM(cgst_amount) as cgst_amount,
+        SUM(sgst_amount) as sgst_amount,
+        SUM(igst_amount) as igst_amount,
+        SUM(tax_amount) as tax_amount,
+        SUM(total_amount) as total_amount
+      FROM (
+        SELECT type, buyer_gstin, subtotal as taxable_amount, cgst_amount, sgst_amount, igst_amount, tax_amount, total_amount
+        FROM invoices
+        WHERE invoice_date >= ? AND invoice_date <= ?
+        UNION ALL
+        SELECT cn.type, i.buyer_gstin, -cn.subtotal, -cn.cgst_amount, -cn.sgst_amount, -cn.igst_amount, -cn.tax_amount, -cn.total_amount
+        FROM credit_notes cn
+        JOIN invoices i ON cn.invoice_id = i.id
+        WHERE cn.credit_note_date >= ? AND cn.credit_note_date <= ?
+      ) supplies
+      GROUP BY type, category
+    `, [start_date, end_date + ' 23:59:59', start_date, end_date + ' 23:59:59']);
+    
+    // Input tax credit from vendor bills dated in the period
+    const itcResults = await getInputTaxCredit(start_date, end_date);
+    
+    // Get GSTIN information
+    const [settings] = await pool.query('SELECT resort_gstin, kitchen_gstin FROM settings LIMIT 1');
+    
+    const amountFields = ['taxable_amount', 'cgst_amount', 'sgst_amount', 'igst_amount', 'tax_amount', 'total_amount'];
+    const taxFields = ['cgst_amount', 'sgst_amount', 'igst_amount', 'tax_amount'];
+    const emptyAmounts = () => Object.fromEntries(amountFields.map(field => [field, 0]));
+    
+    // Format the response
+    const data = {
+      period: {
+        start_date,
+        end_date
+      },
+      resort: {
+        gstin: settings[0].resort_gstin,
+        ...emptyAmounts(),
+        credit_notes: {
+          count: 0,
+          ...emptyAmounts()
+        },
+        b2b: emptyAmounts(),
+        b2c: emptyAmounts(),
+        input_tax_credit: {
+          count: 0,
+          ...emptyAmounts(),
+          ineligible: {
+            count: 0,
+            ...emptyAmounts()
+          }
+        }
+      },
+      kitchen: {
+        gstin: settings[0].kitchen_gstin,
+        ...emptyAmounts(),
+        credit_notes: {
+          count: 0,
+          ...emptyAmounts()
+        },
+        b2b: emptyAmounts(),
+        b2c: emptyAmounts(),
+        input_tax_credit: {
+          count: 0,
+          ...emptyAmounts(),
+          ineligible: {
+            count: 0,
+            ...emptyAmounts()
+          }
+        }
+      }
+    };
+    
+    results.forEach(row => {
+      if (data[row.type]) {
+        amountFields.forEach(field => {
+          data[row.type][field] = Number(row[field] || 0);
+        });
+      }
+    });
+    
+    // Report credit notes as negative values and net them off the totals
+    creditNoteResults.forEach(row => {
+      const business = data[row.type];
+      
+      business.credit_notes.count = Number(row.count || 0);
+      amountFields.forEach(field => {
+        business.credit_notes[field] = -Number(row[field] || 0);
+        business[field] += business.credit_notes[field];
+      });
+    });
+    
+    categoryResults.forEach(row => {
+      if (data[row.type]) {
+        amountFields.forEach(field => {
+          data[row.type][row.category][field] = Number(row[field] || 0);
+        });
+      }
+    });
+    
+    // Bills not eligible for credit are shown apart and not set off
+    itcResults.forEach(row => {
+      const credit = data[row.type].input_tax_credit;
+      const section = row.itc_eligible ? credit : credit.ineligible;
+      
+      section.count = Number(row.count || 0);
+      amountFields.forEach(field => {
+        section[field] = Number(row[field] || 0);
+      });
+    });
+    
+    ['resort', 'kitchen'].forEach(type => {
+      const business = data[type];
+      business.net_tax_payable = Object.fromEntries(taxFields.map(field => [
+        field,
+        Math.round((business[field] - business.input_tax_credit[field]) * 100) / 100
+      ]));
+    });
+    
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error generating GST report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/reports/hsn', authenticateToken, async (req, res) => {
+  try {
+    const { start_date, end_date, type } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const rows = await getHsnSummary(start_date, end_date, type);
+    
+    const totals = {
+      quantity: 0,
+      taxable_value: 0,
+      cgst_amount: 0,
+      sgst_amount: 0,
+      igst_amount: 0,
+      tax_amount: 0,
+      total_value: 0
+    };
+    
+    rows.forEach(row => {
+      Object.keys(totals).forEach(field => {
+        totals[field] += row[field];
+      });
+    });
+    
+    res.status(200).json({
+      period: {
+        start_date,
+        end_date
+      },
+      type: type || 'all',
+      // Lines billed before codes were set up need fixing in the catalog
+      missing_code_count: rows.filter(row => !row.hsn_sac_code).length,
+      rows,
+      totals
+    });
+  } catch (error) {
+    console.error('Error generating HSN summary report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GSTR-1 preview with the validation errors that block export
+app.get('/api/reports/gstr1', authenticateToken, async (req, res) => {
+  try {
+    const { type, period } = req.query;
+    
+    if (!['resort', 'kitchen'].includes(type) || !/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+      return res.status(400).json({ message: 'Type (resort or kitchen) and period (YYYY-MM) are required' });
+    }
+    
+    const gstr1 = await buildGstr1(type, period);
+    const { data } = gstr1;
+    
+    // Flatten every section to its rate-wise lines to total it
+    const sectionLines = {
+      b2b: data.b2b.flatMap(receiver => receiver.inv.flatMap(invoice => invoice.itms.map(item => item.itm_det))),
+      b2cl: data.b2cl.flatMap(state => state.inv.flatMap(invoice => invoice.itms.map(item => item.itm_det))),
+      b2cs: data.b2cs,
+      cdnr: data.cdnr.flatMap(receiver => receiver.nt.flatMap(note => note.itms.map(item => item.itm_det))),
+      cdnur: data.cdnur.flatMap(note => note.itms.map(item => item.itm_det)),
+      hsn: data.hsn.data
+    };
+    const documentCounts = {
+      b2b: data.b2b.reduce((count, receiver) => count + receiver.inv.length, 0),
+      b2cl: data.b2cl.reduce((count, state) => count + state.inv.length, 0),
+      b2cs: data.b2cs.length,
+      cdnr: data.cdnr.reduce((count, receiver) => count + receiver.nt.length, 0),
+      cdnur: data.cdnur.length,
+      hsn: data.hsn.data.length
+    };
+    
+    const summary = {};
+    GSTR1_SECTIONS.forEach(section => {
+      summary[section] = { count: documentCounts[section], taxable_value: 0, igst_amount: 0, cgst_amount: 0, sgst_amount: 0 };
+      sectionLines[section].forEach(line => {
+        summary[section].taxable_value += line.txval;
+        summary[section].igst_amount += line.iamt || 0;
+        summary[section].cgst_amount += line.camt || 0;
+        summary[section].sgst_amount += line.samt || 0;
+      });
+      ['taxable_value', 'igst_amount', 'cgst_amount', 'sgst_amount'].forEach(field => {
+        summary[section][field] = Math.round(summary[section][field] * 100) / 100;
+      });
+    });
+    
+    res.status(200).json({
+      type,
+      gstin: gstr1.gstin,
+      fp: gstr1.fp,
+      period: {
+        start_date: gstr1.start_date,
+        end_date: gstr1.end_date
+      },
+      summary,
+      errors: gstr1.errors,
+      can_export: gstr1.errors.length === 0,
+      data
+    });
+  } catch (error) {
+    console.error('Error generating GSTR-1:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GSTR-1 download in the offline tool JSON format
+app.get('/api/reports/gstr1/json', authenticateToken, async (req, res) => {
+  try {
+    const { type, period } = req.query;
+    
+    if (!['resort', 'kitchen'].includes(type) || !/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+      return res.status(400).json({ message: 'Type (resort or kitchen) and period (YYYY-MM) are required' });
+    }
+    
+    const gstr1 = await buildGstr1(type, period);
+    
+    if (gstr1.errors.length > 0) {
+      return res.status(422).json({ message: 'Fix the GSTR-1 validation errors before exporting', errors: gstr1.errors });
+    }
+    
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=GSTR1_${gstr1.gstin}_${gstr1.fp}.json`);
+    res.send(JSON.stringify(gstr1.data, null, 2));
+  } catch (error) {
+    console.error('Error exporting GSTR-1 JSON:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GSTR-1 download as a zip of the offline tool CSV files
+app.get('/api/reports/gstr1/csv', authenticateToken, async (req, res) => {
+  try {
+    const { type, period } = req.query;
+    
+    if (!['resort', 'kitchen'].includes(type) || !/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+      return res.status(400).json({ message: 'Type (resort or kitchen) and period (YYYY-MM) are required' });
+    }
+    
+    const gstr1 = await buildGstr1(type, period);
+    
+    if (gstr1.errors.length > 0) {
+      return res.status(422).json({ message: 'Fix the GSTR-1 validation errors before exporting', errors: gstr1.errors });
+    }
+    
+    const zip = new JSZip();
+    const files = buildGstr1Csv(gstr1);
+    Object.keys(files).forEach(name => zip.file(name, files[name]));
+    
+    const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=GSTR1_${gstr1.gstin}_${gstr1.fp}.zip`);
+    res.setHeader('Content-Length', zipBuffer.length);
+    res.send(zipBuffer);
+  } catch (error) {
+    console.error('Error exporting GSTR-1 CSV:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/reports/kitchen-items', authenticateToken, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const sales = await getKitchenItemSales(start_date, end_date);
+    
+    res.status(200).json(sales);
+  } catch (error) {
+    console.error('Error generating kitchen items report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Kitchen wait, prep and ticket times by order and by day
+app.get('/api/reports/kitchen-times', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const { orders, days, totals } = await getKitchenOrderTimes(start_date, end_date);
+    
+    res.status(200).json({
+      period: {
+        start_date,
+        end_date
+      },
+      days,
+      totals,
+      orders
+    });
   } catch (error) {
-    console.error('Error generating sales report:', error);
+    console.error('Error generating kitchen times report:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/reports/gst', authenticateToken, async (req, res) => {
+// Food cost, margins and menu engineering class of each kitchen item
+app.get('/api/reports/menu-engineering', authenticateToken, isAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     
@@ -1171,62 +10088,32 @@ app.get('/api/reports/gst', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
-    const query = `
-      SELECT 
-        type,
-        SUM(subtotal) as taxable_amount,
-        SUM(tax_amount) as tax_amount,
-        SUM(total_amount) as total_amount
-      FROM invoices
-      WHERE invoice_date >= ? AND invoice_date <= ?
-      GROUP BY type
-    `;
-    
-    const [results] = await pool.query(query, [start_date, end_date + ' 23:59:59']);
+    const { items, thresholds, totals } = await getMenuEngineering(start_date, end_date);
     
-    // Get GSTIN information
-    const [settings] = await pool.query('SELECT resort_gstin, kitchen_gstin FROM settings LIMIT 1');
+    const classCounts = Object.fromEntries(Object.keys(MENU_ENGINEERING_CLASSES).map(key => [
+      key,
+      items.filter(item => item.classification === key).length
+    ]));
     
-    // Format the response
-    const data = {
+    res.status(200).json({
       period: {
         start_date,
         end_date
       },
-      resort: {
-        gstin: settings[0].resort_gstin,
-        taxable_amount: 0,
-        tax_amount: 0,
-        total_amount: 0
-      },
-      kitchen: {
-        gstin: settings[0].kitchen_gstin,
-        taxable_amount: 0,
-        tax_amount: 0,
-        total_amount: 0
-      }
-    };
-    
-    results.forEach(row => {
-      if (row.type === 'resort') {
-        data.resort.taxable_amount = Number(row.taxable_amount || 0);
-        data.resort.tax_amount = Number(row.tax_amount || 0);
-        data.resort.total_amount = Number(row.total_amount || 0);
-      } else if (row.type === 'kitchen') {
-        data.kitchen.taxable_amount = Number(row.taxable_amount || 0);
-        data.kitchen.tax_amount = Number(row.tax_amount || 0);
-        data.kitchen.total_amount = Number(row.total_amount || 0);
-      }
+      // Items without a recipe need one before their food cost means anything
+      missing_recipe_count: items.filter(item => !item.has_recipe).length,
+      thresholds,
+      class_counts: classCounts,
+      items,
+      totals
     });
-    
-    res.status(200).json(data);
   } catch (error) {
-    console.error('Error generating GST report:', error);
+    console.error('Error generating menu engineering report:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
-
-app.get('/api/reports/kitchen-items', authenticateToken, async (req, res) => {
+// Price overrides report: every line charged at other than the catalog price
+app.get('/api/reports/price-overrides', authenticateToken, isAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     
@@ -1234,33 +10121,68 @@ app.get('/api/reports/kitchen-items', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
-    const query = `
-      SELECT 
-        mi.id,
-        mi.name,
-        SUM(koi.quantity) as total_quantity,
-        SUM(koi.total) as total_amount
-      FROM kitchen_order_items koi
-      JOIN menu_items mi ON koi.item_id = mi.id
-      JOIN kitchen_orders ko ON koi.order_id = ko.id
-      WHERE ko.order_date >= ? AND ko.order_date <= ?
-      GROUP BY mi.id, mi.name
-      ORDER BY total_quantity DESC
-    `;
-    
-    const [results] = await pool.query(query, [start_date, end_date + ' 23:59:59']);
+    // Order lines are reported until the order is invoiced, then as invoice lines
+    const [rows] = await pool.query(
+      `SELECT 'invoice' as source, i.invoice_number as document_number, i.invoice_date as document_date, i.status,
+         ii.item_name, ii.item_options, ii.quantity, ii.catalog_rate, ii.rate, ii.override_reason,
+         au.username as approved_by_name, cu.username as created_by_name
+       FROM invoice_items ii
+       JOIN invoices i ON ii.invoice_id = i.id
+       LEFT JOIN users au ON ii.override_approved_by = au.id
+       LEFT JOIN users cu ON i.created_by = cu.id
+       WHERE ii.override_reason IS NOT NULL AND DATE(i.invoice_date) BETWEEN ? AND ?
+       UNION ALL
+       SELECT 'kitchen_order', ko.order_number, ko.order_date, ko.status,
+         mi.name, koi.item_options, koi.quantity, koi.catalog_rate, koi.rate, koi.override_reason,
+         au.username, cu.username
+       FROM kitchen_order_items koi
+       JOIN kitchen_orders ko ON koi.order_id = ko.id
+       JOIN menu_items mi ON koi.item_id = mi.id
+       LEFT JOIN users au ON koi.override_approved_by = au.id
+       LEFT JOIN users cu ON ko.created_by = cu.id
+       WHERE koi.override_reason IS NOT NULL AND ko.invoice_id IS NULL AND DATE(ko.order_date) BETWEEN ? AND ?
+       UNION ALL
+       SELECT 'reservation', rv.reservation_number, rv.check_in_date, rv.status,
+         CONCAT(rt.name, ' room night'), NULL, DATEDIFF(rv.check_out_date, rv.check_in_date), rv.list_rate, rv.nightly_rate,
+         rv.rate_override_reason, au.username, cu.username
+       FROM reservations rv
+       JOIN room_types rt ON rv.room_type_id = rt.id
+       LEFT JOIN users au ON rv.rate_override_approved_by = au.id
+       LEFT JOIN users cu ON rv.created_by = cu.id
+       WHERE rv.rate_override_reason IS NOT NULL AND rv.check_in_date BETWEEN ? AND ?
+       ORDER BY document_date`,
+      [start_date, end_date, start_date, end_date, start_date, end_date]
+    );
     
-    // Apply Number() conversion to each result item
-    const formattedResults = results.map(item => ({
-      id: item.id,
-      name: item.name,
-      total_quantity: Number(item.total_quantity || 0),
-      total_amount: Number(item.total_amount || 0)
+    const overrides = rows.map(row => ({
+      ...row,
+      difference: Math.round((Number(row.rate) - Number(row.catalog_rate)) * row.quantity * 100) / 100
     }));
     
-    res.status(200).json(formattedResults);
+    res.status(200).json({
+      overrides,
+      total_difference: Math.round(overrides.reduce((sum, row) => sum + row.difference, 0) * 100) / 100
+    });
   } catch (error) {
-    console.error('Error generating kitchen items report:', error);
+    console.error('Error generating price overrides report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stock ledger report: opening, movements by type and closing stock of each ingredient
+app.get('/api/reports/stock-ledger', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { start_date, end_date, ingredient_id } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const ledger = await getStockLedger(start_date, end_date, ingredient_id);
+    
+    res.status(200).json(ledger);
+  } catch (error) {
+    console.error('Error generating stock ledger report:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -1422,9 +10344,21 @@ app.get('/api/invoices/aggregated/resort', async (req, res) => {
         i.room_number,
         i.guest_name, 
         i.guest_mobile,
+        i.company_id,
+        i.buyer_name,
+        i.buyer_gstin,
+        i.buyer_address,
+        i.place_of_supply,
+        i.supply_type,
         i.subtotal, 
+        i.cgst_amount,
+        i.sgst_amount,
+        i.igst_amount,
         i.tax_amount, 
         i.total_amount,
+        i.credited_amount,
+        i.amount_paid,
+        i.balance_due,
         i.payment_status,
         i.payment_method,
         i.notes,
@@ -1470,6 +10404,9 @@ app.get('/api/invoices/aggregated/resort', async (req, res) => {
         ii.rate, 
         ii.gst_percentage, 
         ii.gst_amount, 
+        ii.cgst_amount,
+        ii.sgst_amount,
+        ii.igst_amount,
         ii.total,
         ii.booking_date,
         CASE 
@@ -1517,9 +10454,15 @@ app.get('/api/invoices/aggregated/resort', async (req, res) => {
         total_invoices: invoices.length,
         total_subtotal: 0,
         total_tax: 0,
+        total_cgst: 0,
+        total_sgst: 0,
+        total_igst: 0,
         total_amount: 0,
+        total_paid: 0,
+        total_balance_due: 0,
         payment_status_summary: {
           paid: 0,
+          partially_paid: 0,
           pending: 0,
           cancelled: 0
         },
@@ -1527,7 +10470,8 @@ app.get('/api/invoices/aggregated/resort', async (req, res) => {
           cash: 0,
           card: 0,
           upi: 0,
-          other: 0
+          other: 0,
+          split: 0
         }
       }
     };
@@ -1536,7 +10480,12 @@ app.get('/api/invoices/aggregated/resort', async (req, res) => {
     invoices.forEach(invoice => {
       aggregatedData.summary.total_subtotal += parseFloat(invoice.subtotal);
       aggregatedData.summary.total_tax += parseFloat(invoice.tax_amount);
+      aggregatedData.summary.total_cgst += parseFloat(invoice.cgst_amount);
+      aggregatedData.summary.total_sgst += parseFloat(invoice.sgst_amount);
+      aggregatedData.summary.total_igst += parseFloat(invoice.igst_amount);
       aggregatedData.summary.total_amount += parseFloat(invoice.total_amount);
+      aggregatedData.summary.total_paid += parseFloat(invoice.amount_paid);
+      aggregatedData.summary.total_balance_due += parseFloat(invoice.balance_due);
       
       // Count by payment status
       if (invoice.payment_status) {
@@ -1596,9 +10545,21 @@ app.get('/api/invoices/aggregated/kitchen', async (req, res) => {
         i.room_number,
         i.guest_name, 
         i.guest_mobile,
+        i.company_id,
+        i.buyer_name,
+        i.buyer_gstin,
+        i.buyer_address,
+        i.place_of_supply,
+        i.supply_type,
         i.subtotal, 
+        i.cgst_amount,
+        i.sgst_amount,
+        i.igst_amount,
         i.tax_amount, 
         i.total_amount,
+        i.credited_amount,
+        i.amount_paid,
+        i.balance_due,
         i.payment_status,
         i.payment_method,
         i.notes,
@@ -1646,6 +10607,9 @@ app.get('/api/invoices/aggregated/kitchen', async (req, res) => {
         ii.rate, 
         ii.gst_percentage, 
         ii.gst_amount, 
+        ii.cgst_amount,
+        ii.sgst_amount,
+        ii.igst_amount,
         ii.total,
         ii.booking_date,
         'menu_item' as item_type,
@@ -1691,13 +10655,19 @@ app.get('/api/invoices/aggregated/kitchen', async (req, res) => {
         total_invoices: invoices.length,
         total_subtotal: 0,
         total_tax: 0,
+        total_cgst: 0,
+        total_sgst: 0,
+        total_igst: 0,
         total_amount: 0,
+        total_paid: 0,
+        total_balance_due: 0,
         order_type_summary: {
           room: 0,
           walk_in: 0
         },
         payment_status_summary: {
           paid: 0,
+          partially_paid: 0,
           pending: 0,
           cancelled: 0
         },
@@ -1705,7 +10675,8 @@ app.get('/api/invoices/aggregated/kitchen', async (req, res) => {
           cash: 0,
           card: 0,
           upi: 0,
-          other: 0
+          other: 0,
+          split: 0
         }
       }
     };
@@ -1714,7 +10685,12 @@ app.get('/api/invoices/aggregated/kitchen', async (req, res) => {
     invoices.forEach(invoice => {
       aggregatedData.summary.total_subtotal += parseFloat(invoice.subtotal);
       aggregatedData.summary.total_tax += parseFloat(invoice.tax_amount);
+      aggregatedData.summary.total_cgst += parseFloat(invoice.cgst_amount);
+      aggregatedData.summary.total_sgst += parseFloat(invoice.sgst_amount);
+      aggregatedData.summary.total_igst += parseFloat(invoice.igst_amount);
       aggregatedData.summary.total_amount += parseFloat(invoice.total_amount);
+      aggregatedData.summary.total_paid += parseFloat(invoice.amount_paid);
+      aggregatedData.summary.total_balance_due += parseFloat(invoice.balance_due);
       
       // Count by order type
       if (invoice.order_type) {
@@ -1747,54 +10723,212 @@ app.get('/api/invoices/aggregated/kitchen', async (req, res) => {
   }
 });
 
-app.delete('/api/invoices/:id', authenticateToken, async (req, res) => {
+// Cancel invoice: issues a credit note for every line still open, the invoice itself is kept
+const cancelInvoice = async (req, res) => {
   try {
     const invoiceId = req.params.id;
+    const reason = req.body?.reason || (req.method === 'DELETE' ? 'Invoice cancelled' : null);
     
-    // Check if invoice exists
-    const [invoiceCheck] = await pool.query(
-      'SELECT id FROM invoices WHERE id = ?',
-      [invoiceId]
-    );
-    
-    if (invoiceCheck.length === 0) {
-      return res.status(404).json({ message: 'Invoice not found' });
+    if (!reason) {
+      return res.status(400).json({ message: 'Cancellation reason is required' });
     }
     
-    // Begin transaction
+    // Start transaction
     const connection = await pool.getConnection();
     await connection.beginTransaction();
     
     try {
-      // Delete invoice items first (due to foreign key constraint)
-      await connection.query(
-        'DELETE FROM invoice_items WHERE invoice_id = ?',
-        [invoiceId]
-      );
+      const [invoices] = await connection.query('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
       
-      // Delete the invoice
-      const [result] = await connection.query(
-        'DELETE FROM invoices WHERE id = ?',
-        [invoiceId]
-      );
+      if (invoices.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ message: 'Invoice not found' });
+      }
+      
+      const invoice = invoices[0];
+      
+      if (invoice.status === 'cancelled') {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Invoice is already cancelled' });
+      }
+      
+      const items = await getCreditableInvoiceItems(connection, invoiceId);
+      const lines = items
+        .filter(item => item.creditable_quantity > 0)
+        .map(item => ({ item, quantity: item.creditable_quantity }));
+      
+      const creditNote = await issueCreditNote(connection, invoice, lines, reason, req.user.id);
       
-      // Commit transaction
       await connection.commit();
+      
+      res.status(200).json({
+        message: 'Invoice cancelled successfully',
+        credit_note: creditNote
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
       connection.release();
+    }
+  } catch (error) {
+    console.error('Error cancelling invoice:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+app.post('/api/invoices/:id/cancel', authenticateToken, isReception, cancelInvoice);
+
+// Issued invoices are never deleted, DELETE is kept for older clients and cancels instead
+app.delete('/api/invoices/:id', authenticateToken, isReception, cancelInvoice);
+
+// Partial credit note for selected invoice lines
+app.post('/api/invoices/:id/credit-notes', authenticateToken, isReception, async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    const { reason, items } = req.body;
+    
+    if (!reason || !items || items.length === 0) {
+      return res.status(400).json({ message: 'Reason and items are required' });
+    }
+    
+    // Start transaction
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    try {
+      const [invoices] = await connection.query('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
       
-      if (result.affectedRows === 0) {
+      if (invoices.length === 0) {
+        await connection.rollback();
         return res.status(404).json({ message: 'Invoice not found' });
       }
       
-      res.status(200).json({ message: 'Invoice deleted successfully' });
+      const invoice = invoices[0];
+      
+      if (invoice.status === 'cancelled') {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Invoice is already cancelled' });
+      }
+      
+      const invoiceItems = await getCreditableInvoiceItems(connection, invoiceId);
+      const lines = [];
+      
+      for (const line of items) {
+        const item = invoiceItems.find(ii => ii.id === parseInt(line.invoice_item_id));
+        const quantity = parseInt(line.quantity);
+        
+        if (!item) {
+          await connection.rollback();
+          return res.status(400).json({ message: `Invoice item ${line.invoice_item_id} does not belong to this invoice` });
+        }
+        
+        if (isNaN(quantity) || quantity <= 0 || quantity > item.creditable_quantity) {
+          await connection.rollback();
+          return res.status(400).json({
+            message: `Quantity for ${item.item_name} must be between 1 and ${item.creditable_quantity}`
+          });
+        }
+        
+        if (lines.some(l => l.item.id === item.id)) {
+          await connection.rollback();
+          return res.status(400).json({ message: `${item.item_name} is listed more than once` });
+        }
+        
+        lines.push({ item, quantity });
+      }
+      
+      const creditNote = await issueCreditNote(connection, invoice, lines, reason, req.user.id);
+      
+      await connection.commit();
+      
+      res.status(201).json({
+        message: 'Credit note created successfully',
+        credit_note: creditNote
+      });
     } catch (error) {
-      // Rollback transaction on error
       await connection.rollback();
-      connection.release();
       throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating credit note:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Credit Note Routes
+app.get('/api/credit-notes', authenticateToken, async (req, res) => {
+  try {
+    const { start_date, end_date, type, invoice_id } = req.query;
+    
+    let query = `SELECT cn.*, i.invoice_number, i.invoice_date, i.guest_name, u.username as created_by_name
+                 FROM credit_notes cn
+                 JOIN invoices i ON cn.invoice_id = i.id
+                 LEFT JOIN users u ON cn.created_by = u.id`;
+    let conditions = [];
+    let params = [];
+    
+    if (start_date) {
+      conditions.push('cn.credit_note_date >= ?');
+      params.push(start_date);
+    }
+    
+    if (end_date) {
+      conditions.push('cn.credit_note_date <= ?');
+      params.push(end_date + ' 23:59:59');
+    }
+    
+    if (type) {
+      conditions.push('cn.type = ?');
+      params.push(type);
+    }
+    
+    if (invoice_id) {
+      conditions.push('cn.invoice_id = ?');
+      params.push(invoice_id);
+    }
+    
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    
+    query += ' ORDER BY cn.credit_note_date DESC';
+    
+    const [creditNotes] = await pool.query(query, params);
+    res.status(200).json(creditNotes);
+  } catch (error) {
+    console.error('Error fetching credit notes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/credit-notes/:id', authenticateToken, async (req, res) => {
+  try {
+    const creditNoteId = req.params.id;
+    
+    const [creditNotes] = await pool.query(
+      `SELECT cn.*, i.invoice_number, i.invoice_date, i.guest_name, i.guest_mobile, i.room_number, u.username as created_by_name
+       FROM credit_notes cn
+       JOIN invoices i ON cn.invoice_id = i.id
+       LEFT JOIN users u ON cn.created_by = u.id
+       WHERE cn.id = ?`,
+      [creditNoteId]
+    );
+    
+    if (creditNotes.length === 0) {
+      return res.status(404).json({ message: 'Credit note not found' });
     }
+    
+    const [items] = await pool.query('SELECT * FROM credit_note_items WHERE credit_note_id = ?', [creditNoteId]);
+    
+    const creditNote = creditNotes[0];
+    creditNote.items = items;
+    
+    res.status(200).json(creditNote);
   } catch (error) {
-    console.error('Error deleting invoice:', error);
+    console.error('Error fetching credit note:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -2050,98 +11184,652 @@ app.get('/api/reports/resort-details', async (req, res) => {
       connection.release();
     }
   } catch (error) {
-    console.error('Error generating Excel report:', error);
-    res.status(500).json({ success: false, message: 'Error generating Excel report', error: error.message });
+    console.error('Error generating Excel report:', error);
+    res.status(500).json({ success: false, message: 'Error generating Excel report', error: error.message });
+  }
+});
+
+
+app.get('/api/reports/sales/excel', async (req, res) => {
+  try {
+    const { start_date, end_date, type } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    // Credit notes count as negative sales on the day they were issued
+    let query = `
+      SELECT 
+        DATE(document_date) as date,
+        type,
+        SUM(document_type = 'invoice') as invoice_count,
+        SUM(document_type = 'credit_note') as credit_note_count,
+        SUM(subtotal) as subtotal,
+        SUM(tax_amount) as tax_amount,
+        SUM(total_amount) as total_amount
+      FROM (
+        SELECT 'invoice' as document_type, invoice_date as document_date, type, subtotal, tax_amount, total_amount
+        FROM invoices
+        UNION ALL
+        SELECT 'credit_note', credit_note_date, type, -subtotal, -tax_amount, -total_amount
+        FROM credit_notes
+      ) documents
+      WHERE document_date >= ? AND document_date <= ?
+    `;
+    
+    let params = [start_date, end_date + ' 23:59:59'];
+    
+    if (type) {
+      query += ' AND type = ?';
+      params.push(type);
+    }
+    
+    query += ' GROUP BY DATE(document_date), type ORDER BY date';
+    
+    const [results] = await pool.query(query, params);
+    
+    // Format the data for Excel
+    const dailyData = results.map(row => ({
+      Date: row.date,
+      Type: row.type,
+      'Invoice Count': Number(row.invoice_count || 0),
+      'Credit Note Count': Number(row.credit_note_count || 0),
+      'Subtotal': Number(row.subtotal || 0).toFixed(2),
+      'Tax Amount': Number(row.tax_amount || 0).toFixed(2),
+      'Total Amount': Number(row.total_amount || 0).toFixed(2)
+    }));
+    
+    // Calculate summary row
+    const summary = {
+      Date: 'TOTAL',
+      Type: '',
+      'Invoice Count': 0,
+      'Credit Note Count': 0,
+      'Subtotal': 0,
+      'Tax Amount': 0,
+      'Total Amount': 0
+    };
+    
+    results.forEach(row => {
+      summary['Invoice Count'] += Number(row.invoice_count || 0);
+      summary['Credit Note Count'] += Number(row.credit_note_count || 0);
+      summary['Subtotal'] += Number(row.subtotal || 0);
+      summary['Tax Amount'] += Number(row.tax_amount || 0);
+      summary['Total Amount'] += Number(row.total_amount || 0);
+    });
+    
+    summary['Subtotal'] = Number(summary['Subtotal'] || 0).toFixed(2);
+    summary['Tax Amount'] = Number(summary['Tax Amount'] || 0).toFixed(2);
+    summary['Total Amount'] = Number(summary['Total Amount'] || 0).toFixed(2);
+    
+    // Add summary row to the end
+    dailyData.push(summary);
+    
+    // Create workbook and worksheet
+    const wb = xlsx.utils.book_new();
+    const ws = xlsx.utils.json_to_sheet(dailyData, { origin: 'A3' });
+    
+    // Add title rows with report details
+    xlsx.utils.sheet_add_aoa(ws, [
+      [`Sales Report (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    
+    // Add the worksheet to the workbook
+    xlsx.utils.book_append_sheet(wb, ws, 'Sales Report');
+    
+    // Set column widths
+    const cols = [
+      { wch: 12 },  // Date
+      { wch: 10 },  // Type
+      { wch: 15 },  // Invoice Count
+      { wch: 18 },  // Credit Note Count
+      { wch: 15 },  // Subtotal
+      { wch: 15 },  // Tax Amount
+      { wch: 15 },  // Total Amount
+    ];
+    ws['!cols'] = cols;
+    
+    // Generate Excel file
+    const excelBuffer = xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
+    
+    // Set response headers for file download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=sales_report_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Length', excelBuffer.length);
+    
+    // Send the file
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error generating sales excel report:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-
-app.get('/api/reports/sales/excel', async (req, res) => {
+// Excel report generation for GST data
+app.get('/api/reports/gst/excel', async (req, res) => {
   try {
-    const { start_date, end_date, type } = req.query;
+    const { start_date, end_date } = req.query;
     
     if (!start_date || !end_date) {
       return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
-    let query = `
+    const query = `
       SELECT 
-        DATE(invoice_date) as date,
         type,
-        COUNT(*) as invoice_count,
-        SUM(subtotal) as subtotal,
+        SUM(subtotal) as taxable_amount,
+        SUM(cgst_amount) as cgst_amount,
+        SUM(sgst_amount) as sgst_amount,
+        SUM(igst_amount) as igst_amount,
         SUM(tax_amount) as tax_amount,
         SUM(total_amount) as total_amount
       FROM invoices
       WHERE invoice_date >= ? AND invoice_date <= ?
+      GROUP BY type
     `;
     
-    let params = [start_date, end_date + ' 23:59:59'];
+    const [results] = await pool.query(query, [start_date, end_date + ' 23:59:59']);
     
-    if (type) {
-      query += ' AND type = ?';
-      params.push(type);
+    // Get GSTIN information
+    const [settings] = await pool.query('SELECT resort_gstin, kitchen_gstin FROM settings LIMIT 1');
+    
+    // Credit notes issued in the period, reported as negative values
+    const [creditNoteResults] = await pool.query(`
+      SELECT 
+        type,
+        SUM(subtotal) as taxable_amount,
+        SUM(cgst_amount) as cgst_amount,
+        SUM(sgst_amount) as sgst_amount,
+        SUM(igst_amount) as igst_amount,
+        SUM(tax_amount) as tax_amount,
+        SUM(total_amount) as total_amount
+      FROM credit_notes
+      WHERE credit_note_date >= ? AND credit_note_date <= ?
+      GROUP BY type
+    `, [start_date, end_date + ' 23:59:59']);
+    
+    // Net supplies split between registered (B2B) and unregistered (B2C) buyers
+    const [categoryResults] = await pool.query(`
+      SELECT 
+        type,
+        IF(buyer_gstin IS NULL, 'b2c', 'b2b') as category,
+        SUM(taxable_amount) as taxable_amount,
+        SUM(cgst_amount) as cgst_amount,
+        SUM(sgst_amount) as sgst_amount,
+        SUM(igst_amount) as igst_amount,
+        SUM(tax_amount) as tax_amount,
+        SUM(total_amount) as total_amount
+      FROM (
+        SELECT type, buyer_gstin, subtotal as taxable_amount, cgst_amount, sgst_amount, igst_amount, tax_amount, total_amount
+        FROM invoices
+        WHERE invoice_date >= ? AND invoice_date <= ?
+        UNION ALL
+        SELECT cn.type, i.buyer_gstin, -cn.subtotal, -cn.cgst_amount, -cn.sgst_amount, -cn.igst_amount, -cn.tax_amount, -cn.total_amount
+        FROM credit_notes cn
+        JOIN invoices i ON cn.invoice_id = i.id
+        WHERE cn.credit_note_date >= ? AND cn.credit_note_date <= ?
+      ) supplies
+      GROUP BY type, category
+    `, [start_date, end_date + ' 23:59:59', start_date, end_date + ' 23:59:59']);
+    
+    // Excel column for each amount
+    const amountColumns = {
+      'Taxable Amount': 'taxable_amount',
+      'CGST': 'cgst_amount',
+      'SGST': 'sgst_amount',
+      'IGST': 'igst_amount',
+      'Tax Amount': 'tax_amount',
+      'Total Amount': 'total_amount'
+    };
+    
+    const toRow = (label, gstin, row, sign) => {
+      const reportRow = { 'Business Type': label, 'GSTIN': gstin };
+      Object.entries(amountColumns).forEach(([column, field]) => {
+        reportRow[column] = (sign * Number(row[field] || 0)).toFixed(2);
+      });
+      return reportRow;
+    };
+    
+    // Format the data for Excel
+    const reportData = [];
+    
+    // Calculate totals
+    const totals = {};
+    
+    [
+      { type: 'resort', label: 'Resort', gstin: settings[0].resort_gstin },
+      { type: 'kitchen', label: 'Kitchen', gstin: settings[0].kitchen_gstin }
+    ].forEach(business => {
+      const invoiceRow = results.find(row => row.type === business.type) || {};
+      const creditNoteRow = creditNoteResults.find(row => row.type === business.type) || {};
+      
+      reportData.push(toRow(business.label, business.gstin || 'N/A', invoiceRow, 1));
+      reportData.push(toRow(`${business.label} - Credit Notes`, business.gstin || 'N/A', creditNoteRow, -1));
+      
+      Object.values(amountColumns).forEach(field => {
+        totals[field] = (totals[field] || 0) + Number(invoiceRow[field] || 0) - Number(creditNoteRow[field] || 0);
+      });
+    });
+    
+    // Add total row
+    reportData.push(toRow('TOTAL', '', totals, 1));
+    
+    // Create workbook and worksheet
+    const wb = xlsx.utils.book_new();
+    const ws = xlsx.utils.json_to_sheet(reportData, { origin: 'A3' });
+    
+    // Add title rows with report details
+    xlsx.utils.sheet_add_aoa(ws, [
+      [`GST Report (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    
+    // Add the worksheet to the workbook
+    xlsx.utils.book_append_sheet(wb, ws, 'GST Report');
+    
+    // Set column widths
+    const cols = [
+      { wch: 25 },  // Business Type
+      { wch: 20 },  // GSTIN
+      { wch: 15 },  // Taxable Amount
+      { wch: 12 },  // CGST
+      { wch: 12 },  // SGST
+      { wch: 12 },  // IGST
+      { wch: 15 },  // Tax Amount
+      { wch: 15 },  // Total Amount
+    ];
+    ws['!cols'] = cols;
+    
+    // Second sheet with the same net supplies split by buyer registration
+    const categoryData = [];
+    [
+      { type: 'resort', label: 'Resort', gstin: settings[0].resort_gstin },
+      { type: 'kitchen', label: 'Kitchen', gstin: settings[0].kitchen_gstin }
+    ].forEach(business => {
+      ['b2b', 'b2c'].forEach(category => {
+        const categoryRow = categoryResults.find(row => row.type === business.type && row.category === category) || {};
+        categoryData.push(toRow(`${business.label} - ${category.toUpperCase()}`, business.gstin || 'N/A', categoryRow, 1));
+      });
+    });
+    
+    const categoryWs = xlsx.utils.json_to_sheet(categoryData, { origin: 'A3' });
+    xlsx.utils.sheet_add_aoa(categoryWs, [
+      [`B2B / B2C Supplies, net of credit notes (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    categoryWs['!cols'] = cols;
+    xlsx.utils.book_append_sheet(wb, categoryWs, 'B2B vs B2C');
+    
+    // Third sheet with input tax credit from vendor bills and the tax left to pay
+    const itcResults = await getInputTaxCredit(start_date, end_date);
+    const itcData = [];
+    [
+      { type: 'resort', label: 'Resort', gstin: settings[0].resort_gstin },
+      { type: 'kitchen', label: 'Kitchen', gstin: settings[0].kitchen_gstin }
+    ].forEach(business => {
+      const eligibleRow = itcResults.find(row => row.type === business.type && row.itc_eligible) || {};
+      const ineligibleRow = itcResults.find(row => row.type === business.type && !row.itc_eligible) || {};
+      const invoiceRow = results.find(row => row.type === business.type) || {};
+      const creditNoteRow = creditNoteResults.find(row => row.type === business.type) || {};
+      
+      const payableRow = toRow(`${business.label} - Net Tax Payable`, business.gstin || 'N/A', {}, 1);
+      ['CGST', 'SGST', 'IGST', 'Tax Amount'].forEach(column => {
+        const field = amountColumns[column];
+        payableRow[column] = (Number(invoiceRow[field] || 0) - Number(creditNoteRow[field] || 0) - Number(eligibleRow[field] || 0)).toFixed(2);
+      });
+      payableRow['Taxable Amount'] = '';
+      payableRow['Total Amount'] = '';
+      
+      itcData.push(toRow(`${business.label} - ITC`, business.gstin || 'N/A', eligibleRow, 1));
+      itcData.push(toRow(`${business.label} - ITC Ineligible`, business.gstin || 'N/A', ineligibleRow, 1));
+      itcData.push(payableRow);
+    });
+    
+    const itcWs = xlsx.utils.json_to_sheet(itcData, { origin: 'A3' });
+    xlsx.utils.sheet_add_aoa(itcWs, [
+      [`Input Tax Credit (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    itcWs['!cols'] = cols;
+    xlsx.utils.book_append_sheet(wb, itcWs, 'Input Tax Credit');
+    
+    // Generate Excel file
+    const excelBuffer = xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
+    
+    // Set response headers for file download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=gst_report_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Length', excelBuffer.length);
+    
+    // Send the file
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error generating GST excel report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Excel report generation for HSN summary data
+app.get('/api/reports/hsn/excel', authenticateToken, async (req, res) => {
+  try {
+    const { start_date, end_date, type } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
-    query += ' GROUP BY DATE(invoice_date), type ORDER BY date';
+    const rows = await getHsnSummary(start_date, end_date, type);
     
-    const [results] = await pool.query(query, params);
+    // Format the data for Excel
+    const hsnData = rows.map(row => ({
+      'HSN/SAC': row.hsn_sac_code || 'Not specified',
+      'GST Rate %': row.gst_percentage,
+      'Quantity': row.quantity,
+      'Taxable Value': row.taxable_value.toFixed(2),
+      'CGST': row.cgst_amount.toFixed(2),
+      'SGST': row.sgst_amount.toFixed(2),
+      'IGST': row.igst_amount.toFixed(2),
+      'Total Tax': row.tax_amount.toFixed(2),
+      'Total Value': row.total_value.toFixed(2)
+    }));
+    
+    // Calculate totals
+    const totals = rows.reduce((acc, row) => {
+      acc.quantity += row.quantity;
+      acc.taxable_value += row.taxable_value;
+      acc.cgst_amount += row.cgst_amount;
+      acc.sgst_amount += row.sgst_amount;
+      acc.igst_amount += row.igst_amount;
+      acc.tax_amount += row.tax_amount;
+      acc.total_value += row.total_value;
+      return acc;
+    }, { quantity: 0, taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, tax_amount: 0, total_value: 0 });
+    
+    // Add total row
+    hsnData.push({
+      'HSN/SAC': 'TOTAL',
+      'GST Rate %': '',
+      'Quantity': totals.quantity,
+      'Taxable Value': totals.taxable_value.toFixed(2),
+      'CGST': totals.cgst_amount.toFixed(2),
+      'SGST': totals.sgst_amount.toFixed(2),
+      'IGST': totals.igst_amount.toFixed(2),
+      'Total Tax': totals.tax_amount.toFixed(2),
+      'Total Value': totals.total_value.toFixed(2)
+    });
+    
+    // Create workbook and worksheet
+    const wb = xlsx.utils.book_new();
+    const ws = xlsx.utils.json_to_sheet(hsnData, { origin: 'A3' });
+    
+    // Add title rows with report details
+    xlsx.utils.sheet_add_aoa(ws, [
+      [`HSN Summary Report${type ? ` - ${type}` : ''} (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    
+    // Add the worksheet to the workbook
+    xlsx.utils.book_append_sheet(wb, ws, 'HSN Summary');
+    
+    // Set column widths
+    const cols = [
+      { wch: 15 },  // HSN/SAC
+      { wch: 12 },  // GST Rate %
+      { wch: 12 },  // Quantity
+      { wch: 15 },  // Taxable Value
+      { wch: 12 },  // CGST
+      { wch: 12 },  // SGST
+      { wch: 12 },  // IGST
+      { wch: 15 },  // Total Tax
+      { wch: 15 },  // Total Value
+    ];
+    ws['!cols'] = cols;
+    
+    // Generate Excel file
+    const excelBuffer = xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
+    
+    // Set response headers for file download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=hsn_summary_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Length', excelBuffer.length);
+    
+    // Send the file
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error generating HSN summary excel report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Night audit summary report
+app.get('/api/reports/night-audit', authenticateToken, isReception, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const [audits] = await pool.query(
+      `SELECT na.*, DATE_FORMAT(na.business_date, '%Y-%m-%d') as business_date, u.full_name as run_by_name
+       FROM night_audits na
+       LEFT JOIN users u ON na.run_by = u.id
+       WHERE na.business_date BETWEEN ? AND ?
+       ORDER BY na.business_date`,
+      [start_date, end_date]
+    );
+    
+    // Period figures are worked out from the room nights, not by averaging the daily ratios
+    const roomsAvailable = audits.reduce((sum, audit) => sum + audit.total_rooms - audit.out_of_order_rooms, 0);
+    const roomsSold = audits.reduce((sum, audit) => sum + audit.rooms_sold, 0);
+    const roomRevenue = audits.reduce((sum, audit) => sum + Number(audit.room_revenue), 0);
+    
+    res.status(200).json({
+      audits,
+      summary: {
+        nights_audited: audits.length,
+        rooms_available: roomsAvailable,
+        rooms_sold: roomsSold,
+        room_revenue: Math.round(roomRevenue * 100) / 100,
+        occupancy_percentage: roomsAvailable > 0 ? Math.round((roomsSold / roomsAvailable) * 10000) / 100 : 0,
+        adr: roomsSold > 0 ? Math.round((roomRevenue / roomsSold) * 100) / 100 : 0,
+        revpar: roomsAvailable > 0 ? Math.round((roomRevenue / roomsAvailable) * 100) / 100 : 0
+      }
+    });
+  } catch (error) {
+    console.error('Error generating night audit report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Excel report generation for night audit data
+app.get('/api/reports/night-audit/excel', authenticateToken, isReception, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const [audits] = await pool.query(
+      `SELECT na.*, DATE_FORMAT(na.business_date, '%Y-%m-%d') as business_date
+       FROM night_audits na
+       WHERE na.business_date BETWEEN ? AND ?
+       ORDER BY na.business_date`,
+      [start_date, end_date]
+    );
     
     // Format the data for Excel
-    const dailyData = results.map(row => ({
-      Date: row.date,
-      Type: row.type,
-      'Invoice Count': row.invoice_count,
-      'Subtotal': Number(row.subtotal || 0).toFixed(2),
-      'Tax Amount': Number(row.tax_amount || 0).toFixed(2),
-      'Total Amount': Number(row.total_amount || 0).toFixed(2)
+    const auditData = audits.map(audit => ({
+      'Business Date': audit.business_date,
+      'Total Rooms': audit.total_rooms,
+      'Out of Order': audit.out_of_order_rooms,
+      'Rooms Sold': audit.rooms_sold,
+      'Occupancy %': Number(audit.occupancy_percentage).toFixed(2),
+      'Room Revenue': Number(audit.room_revenue).toFixed(2),
+      'ADR': Number(audit.adr).toFixed(2),
+      'RevPAR': Number(audit.revpar).toFixed(2),
+      'Overdue Checkouts': audit.overdue_checkouts
     }));
     
-    // Calculate summary row
-    const summary = {
-      Date: 'TOTAL',
-      Type: '',
-      'Invoice Count': 0,
-      'Subtotal': 0,
-      'Tax Amount': 0,
-      'Total Amount': 0
-    };
+    const roomsAvailable = audits.reduce((sum, audit) => sum + audit.total_rooms - audit.out_of_order_rooms, 0);
+    const roomsSold = audits.reduce((sum, audit) => sum + audit.rooms_sold, 0);
+    const roomRevenue = audits.reduce((sum, audit) => sum + Number(audit.room_revenue), 0);
     
-    results.forEach(row => {
-      summary['Invoice Count'] += Number(row.invoice_count || 0);
-      summary['Subtotal'] += Number(row.subtotal || 0);
-      summary['Tax Amount'] += Number(row.tax_amount || 0);
-      summary['Total Amount'] += Number(row.total_amount || 0);
+    // Add total row
+    auditData.push({
+      'Business Date': 'TOTAL',
+      'Total Rooms': '',
+      'Out of Order': '',
+      'Rooms Sold': roomsSold,
+      'Occupancy %': (roomsAvailable > 0 ? (roomsSold / roomsAvailable) * 100 : 0).toFixed(2),
+      'Room Revenue': roomRevenue.toFixed(2),
+      'ADR': (roomsSold > 0 ? roomRevenue / roomsSold : 0).toFixed(2),
+      'RevPAR': (roomsAvailable > 0 ? roomRevenue / roomsAvailable : 0).toFixed(2),
+      'Overdue Checkouts': ''
+    });
+    
+    // Create workbook and worksheet
+    const wb = xlsx.utils.book_new();
+    const ws = xlsx.utils.json_to_sheet(auditData, { origin: 'A3' });
+    
+    // Add title rows with report details
+    xlsx.utils.sheet_add_aoa(ws, [
+      [`Night Audit Report (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    
+    // Add the worksheet to the workbook
+    xlsx.utils.book_append_sheet(wb, ws, 'Night Audit');
+    
+    // Set column widths
+    const cols = [
+      { wch: 15 },  // Business Date
+      { wch: 12 },  // Total Rooms
+      { wch: 12 },  // Out of Order
+      { wch: 12 },  // Rooms Sold
+      { wch: 12 },  // Occupancy %
+      { wch: 15 },  // Room Revenue
+      { wch: 12 },  // ADR
+      { wch: 12 },  // RevPAR
+      { wch: 18 },  // Overdue Checkouts
+    ];
+    ws['!cols'] = cols;
+    
+    // Generate Excel file
+    const excelBuffer = xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
+    
+    // Set response headers for file download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=night_audit_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Length', excelBuffer.length);
+    
+    // Send the file
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error generating night audit excel report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Daily register of foreign guests (Form C)
+app.get('/api/reports/foreign-guests', authenticateToken, isReception, async (req, res) => {
+  try {
+    const date = req.query.date || formatDateOnly(new Date());
+    
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be a valid YYYY-MM-DD date' });
+    }
+    
+    const register = await getForeignGuestRegister(date);
+    
+    res.status(200).json({
+      date,
+      total_guests: register.length,
+      arrivals: register.filter(row => row.arrived_on_date).length,
+      incomplete: register.filter(row => row.form_c_missing).length,
+      guests: register
     });
+  } catch (error) {
+    console.error('Error generating foreign guest register:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Excel export of the foreign guest register; unlike other exports this holds ID data, so it needs reception access
+app.get('/api/reports/foreign-guests/excel', authenticateToken, isReception, async (req, res) => {
+  try {
+    const date = req.query.date || formatDateOnly(new Date());
     
-    summary['Subtotal'] = Number(summary['Subtotal'] || 0).toFixed(2);
-    summary['Tax Amount'] = Number(summary['Tax Amount'] || 0).toFixed(2);
-    summary['Total Amount'] = Number(summary['Total Amount'] || 0).toFixed(2);
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be a valid YYYY-MM-DD date' });
+    }
     
-    // Add summary row to the end
-    dailyData.push(summary);
+    const register = await getForeignGuestRegister(date);
+    
+    // Format the data for Excel
+    const registerData = register.map((row, index) => ({
+      'S.No': index + 1,
+      'Name': row.name,
+      'Nationality': row.nationality,
+      'Gender': row.gender || '',
+      'Date of Birth': row.date_of_birth || '',
+      'Address Abroad': row.address || '',
+      'Passport No': row.passport_number || '',
+      'Passport Issued At': row.passport_place_of_issue || '',
+      'Passport Valid Till': row.passport_expiry_date || '',
+      'Visa No': row.visa_number || '',
+      'Visa Type': row.visa_type || '',
+      'Visa Valid Till': row.visa_expiry_date || '',
+      'Arrived in India': row.arrival_date_in_india || '',
+      'Arrived From': row.arrived_from || '',
+      'Check-in': row.check_in_date ? new Date(row.check_in_date).toLocaleString() : '',
+      'Room': row.room_number || '',
+      'Expected Departure': row.check_out_date ? new Date(row.check_out_date).toLocaleDateString() : '',
+      'Next Destination': row.next_destination || '',
+      'Purpose of Visit': row.purpose_of_visit || '',
+      'Mobile': row.mobile || '',
+      'Form C Status': row.form_c_missing ? `Incomplete: ${row.form_c_missing}` : 'Complete'
+    }));
     
     // Create workbook and worksheet
     const wb = xlsx.utils.book_new();
-    const ws = xlsx.utils.json_to_sheet(dailyData);
+    const ws = xlsx.utils.json_to_sheet(registerData, { origin: 'A3' });
     
     // Add title rows with report details
     xlsx.utils.sheet_add_aoa(ws, [
-      [`Sales Report (${start_date} to ${end_date})`],
+      [`Foreign Guest Register (Form C) - ${date}`],
       [''],  // Empty row for spacing
     ], { origin: 'A1' });
     
     // Add the worksheet to the workbook
-    xlsx.utils.book_append_sheet(wb, ws, 'Sales Report');
+    xlsx.utils.book_append_sheet(wb, ws, 'Foreign Guests');
     
     // Set column widths
     const cols = [
-      { wch: 12 },  // Date
-      { wch: 10 },  // Type
-      { wch: 15 },  // Invoice Count
-      { wch: 15 },  // Subtotal
-      { wch: 15 },  // Tax Amount
-      { wch: 15 },  // Total Amount
+      { wch: 6 },   // S.No
+      { wch: 25 },  // Name
+      { wch: 15 },  // Nationality
+      { wch: 8 },   // Gender
+      { wch: 12 },  // Date of Birth
+      { wch: 30 },  // Address Abroad
+      { wch: 15 },  // Passport No
+      { wch: 18 },  // Passport Issued At
+      { wch: 15 },  // Passport Valid Till
+      { wch: 15 },  // Visa No
+      { wch: 12 },  // Visa Type
+      { wch: 15 },  // Visa Valid Till
+      { wch: 15 },  // Arrived in India
+      { wch: 18 },  // Arrived From
+      { wch: 20 },  // Check-in
+      { wch: 8 },   // Room
+      { wch: 18 },  // Expected Departure
+      { wch: 18 },  // Next Destination
+      { wch: 18 },  // Purpose of Visit
+      { wch: 15 },  // Mobile
+      { wch: 40 },  // Form C Status
     ];
     ws['!cols'] = cols;
     
@@ -2150,19 +11838,19 @@ app.get('/api/reports/sales/excel', async (req, res) => {
     
     // Set response headers for file download
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename=sales_report_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Disposition', `attachment; filename=foreign_guest_register_${date}.xlsx`);
     res.setHeader('Content-Length', excelBuffer.length);
     
     // Send the file
     res.send(excelBuffer);
   } catch (error) {
-    console.error('Error generating sales excel report:', error);
+    console.error('Error generating foreign guest register excel:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Excel report generation for GST data
-app.get('/api/reports/gst/excel', async (req, res) => {
+// Excel report generation for kitchen items data
+app.get('/api/reports/kitchen-items/excel', async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     
@@ -2170,140 +11858,99 @@ app.get('/api/reports/gst/excel', async (req, res) => {
       return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
-    const query = `
-      SELECT 
-        type,
-        SUM(subtotal) as taxable_amount,
-        SUM(tax_amount) as tax_amount,
-        SUM(total_amount) as total_amount
-      FROM invoices
-      WHERE invoice_date >= ? AND invoice_date <= ?
-      GROUP BY type
-    `;
-    
-    const [results] = await pool.query(query, [start_date, end_date + ' 23:59:59']);
-    
-    // Get GSTIN information
-    const [settings] = await pool.query('SELECT resort_gstin, kitchen_gstin FROM settings LIMIT 1');
-    
-    // Format the data for Excel
-    const reportData = [];
-    let resortData = null;
-    let kitchenData = null;
-    
-    results.forEach(row => {
-      if (row.type === 'resort') {
-        resortData = row;
-      } else if (row.type === 'kitchen') {
-        kitchenData = row;
-      }
-    });
-    
-    // Resort data
-    if (resortData) {
-      reportData.push({
-        'Business Type': 'Resort',
-        'GSTIN': settings[0].resort_gstin || 'N/A',
-        'Taxable Amount': Number(resortData.taxable_amount || 0).toFixed(2),
-        'Tax Amount': Number(resortData.tax_amount || 0).toFixed(2),
-        'Total Amount': Number(resortData.total_amount || 0).toFixed(2)
-      });
-    } else {
-      reportData.push({
-        'Business Type': 'Resort',
-        'GSTIN': settings[0].resort_gstin || 'N/A',
-        'Taxable Amount': '0.00',
-        'Tax Amount': '0.00',
-        'Total Amount': '0.00'
-      });
-    }
-    
-    // Kitchen data
-    if (kitchenData) {
-      reportData.push({
-        'Business Type': 'Kitchen',
-        'GSTIN': settings[0].kitchen_gstin || 'N/A',
-        'Taxable Amount': Number(kitchenData.taxable_amount || 0).toFixed(2),
-        'Tax Amount': Number(kitchenData.tax_amount || 0).toFixed(2),
-        'Total Amount': Number(kitchenData.total_amount || 0).toFixed(2)
+    const { items, categories, totals } = await getKitchenItemSales(start_date, end_date);
+    
+    // Format the data for Excel, each category's items followed by its subtotal
+    const itemsData = [];
+    let slNo = 0;
+    
+    categories.forEach(category => {
+      items.filter(item => item.category_id === category.category_id).forEach(item => {
+        slNo += 1;
+        itemsData.push({
+          'Sl No': slNo,
+          'Category': category.category_name,
+          'Item Name': item.name,
+          'Quantity Sold': item.total_quantity,
+          'Total Sales Amount': item.total_amount.toFixed(2)
+        });
       });
-    } else {
-      reportData.push({
-        'Business Type': 'Kitchen',
-        'GSTIN': settings[0].kitchen_gstin || 'N/A',
-        'Taxable Amount': '0.00',
-        'Tax Amount': '0.00',
-        'Total Amount': '0.00'
+      
+      itemsData.push({
+        'Sl No': '',
+        'Category': category.category_name,
+        'Item Name': `Subtotal - ${category.category_name}`,
+        'Quantity Sold': category.total_quantity,
+        'Total Sales Amount': category.total_amount.toFixed(2)
       });
-    }
-    
-    // Calculate totals
-    let totalTaxable = 0;
-    let totalTax = 0;
-    let totalAmount = 0;
-    
-    results.forEach(row => {
-      if (row.type === 'resort') {
-        totalTaxable += Number(row.taxable_amount || 0);
-        totalTax += Number(row.tax_amount || 0);
-        totalAmount += Number(row.total_amount || 0);
-      } else if (row.type === 'kitchen') {
-        totalTaxable += Number(row.taxable_amount || 0);
-        totalTax += Number(row.tax_amount || 0);
-        totalAmount += Number(row.total_amount || 0);
-      }
     });
     
     // Add total row
-    reportData.push({
-      'Business Type': 'TOTAL',
-      'GSTIN': '',
-      'Taxable Amount': Number(totalTaxable || 0).toFixed(2),
-      'Tax Amount': Number(totalTax || 0).toFixed(2),
-      'Total Amount': Number(totalAmount || 0).toFixed(2)
+    itemsData.push({
+      'Sl No': '',
+      'Category': '',
+      'Item Name': 'TOTAL',
+      'Quantity Sold': totals.total_quantity,
+      'Total Sales Amount': totals.total_amount.toFixed(2)
     });
     
     // Create workbook and worksheet
     const wb = xlsx.utils.book_new();
-    const ws = xlsx.utils.json_to_sheet(reportData);
+    const ws = xlsx.utils.json_to_sheet(itemsData, { origin: 'A3' });
     
     // Add title rows with report details
     xlsx.utils.sheet_add_aoa(ws, [
-      [`GST Report (${start_date} to ${end_date})`],
+      [`Kitchen Items Report (${start_date} to ${end_date})`],
       [''],  // Empty row for spacing
     ], { origin: 'A1' });
     
     // Add the worksheet to the workbook
-    xlsx.utils.book_append_sheet(wb, ws, 'GST Report');
+    xlsx.utils.book_append_sheet(wb, ws, 'Kitchen Items Report');
     
     // Set column widths
     const cols = [
-      { wch: 15 },  // Business Type
-      { wch: 20 },  // GSTIN
-      { wch: 15 },  // Taxable Amount
-      { wch: 15 },  // Tax Amount
-      { wch: 15 },  // Total Amount
+      { wch: 8 },   // Sl No
+      { wch: 25 },  // Category
+      { wch: 30 },  // Item Name
+      { wch: 15 },  // Quantity Sold
+      { wch: 20 },  // Total Sales Amount
     ];
     ws['!cols'] = cols;
     
+    // Second sheet with just the category subtotals
+    const categoryWs = xlsx.utils.json_to_sheet(categories.concat({ category_name: 'TOTAL', ...totals }).map(category => ({
+      'Category': category.category_name,
+      'Quantity Sold': category.total_quantity,
+      'Total Sales Amount': category.total_amount.toFixed(2)
+    })), { origin: 'A3' });
+    xlsx.utils.sheet_add_aoa(categoryWs, [
+      [`Kitchen Sales by Category (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    categoryWs['!cols'] = [
+      { wch: 30 },  // Category
+      { wch: 15 },  // Quantity Sold
+      { wch: 20 },  // Total Sales Amount
+    ];
+    xlsx.utils.book_append_sheet(wb, categoryWs, 'By Category');
+    
     // Generate Excel file
     const excelBuffer = xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
     
     // Set response headers for file download
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename=gst_report_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Disposition', `attachment; filename=kitchen_items_report_${start_date}_to_${end_date}.xlsx`);
     res.setHeader('Content-Length', excelBuffer.length);
     
     // Send the file
     res.send(excelBuffer);
   } catch (error) {
-    console.error('Error generating GST excel report:', error);
+    console.error('Error generating kitchen items excel report:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Excel report generation for kitchen items data
-app.get('/api/reports/kitchen-items/excel', async (req, res) => {
+app.get('/api/reports/menu-engineering/excel', authenticateToken, isAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     
@@ -2311,81 +11958,219 @@ app.get('/api/reports/kitchen-items/excel', async (req, res) => {
       return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
-    const query = `
-      SELECT 
-        mi.id,
-        mi.name,
-        SUM(koi.quantity) as total_quantity,
-        SUM(koi.total) as total_amount
-      FROM kitchen_order_items koi
-      JOIN menu_items mi ON koi.item_id = mi.id
-      JOIN kitchen_orders ko ON koi.order_id = ko.id
-      WHERE ko.order_date >= ? AND ko.order_date <= ?
-      GROUP BY mi.id, mi.name
-      ORDER BY total_quantity DESC
-    `;
+    const { items, thresholds, totals } = await getMenuEngineering(start_date, end_date);
     
-    const [results] = await pool.query(query, [start_date, end_date + ' 23:59:59']);
+    // Format the data for Excel, grouped by class
+    const classOrder = Object.keys(MENU_ENGINEERING_CLASSES);
+    const sortedItems = [...items].sort((a, b) =>
+      classOrder.indexOf(a.classification) - classOrder.indexOf(b.classification) || b.gross_margin - a.gross_margin
+    );
     
-    // Format the data for Excel
-    const itemsData = results.map((row, index) => ({
+    const itemsData = sortedItems.map((item, index) => ({
       'Sl No': index + 1,
-      'Item Name': row.name,
-      'Quantity Sold': Number(row.total_quantity || 0),
-      'Total Sales Amount': Number(row.total_amount || 0).toFixed(2)
+      'Category': item.category_name,
+      'Item Name': item.has_recipe ? item.name : `${item.name} (no recipe)`,
+      'Quantity Sold': item.quantity,
+      'Menu Mix %': item.menu_mix_percentage.toFixed(2),
+      'Net Sales': item.net_sales.toFixed(2),
+      'Avg Price': item.average_price.toFixed(2),
+      'Cost / Portion': item.unit_cost.toFixed(2),
+      'Food Cost': item.food_cost.toFixed(2),
+      'Food Cost %': item.food_cost_percentage.toFixed(2),
+      'Gross Margin': item.gross_margin.toFixed(2),
+      'Margin %': item.margin_percentage.toFixed(2),
+      'Margin / Portion': item.margin_per_portion.toFixed(2),
+      'Class': MENU_ENGINEERING_CLASSES[item.classification]
     }));
     
-    // Calculate totals
-    let totalQuantity = 0;
-    let totalAmount = 0;
-    
-    results.forEach(row => {
-      totalQuantity += Number(row.total_quantity || 0);
-      totalAmount += Number(row.total_amount || 0);
-    });
-    
     // Add total row
     itemsData.push({
       'Sl No': '',
+      'Category': '',
       'Item Name': 'TOTAL',
-      'Quantity Sold': Number(totalQuantity || 0),
-      'Total Sales Amount': Number(totalAmount || 0).toFixed(2)
+      'Quantity Sold': totals.quantity,
+      'Menu Mix %': totals.quantity > 0 ? '100.00' : '0.00',
+      'Net Sales': totals.net_sales.toFixed(2),
+      'Avg Price': '',
+      'Cost / Portion': '',
+      'Food Cost': totals.food_cost.toFixed(2),
+      'Food Cost %': totals.food_cost_percentage.toFixed(2),
+      'Gross Margin': totals.gross_margin.toFixed(2),
+      'Margin %': totals.margin_percentage.toFixed(2),
+      'Margin / Portion': thresholds.margin_per_portion.toFixed(2),
+      'Class': ''
     });
     
     // Create workbook and worksheet
     const wb = xlsx.utils.book_new();
-    const ws = xlsx.utils.json_to_sheet(itemsData);
+    const ws = xlsx.utils.json_to_sheet(itemsData, { origin: 'A3' });
     
     // Add title rows with report details
     xlsx.utils.sheet_add_aoa(ws, [
-      [`Kitchen Items Report (${start_date} to ${end_date})`],
+      [`Menu Engineering Report (${start_date} to ${end_date})`],
       [''],  // Empty row for spacing
     ], { origin: 'A1' });
     
     // Add the worksheet to the workbook
-    xlsx.utils.book_append_sheet(wb, ws, 'Kitchen Items Report');
+    xlsx.utils.book_append_sheet(wb, ws, 'Menu Engineering');
     
     // Set column widths
     const cols = [
       { wch: 8 },   // Sl No
+      { wch: 25 },  // Category
       { wch: 30 },  // Item Name
       { wch: 15 },  // Quantity Sold
-      { wch: 20 },  // Total Sales Amount
+      { wch: 12 },  // Menu Mix %
+      { wch: 15 },  // Net Sales
+      { wch: 12 },  // Avg Price
+      { wch: 15 },  // Cost / Portion
+      { wch: 15 },  // Food Cost
+      { wch: 12 },  // Food Cost %
+      { wch: 15 },  // Gross Margin
+      { wch: 12 },  // Margin %
+      { wch: 16 },  // Margin / Portion
+      { wch: 12 },  // Class
     ];
     ws['!cols'] = cols;
     
+    // Second sheet with each class and the thresholds used
+    const classWs = xlsx.utils.json_to_sheet(Object.entries(MENU_ENGINEERING_CLASSES).map(([key, label]) => {
+      const classItems = items.filter(item => item.classification === key);
+      return {
+        'Class': label,
+        'Items': classItems.length,
+        'Quantity Sold': classItems.reduce((sum, item) => sum + item.quantity, 0),
+        'Net Sales': classItems.reduce((sum, item) => sum + item.net_sales, 0).toFixed(2),
+        'Gross Margin': classItems.reduce((sum, item) => sum + item.gross_margin, 0).toFixed(2)
+      };
+    }), { origin: 'A3' });
+    xlsx.utils.sheet_add_aoa(classWs, [
+      [`Menu Engineering by Class (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    xlsx.utils.sheet_add_aoa(classWs, [
+      [''],
+      ['Popularity threshold (portions)', thresholds.popularity],
+      ['Margin per portion threshold', thresholds.margin_per_portion.toFixed(2)]
+    ], { origin: -1 });
+    classWs['!cols'] = [
+      { wch: 30 },  // Class
+      { wch: 10 },  // Items
+      { wch: 15 },  // Quantity Sold
+      { wch: 15 },  // Net Sales
+      { wch: 15 },  // Gross Margin
+    ];
+    xlsx.utils.book_append_sheet(wb, classWs, 'By Class');
+    
     // Generate Excel file
     const excelBuffer = xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
     
     // Set response headers for file download
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename=kitchen_items_report_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Disposition', `attachment; filename=menu_engineering_report_${start_date}_to_${end_date}.xlsx`);
     res.setHeader('Content-Length', excelBuffer.length);
     
     // Send the file
     res.send(excelBuffer);
   } catch (error) {
-    console.error('Error generating kitchen items excel report:', error);
+    console.error('Error generating menu engineering excel report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/reports/stock-ledger/excel', authenticateToken, isKitchenStaff, async (req, res) => {
+  try {
+    const { start_date, end_date, ingredient_id } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+    
+    const { ingredients, movements } = await getStockLedger(start_date, end_date, ingredient_id);
+    
+    // Format the data for Excel
+    const summaryData = ingredients.map(ingredient => ({
+      'Ingredient': ingredient.name,
+      'Unit': ingredient.unit,
+      'Opening': ingredient.opening_balance.toFixed(3),
+      'Opening Stock Entered': ingredient.opening.toFixed(3),
+      'Purchased': ingredient.purchase.toFixed(3),
+      'Consumed': (-ingredient.consumption).toFixed(3),
+      'Reversed': ingredient.reversal.toFixed(3),
+      'Adjusted': ingredient.adjustment.toFixed(3),
+      'Closing': ingredient.closing_balance.toFixed(3),
+      'Reorder Level': ingredient.reorder_level.toFixed(3)
+    }));
+    
+    // Create workbook and worksheet
+    const wb = xlsx.utils.book_new();
+    const ws = xlsx.utils.json_to_sheet(summaryData, { origin: 'A3' });
+    
+    // Add title rows with report details
+    xlsx.utils.sheet_add_aoa(ws, [
+      [`Stock Ledger (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    
+    // Add the worksheet to the workbook
+    xlsx.utils.book_append_sheet(wb, ws, 'Stock Summary');
+    
+    // Set column widths
+    const cols = [
+      { wch: 25 },  // Ingredient
+      { wch: 8 },   // Unit
+      { wch: 12 },  // Opening
+      { wch: 20 },  // Opening Stock Entered
+      { wch: 12 },  // Purchased
+      { wch: 12 },  // Consumed
+      { wch: 12 },  // Reversed
+      { wch: 12 },  // Adjusted
+      { wch: 12 },  // Closing
+      { wch: 14 },  // Reorder Level
+    ];
+    ws['!cols'] = cols;
+    
+    // Second sheet with every ledger entry of the period
+    const movementsWs = xlsx.utils.json_to_sheet(movements.map(movement => ({
+      'Date': new Date(movement.created_at).toLocaleString('en-IN'),
+      'Ingredient': movement.ingredient_name,
+      'Type': movement.movement_type,
+      'Quantity': Number(movement.quantity).toFixed(3),
+      'Balance': Number(movement.balance_after).toFixed(3),
+      'Unit': movement.unit,
+      'Order': movement.order_number || '',
+      'Notes': movement.notes || '',
+      'By': movement.created_by_name || ''
+    })), { origin: 'A3' });
+    xlsx.utils.sheet_add_aoa(movementsWs, [
+      [`Stock Movements (${start_date} to ${end_date})`],
+      [''],  // Empty row for spacing
+    ], { origin: 'A1' });
+    movementsWs['!cols'] = [
+      { wch: 22 },  // Date
+      { wch: 25 },  // Ingredient
+      { wch: 12 },  // Type
+      { wch: 12 },  // Quantity
+      { wch: 12 },  // Balance
+      { wch: 8 },   // Unit
+      { wch: 20 },  // Order
+      { wch: 30 },  // Notes
+      { wch: 15 },  // By
+    ];
+    xlsx.utils.book_append_sheet(wb, movementsWs, 'Movements');
+    
+    // Generate Excel file
+    const excelBuffer = xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
+    
+    // Set response headers for file download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=stock_ledger_${start_date}_to_${end_date}.xlsx`);
+    res.setHeader('Content-Length', excelBuffer.length);
+    
+    // Send the file
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error generating stock ledger excel report:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -2443,9 +12228,21 @@ app.post('/api/invoices/aggregated/resort/email', async (req, res) => {
         i.room_number,
         i.guest_name, 
         i.guest_mobile,
+        i.company_id,
+        i.buyer_name,
+        i.buyer_gstin,
+        i.buyer_address,
+        i.place_of_supply,
+        i.supply_type,
         i.subtotal, 
+        i.cgst_amount,
+        i.sgst_amount,
+        i.igst_amount,
         i.tax_amount, 
         i.total_amount,
+        i.credited_amount,
+        i.amount_paid,
+        i.balance_due,
         i.payment_status,
         i.payment_method,
         i.notes,
@@ -2491,6 +12288,9 @@ app.post('/api/invoices/aggregated/resort/email', async (req, res) => {
         ii.rate, 
         ii.gst_percentage, 
         ii.gst_amount, 
+        ii.cgst_amount,
+        ii.sgst_amount,
+        ii.igst_amount,
         ii.total,
         ii.booking_date,
         CASE 
@@ -2538,9 +12338,15 @@ app.post('/api/invoices/aggregated/resort/email', async (req, res) => {
         total_invoices: invoices.length,
         total_subtotal: 0,
         total_tax: 0,
+        total_cgst: 0,
+        total_sgst: 0,
+        total_igst: 0,
         total_amount: 0,
+        total_paid: 0,
+        total_balance_due: 0,
         payment_status_summary: {
           paid: 0,
+          partially_paid: 0,
           pending: 0,
           cancelled: 0
         },
@@ -2548,7 +12354,8 @@ app.post('/api/invoices/aggregated/resort/email', async (req, res) => {
           cash: 0,
           card: 0,
           upi: 0,
-          other: 0
+          other: 0,
+          split: 0
         }
       }
     };
@@ -2557,7 +12364,12 @@ app.post('/api/invoices/aggregated/resort/email', async (req, res) => {
     invoices.forEach(invoice => {
       aggregatedData.summary.total_subtotal += parseFloat(invoice.subtotal);
       aggregatedData.summary.total_tax += parseFloat(invoice.tax_amount);
+      aggregatedData.summary.total_cgst += parseFloat(invoice.cgst_amount);
+      aggregatedData.summary.total_sgst += parseFloat(invoice.sgst_amount);
+      aggregatedData.summary.total_igst += parseFloat(invoice.igst_amount);
       aggregatedData.summary.total_amount += parseFloat(invoice.total_amount);
+      aggregatedData.summary.total_paid += parseFloat(invoice.amount_paid);
+      aggregatedData.summary.total_balance_due += parseFloat(invoice.balance_due);
       
       // Count by payment status
       if (invoice.payment_status) {
@@ -2668,8 +12480,10 @@ function generateInvoiceEmailHTML(data) {
             <h3>Summary</h3>
             <p>Total Invoices: ${summary.total_invoices}</p>
             <p>Total Amount (before tax): ${summary.total_subtotal.toFixed(2)}</p>
-            <p>Total Tax: ${summary.total_tax.toFixed(2)}</p>
+            <p>Total Tax: ${summary.total_tax.toFixed(2)} (CGST: ${summary.total_cgst.toFixed(2)}, SGST: ${summary.total_sgst.toFixed(2)}, IGST: ${summary.total_igst.toFixed(2)})</p>
             <p>Total Amount (including tax): ${summary.total_amount.toFixed(2)}</p>
+            <p>Total Paid: ${summary.total_paid.toFixed(2)}</p>
+            <p>Balance Due: ${summary.total_balance_due.toFixed(2)}</p>
           </div>
         </div>
         
@@ -2760,7 +12574,10 @@ async function generateInvoicePDF(data) {
       doc.fontSize(12).text(`Total Invoices: ${summary.total_invoices}`);
       doc.text(`Total Amount (before tax): ${summary.total_subtotal.toFixed(2)}`);
       doc.text(`Total Tax: ${summary.total_tax.toFixed(2)}`);
+      doc.text(`CGST: ${summary.total_cgst.toFixed(2)}  SGST: ${summary.total_sgst.toFixed(2)}  IGST: ${summary.total_igst.toFixed(2)}`);
       doc.text(`Total Amount (including tax): ${summary.total_amount.toFixed(2)}`);
+      doc.text(`Total Paid: ${summary.total_paid.toFixed(2)}`);
+      doc.text(`Balance Due: ${summary.total_balance_due.toFixed(2)}`);
       doc.moveDown();
       
       // Add payment status summary
@@ -2787,6 +12604,12 @@ async function generateInvoicePDF(data) {
         doc.fontSize(12).text(`Date: ${new Date(invoice.invoice_date).toLocaleDateString()}`);
         doc.text(`Guest: ${invoice.guest_name}`);
         doc.text(`Room: ${invoice.room_number || 'N/A'}`);
+        if (invoice.buyer_name) {
+          doc.text(`Billed To: ${invoice.buyer_name}`);
+          if (invoice.buyer_address) doc.text(invoice.buyer_address, { width: 300 });
+          if (invoice.buyer_gstin) doc.text(`Buyer GSTIN: ${invoice.buyer_gstin}`);
+        }
+        doc.text(`Place of Supply: ${invoice.place_of_supply ? `${invoice.place_of_supply} - ${GST_STATE_CODES[invoice.place_of_supply] || ''}` : 'N/A'}`);
         doc.text(`Payment Status: ${invoice.payment_status}`);
         doc.text(`Payment Method: ${invoice.payment_method}`);
         doc.moveDown();
@@ -2833,9 +12656,19 @@ async function generateInvoicePDF(data) {
         yPos += 20;
         doc.text(`Subtotal: ${parseFloat(invoice.subtotal).toFixed(2)}`, 350, yPos);
         yPos += 20;
-        doc.text(`Tax: ${parseFloat(invoice.tax_amount).toFixed(2)}`, 350, yPos);
+        if (invoice.supply_type === 'inter_state') {
+          doc.text(`IGST: ${parseFloat(invoice.igst_amount).toFixed(2)}`, 350, yPos);
+        } else {
+          doc.text(`CGST: ${parseFloat(invoice.cgst_amount).toFixed(2)}`, 350, yPos);
+          yPos += 20;
+          doc.text(`SGST: ${parseFloat(invoice.sgst_amount).toFixed(2)}`, 350, yPos);
+        }
         yPos += 20;
         doc.text(`Total: ${parseFloat(invoice.total_amount).toFixed(2)}`, 350, yPos, { underline: true });
+        yPos += 20;
+        doc.text(`Paid: ${parseFloat(invoice.amount_paid).toFixed(2)}`, 350, yPos);
+        yPos += 20;
+        doc.text(`Balance Due: ${parseFloat(invoice.balance_due).toFixed(2)}`, 350, yPos);
         
         // Add notes if available
         if (invoice.notes) {
@@ -2860,6 +12693,261 @@ async function generateInvoicePDF(data) {
 
 
 
+/**
+ * Spell out a rupee amount the Indian way (lakh, crore) for printing on invoices
+ * @param {Number} amount - Amount in rupees
+ * @returns {String} e.g. "Rupees One Lakh Twenty Thousand and Fifty Paise Only"
+ */
+function amountInWords(amount) {
+  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+    'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+  
+  const twoDigits = n => (n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]}${n % 10 ? ' ' + ones[n % 10] : ''}`);
+  const threeDigits = n => [n >= 100 ? `${ones[Math.floor(n / 100)]} Hundred` : '', n % 100 ? twoDigits(n % 100) : '']
+    .filter(Boolean)
+    .join(' ');
+  const toWords = n => {
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    
+    if (crore) parts.push(`${toWords(crore)} Crore`);
+    if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+    if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+    if (n % 1000) parts.push(threeDigits(n % 1000));
+    
+    return parts.join(' ');
+  };
+  
+  const paise = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paise / 100);
+  
+  return `Rupees ${rupees ? toWords(rupees) : 'Zero'}${paise % 100 ? ` and ${twoDigits(paise % 100)} Paise` : ''} Only`;
+}
+
+/**
+ * Generate the tax invoice PDF of a single invoice
+ * @param {Object} invoice - invoices row joined with the settings columns
+ * @param {Array} items - invoice_items rows
+ * @returns {Buffer} PDF buffer
+ */
+async function generateTaxInvoicePDF(invoice, items) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+      
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      
+      const interState = invoice.supply_type === 'inter_state';
+      const gstin = invoice.type === 'resort' ? invoice.resort_gstin : invoice.kitchen_gstin;
+      const money = value => parseFloat(value || 0).toFixed(2);
+      const pageBottom = doc.page.height - 120;
+      
+      // Header: logo on the left, supplier details on the right
+      const logoPath = path.join(__dirname, 'logo.png');
+      if (fs.existsSync(logoPath)) {
+        doc.image(logoPath, 40, 40, { fit: [90, 90] });
+      }
+      
+      doc.fontSize(18).font('Helvetica-Bold').text(invoice.resort_name, 150, 45, { width: 405, align: 'right' });
+      doc.fontSize(9).font('Helvetica').text(invoice.resort_address, 150, doc.y, { width: 405, align: 'right' });
+      doc.text(`Phone: ${invoice.resort_contact}${invoice.resort_email ? `  Email: ${invoice.resort_email}` : ''}`, 150, doc.y, { width: 405, align: 'right' });
+      doc.font('Helvetica-Bold').text(`GSTIN: ${gstin}`, 150, doc.y, { width: 405, align: 'right' });
+      
+      doc.moveTo(40, 140).lineTo(555, 140).stroke();
+      doc.fontSize(14).font('Helvetica-Bold').text('TAX INVOICE', 40, 150, { width: 515, align: 'center' });
+      
+      if (invoice.status === 'cancelled') {
+        doc.fontSize(10).fillColor('red').text('CANCELLED', 40, doc.y, { width: 515, align: 'center' }).fillColor('black');
+      }
+      
+      // Invoice details on the left, buyer details on the right
+      const detailsTop = 185;
+      doc.fontSize(9).font('Helvetica');
+      doc.text(`Invoice No: ${invoice.invoice_number}`, 40, detailsTop);
+      doc.text(`Invoice Date: ${new Date(invoice.invoice_date).toLocaleDateString('en-IN')}`);
+      doc.text(`Place of Supply: ${invoice.place_of_supply ? `${invoice.place_of_supply} - ${GST_STATE_CODES[invoice.place_of_supply] || ''}` : 'N/A'}`);
+      if (invoice.room_number) doc.text(`Room: ${invoice.room_number}`);
+      const leftBottom = doc.y;
+      
+      doc.font('Helvetica-Bold').text('Billed To:', 320, detailsTop);
+      doc.font('Helvetica').text(invoice.buyer_name || invoice.guest_name, 320, doc.y, { width: 235 });
+      if (invoice.buyer_address) doc.text(invoice.buyer_address, 320, doc.y, { width: 235 });
+      if (invoice.buyer_gstin) doc.text(`GSTIN: ${invoice.buyer_gstin}`, 320, doc.y, { width: 235 });
+      if (invoice.buyer_name) doc.text(`Guest: ${invoice.guest_name}`, 320, doc.y, { width: 235 });
+      if (invoice.guest_mobile) doc.text(`Mobile: ${invoice.guest_mobile}`, 320, doc.y, { width: 235 });
+      
+      // Line table
+      const columns = interState
+        ? [
+            { label: '#', x: 40, width: 20 },
+            { label: 'Item', x: 60, width: 150 },
+            { label: 'HSN/SAC', x: 210, width: 55 },
+            { label: 'Qty', x: 265, width: 30, align: 'right' },
+            { label: 'Rate', x: 295, width: 55, align: 'right' },
+            { label: 'Taxable', x: 350, width: 60, align: 'right' },
+            { label: 'GST%', x: 410, width: 35, align: 'right' },
+            { label: 'IGST', x: 445, width: 50, align: 'right' },
+            { label: 'Total', x: 495, width: 60, align: 'right' }
+          ]
+        : [
+            { label: '#', x: 40, width: 20 },
+            { label: 'Item', x: 60, width: 120 },
+            { label: 'HSN/SAC', x: 180, width: 50 },
+            { label: 'Qty', x: 230, width: 25, align: 'right' },
+            { label: 'Rate', x: 255, width: 50, align: 'right' },
+            { label: 'Taxable', x: 305, width: 55, align: 'right' },
+            { label: 'GST%', x: 360, width: 30, align: 'right' },
+            { label: 'CGST', x: 390, width: 50, align: 'right' },
+            { label: 'SGST', x: 440, width: 50, align: 'right' },
+            { label: 'Total', x: 490, width: 65, align: 'right' }
+          ];
+      
+      const drawHeader = y => {
+        doc.rect(40, y - 4, 515, 18).fill('#f2f2f2').fillColor('black');
+        doc.font('Helvetica-Bold').fontSize(8);
+        columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align || 'left' }));
+        doc.font('Helvetica');
+        return y + 20;
+      };
+      
+      let yPos = drawHeader(Math.max(leftBottom, doc.y) + 20);
+      
+      items.forEach((item, index) => {
+        const taxable = Number(item.total) - Number(item.gst_amount);
+        const values = interState
+          ? [index + 1, formatLineItemName(item), item.hsn_sac_code || '', item.quantity, money(item.rate), money(taxable),
+             `${Number(item.gst_percentage)}%`, money(item.igst_amount), money(item.total)]
+          : [index + 1, formatLineItemName(item), item.hsn_sac_code || '', item.quantity, money(item.rate), money(taxable),
+             `${Number(item.gst_percentage)}%`, money(item.cgst_amount), money(item.sgst_amount), money(item.total)];
+        const rowHeight = doc.heightOfString(formatLineItemName(item), { width: columns[1].width }) + 6;
+        
+        // Check if we need a new page for this item
+        if (yPos + rowHeight > pageBottom) {
+          doc.addPage();
+          yPos = drawHeader(50);
+        }
+        
+        columns.forEach((column, i) => {
+          doc.text(String(values[i]), column.x, yPos, { width: column.width, align: column.align || 'left' });
+        });
+        
+        yPos += rowHeight;
+        doc.moveTo(40, yPos - 3).lineTo(555, yPos - 3).strokeColor('#dddddd').stroke().strokeColor('black');
+      });
+      
+      // Totals and tax split
+      const totals = [['Taxable Value', invoice.subtotal]];
+      if (interState) {
+        totals.push(['IGST', invoice.igst_amount]);
+      } else {
+        totals.push(['CGST', invoice.cgst_amount], ['SGST', invoice.sgst_amount]);
+      }
+      totals.push(['Invoice Total', invoice.total_amount]);
+      
+      if (yPos + 220 > doc.page.height - 40) {
+        doc.addPage();
+        yPos = 50;
+      }
+      
+      yPos += 10;
+      doc.fontSize(9);
+      totals.forEach(([label, value]) => {
+        doc.font(label === 'Invoice Total' ? 'Helvetica-Bold' : 'Helvetica');
+        doc.text(label, 380, yPos, { width: 100 });
+        doc.text(money(value), 480, yPos, { width: 75, align: 'right' });
+        yPos += 15;
+      });
+      
+      doc.font('Helvetica-Oblique').text(`Amount in words: ${amountInWords(invoice.total_amount)}`, 40, yPos + 5, { width: 515 });
+      yPos = doc.y + 15;
+      
+      // Payment status
+      doc.font('Helvetica-Bold').text('Payment', 40, yPos);
+      doc.font('Helvetica');
+      doc.text(`Status: ${invoice.payment_status.replace('_', ' ')}`, 40, doc.y);
+      doc.text(`Amount Paid: ${money(invoice.amount_paid)}`);
+      if (Number(invoice.credited_amount) > 0) doc.text(`Credited: ${money(invoice.credited_amount)}`);
+      doc.font('Helvetica-Bold').text(`Balance Due: ${money(invoice.balance_due)}`);
+      
+      // Signature block
+      doc.font('Helvetica').text(`For ${invoice.resort_name}`, 355, yPos, { width: 200, align: 'right' });
+      doc.moveTo(405, yPos + 55).lineTo(555, yPos + 55).stroke();
+      doc.text('Authorised Signatory', 355, yPos + 60, { width: 200, align: 'right' });
+      
+      // Footer image and note on the last page
+      const footerPath = path.join(__dirname, 'logo2.jpg');
+      if (fs.existsSync(footerPath)) {
+        doc.image(footerPath, 40, doc.page.height - 100, { fit: [515, 45], align: 'center' });
+      }
+      doc.fontSize(8).text('This is a computer generated invoice.', 40, doc.page.height - 55, { width: 515, align: 'center' });
+      
+      // Finalize the PDF
+      doc.end();
+      
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate a kitchen order ticket for an 80 mm receipt printer: what to cook, with
+ * each line's variant and modifiers, and no prices
+ * @param {Object} order - kitchen_orders row
+ * @param {Array} items - kitchen_order_items rows with name and options
+ * @returns {Buffer} PDF buffer
+ */
+async function generateKitchenTicketPDF(order, items) {
+  return new Promise((resolve, reject) => {
+    try {
+      const lineCount = items.reduce((count, item) => count + 1 + item.options.length, 0);
+      const doc = new PDFDocument({ size: [226, 200 + lineCount * 16], margin: 12 });
+      const chunks = [];
+      
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      
+      const width = 202;
+      
+      doc.fontSize(12).font('Helvetica-Bold').text('KITCHEN ORDER TICKET', 12, 12, { width, align: 'center' });
+      doc.fontSize(9).font('Helvetica').text(order.order_number, { width, align: 'center' });
+      doc.text(new Date(order.order_date).toLocaleString('en-IN'), { width, align: 'center' });
+      doc.moveDown(0.5);
+      
+      doc.font('Helvetica-Bold').text(order.order_type === 'room' ? `ROOM ${order.room_number}` : 'WALK-IN', { width });
+      doc.font('Helvetica').text(`Guest: ${order.guest_name}`, { width });
+      if (order.status === 'cancelled') {
+        doc.font('Helvetica-Bold').text('*** CANCELLED ***', { width, align: 'center' });
+      }
+      
+      doc.moveTo(12, doc.y + 4).lineTo(214, doc.y + 4).dash(2, { space: 2 }).stroke().undash();
+      doc.moveDown(0.8);
+      
+      items.forEach(item => {
+        doc.fontSize(10).font('Helvetica-Bold').text(`${item.quantity} x ${item.name}`, 12, doc.y, { width });
+        doc.fontSize(9).font('Helvetica');
+        item.options.forEach(option => {
+          doc.text(option.group_type === 'variant' ? `   ${option.group_name}: ${option.option_name}` : `   + ${option.option_name}`, 12, doc.y, { width });
+        });
+        doc.moveDown(0.3);
+      });
+      
+      doc.moveTo(12, doc.y + 4).lineTo(214, doc.y + 4).dash(2, { space: 2 }).stroke().undash();
+      doc.moveDown(0.8);
+      doc.fontSize(8).text(`Items: ${items.reduce((count, item) => count + item.quantity, 0)}   Taken by: ${order.created_by_name || '-'}`, 12, doc.y, { width });
+      
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
 app.post('/api/invoices/aggregated/kitchen/email', async (req, res) => {
   try {
     const { from_date, to_date, guest_name, email_to } = req.query;
@@ -2900,9 +12988,21 @@ app.post('/api/invoices/aggregated/kitchen/email', async (req, res) => {
         i.room_number,
         i.guest_name, 
         i.guest_mobile,
+        i.company_id,
+        i.buyer_name,
+        i.buyer_gstin,
+        i.buyer_address,
+        i.place_of_supply,
+        i.supply_type,
         i.subtotal, 
+        i.cgst_amount,
+        i.sgst_amount,
+        i.igst_amount,
         i.tax_amount, 
         i.total_amount,
+        i.credited_amount,
+        i.amount_paid,
+        i.balance_due,
         i.payment_status,
         i.payment_method,
         i.notes,
@@ -2948,6 +13048,9 @@ app.post('/api/invoices/aggregated/kitchen/email', async (req, res) => {
         ii.rate, 
         ii.gst_percentage, 
         ii.gst_amount, 
+        ii.cgst_amount,
+        ii.sgst_amount,
+        ii.igst_amount,
         ii.total,
         ii.booking_date,
         CASE 
@@ -2995,9 +13098,15 @@ app.post('/api/invoices/aggregated/kitchen/email', async (req, res) => {
         total_invoices: invoices.length,
         total_subtotal: 0,
         total_tax: 0,
+        total_cgst: 0,
+        total_sgst: 0,
+        total_igst: 0,
         total_amount: 0,
+        total_paid: 0,
+        total_balance_due: 0,
         payment_status_summary: {
           paid: 0,
+          partially_paid: 0,
           pending: 0,
           cancelled: 0
         },
@@ -3005,7 +13114,8 @@ app.post('/api/invoices/aggregated/kitchen/email', async (req, res) => {
           cash: 0,
           card: 0,
           upi: 0,
-          other: 0
+          other: 0,
+          split: 0
         }
       }
     };
@@ -3014,7 +13124,12 @@ app.post('/api/invoices/aggregated/kitchen/email', async (req, res) => {
     invoices.forEach(invoice => {
       aggregatedData.summary.total_subtotal += parseFloat(invoice.subtotal);
       aggregatedData.summary.total_tax += parseFloat(invoice.tax_amount);
+      aggregatedData.summary.total_cgst += parseFloat(invoice.cgst_amount);
+      aggregatedData.summary.total_sgst += parseFloat(invoice.sgst_amount);
+      aggregatedData.summary.total_igst += parseFloat(invoice.igst_amount);
       aggregatedData.summary.total_amount += parseFloat(invoice.total_amount);
+      aggregatedData.summary.total_paid += parseFloat(invoice.amount_paid);
+      aggregatedData.summary.total_balance_due += parseFloat(invoice.balance_due);
       
       // Count by payment status
       if (invoice.payment_status) {
@@ -3084,5 +13199,24 @@ app.post('/api/invoices/aggregated/kitchen/email', async (req, res) => {
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  
+  scheduleDailyJob(process.env.NIGHT_AUDIT_TIME, 'Night audit', async () => {
+    const result = await runNightAudit(null);
+    return result.error ? result : { message: `closed ${result.business_date}, ${result.charges_posted} room charges posted` };
+  });
+  
+  // Catch up on price changes that fell due while the server was down
+  applyScheduledPrices(formatDateOnly(new Date()))
+    .catch(error => console.error('Error applying scheduled price changes:', error));
+  
+  scheduleDailyJob(process.env.PRICE_CHANGE_TIME || '00:01', 'Scheduled price changes', async () => {
+    const changed = await applyScheduledPrices(formatDateOnly(new Date()));
+    return { message: `${changed} prices updated` };
+  });
+  
+  scheduleDailyJob(process.env.RETENTION_JOB_TIME || '03:30', 'Guest data retention', async () => {
+    const result = await runRetentionPolicy(false);
+    return result.error ? result : { message: `${result.anonymized.length} guest profiles anonymized, ${result.skipped.length} skipped` };
+  });
 });
 // </boltAction type="file">
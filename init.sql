@@ -16,6 +16,20 @@ CREATE TABLE IF NOT EXISTS users (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Price override approvals table (one-time codes an admin issues to staff)
+CREATE TABLE IF NOT EXISTS price_override_approvals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(16) NOT NULL UNIQUE,
+  approved_by INT NOT NULL,
+  notes VARCHAR(255),
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP NULL DEFAULT NULL,
+  used_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (approved_by) REFERENCES users(id),
+  FOREIGN KEY (used_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- Settings table
 CREATE TABLE IF NOT EXISTS settings (
   id INT AUTO_INCREMENT PRIMARY KEY,
@@ -27,21 +41,106 @@ CREATE TABLE IF NOT EXISTS settings (
   resort_email VARCHAR(100),
   tax_rate DECIMAL(5,2) DEFAULT 18.00,
   logo_path VARCHAR(255),
+  business_date DATE,
+  guest_data_retention_days INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Number series table (prefix/format per document series)
+CREATE TABLE IF NOT EXISTS number_series (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  series VARCHAR(30) NOT NULL UNIQUE,
+  prefix VARCHAR(10) NOT NULL,
+  format VARCHAR(50) NOT NULL DEFAULT '{PREFIX}/{FY}/{SEQ}',
+  padding INT NOT NULL DEFAULT 5,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
--- Menu items table
+-- Number sequence counters table (one row per series per financial year)
+CREATE TABLE IF NOT EXISTS number_sequence_counters (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  series VARCHAR(30) NOT NULL,
+  financial_year VARCHAR(7) NOT NULL,
+  last_value INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_series_financial_year (series, financial_year),
+  FOREIGN KEY (series) REFERENCES number_series(series) ON UPDATE CASCADE
+);
+
+-- Menu categories table (one level of subcategories under a parent)
+CREATE TABLE IF NOT EXISTS menu_categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  parent_id INT,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_menu_categories_name (parent_id, name),
+  FOREIGN KEY (parent_id) REFERENCES menu_categories(id)
+);
+
+-- Menu schedules table (hours and days a menu item is served; an end before the start runs
+-- past midnight, equal start and end is all day)
+CREATE TABLE IF NOT EXISTS menu_schedules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  days_of_week SET('sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat') NOT NULL DEFAULT 'sun,mon,tue,wed,thu,fri,sat',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Menu items table (no schedule means served all day, sold_out_on marks an item sold out for that day only)
 CREATE TABLE IF NOT EXISTS menu_items (
   id INT AUTO_INCREMENT PRIMARY KEY,
   name VARCHAR(100) NOT NULL,
   description TEXT,
   price DECIMAL(10,2) NOT NULL,
   gst_percentage DECIMAL(5,2) NOT NULL DEFAULT 18.00,
+  hsn_sac_code VARCHAR(8),
   type ENUM('kitchen', 'resort') NOT NULL,
+  category_id INT,
+  schedule_id INT,
+  sort_order INT NOT NULL DEFAULT 0,
   is_active BOOLEAN DEFAULT TRUE,
+  sold_out_on DATE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (category_id) REFERENCES menu_categories(id) ON DELETE SET NULL,
+  FOREIGN KEY (schedule_id) REFERENCES menu_schedules(id) ON DELETE SET NULL
+);
+
+-- Menu item option groups table (a variant group picks exactly one option whose price replaces
+-- the item price; a modifier group picks min_select to max_select add-ons priced on top)
+CREATE TABLE IF NOT EXISTS menu_item_option_groups (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  group_type ENUM('variant', 'modifier') NOT NULL,
+  min_select INT NOT NULL DEFAULT 0,
+  max_select INT NOT NULL DEFAULT 1,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+);
+
+-- Menu item options table
+CREATE TABLE IF NOT EXISTS menu_item_options (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  group_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  price DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (group_id) REFERENCES menu_item_option_groups(id) ON DELETE CASCADE
 );
 
 -- Services table
@@ -51,26 +150,237 @@ CREATE TABLE IF NOT EXISTS services (
   description TEXT,
   price DECIMAL(10,2) NOT NULL,
   gst_percentage DECIMAL(5,2) NOT NULL DEFAULT 18.00,
+  hsn_sac_code VARCHAR(8),
   type ENUM('resort') NOT NULL DEFAULT 'resort',
   is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Catalog prices table (price versions of a menu item or service; effective_to is the day before
+-- the next version starts, NULL for the latest)
+CREATE TABLE IF NOT EXISTS catalog_prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT,
+  service_id INT,
+  price DECIMAL(10,2) NOT NULL,
+  effective_from DATE NOT NULL,
+  effective_to DATE,
+  notes VARCHAR(255),
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_catalog_prices_item (item_id, effective_from),
+  UNIQUE KEY uq_catalog_prices_service (service_id, effective_from),
+  FOREIGN KEY (item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Companies table (corporate buyers, GSTIN is empty for unregistered businesses)
+CREATE TABLE IF NOT EXISTS companies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  gstin VARCHAR(15) UNIQUE,
+  billing_address TEXT NOT NULL,
+  state_code VARCHAR(2) NOT NULL,
+  contact_person VARCHAR(100),
+  contact_email VARCHAR(100),
+  contact_phone VARCHAR(20),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Guest profiles table (one row per person, shared by all their stays)
+CREATE TABLE IF NOT EXISTS guest_profiles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  mobile VARCHAR(20),
+  email VARCHAR(100),
+  state_code VARCHAR(2),
+  company_id INT,
+  address TEXT,
+  date_of_birth DATE,
+  notes TEXT,
+  anonymized_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_guest_profiles_mobile (mobile),
+  INDEX idx_guest_profiles_email (email),
+  FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL
+);
+
 -- Guests table
 CREATE TABLE IF NOT EXISTS guests (
   id INT AUTO_INCREMENT PRIMARY KEY,
   name VARCHAR(100) NOT NULL,
   mobile VARCHAR(20),
   email VARCHAR(100),
+  state_code VARCHAR(2),
+  company_id INT,
   room_number VARCHAR(20),
   check_in_date TIMESTAMP,
   check_out_date TIMESTAMP,
   is_checked_out BOOLEAN DEFAULT FALSE,
+  is_overdue BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL
+);
+
+-- Guest identities table (ID proof of every guest and Form C details of foreign nationals)
+CREATE TABLE IF NOT EXISTS guest_identities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  guest_id INT NOT NULL UNIQUE,
+  id_type ENUM('aadhaar', 'passport', 'driving_licence', 'voter_id', 'pan', 'other') NOT NULL,
+  id_number VARCHAR(50) NOT NULL,
+  nationality VARCHAR(60) NOT NULL DEFAULT 'Indian',
+  date_of_birth DATE,
+  gender ENUM('male', 'female', 'other'),
+  address TEXT,
+  passport_number VARCHAR(20),
+  passport_place_of_issue VARCHAR(100),
+  passport_issue_date DATE,
+  passport_expiry_date DATE,
+  visa_number VARCHAR(30),
+  visa_type VARCHAR(50),
+  visa_place_of_issue VARCHAR(100),
+  visa_issue_date DATE,
+  visa_expiry_date DATE,
+  arrival_date_in_india DATE,
+  arrived_from VARCHAR(100),
+  next_destination VARCHAR(100),
+  purpose_of_visit VARCHAR(100),
+  recorded_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+  FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Guest documents table (scanned ID proof, passport and visa pages)
+CREATE TABLE IF NOT EXISTS guest_documents (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  guest_id INT NOT NULL,
+  document_type ENUM('id_proof', 'passport', 'visa', 'other') NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255),
+  mime_type VARCHAR(100),
+  uploaded_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+  FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Room types table
+CREATE TABLE IF NOT EXISTS room_types (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE,
+  description TEXT,
+  tariff DECIMAL(10,2) NOT NULL,
+  gst_percentage DECIMAL(5,2) NOT NULL,
+  hsn_sac_code VARCHAR(8) DEFAULT '996311',
+  max_occupancy INT NOT NULL DEFAULT 2,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Rooms table (current_guest_id is set while the room is occupied)
+CREATE TABLE IF NOT EXISTS rooms (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_number VARCHAR(20) NOT NULL UNIQUE,
+  room_type_id INT NOT NULL,
+  floor INT,
+  status ENUM('vacant', 'occupied', 'dirty', 'out_of_order') NOT NULL DEFAULT 'vacant',
+  current_guest_id INT,
+  notes TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (room_type_id) REFERENCES room_types(id),
+  FOREIGN KEY (current_guest_id) REFERENCES guests(id) ON DELETE SET NULL
+);
+
+-- Rate plans table (meal plans etc., priced as a nightly adjustment on the room tariff)
+CREATE TABLE IF NOT EXISTS rate_plans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(10) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  nightly_adjustment DECIMAL(10,2) NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Reservations table (check_out_date is the departure day, the last night is the day before)
+CREATE TABLE IF NOT EXISTS reservations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  reservation_number VARCHAR(50) NOT NULL UNIQUE,
+  guest_name VARCHAR(100) NOT NULL,
+  mobile VARCHAR(20),
+  email VARCHAR(100),
+  state_code VARCHAR(2),
+  company_id INT,
+  room_type_id INT NOT NULL,
+  room_id INT,
+  rate_plan_id INT,
+  check_in_date DATE NOT NULL,
+  check_out_date DATE NOT NULL,
+  adults INT NOT NULL DEFAULT 1,
+  children INT NOT NULL DEFAULT 0,
+  list_rate DECIMAL(10,2),
+  nightly_rate DECIMAL(10,2) NOT NULL,
+  rate_override_reason VARCHAR(255),
+  rate_override_approved_by INT,
+  status ENUM('tentative', 'confirmed', 'checked_in', 'no_show', 'cancelled') NOT NULL DEFAULT 'confirmed',
+  guest_id INT,
+  notes TEXT,
+  cancellation_reason TEXT,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_reservations_dates (room_type_id, check_in_date, check_out_date),
+  FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL,
+  FOREIGN KEY (room_type_id) REFERENCES room_types(id),
+  FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL,
+  FOREIGN KEY (rate_plan_id) REFERENCES rate_plans(id) ON DELETE SET NULL,
+  FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL,
+  FOREIGN KEY (rate_override_approved_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Stays table (links a guest profile to each check-in, i.e. each guests row)
+CREATE TABLE IF NOT EXISTS stays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  profile_id INT NOT NULL,
+  guest_id INT NOT NULL UNIQUE,
+  reservation_id INT,
+  room_number VARCHAR(20),
+  check_in_date TIMESTAMP NULL,
+  check_out_date TIMESTAMP NULL,
+  status ENUM('in_house', 'checked_out') NOT NULL DEFAULT 'in_house',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (profile_id) REFERENCES guest_profiles(id),
+  FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+  FOREIGN KEY (reservation_id) REFERENCES reservations(id) ON DELETE SET NULL
+);
+
+-- Privacy log table (exports and anonymizations of guest data; kept even if the profile is later merged or deleted)
+CREATE TABLE IF NOT EXISTS privacy_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  profile_id INT NOT NULL,
+  action ENUM('export', 'anonymize') NOT NULL,
+  reason TEXT,
+  details TEXT,
+  performed_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_privacy_log_profile (profile_id),
+  FOREIGN KEY (performed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- Invoices table
 CREATE TABLE IF NOT EXISTS invoices (
   id INT AUTO_INCREMENT PRIMARY KEY,
@@ -80,18 +390,36 @@ CREATE TABLE IF NOT EXISTS invoices (
   room_number VARCHAR(20),
   guest_name VARCHAR(100) NOT NULL,
   guest_mobile VARCHAR(20),
+  company_id INT,
+  buyer_name VARCHAR(150),
+  buyer_gstin VARCHAR(15),
+  buyer_address TEXT,
   type ENUM('resort', 'kitchen') NOT NULL,
+  place_of_supply VARCHAR(2),
+  supply_type ENUM('intra_state', 'inter_state') NOT NULL DEFAULT 'intra_state',
   subtotal DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
   tax_amount DECIMAL(10,2) NOT NULL,
   total_amount DECIMAL(10,2) NOT NULL,
-  payment_status ENUM('paid', 'pending', 'cancelled') DEFAULT 'pending',
-  payment_method ENUM('cash', 'card', 'upi', 'other') DEFAULT 'cash',
+  credited_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0,
+  balance_due DECIMAL(10,2) AS (total_amount - credited_amount - amount_paid) STORED,
+  payment_status ENUM('paid', 'partially_paid', 'pending', 'cancelled') DEFAULT 'pending',
+  payment_method ENUM('cash', 'card', 'upi', 'other', 'split') DEFAULT 'cash',
   notes TEXT,
   booking_date DATE,
+  status ENUM('issued', 'partially_credited', 'cancelled') NOT NULL DEFAULT 'issued',
+  cancellation_reason TEXT,
+  cancelled_at TIMESTAMP NULL,
+  cancelled_by INT,
   created_by INT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL,
+  FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL,
+  FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
   FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
@@ -102,16 +430,128 @@ CREATE TABLE IF NOT EXISTS invoice_items (
   item_id INT,
   service_id INT,
   item_name VARCHAR(100) NOT NULL,
+  hsn_sac_code VARCHAR(8),
   quantity INT NOT NULL,
+  catalog_rate DECIMAL(10,2),
   rate DECIMAL(10,2) NOT NULL,
+  override_reason VARCHAR(255),
+  override_approved_by INT,
   gst_percentage DECIMAL(5,2) NOT NULL,
   gst_amount DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
   total DECIMAL(10,2) NOT NULL,
+  item_options VARCHAR(255),
   booking_date date,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
   FOREIGN KEY (item_id) REFERENCES menu_items(id) ON DELETE SET NULL,
-  FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE SET NULL
+  FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE SET NULL,
+  FOREIGN KEY (override_approved_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Invoice payments table (one row per payment received, voided rows are kept)
+CREATE TABLE IF NOT EXISTS invoice_payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  payment_method ENUM('cash', 'card', 'upi', 'other') NOT NULL,
+  reference VARCHAR(100),
+  notes TEXT,
+  received_by INT,
+  received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  is_voided BOOLEAN DEFAULT FALSE,
+  void_reason TEXT,
+  voided_by INT,
+  voided_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  FOREIGN KEY (received_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Night audits table (one row per closed business date)
+CREATE TABLE IF NOT EXISTS night_audits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  business_date DATE NOT NULL UNIQUE,
+  total_rooms INT NOT NULL,
+  out_of_order_rooms INT NOT NULL DEFAULT 0,
+  rooms_sold INT NOT NULL DEFAULT 0,
+  room_revenue DECIMAL(12,2) NOT NULL DEFAULT 0,
+  occupancy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0,
+  adr DECIMAL(10,2) NOT NULL DEFAULT 0,
+  revpar DECIMAL(10,2) NOT NULL DEFAULT 0,
+  charges_posted INT NOT NULL DEFAULT 0,
+  overdue_checkouts INT NOT NULL DEFAULT 0,
+  run_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (run_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Room charges table (room tariff posted to a guest's folio by the night audit, billed at checkout)
+CREATE TABLE IF NOT EXISTS room_charges (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  guest_id INT NOT NULL,
+  reservation_id INT,
+  room_id INT,
+  room_number VARCHAR(20) NOT NULL,
+  business_date DATE NOT NULL,
+  description VARCHAR(100) NOT NULL,
+  hsn_sac_code VARCHAR(8),
+  rate DECIMAL(10,2) NOT NULL,
+  gst_percentage DECIMAL(5,2) NOT NULL,
+  gst_amount DECIMAL(10,2) NOT NULL,
+  total DECIMAL(10,2) NOT NULL,
+  night_audit_id INT,
+  invoice_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_room_charges_guest_date (guest_id, business_date),
+  FOREIGN KEY (guest_id) REFERENCES guests(id),
+  FOREIGN KEY (reservation_id) REFERENCES reservations(id) ON DELETE SET NULL,
+  FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL,
+  FOREIGN KEY (night_audit_id) REFERENCES night_audits(id) ON DELETE SET NULL,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL
+);
+
+-- Credit notes table (issued against an invoice, which itself is never deleted)
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  credit_note_number VARCHAR(50) NOT NULL UNIQUE,
+  credit_note_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  invoice_id INT NOT NULL,
+  type ENUM('resort', 'kitchen') NOT NULL,
+  reason TEXT NOT NULL,
+  subtotal DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10,2) NOT NULL,
+  total_amount DECIMAL(10,2) NOT NULL,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Credit note items table
+CREATE TABLE IF NOT EXISTS credit_note_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  credit_note_id INT NOT NULL,
+  invoice_item_id INT NOT NULL,
+  item_name VARCHAR(100) NOT NULL,
+  quantity INT NOT NULL,
+  rate DECIMAL(10,2) NOT NULL,
+  gst_percentage DECIMAL(5,2) NOT NULL,
+  gst_amount DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  total DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE CASCADE,
+  FOREIGN KEY (invoice_item_id) REFERENCES invoice_items(id)
 );
 
 -- Kitchen orders table
@@ -124,10 +564,17 @@ CREATE TABLE IF NOT EXISTS kitchen_orders (
   guest_name VARCHAR(100) NOT NULL,
   order_type ENUM('room', 'walk_in') NOT NULL,
   status ENUM('pending', 'processing', 'completed', 'cancelled') DEFAULT 'pending',
+  place_of_supply VARCHAR(2),
+  supply_type ENUM('intra_state', 'inter_state') NOT NULL DEFAULT 'intra_state',
   subtotal DECIMAL(10,2) NOT NULL,
   tax_amount DECIMAL(10,2) NOT NULL,
   total_amount DECIMAL(10,2) NOT NULL,
   invoice_id INT,
+  stock_deducted BOOLEAN NOT NULL DEFAULT FALSE,
+  accepted_at TIMESTAMP NULL DEFAULT NULL,
+  completed_at TIMESTAMP NULL DEFAULT NULL,
+  cancelled_at TIMESTAMP NULL DEFAULT NULL,
+  cancellation_reason VARCHAR(255),
   created_by INT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -142,13 +589,199 @@ CREATE TABLE IF NOT EXISTS kitchen_order_items (
   order_id INT NOT NULL,
   item_id INT NOT NULL,
   quantity INT NOT NULL,
+  catalog_rate DECIMAL(10,2),
   rate DECIMAL(10,2) NOT NULL,
+  override_reason VARCHAR(255),
+  override_approved_by INT,
   gst_percentage DECIMAL(5,2) NOT NULL,
   gst_amount DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
   total DECIMAL(10,2) NOT NULL,
+  item_options VARCHAR(255),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (order_id) REFERENCES kitchen_orders(id) ON DELETE CASCADE,
-  FOREIGN KEY (item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+  FOREIGN KEY (item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (override_approved_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Kitchen order item options table (snapshot of the variant and modifiers chosen on an order line)
+CREATE TABLE IF NOT EXISTS kitchen_order_item_options (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_item_id INT NOT NULL,
+  option_id INT,
+  group_name VARCHAR(100) NOT NULL,
+  group_type ENUM('variant', 'modifier') NOT NULL,
+  option_name VARCHAR(100) NOT NULL,
+  price DECIMAL(10,2) NOT NULL DEFAULT 0,
+  FOREIGN KEY (order_item_id) REFERENCES kitchen_order_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (option_id) REFERENCES menu_item_options(id) ON DELETE SET NULL
+);
+
+-- Kitchen order status history table (from_status is NULL for the order being placed)
+CREATE TABLE IF NOT EXISTS kitchen_order_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status ENUM('pending', 'processing', 'completed', 'cancelled'),
+  to_status ENUM('pending', 'processing', 'completed', 'cancelled') NOT NULL,
+  reason VARCHAR(255),
+  changed_by INT,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_kitchen_order_status_history_order (order_id, changed_at),
+  FOREIGN KEY (order_id) REFERENCES kitchen_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Ingredients table (current_stock only moves through stock_movements)
+CREATE TABLE IF NOT EXISTS ingredients (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  unit VARCHAR(10) NOT NULL,
+  current_stock DECIMAL(12,3) NOT NULL DEFAULT 0,
+  reorder_level DECIMAL(12,3) NOT NULL DEFAULT 0,
+  average_cost DECIMAL(12,4) NOT NULL DEFAULT 0,
+  last_purchase_rate DECIMAL(12,4),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Menu item recipes table (ingredient quantities for one portion)
+CREATE TABLE IF NOT EXISTS menu_item_recipes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  ingredient_id INT NOT NULL,
+  quantity DECIMAL(12,3) NOT NULL,
+  UNIQUE KEY uq_menu_item_recipes (item_id, ingredient_id),
+  FOREIGN KEY (item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+);
+
+-- Vendors table
+CREATE TABLE IF NOT EXISTS vendors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  gstin VARCHAR(15) UNIQUE,
+  address TEXT NOT NULL,
+  state_code VARCHAR(2) NOT NULL,
+  contact_person VARCHAR(100),
+  contact_email VARCHAR(100),
+  contact_phone VARCHAR(20),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Purchase orders table
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  po_number VARCHAR(50) NOT NULL UNIQUE,
+  vendor_id INT NOT NULL,
+  order_date DATE NOT NULL,
+  expected_date DATE,
+  status ENUM('open', 'partially_received', 'received', 'cancelled') DEFAULT 'open',
+  subtotal DECIMAL(10,2) NOT NULL,
+  tax_amount DECIMAL(10,2) NOT NULL,
+  total_amount DECIMAL(10,2) NOT NULL,
+  notes TEXT,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Purchase order items table
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  purchase_order_id INT NOT NULL,
+  ingredient_id INT NOT NULL,
+  quantity DECIMAL(12,3) NOT NULL,
+  rate DECIMAL(12,4) NOT NULL,
+  gst_percentage DECIMAL(5,2) NOT NULL,
+  received_quantity DECIMAL(12,3) NOT NULL DEFAULT 0,
+  FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+);
+
+-- Vendor bills table (purchase invoices; input tax credit is claimed from these)
+CREATE TABLE IF NOT EXISTS vendor_bills (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  vendor_id INT NOT NULL,
+  vendor_gstin VARCHAR(15),
+  bill_number VARCHAR(50) NOT NULL,
+  bill_date DATE NOT NULL,
+  type ENUM('resort', 'kitchen') NOT NULL DEFAULT 'kitchen',
+  supply_type ENUM('intra_state', 'inter_state') NOT NULL DEFAULT 'intra_state',
+  taxable_amount DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10,2) NOT NULL,
+  total_amount DECIMAL(10,2) NOT NULL,
+  itc_eligible BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_vendor_bills (vendor_id, bill_number),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Goods receipts table (GRN)
+CREATE TABLE IF NOT EXISTS goods_receipts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  grn_number VARCHAR(50) NOT NULL UNIQUE,
+  vendor_id INT NOT NULL,
+  purchase_order_id INT,
+  vendor_bill_id INT,
+  receipt_date DATE NOT NULL,
+  subtotal DECIMAL(10,2) NOT NULL,
+  tax_amount DECIMAL(10,2) NOT NULL,
+  total_amount DECIMAL(10,2) NOT NULL,
+  notes TEXT,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id),
+  FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+  FOREIGN KEY (vendor_bill_id) REFERENCES vendor_bills(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Goods receipt items table
+CREATE TABLE IF NOT EXISTS goods_receipt_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  goods_receipt_id INT NOT NULL,
+  purchase_order_item_id INT,
+  ingredient_id INT NOT NULL,
+  quantity DECIMAL(12,3) NOT NULL,
+  rate DECIMAL(12,4) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  gst_percentage DECIMAL(5,2) NOT NULL,
+  gst_amount DECIMAL(10,2) NOT NULL,
+  total DECIMAL(10,2) NOT NULL,
+  FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id) ON DELETE CASCADE,
+  FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items(id),
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+);
+
+-- Stock movements table (stock ledger; quantity is signed, consumption is negative)
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  ingredient_id INT NOT NULL,
+  movement_type ENUM('opening', 'purchase', 'consumption', 'reversal', 'adjustment') NOT NULL,
+  quantity DECIMAL(12,3) NOT NULL,
+  balance_after DECIMAL(12,3) NOT NULL,
+  kitchen_order_id INT,
+  goods_receipt_id INT,
+  notes VARCHAR(255),
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_stock_movements_ingredient (ingredient_id, created_at),
+  FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+  FOREIGN KEY (kitchen_order_id) REFERENCES kitchen_orders(id) ON DELETE SET NULL,
+  FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Insert default admin user
@@ -157,24 +790,125 @@ VALUES ('admin', '$2a$10$YKm8QvYOYleXGrBZnNbVZeuK7eolMIKCXMCrOBNQNZj1ry1R9I9JS',
 -- Password is 'admin123'
 
 -- Insert default settings
-INSERT INTO settings (resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate)
-VALUES ('Mountain View Resort & Spa', '29AALFM0202M1ZE', '29AALFM0202M2ZD', '123 Mountain View Road, Shimla, Himachal Pradesh, India', '+91 9876543210', 'info@mountainviewresort.com', 18.00);
+INSERT INTO settings (resort_name, resort_gstin, kitchen_gstin, resort_address, resort_contact, resort_email, tax_rate, business_date)
+VALUES ('Mountain View Resort & Spa', '29AALFM0202M1Z8', '29AALFM0202M2Z7', '123 Mountain View Road, Shimla, Himachal Pradesh, India', '+91 9876543210', 'info@mountainviewresort.com', 18.00, CURDATE());
+
+-- Insert default number series
+INSERT INTO number_series (series, prefix, format, padding)
+VALUES
+('resort', 'RS', '{PREFIX}/{FY}/{SEQ}', 5),
+('kitchen', 'KT', '{PREFIX}/{FY}/{SEQ}', 5),
+('credit_note', 'CN', '{PREFIX}/{FY}/{SEQ}', 5),
+('kitchen_order', 'KO', '{PREFIX}/{FY}/{SEQ}', 5),
+('reservation', 'RV', '{PREFIX}/{FY}/{SEQ}', 5),
+('purchase_order', 'PO', '{PREFIX}/{FY}/{SEQ}', 5),
+('goods_receipt', 'GRN', '{PREFIX}/{FY}/{SEQ}', 5);
+
+-- Insert sample menu categories
+INSERT INTO menu_categories (name, parent_id, sort_order)
+VALUES 
+('Starters', NULL, 1),
+('Main Course', NULL, 2),
+('Beverages', NULL, 3),
+('Desserts', NULL, 4),
+('Buffets', NULL, 5),
+('Spa & Wellness', NULL, 6),
+('Hot Beverages', 3, 1),
+('Cold Beverages', 3, 2);
+
+-- Insert sample menu schedules
+INSERT INTO menu_schedules (name, start_time, end_time, days_of_week)
+VALUES 
+('Breakfast', '07:00:00', '10:00:00', 'sun,mon,tue,wed,thu,fri,sat'),
+('Weekend Only', '00:00:00', '00:00:00', 'sun,sat');
 
 -- Insert sample menu items
-INSERT INTO menu_items (name, description, price, gst_percentage, type)
+INSERT INTO menu_items (name, description, price, gst_percentage, hsn_sac_code, type, category_id, schedule_id)
+VALUES 
+('Butter Chicken', 'Classic North Indian dish with tender chicken in a buttery tomato sauce', 450.00, 18.00, '996331', 'kitchen', 2, NULL),
+('Paneer Tikka', 'Grilled cottage cheese marinated in spices', 350.00, 18.00, '996331', 'kitchen', 1, NULL),
+('Veg Biryani', 'Fragrant rice dish with mixed vegetables and spices', 300.00, 18.00, '996331', 'kitchen', 2, NULL),
+('Masala Chai', 'Traditional Indian spiced tea', 80.00, 18.00, '996331', 'kitchen', 7, NULL),
+('Breakfast Buffet', 'Complete breakfast with Indian and Continental options', 499.00, 18.00, '996331', 'resort', 5, 1),
+('Spa Massage - 60 min', '60-minute relaxing full body massage', 2500.00, 18.00, '999722', 'resort', 6, NULL);
+
+-- Insert sample menu item options
+INSERT INTO menu_item_option_groups (item_id, name, group_type, min_select, max_select, sort_order)
 VALUES 
-('Butter Chicken', 'Classic North Indian dish with tender chicken in a buttery tomato sauce', 450.00, 18.00, 'kitchen'),
-('Paneer Tikka', 'Grilled cottage cheese marinated in spices', 350.00, 18.00, 'kitchen'),
-('Veg Biryani', 'Fragrant rice dish with mixed vegetables and spices', 300.00, 18.00, 'kitchen'),
-('Masala Chai', 'Traditional Indian spiced tea', 80.00, 18.00, 'kitchen'),
-('Breakfast Buffet', 'Complete breakfast with Indian and Continental options', 499.00, 18.00, 'resort'),
-('Spa Massage - 60 min', '60-minute relaxing full body massage', 2500.00, 18.00, 'resort');
+(1, 'Portion', 'variant', 1, 1, 1),
+(1, 'Add-ons', 'modifier', 0, 3, 2);
+
+INSERT INTO menu_item_options (group_id, name, price, sort_order)
+VALUES 
+(1, 'Half', 260.00, 1),
+(1, 'Full', 450.00, 2),
+(2, 'Extra Butter', 40.00, 1),
+(2, 'Extra Cheese', 50.00, 2),
+(2, 'Less Spicy', 0.00, 3);
 
 -- Insert sample services
-INSERT INTO services (name, description, price, gst_percentage)
+INSERT INTO services (name, description, price, gst_percentage, hsn_sac_code)
+VALUES 
+('Conference Hall - Half Day', 'Conference hall rental for half day (4 hours)', 15000.00, 18.00, '997212'),
+('Conference Hall - Full Day', 'Conference hall rental for full day (8 hours)', 25000.00, 18.00, '997212'),
+('Extra Bed', 'Additional bed in room', 1000.00, 18.00, '996311'),
+('Laundry Service', 'Per garment laundry service', 200.00, 18.00, '999712'),
+('Airport Transfer', 'One-way airport transfer', 1500.00, 18.00, '996601');
+
+-- Opening price versions of the sample menu items and services
+INSERT INTO catalog_prices (item_id, price, effective_from)
+SELECT id, price, CURDATE() FROM menu_items;
+
+INSERT INTO catalog_prices (service_id, price, effective_from)
+SELECT id, price, CURDATE() FROM services;
+
+-- Insert sample room types
+INSERT INTO room_types (name, description, tariff, gst_percentage, hsn_sac_code, max_occupancy)
+VALUES 
+('Deluxe', 'Deluxe room with valley view', 4500.00, 12.00, '996311', 2),
+('Premium Suite', 'Suite with separate living area and balcony', 8500.00, 18.00, '996311', 4);
+
+-- Insert sample rooms
+INSERT INTO rooms (room_number, room_type_id, floor)
 VALUES 
-('Conference Hall - Half Day', 'Conference hall rental for half day (4 hours)', 15000.00, 18.00),
-('Conference Hall - Full Day', 'Conference hall rental for full day (8 hours)', 25000.00, 18.00),
-('Extra Bed', 'Additional bed in room', 1000.00, 18.00),
-('Laundry Service', 'Per garment laundry service', 200.00, 18.00),
-('Airport Transfer', 'One-way airport transfer', 1500.00, 18.00);
\ No newline at end of file
+('101', 1, 1),
+('102', 1, 1),
+('103', 1, 1),
+('201', 1, 2),
+('202', 2, 2),
+('301', 2, 3);
+
+-- Insert sample rate plans
+INSERT INTO rate_plans (code, name, description, nightly_adjustment)
+VALUES 
+('EP', 'Room Only', 'European Plan - room without meals', 0.00),
+('CP', 'Bed & Breakfast', 'Continental Plan - room with breakfast', 600.00),
+('MAP', 'Half Board', 'Modified American Plan - breakfast and dinner', 1500.00);
+
+-- Insert sample ingredients
+INSERT INTO ingredients (name, unit, current_stock, reorder_level, average_cost)
+VALUES 
+('Chicken', 'kg', 10.000, 3.000, 240.0000),
+('Butter', 'kg', 5.000, 1.000, 520.0000),
+('Paneer', 'kg', 4.000, 1.000, 380.0000),
+('Basmati Rice', 'kg', 20.000, 5.000, 110.0000),
+('Tea Leaves', 'g', 1000.000, 250.000, 0.6000),
+('Milk', 'l', 10.000, 3.000, 56.0000);
+
+-- Opening stock of the sample ingredients, so the ledger balances
+INSERT INTO stock_movements (ingredient_id, movement_type, quantity, balance_after, notes)
+SELECT id, 'opening', current_stock, current_stock, 'Opening stock' FROM ingredients;
+
+-- Insert sample recipes (per portion)
+INSERT INTO menu_item_recipes (item_id, ingredient_id, quantity)
+VALUES 
+(1, 1, 0.250),
+(1, 2, 0.050),
+(2, 3, 0.200),
+(3, 4, 0.150),
+(4, 5, 5.000),
+(4, 6, 0.100);
+
+-- Insert sample vendor
+INSERT INTO vendors (name, gstin, address, state_code, contact_person, contact_phone)
+VALUES ('Shimla Fresh Supplies', '02AABCS1234F1Z3', 'Lower Bazaar, Shimla, Himachal Pradesh', '02', 'Ramesh Thakur', '+91 9816012345');